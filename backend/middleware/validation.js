@@ -1,6 +1,17 @@
 // Input Validation Middleware
 const Joi = require('joi');
 
+// GeoJSON polygon ([outer ring, ...holes] of [longitude, latitude] positions);
+// closure and self-intersection are checked by services/fieldGeometry
+const geoJsonPolygon = Joi.object({
+    type: Joi.string().valid('Polygon').required(),
+    coordinates: Joi.array().items(
+        Joi.array().items(
+            Joi.array().items(Joi.number()).min(2).max(3)
+        ).min(4).max(500)
+    ).min(1).max(20).required()
+});
+
 // Validation schemas
 const schemas = {
     // User authentication
@@ -69,11 +80,21 @@ const schemas = {
 
     // Chatbot
     chatMessage: Joi.object({
-        message: Joi.string().min(1).max(1000).required(),
-        sessionId: Joi.string().optional(),
-        language: Joi.string().length(2).default('en')
+        message: Joi.string().trim().min(1).max(2000).required(), // ChatSession message content limit
+        sessionId: Joi.string().allow(null, '').optional(),
+        language: Joi.string().length(2).default('en'),
+        context: Joi.object().optional()
     }),
 
+    chatContextSettings: Joi.object({
+        profile: Joi.boolean(),
+        location: Joi.boolean(),
+        alerts: Joi.boolean(),
+        analyses: Joi.boolean(),
+        weather: Joi.boolean(),
+        fields: Joi.boolean()
+    }).min(1),
+
     // Weather
     weatherLocation: Joi.object({
         latitude: Joi.number().min(-90).max(90).required(),
@@ -87,13 +108,211 @@ const schemas = {
         message: Joi.string().min(1).max(500).required(),
         type: Joi.string().valid(
             'general', 'weather', 'community', 'alert', 
-            'reminder', 'achievement', 'system'
+            'reminder', 'achievement', 'system', 'review'
         ).default('general'),
         priority: Joi.string().valid('low', 'medium', 'high', 'urgent').default('medium'),
         data: Joi.object().optional(),
         expiresAt: Joi.date().optional()
     }),
 
+    // Expert review
+    reviewApproval: Joi.object({
+        notes: Joi.string().max(1000).allow('').optional()
+    }),
+
+    reviewCorrection: Joi.object({
+        detectedCrop: Joi.string().max(100).optional(),
+        healthScore: Joi.number().min(0).max(100).optional(),
+        condition: Joi.string().valid('excellent', 'good', 'fair', 'poor', 'critical').optional(),
+        issues: Joi.array().items(Joi.string().max(200)).optional(),
+        recommendations: Joi.array().items(Joi.string().max(300)).optional(),
+        diseaseDetected: Joi.boolean().optional(),
+        diseaseName: Joi.string().max(200).allow('').optional(),
+        treatment: Joi.array().items(Joi.string().max(300)).optional(),
+        notes: Joi.string().max(1000).allow('').optional()
+    }).or(
+        'detectedCrop', 'healthScore', 'condition', 'issues',
+        'recommendations', 'diseaseDetected', 'diseaseName', 'treatment'
+    ),
+
+    // Training dataset export
+    datasetExport: Joi.object({
+        crop: Joi.string().max(100).optional(),
+        from: Joi.date().iso().optional(),
+        to: Joi.date().iso().min(Joi.ref('from')).optional(),
+        minRating: Joi.number().integer().min(1).max(5).optional(),
+        maxRating: Joi.number().integer().min(Joi.ref('minRating')).max(5).optional(),
+        sources: Joi.array().items(Joi.string().valid('expert', 'farmer', 'confirmed')).min(1).optional(),
+        split: Joi.object({
+            train: Joi.number().min(0).max(1).required(),
+            val: Joi.number().min(0).max(1).required(),
+            test: Joi.number().min(0).max(1).required()
+        }).custom((split, helpers) => {
+            return Math.abs(split.train + split.val + split.test - 1) > 0.001
+                ? helpers.message('split ratios must add up to 1')
+                : split;
+        }).optional(),
+        seed: Joi.string().max(50).optional(),
+        limit: Joi.number().integer().min(1).max(10000).optional()
+    }),
+
+    // Model training
+    trainingJob: Joi.object({
+        baseModelId: Joi.string().optional(),
+        modelId: Joi.string().pattern(/^[a-z0-9][a-z0-9._-]{2,63}$/i).optional(),
+        exportId: Joi.string().pattern(/^dataset-[\w-]+$/).optional(),
+        filters: Joi.object({
+            crop: Joi.string().max(100).optional(),
+            from: Joi.date().iso().optional(),
+            to: Joi.date().iso().optional(),
+            minRating: Joi.number().integer().min(1).max(5).optional(),
+            maxRating: Joi.number().integer().min(1).max(5).optional(),
+            sources: Joi.array().items(Joi.string().valid('expert', 'farmer', 'confirmed')).min(1).optional()
+        }).optional(),
+        options: Joi.object({
+            epochs: Joi.number().integer().min(1).max(200).optional(),
+            batchSize: Joi.number().integer().min(1).max(256).optional(),
+            learningRate: Joi.number().greater(0).max(1).optional(),
+            hiddenUnits: Joi.number().integer().min(8).max(1024).optional(),
+            activate: Joi.boolean().optional()
+        }).optional()
+    }).oxor('exportId', 'filters'),
+
+    // Model evaluation
+    modelEvaluation: Joi.object({
+        modelIds: Joi.array().items(Joi.string()).min(1).max(4).unique().required(),
+        exportId: Joi.string().pattern(/^dataset-[\w-]+$/).optional(),
+        filters: Joi.object({
+            crop: Joi.string().max(100).optional(),
+            from: Joi.date().iso().optional(),
+            to: Joi.date().iso().optional(),
+            minRating: Joi.number().integer().min(1).max(5).optional(),
+            maxRating: Joi.number().integer().min(1).max(5).optional(),
+            sources: Joi.array().items(Joi.string().valid('expert', 'farmer', 'confirmed')).min(1).optional()
+        }).optional(),
+        split: Joi.string().valid('train', 'val', 'test', 'all').optional()
+    }).oxor('exportId', 'filters'),
+
+    shadowModel: Joi.object({
+        modelId: Joi.string().required()
+    }),
+
+    // On-device (offline) result sent with an upload
+    clientAnalysis: Joi.object({
+        modelId: Joi.string().max(100).required(),
+        modelVersion: Joi.string().max(50).required(),
+        rulesVersion: Joi.string().max(50).optional(),
+        packageVersion: Joi.string().max(200).optional(),
+        predictions: Joi.array().items(Joi.object({
+            className: Joi.string().max(200).required(),
+            probability: Joi.number().min(0).max(1).required(),
+            classId: Joi.number().integer().min(0).optional()
+        })).max(10).default([]),
+        isPlant: Joi.boolean().required(),
+        detectedCrop: Joi.string().max(100).allow('').optional(),
+        healthScore: Joi.number().min(0).max(100).optional(),
+        condition: Joi.string().valid('excellent', 'good', 'fair', 'poor', 'critical').optional(),
+        confidence: Joi.number().min(0).max(1).optional(),
+        diseaseDetected: Joi.boolean().optional(),
+        diseaseName: Joi.string().max(200).allow('').optional(),
+        analyzedAt: Joi.date().iso().optional()
+    }),
+
+    // Farms, fields and treatments
+    createFarm: Joi.object({
+        name: Joi.string().min(1).max(100).required(),
+        description: Joi.string().max(1000).allow('').optional(),
+        location: Joi.object({
+            latitude: Joi.number().min(-90).max(90).optional(),
+            longitude: Joi.number().min(-180).max(180).optional(),
+            address: Joi.string().max(200).optional()
+        }).optional()
+    }),
+
+    updateFarm: Joi.object({
+        name: Joi.string().min(1).max(100).optional(),
+        description: Joi.string().max(1000).allow('').optional(),
+        location: Joi.object({
+            latitude: Joi.number().min(-90).max(90).optional(),
+            longitude: Joi.number().min(-180).max(180).optional(),
+            address: Joi.string().max(200).optional()
+        }).optional()
+    }).min(1),
+
+    createField: Joi.object({
+        name: Joi.string().min(1).max(100).required(),
+        farmId: Joi.string().hex().length(24).optional(),
+        crop: Joi.string().max(100).optional(),
+        plantingDate: Joi.date().iso().optional(),
+        soilType: Joi.string().valid('clay', 'sandy', 'loamy', 'silty', 'peaty', 'chalky').optional(),
+        irrigationType: Joi.string().valid(
+            'rainfed', 'drip', 'sprinkler', 'furrow', 'flood', 'center_pivot', 'manual'
+        ).optional(),
+        description: Joi.string().max(1000).allow('').optional(),
+        boundary: geoJsonPolygon.optional(),
+        location: Joi.object({
+            latitude: Joi.number().min(-90).max(90).optional(),
+            longitude: Joi.number().min(-180).max(180).optional(),
+            address: Joi.string().max(200).optional()
+        }).optional()
+    }),
+
+    updateField: Joi.object({
+        name: Joi.string().min(1).max(100).optional(),
+        farmId: Joi.string().hex().length(24).allow(null).optional(),
+        crop: Joi.string().max(100).allow('').optional(),
+        plantingDate: Joi.date().iso().allow(null).optional(),
+        soilType: Joi.string().valid('clay', 'sandy', 'loamy', 'silty', 'peaty', 'chalky').allow(null).optional(),
+        irrigationType: Joi.string().valid(
+            'rainfed', 'drip', 'sprinkler', 'furrow', 'flood', 'center_pivot', 'manual'
+        ).allow(null).optional(),
+        description: Joi.string().max(1000).allow('').optional(),
+        boundary: geoJsonPolygon.allow(null).optional(),
+        location: Joi.object({
+            latitude: Joi.number().min(-90).max(90).optional(),
+            longitude: Joi.number().min(-180).max(180).optional(),
+            address: Joi.string().max(200).optional()
+        }).optional()
+    }).min(1),
+
+    fieldAnalyses: Joi.object({
+        analysisIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(100).unique().required()
+    }),
+
+    fieldTreatment: Joi.object({
+        name: Joi.string().min(1).max(200).required(),
+        product: Joi.string().max(200).optional(),
+        targetDisease: Joi.string().max(200).optional(),
+        appliedAt: Joi.date().iso().max('now').optional(),
+        notes: Joi.string().max(1000).allow('').optional()
+    }),
+
+    fieldTimeline: Joi.object({
+        from: Joi.date().iso().optional(),
+        to: Joi.date().iso().min(Joi.ref('from')).optional()
+    }),
+
+    cropSuggestions: Joi.object({
+        fieldId: Joi.string().hex().length(24).optional(),
+        latitude: Joi.number().min(-90).max(90).optional(),
+        longitude: Joi.number().min(-180).max(180).optional(),
+        soilType: Joi.string().valid('clay', 'sandy', 'loamy', 'silty', 'peaty', 'chalky').optional(),
+        season: Joi.string().valid('wet', 'dry').optional(),
+        limit: Joi.number().integer().min(1).max(10).default(5)
+    }).and('latitude', 'longitude'),
+
+    // Knowledge base
+    knowledgeDocument: Joi.object({
+        title: Joi.string().min(1).max(200).optional(),
+        tags: Joi.string().max(500).optional(), // comma-separated (multipart form field)
+        crops: Joi.string().max(500).optional()
+    }),
+
+    knowledgeSearch: Joi.object({
+        q: Joi.string().min(2).max(500).required(),
+        limit: Joi.number().integer().min(1).max(20).default(5)
+    }),
+
     // Password reset
     forgotPassword: Joi.object({
         email: Joi.string().email().required()
@@ -0,0 +1,68 @@
+// Analysis Batch Model
+const mongoose = require('mongoose');
+
+const analysisBatchSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    modelId: String,
+    batchSize: {
+        type: Number,
+        default: 8
+    },
+    force: {
+        type: Boolean,
+        default: false
+    },
+    items: [{
+        analysis: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ImageAnalysis',
+            required: true
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'processing', 'completed', 'failed', 'skipped'],
+            default: 'pending'
+        },
+        error: String,
+        processingTime: Number // in seconds
+    }],
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    startedAt: Date,
+    completedAt: Date,
+    errorMessage: String
+}, {
+    timestamps: true
+});
+
+// Indexes for efficient querying
+analysisBatchSchema.index({ user: 1, createdAt: -1 });
+analysisBatchSchema.index({ status: 1 });
+
+// Virtual for batch progress
+analysisBatchSchema.virtual('progress').get(function() {
+    const counts = { pending: 0, processing: 0, completed: 0, failed: 0, skipped: 0 };
+    this.items.forEach(item => {
+        counts[item.status]++;
+    });
+
+    const total = this.items.length;
+    const done = counts.completed + counts.failed + counts.skipped;
+
+    return {
+        total,
+        ...counts,
+        percent: total > 0 ? Math.round((done / total) * 100) : 100
+    };
+});
+
+analysisBatchSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('AnalysisBatch', analysisBatchSchema);
@@ -0,0 +1,73 @@
+// Analysis Job Model
+const mongoose = require('mongoose');
+
+const analysisJobSchema = new mongoose.Schema({
+    analysis: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImageAnalysis',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    options: {
+        modelId: String
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    priority: {
+        type: Number,
+        default: 0
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: Date,
+    workerId: String,
+    lastError: String,
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes for efficient querying
+analysisJobSchema.index({ status: 1, priority: -1, createdAt: 1 });
+analysisJobSchema.index({ analysis: 1, createdAt: -1 });
+analysisJobSchema.index({ status: 1, lockedAt: 1 });
+
+// Method to get the 1-based position of a queued job (0 once it has left the queue)
+analysisJobSchema.methods.getQueuePosition = async function() {
+    if (this.status !== 'queued') return 0;
+
+    const ahead = await this.constructor.countDocuments({
+        status: 'queued',
+        _id: { $ne: this._id },
+        $or: [
+            { priority: { $gt: this.priority } },
+            { priority: this.priority, createdAt: { $lt: this.createdAt } }
+        ]
+    });
+
+    return ahead + 1;
+};
+
+// Static method to get the latest job for an analysis
+analysisJobSchema.statics.getLatestForAnalysis = function(analysisId) {
+    return this.findOne({ analysis: analysisId }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('AnalysisJob', analysisJobSchema);
@@ -34,9 +34,36 @@ const chatSessionSchema = new mongoose.Schema({
                 enum: ['gemini', 'local', 'openai', 'other', 'local-knowledge', 'system'],
                 default: 'system'
             },
+            provider: String, // chat provider that answered (services/chatProviders.js)
             model: String,
+            failedProviders: { type: [String], default: undefined }, // providers tried first that failed or were skipped
+            sources: { // knowledge base passages the reply drew on
+                type: [{
+                    _id: false,
+                    document: { type: mongoose.Schema.Types.ObjectId, ref: 'KnowledgeDocument' },
+                    title: String,
+                    heading: String
+                }],
+                default: undefined
+            },
+            contextShared: { // chat context sections included in the prompt
+                type: [String],
+                default: undefined
+            },
+            toolCalls: { // farm data tools the model called (services/chatTools.js)
+                type: [{
+                    _id: false,
+                    name: String,
+                    args: mongoose.Schema.Types.Mixed,
+                    result: mongoose.Schema.Types.Mixed,
+                    error: String,
+                    durationMs: Number
+                }],
+                default: undefined
+            },
             tokensUsed: Number,
-            processingTime: Number
+            processingTime: Number,
+            aborted: Boolean // streamed reply cut short by the client disconnecting
         }
     }],
     settings: {
@@ -233,4 +233,21 @@ communityPostSchema.statics.getPostsByCategory = function(category, limit = 20)
         .limit(limit);
 };
 
+// Static method to build the filter for a text search of published posts
+communityPostSchema.statics.searchFilter = function(q, category) {
+    const filter = {
+        status: 'published',
+        $or: [
+            { 'content.title': { $regex: q, $options: 'i' } },
+            { 'content.body': { $regex: q, $options: 'i' } },
+            { tags: { $in: [new RegExp(q, 'i')] } }
+        ]
+    };
+
+    if (category) {
+        filter.category = category;
+    }
+    return filter;
+};
+
 module.exports = mongoose.model('CommunityPost', communityPostSchema);
\ No newline at end of file
@@ -0,0 +1,62 @@
+// Evaluation Run Model
+const mongoose = require('mongoose');
+
+const evaluationRunSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    modelIds: [{ // every model is scored on the same images
+        type: String,
+        required: true
+    }],
+    exportId: String, // dataset export the held-out images come from
+    filters: Object, // dataset filters when a new export was created
+    split: {
+        type: String,
+        enum: ['train', 'val', 'test', 'all'],
+        default: 'test'
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    progress: {
+        processed: { type: Number, default: 0 },
+        total: { type: Number, default: 0 }
+    },
+    results: [{
+        modelId: String,
+        modelVersion: String,
+        samples: Number,
+        failed: Number, // images the model could not read or classify
+        accuracy: Number,
+        macroPrecision: Number,
+        macroRecall: Number,
+        macroF1: Number,
+        labels: [String], // row/column order of the confusion matrix
+        perClass: [{
+            label: String,
+            precision: Number,
+            recall: Number,
+            f1: Number,
+            support: Number, // images with this label
+            predicted: Number // images predicted as this label
+        }],
+        confusionMatrix: [[Number]] // rows: actual label, columns: predicted label
+    }],
+    bestModelId: String, // highest accuracy, when more than one model was compared
+    startedAt: Date,
+    completedAt: Date,
+    errorMessage: String
+}, {
+    timestamps: true
+});
+
+// Indexes for efficient querying
+evaluationRunSchema.index({ createdAt: -1 });
+evaluationRunSchema.index({ status: 1 });
+
+module.exports = mongoose.model('EvaluationRun', evaluationRunSchema);
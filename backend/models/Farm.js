@@ -0,0 +1,32 @@
+// Farm Model
+const mongoose = require('mongoose');
+
+const farmSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Farm name is required'],
+        trim: true,
+        maxlength: [100, 'Farm name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    location: {
+        latitude: Number,
+        longitude: Number,
+        address: String
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for efficient querying
+farmSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Farm', farmSchema);
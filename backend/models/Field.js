@@ -0,0 +1,134 @@
+// Field Model
+const mongoose = require('mongoose');
+const fieldGeometry = require('../services/fieldGeometry');
+
+// GeoJSON polygon: [outer ring, ...holes], positions as [longitude, latitude]
+const polygonSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Polygon'],
+        required: true
+    },
+    coordinates: {
+        type: [[[Number]]],
+        required: true
+    }
+}, { _id: false });
+
+// A treatment the farmer applied, used to judge whether it is working
+const treatmentSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Treatment name is required'],
+        trim: true,
+        maxlength: [200, 'Treatment name cannot exceed 200 characters']
+    },
+    product: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Product cannot exceed 200 characters']
+    },
+    targetDisease: { // disease name as reported by the analyses, if the treatment targets one
+        type: String,
+        trim: true,
+        maxlength: [200, 'Target disease cannot exceed 200 characters']
+    },
+    appliedAt: {
+        type: Date,
+        default: Date.now
+    },
+    notes: {
+        type: String,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    }
+}, {
+    timestamps: true
+});
+
+const fieldSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    farm: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Farm'
+    },
+    name: {
+        type: String,
+        required: [true, 'Field name is required'],
+        trim: true,
+        maxlength: [100, 'Field name cannot exceed 100 characters']
+    },
+    crop: { // current crop
+        type: String,
+        trim: true,
+        maxlength: [100, 'Crop cannot exceed 100 characters']
+    },
+    plantingDate: Date, // of the current crop
+    soilType: { // same types as soil photo analysis
+        type: String,
+        enum: ['clay', 'sandy', 'loamy', 'silty', 'peaty', 'chalky']
+    },
+    irrigationType: {
+        type: String,
+        enum: ['rainfed', 'drip', 'sprinkler', 'furrow', 'flood', 'center_pivot', 'manual']
+    },
+    description: {
+        type: String,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    boundary: polygonSchema,
+    areaHectares: Number, // computed from the boundary
+    location: { // boundary centroid when a boundary is set
+        latitude: Number,
+        longitude: Number,
+        address: String
+    },
+    treatments: [treatmentSchema]
+}, {
+    timestamps: true
+});
+
+// Indexes for efficient querying
+fieldSchema.index({ user: 1, name: 1 }, { unique: true });
+fieldSchema.index({ farm: 1 });
+fieldSchema.index({ boundary: '2dsphere' });
+
+// Pre-validate middleware to derive area and location from the boundary
+fieldSchema.pre('validate', function(next) {
+    if (!this.isModified('boundary')) return next();
+
+    if (!this.boundary) {
+        this.areaHectares = undefined;
+        return next();
+    }
+
+    const boundary = this.boundary.toObject();
+    const problem = fieldGeometry.validatePolygon(boundary);
+    if (problem) {
+        this.invalidate('boundary', problem);
+        return next();
+    }
+
+    this.areaHectares = fieldGeometry.squareMetresToHectares(fieldGeometry.polygonArea(boundary));
+    this.location = {
+        ...fieldGeometry.polygonCentroid(boundary),
+        address: this.location?.address
+    };
+    next();
+});
+
+// Method to get the field with its area in the farmer's unit (preferences.units.area)
+fieldSchema.methods.withArea = function(unit = 'hectares') {
+    return {
+        ...this.toObject(),
+        area: this.areaHectares === undefined ? null : {
+            value: fieldGeometry.convertArea(this.areaHectares, unit),
+            unit
+        }
+    };
+};
+
+module.exports = mongoose.model('Field', fieldSchema);
@@ -1,6 +1,42 @@
 // Image Analysis Model
 const mongoose = require('mongoose');
 
+// Result of the candidate (shadow) model on the same image, kept for A/B comparison
+const shadowAnalysisSchema = new mongoose.Schema({
+    modelUsed: String,
+    modelVersion: String,
+    predictions: [{
+        className: String,
+        probability: Number,
+        classId: Number
+    }],
+    label: String, // "Crop___Condition" form of the shadow diagnosis
+    productionLabel: String, // same for the production diagnosis at the time of the run
+    agrees: Boolean,
+    detectedCrop: String,
+    healthScore: Number,
+    condition: String,
+    confidence: Number,
+    diseaseDetected: Boolean,
+    diseaseName: String,
+    processingTime: Number, // in seconds
+    error: String,
+    analyzedAt: Date
+}, { _id: false });
+
+// Leaf segmentation (services/leafSegmentation.js), areas in percent of the leaf
+const leafSegmentationSchema = new mongoose.Schema({
+    leafFound: Boolean,
+    leafCoverage: Number, // share of the photo covered by the leaf
+    healthyArea: Number,
+    chloroticArea: Number,
+    necroticArea: Number,
+    holeArea: Number,
+    damagedArea: Number, // chlorotic + necrotic + holes
+    brightSpecks: Number,
+    darkSpecks: Number
+}, { _id: false });
+
 const imageAnalysisSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -15,22 +51,73 @@ const imageAnalysisSchema = new mongoose.Schema({
         mimetype: String,
         uploadedAt: { type: Date, default: Date.now }
     },
+    analysisType: { // what the photo shows and which pipeline analyzes it
+        type: String,
+        enum: ['crop', 'soil', 'pest'],
+        default: 'crop'
+    },
+    perceptualHash: String, // 64-bit dHash as hex, for near-duplicate detection
+    duplicateOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImageAnalysis'
+    },
     processedImage: {
         filename: String,
         url: String,
         path: String,
-        size: Number
+        size: Number,
+        width: Number,
+        height: Number,
+        thumbnail: {
+            filename: String,
+            url: String,
+            path: String,
+            size: Number
+        },
+        heatmap: {
+            filename: String,
+            url: String,
+            path: String,
+            size: Number,
+            width: Number,
+            height: Number,
+            method: {
+                type: String,
+                enum: ['occlusion']
+            },
+            grid: Number,
+            targetClass: String,
+            targetClassId: Number,
+            baselineProbability: Number,
+            hotspot: { // most influential region, as fractions of the image size
+                x: Number,
+                y: Number,
+                width: Number,
+                height: Number
+            },
+            generatedAt: Date
+        }
     },
     analysis: {
-        modelUsed: {
-            type: String,
-            default: 'mobilenet-v2'
-        },
+        modelUsed: String, // model registry id
+        modelVersion: String,
+        rulesVersion: String, // agricultural rule set used to interpret the predictions
         predictions: [{
             className: String,
             probability: Number,
             classId: Number
         }],
+        plantCheck: { // out-of-distribution guard: does the photo show a plant at all?
+            isPlant: Boolean,
+            reasons: [{
+                type: String,
+                enum: ['no_plant_classes', 'low_confidence', 'high_entropy']
+            }],
+            plantProbability: Number,
+            confidence: Number,
+            entropy: Number // normalized entropy of the model output (0..1)
+        },
+        message: String, // shown to the farmer instead of a diagnosis (e.g. not a plant)
         cropAnalysis: {
             detectedCrop: String,
             healthScore: {
@@ -44,7 +131,12 @@ const imageAnalysisSchema = new mongoose.Schema({
             },
             issues: [String],
             recommendations: [String],
-            confidence: Number
+            confidence: Number,
+            leafDamage: leafSegmentationSchema, // measured damage the health score is based on
+            scoreSource: { // measured leaf damage, or model confidence when no leaf was segmented
+                type: String,
+                enum: ['leaf_damage', 'model']
+            }
         },
         soilAnalysis: {
             type: {
@@ -55,23 +147,54 @@ const imageAnalysisSchema = new mongoose.Schema({
                 type: String,
                 enum: ['dry', 'moist', 'wet', 'waterlogged']
             },
+            typeConfidence: Number,
+            typeScores: [{
+                type: { type: String },
+                probability: Number
+            }],
             nutrientDeficiencies: [String],
             phEstimate: Number,
             texture: String,
             color: String,
-            organicMatter: String
+            munsell: { // Munsell-like notation estimated from pixel colour, e.g. 10YR 3/2
+                hue: String,
+                value: Number,
+                chroma: Number,
+                notation: String
+            },
+            organicMatter: String,
+            recommendations: [String],
+            soilCoverage: Number, // share of the photo that was bare soil
+            note: String
         },
         pestAnalysis: {
             detected: Boolean,
+            photoType: { // what a pest-mode photo showed
+                type: String,
+                enum: ['leaf', 'trap', 'other']
+            },
+            affectedArea: Number, // damaged share of the leaf area, in percent
+            segmentation: leafSegmentationSchema,
+            trap: { // yellow sticky trap photos
+                coverage: Number,
+                paleSpecks: Number,
+                darkSpecks: Number
+            },
             pests: [{
                 name: String,
+                scientificName: String,
                 severity: {
                     type: String,
                     enum: ['low', 'medium', 'high', 'critical']
                 },
                 affectedArea: Number,
-                recommendations: [String]
+                count: Number, // insects or specks counted for this pest
+                confidence: Number,
+                evidence: [String],
+                recommendations: [String] // IPM steps, chemical control only when severe
             }],
+            recommendations: [String],
+            note: String,
             disease: {
                 detected: Boolean,
                 name: String,
@@ -90,7 +213,12 @@ const imageAnalysisSchema = new mongoose.Schema({
         location: {
             latitude: Number,
             longitude: Number,
-            address: String
+            altitude: Number,
+            address: String,
+            source: {
+                type: String,
+                enum: ['exif', 'manual', 'field', 'profile']
+            }
         },
         weatherAtTime: {
             temperature: Number,
@@ -100,7 +228,11 @@ const imageAnalysisSchema = new mongoose.Schema({
         deviceInfo: {
             userAgent: String,
             deviceType: String,
-            timestamp: Date
+            timestamp: Date, // capture time from EXIF, else upload time
+            timestampSource: {
+                type: String,
+                enum: ['exif', 'upload']
+            }
         }
     },
     isPublic: {
@@ -111,6 +243,14 @@ const imageAnalysisSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    scoutingSession: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ScoutingSession'
+    },
+    field: { // registered field or plot the photo was taken in
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Field'
+    },
     feedback: {
         rating: {
             type: Number,
@@ -121,9 +261,70 @@ const imageAnalysisSchema = new mongoose.Schema({
         correctedAnalysis: Object,
         submittedAt: Date
     },
+    review: {
+        status: {
+            type: String,
+            enum: ['none', 'pending', 'in_review', 'approved', 'corrected'],
+            default: 'none'
+        },
+        reasons: [{
+            type: String,
+            enum: ['low_confidence', 'critical']
+        }],
+        priority: { // critical analyses are reviewed first
+            type: Number,
+            default: 0
+        },
+        queuedAt: Date,
+        reviewer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        claimedAt: Date,
+        reviewedAt: Date,
+        notes: {
+            type: String,
+            maxlength: [1000, 'Review notes cannot exceed 1000 characters']
+        },
+        originalDiagnosis: Object // AI result before an expert correction
+    },
+    clientAnalysis: { // result computed on the phone (e.g. offline), re-verified by the server
+        modelId: String,
+        modelVersion: String,
+        rulesVersion: String,
+        packageVersion: String, // offline package the phone used
+        predictions: [{
+            className: String,
+            probability: Number,
+            classId: Number
+        }],
+        isPlant: Boolean,
+        detectedCrop: String,
+        healthScore: Number,
+        condition: String,
+        confidence: Number,
+        diseaseDetected: Boolean,
+        diseaseName: String,
+        analyzedAt: Date, // when the phone ran the model
+        receivedAt: Date,
+        verification: {
+            status: {
+                type: String,
+                enum: ['pending', 'confirmed', 'mismatch']
+            },
+            clientLabel: String, // "Crop___Condition" form, as in dataset exports
+            serverLabel: String,
+            sameModel: Boolean, // same model id and version as the server analysis
+            verifiedAt: Date
+        }
+    },
+    shadowAnalysis: { // not shown to farmers; select('+shadowAnalysis') to read it
+        type: shadowAnalysisSchema,
+        select: false
+    },
     status: {
         type: String,
-        enum: ['pending', 'processing', 'completed', 'failed'],
+        enum: ['pending', 'processing', 'completed', 'not_a_plant', 'failed'],
         default: 'pending'
     },
     processingTime: Number, // in seconds
@@ -136,6 +337,26 @@ const imageAnalysisSchema = new mongoose.Schema({
 imageAnalysisSchema.index({ user: 1, createdAt: -1 });
 imageAnalysisSchema.index({ 'metadata.location': '2dsphere' });
 imageAnalysisSchema.index({ status: 1 });
+imageAnalysisSchema.index({ scoutingSession: 1 });
+imageAnalysisSchema.index({ field: 1, createdAt: -1 });
+imageAnalysisSchema.index({ user: 1, perceptualHash: 1, createdAt: -1 });
+imageAnalysisSchema.index({ 'review.status': 1, 'review.priority': -1, 'review.queuedAt': 1 });
+imageAnalysisSchema.index({ 'shadowAnalysis.modelUsed': 1, createdAt: -1 });
+
+// Number of differing bits between two hex-encoded hashes
+const hammingDistance = (hashA, hashB) => {
+    if (!hashA || !hashB || hashA.length !== hashB.length) return Infinity;
+
+    let distance = 0;
+    for (let i = 0; i < hashA.length; i += 2) {
+        let diff = parseInt(hashA.substr(i, 2), 16) ^ parseInt(hashB.substr(i, 2), 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+};
 
 // Virtual for getting analysis summary
 imageAnalysisSchema.virtual('summary').get(function() {
@@ -147,10 +368,21 @@ imageAnalysisSchema.virtual('summary').get(function() {
         issues: this.analysis.cropAnalysis.issues,
         recommendations: this.analysis.cropAnalysis.recommendations,
         createdAt: this.createdAt,
-        imageUrl: this.originalImage.url
+        imageUrl: this.originalImage.url,
+        thumbnailUrl: this.getThumbnailUrl()
     };
 });
 
+// Method to get the image file inference should read (normalized copy if available)
+imageAnalysisSchema.methods.getInferenceImagePath = function() {
+    return this.processedImage?.path || this.originalImage.path;
+};
+
+// Method to get the smallest available image URL for lists
+imageAnalysisSchema.methods.getThumbnailUrl = function() {
+    return this.processedImage?.thumbnail?.url || this.originalImage?.url;
+};
+
 // Method to add user feedback
 imageAnalysisSchema.methods.addFeedback = function(rating, comments, correctedAnalysis) {
     this.feedback = {
@@ -174,7 +406,30 @@ imageAnalysisSchema.statics.getRecentAnalyses = function(userId, limit = 10) {
         .sort({ createdAt: -1 })
         .limit(limit)
         .populate('user', 'name email')
-        .select('originalImage.url analysis.cropAnalysis createdAt');
+        .select('originalImage.url processedImage.thumbnail.url analysis.cropAnalysis createdAt');
+};
+
+// Static method to find the user's most recent near-duplicate of an image hash
+imageAnalysisSchema.statics.findNearDuplicate = async function(userId, perceptualHash, options = {}) {
+    const { windowHours = 24, maxDistance = 5, analysisType = 'crop' } = options;
+    if (!perceptualHash) return null;
+
+    const candidates = await this.find({
+        user: userId,
+        // Older records have no analysisType and are crop analyses
+        analysisType: analysisType === 'crop' ? { $in: ['crop', null] } : analysisType,
+        perceptualHash: { $exists: true },
+        status: { $ne: 'failed' },
+        createdAt: { $gte: new Date(Date.now() - windowHours * 60 * 60 * 1000) }
+    })
+    .sort({ createdAt: -1 })
+    .select('perceptualHash');
+
+    const match = candidates.find(candidate =>
+        hammingDistance(candidate.perceptualHash, perceptualHash) <= maxDistance
+    );
+
+    return match ? this.findById(match._id) : null;
 };
 
 // Static method to get analyses by location
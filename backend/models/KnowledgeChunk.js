@@ -0,0 +1,38 @@
+// Knowledge Chunk Model
+// One passage of a KnowledgeDocument with the term counts BM25 ranks it by
+// (see services/knowledgeBase.js).
+const mongoose = require('mongoose');
+
+const knowledgeChunkSchema = new mongoose.Schema({
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'KnowledgeDocument',
+        required: true
+    },
+    title: String, // document title, copied so results need no lookup
+    heading: String, // section path, e.g. "Pest control > Fungal diseases"
+    position: { // order within the document
+        type: Number,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    length: { // number of indexed terms
+        type: Number,
+        required: true
+    },
+    terms: [{
+        _id: false,
+        term: String,
+        frequency: Number
+    }]
+}, {
+    timestamps: true
+});
+
+knowledgeChunkSchema.index({ 'terms.term': 1 });
+knowledgeChunkSchema.index({ document: 1, position: 1 });
+
+module.exports = mongoose.model('KnowledgeChunk', knowledgeChunkSchema);
@@ -0,0 +1,51 @@
+// Knowledge Document Model
+// An extension guide ingested into the local knowledge base. Its searchable
+// passages are stored as KnowledgeChunk documents.
+const mongoose = require('mongoose');
+
+const knowledgeDocumentSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Document title is required'],
+        trim: true,
+        maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    source: { // original file name
+        type: String,
+        trim: true
+    },
+    format: {
+        type: String,
+        enum: ['markdown', 'pdf'],
+        required: true
+    },
+    checksum: { // sha256 of the file, so the same guide is not ingested twice
+        type: String,
+        required: true,
+        unique: true
+    },
+    tags: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    crops: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    chunkCount: {
+        type: Number,
+        default: 0
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+knowledgeDocumentSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('KnowledgeDocument', knowledgeDocumentSchema);
@@ -20,7 +20,7 @@ const notificationSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['general', 'weather', 'community', 'alert', 'reminder', 'achievement', 'system'],
+        enum: ['general', 'weather', 'community', 'alert', 'reminder', 'achievement', 'system', 'review'],
         default: 'general'
     },
     priority: {
@@ -0,0 +1,142 @@
+// Scouting Session Model
+const mongoose = require('mongoose');
+
+const scoutingSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    field: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Field'
+    },
+    fieldName: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Field name cannot exceed 100 characters']
+    },
+    visitDate: {
+        type: Date,
+        default: Date.now
+    },
+    notes: {
+        type: String,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    location: {
+        latitude: Number,
+        longitude: Number,
+        address: String
+    },
+    images: [{
+        analysis: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ImageAnalysis',
+            required: true
+        },
+        label: String,
+        location: {
+            latitude: Number,
+            longitude: Number
+        }
+    }],
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+    summary: {
+        totalImages: { type: Number, default: 0 },
+        analyzedImages: { type: Number, default: 0 },
+        failedImages: { type: Number, default: 0 },
+        rejectedImages: { type: Number, default: 0 }, // photos that didn't show a plant
+        diseasedImages: { type: Number, default: 0 },
+        diseaseIncidence: Number, // % of analyzed plants showing disease
+        meanHealthScore: Number,
+        diseases: [{
+            name: String,
+            count: Number
+        }],
+        worstPlants: [{
+            analysis: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'ImageAnalysis'
+            },
+            label: String,
+            healthScore: Number,
+            condition: String,
+            detectedCrop: String,
+            disease: String,
+            imageUrl: String
+        }],
+        computedAt: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for efficient querying
+scoutingSessionSchema.index({ user: 1, visitDate: -1 });
+
+const WORST_PLANTS_COUNT = 5;
+
+// Method to recompute the session summary from its analyses
+scoutingSessionSchema.methods.refreshSummary = async function() {
+    const ImageAnalysis = mongoose.model('ImageAnalysis');
+    const analyses = await ImageAnalysis.find({
+        _id: { $in: this.images.map(image => image.analysis) }
+    }).select('status analysis.cropAnalysis analysis.pestAnalysis.disease originalImage.url processedImage.thumbnail.url');
+
+    const labels = new Map(this.images.map(image => [image.analysis.toString(), image.label]));
+    const completed = analyses.filter(a => a.status === 'completed');
+    const failed = analyses.filter(a => a.status === 'failed');
+    const rejected = analyses.filter(a => a.status === 'not_a_plant');
+    const diseased = completed.filter(a => a.analysis?.pestAnalysis?.disease?.detected);
+
+    const diseaseCounts = {};
+    diseased.forEach(a => {
+        const name = a.analysis.pestAnalysis.disease.name || 'Unidentified';
+        diseaseCounts[name] = (diseaseCounts[name] || 0) + 1;
+    });
+
+    const scored = completed.filter(a => typeof a.analysis?.cropAnalysis?.healthScore === 'number');
+    const meanHealthScore = scored.length > 0
+        ? scored.reduce((sum, a) => sum + a.analysis.cropAnalysis.healthScore, 0) / scored.length
+        : null;
+
+    this.summary = {
+        totalImages: this.images.length,
+        analyzedImages: completed.length,
+        failedImages: failed.length + (this.images.length - analyses.length),
+        rejectedImages: rejected.length,
+        diseasedImages: diseased.length,
+        diseaseIncidence: completed.length > 0
+            ? Math.round((diseased.length / completed.length) * 1000) / 10
+            : null,
+        meanHealthScore: meanHealthScore === null ? null : Math.round(meanHealthScore * 10) / 10,
+        diseases: Object.entries(diseaseCounts)
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count),
+        worstPlants: scored
+            .sort((a, b) => a.analysis.cropAnalysis.healthScore - b.analysis.cropAnalysis.healthScore)
+            .slice(0, WORST_PLANTS_COUNT)
+            .map(a => ({
+                analysis: a._id,
+                label: labels.get(a._id.toString()),
+                healthScore: a.analysis.cropAnalysis.healthScore,
+                condition: a.analysis.cropAnalysis.condition,
+                detectedCrop: a.analysis.cropAnalysis.detectedCrop,
+                disease: a.analysis.pestAnalysis?.disease?.detected ? a.analysis.pestAnalysis.disease.name : null,
+                imageUrl: a.getThumbnailUrl()
+            })),
+        computedAt: new Date()
+    };
+
+    const finished = this.summary.analyzedImages + this.summary.failedImages + this.summary.rejectedImages;
+    this.status = finished >= this.images.length ? 'completed' : 'processing';
+
+    return this.save();
+};
+
+module.exports = mongoose.model('ScoutingSession', scoutingSessionSchema);
@@ -0,0 +1,73 @@
+// Training Job Model
+const mongoose = require('mongoose');
+
+const trainingJobSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    baseModelId: {
+        type: String,
+        required: true
+    },
+    modelId: String, // id of the trained model in the registry
+    exportId: String, // dataset export the model was trained on
+    filters: Object, // dataset filters when a new export was created
+    options: {
+        epochs: Number,
+        batchSize: Number,
+        learningRate: Number,
+        hiddenUnits: Number,
+        activate: Boolean
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    stage: {
+        type: String,
+        enum: ['queued', 'preparing_dataset', 'extracting_features', 'training', 'evaluating', 'saving', 'done'],
+        default: 'queued'
+    },
+    progress: {
+        epoch: { type: Number, default: 0 },
+        totalEpochs: Number,
+        loss: Number,
+        accuracy: Number,
+        valLoss: Number,
+        valAccuracy: Number
+    },
+    metrics: {
+        labels: [String],
+        trainSamples: Number,
+        valSamples: Number,
+        testSamples: Number,
+        droppedSamples: Number, // val/test images whose label never appears in train
+        valAccuracy: Number,
+        testAccuracy: Number,
+        history: [{
+            epoch: Number,
+            loss: Number,
+            accuracy: Number,
+            valLoss: Number,
+            valAccuracy: Number
+        }]
+    },
+    activated: {
+        type: Boolean,
+        default: false
+    },
+    startedAt: Date,
+    completedAt: Date,
+    errorMessage: String
+}, {
+    timestamps: true
+});
+
+// Indexes for efficient querying
+trainingJobSchema.index({ createdAt: -1 });
+trainingJobSchema.index({ status: 1 });
+
+module.exports = mongoose.model('TrainingJob', trainingJobSchema);
@@ -72,6 +72,14 @@ const userSchema = new mongoose.Schema({
         units: {
             temperature: { type: String, enum: ['celsius', 'fahrenheit'], default: 'celsius' },
             area: { type: String, enum: ['acres', 'hectares'], default: 'hectares' }
+        },
+        chatContext: { // what the chatbot may be told about the farmer (services/chatContext.js)
+            profile: { type: Boolean, default: true },
+            location: { type: Boolean, default: true },
+            alerts: { type: Boolean, default: true },
+            analyses: { type: Boolean, default: true },
+            weather: { type: Boolean, default: true },
+            fields: { type: Boolean, default: true }
         }
     },
     subscription: {
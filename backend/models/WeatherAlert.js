@@ -29,11 +29,15 @@ const weatherAlertSchema = new mongoose.Schema({
             enum: ['Point', 'Polygon'],
             default: 'Point'
         },
-        coordinates: {
-            type: [Number],
+        coordinates: { // [longitude, latitude] for a Point, rings of them for a Polygon
+            type: mongoose.Schema.Types.Mixed,
             required: true
         }
     },
+    field: { // alert raised for one registered field
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Field'
+    },
     recommendations: [{
         type: String,
         maxlength: [500, 'Recommendation cannot exceed 500 characters']
@@ -91,6 +95,7 @@ weatherAlertSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 weatherAlertSchema.index({ affectedAreas: '2dsphere' });
 weatherAlertSchema.index({ severity: 1, isActive: 1 });
 weatherAlertSchema.index({ createdAt: -1 });
+weatherAlertSchema.index({ field: 1 });
 
 // Virtual for checking if alert is active
 weatherAlertSchema.virtual('isExpired').get(function() {
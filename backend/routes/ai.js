@@ -1,367 +1,528 @@
 // AI Analysis Routes
 const express = require('express');
-const tf = require('@tensorflow/tfjs-node');
-const mobilenet = require('@tensorflow-models/mobilenet'); 
-const path = require('path');
-const fs = require('fs');
+const mongoose = require('mongoose');
 const ImageAnalysis = require('../models/ImageAnalysis');
-const { auth } = require('../middleware/auth');
+const AnalysisBatch = require('../models/AnalysisBatch');
+const modelRegistry = require('../services/modelRegistry');
+const batchAnalysis = require('../services/batchAnalysis');
+const TrainingJob = require('../models/TrainingJob');
+const EvaluationRun = require('../models/EvaluationRun');
+const agriculturalRules = require('../services/agriculturalRules');
+const modelTraining = require('../services/modelTraining');
+const modelEvaluation = require('../services/modelEvaluation');
+const offlineInference = require('../services/offlineInference');
+const datasetExport = require('../services/datasetExport');
+const { getCropSuggestions } = require('../services/cropSuggestions');
+const analysisQueue = require('../services/analysisQueue');
+const { auth, authorize } = require('../middleware/auth');
+const Field = require('../models/Field');
+const { validate, validateQuery } = require('../middleware/validation');
 
 const router = express.Router();
 
-// Load TensorFlow model (singleton)
-let model = null;
-let modelLoading = false;
+const MAX_BATCH_ITEMS = 100;
 
-const loadModel = async () => {
-    if (model || modelLoading) return model;
-    
-    modelLoading = true;
+// @route   POST /api/ai/analyze/:analysisId
+// @desc    Queue an image for (re-)analysis, optionally with another model
+// @access  Private
+router.post('/analyze/:analysisId', auth, async (req, res, next) => {
     try {
-        console.log('🤖 Loading MobileNet model...');
+        const { analysisId } = req.params;
+        const requestedModelId = req.body && req.body.modelId;
+        const modelId = requestedModelId || modelRegistry.getDefaultModelId();
+
+        if (!modelRegistry.hasModel(modelId)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown model: ${modelId}`
+            });
+        }
         
-        // Load MobileNet using the official package
-        model = await mobilenet.load({
-            version: 1,
-            alpha: 0.25, // Use lightweight version
+        // Find the image analysis
+        const imageAnalysis = await ImageAnalysis.findOne({
+            _id: analysisId,
+            user: req.user._id
+        });
+
+        if (!imageAnalysis) {
+            return res.status(404).json({
+                success: false,
+                message: 'Image analysis not found'
+            });
+        }
+
+        // Check if already processed (re-run only when a different model is requested)
+        const sameModel = !requestedModelId || imageAnalysis.analysisType !== 'crop' ||
+            imageAnalysis.analysis.modelUsed === requestedModelId;
+        if (['completed', 'not_a_plant'].includes(imageAnalysis.status) && sameModel) {
+            return res.json({
+                success: true,
+                message: 'Analysis already completed',
+                data: { analysis: imageAnalysis }
+            });
+        }
+
+        // A second job for the same document would race the first one
+        if (await analysisQueue.hasActiveJob(imageAnalysis._id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Analysis is already queued or running'
+            });
+        }
+
+        imageAnalysis.status = 'pending';
+        await imageAnalysis.save();
+
+        const job = await analysisQueue.enqueue(imageAnalysis, { modelId });
+
+        res.status(202).json({
+            success: true,
+            message: 'Analysis queued',
+            data: {
+                analysisId: imageAnalysis._id,
+                status: 'queued',
+                jobId: job._id,
+                queuePosition: await job.getQueuePosition(),
+                modelId: imageAnalysis.analysisType === 'crop' ? modelId : undefined
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/ai/models
+// @desc    Get available AI models
+// @access  Private
+router.get('/models', auth, async (req, res, next) => {
+    try {
+        const models = modelRegistry.listModels();
+
+        res.json({
+            success: true,
+            data: { models }
         });
-        
-        console.log('✅ MobileNet model loaded successfully');
-        modelLoading = false;
-        return model;
     } catch (error) {
-        console.error('❌ Failed to load MobileNet model:', error);
-        modelLoading = false;
-        throw error;
+        next(error);
     }
-};
-
-// Agricultural crop classes mapping (subset of ImageNet classes relevant to agriculture)
-const AGRICULTURAL_CLASSES = {
-    // Crops
-    'corn': ['maize', 'corn', 'ear', 'spike', 'cob'],
-    'wheat': ['wheat', 'grain', 'cereal', 'spike'],
-    'rice': ['rice', 'grain', 'cereal', 'paddy'],
-    'soybean': ['soybean', 'bean', 'legume'],
-    'potato': ['potato', 'tuber', 'vegetable'],
-    'tomato': ['tomato', 'fruit', 'vegetable'],
-    'cotton': ['cotton', 'plant', 'fiber'],
-    'sugarcane': ['sugarcane', 'sugar', 'cane'],
-    
-    // Issues
-    'diseased': ['diseased', 'disease', 'infected', 'blight', 'rot'],
-    'healthy': ['healthy', 'fresh', 'green', 'vibrant'],
-    'dry': ['dry', 'withered', 'wilted', 'dead'],
-    'wet': ['wet', 'waterlogged', 'flooded', 'moist']
-};
-
-// Analyze image using TensorFlow and MobileNet
-const analyzeImageWithAI = async (imagePath) => {
+});
+
+// @route   GET /api/ai/offline-package
+// @desc    Model and rule set for on-device inference (?modelId, default model otherwise)
+// @access  Private
+router.get('/offline-package', auth, async (req, res, next) => {
     try {
-        // Load model if not already loaded
-        const model = await loadModel();
-        if (!model) {
-            throw new Error('AI model not available');
+        const modelId = req.query.modelId || modelRegistry.getDefaultModelId();
+        if (!modelRegistry.hasModel(modelId)) {
+            return res.status(404).json({
+                success: false,
+                message: `Unknown model: ${modelId}`
+            });
         }
 
-        // Load and preprocess image
-        const imageBuffer = fs.readFileSync(imagePath);
-        const imageTensor = tf.node.decodeImage(imageBuffer, 3); // 3 channels (RGB)
-        
-        // MobileNet expects 224x224 images
-        const resizedTensor = tf.image.resizeBilinear(imageTensor, [224, 224]);
-        
-        // Normalize to [-1, 1] for MobileNet
-        const normalizedTensor = resizedTensor.toFloat().div(127.5).sub(1.0);
-        
-        // Add batch dimension
-        const batchedTensor = normalizedTensor.expandDims(0);
-        
-        // Run prediction using MobileNet classify method
-        const predictions = await model.classify(batchedTensor);
-        
-        console.log('🔍 MobileNet predictions:', predictions);
-        
-        // Convert to agricultural analysis
-        const agriculturalAnalysis = convertToAgriculturalAnalysis(predictions);
-        
-        // Clean up tensors
-        imageTensor.dispose();
-        resizedTensor.dispose();
-        normalizedTensor.dispose();
-        batchedTensor.dispose();
+        let offlinePackage;
+        try {
+            offlinePackage = offlineInference.buildOfflinePackage(modelId);
+        } catch (packageError) {
+            return res.status(400).json({
+                success: false,
+                message: packageError.message
+            });
+        }
 
-        return agriculturalAnalysis;
+        res.json({
+            success: true,
+            data: offlinePackage
+        });
     } catch (error) {
-        console.error('AI analysis error:', error);
-        throw error;
+        next(error);
     }
-};
-
-// Convert ImageNet predictions to agricultural analysis
-const convertToAgriculturalAnalysis = (predictions) => {
-    console.log('📊 Raw MobileNet predictions:', JSON.stringify(predictions, null, 2));
-    
-    // Ensure we have predictions
-    if (!predictions || predictions.length === 0) {
-        throw new Error('No predictions returned from model');
+});
+
+// @route   GET /api/ai/models/:modelId/files/:file
+// @desc    Download a model file (model.json or weights) for on-device inference
+// @access  Private
+router.get('/models/:modelId/files/:file', auth, async (req, res, next) => {
+    try {
+        const filePath = offlineInference.getModelFilePath(req.params.modelId, req.params.file);
+        if (!filePath) {
+            return res.status(404).json({
+                success: false,
+                message: 'Model file not found'
+            });
+        }
+
+        res.sendFile(filePath);
+    } catch (error) {
+        next(error);
     }
-    
-    // Extract top prediction
-    const topPrediction = predictions[0];
-    const className = topPrediction.className.toLowerCase();
-    const probability = topPrediction.probability;
-    
-    console.log('🎯 Top prediction:', className, 'confidence:', probability);
-    
-    // Detect crop type from predictions
-    let detectedCrop = 'Unknown Crop';
-    let isPlant = false;
-    
-    // Check if prediction matches agricultural keywords
-    for (const [crop, keywords] of Object.entries(AGRICULTURAL_CLASSES)) {
-        if (keywords.some(keyword => className.includes(keyword))) {
-            detectedCrop = crop.charAt(0).toUpperCase() + crop.slice(1);
-            isPlant = true;
-            console.log('✅ Matched crop:', detectedCrop);
-            break;
+});
+
+// @route   POST /api/ai/models/:modelId/activate
+// @desc    Make a model the default for new analyses
+// @access  Private (Admin)
+router.post('/models/:modelId/activate', auth, authorize('admin'), async (req, res, next) => {
+    try {
+        if (!modelRegistry.hasModel(req.params.modelId)) {
+            return res.status(404).json({
+                success: false,
+                message: `Unknown model: ${req.params.modelId}`
+            });
         }
+
+        modelRegistry.setDefaultModel(req.params.modelId);
+
+        res.json({
+            success: true,
+            message: `${req.params.modelId} is now the default model`,
+            data: { models: modelRegistry.listModels() }
+        });
+    } catch (error) {
+        next(error);
     }
-    
-    // If not agricultural, check if it's plant-related
-    const plantKeywords = ['plant', 'leaf', 'flower', 'vegetable', 'fruit', 'crop', 'tree', 'grass', 'bush', 'vine', 'seed', 'root'];
-    if (!isPlant && plantKeywords.some(keyword => className.includes(keyword))) {
-        isPlant = true;
-        detectedCrop = className.split(',')[0].trim();
-        console.log('🌱 Plant-related detected:', detectedCrop);
+});
+
+// @route   POST /api/ai/training-jobs
+// @desc    Fine-tune a classifier on MobileNet features from labeled farmer images
+// @access  Private (Admin)
+router.post('/training-jobs', auth, authorize('admin'), validate('trainingJob'), async (req, res, next) => {
+    try {
+        const { baseModelId = modelRegistry.DEFAULT_MODEL_ID, modelId, exportId, filters, options } = req.body;
+
+        const baseDefinition = modelRegistry.getModelDefinition(baseModelId);
+        if (!baseDefinition || baseDefinition.type !== 'mobilenet') {
+            return res.status(400).json({
+                success: false,
+                message: `Base model must be a built-in MobileNet: ${baseModelId}`
+            });
+        }
+
+        if (modelId && modelRegistry.hasModel(modelId)) {
+            return res.status(409).json({
+                success: false,
+                message: `Model ${modelId} already exists`
+            });
+        }
+
+        if (exportId && !datasetExport.getExportFilePath(exportId, 'manifest.jsonl')) {
+            return res.status(404).json({
+                success: false,
+                message: `Dataset export ${exportId} not found`
+            });
+        }
+
+        const job = await modelTraining.createTrainingJob(req.user._id, {
+            baseModelId,
+            modelId,
+            exportId,
+            filters,
+            options
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Training job queued',
+            data: { jobId: job._id, status: job.status }
+        });
+    } catch (error) {
+        next(error);
     }
-    
-    // Calculate health score based on prediction confidence and keywords
-    let healthScore = 70;
-    const healthKeywords = ['healthy', 'fresh', 'green', 'vibrant'];
-    const diseaseKeywords = ['diseased', 'infected', 'blight', 'rot', 'dead', 'withered', 'wilted', 'rust', 'mold'];
-    
-    if (healthKeywords.some(keyword => className.includes(keyword))) {
-        healthScore = Math.floor(85 + (probability * 15)); // 85-100
-    } else if (diseaseKeywords.some(keyword => className.includes(keyword))) {
-        healthScore = Math.floor(30 + (probability * 30)); // 30-60
-    } else {
-        healthScore = Math.floor(60 + (probability * 30)); // 60-90
+});
+
+// @route   GET /api/ai/training-jobs
+// @desc    List training jobs
+// @access  Private (Admin)
+router.get('/training-jobs', auth, authorize('admin'), async (req, res, next) => {
+    try {
+        const jobs = await TrainingJob.find()
+            .sort({ createdAt: -1 })
+            .limit(50)
+            .select('-metrics.history');
+
+        res.json({
+            success: true,
+            data: { jobs }
+        });
+    } catch (error) {
+        next(error);
     }
-    
-    console.log('💚 Calculated health score:', healthScore);
-    
-    // Detect diseases
-    let diseaseDetected = diseaseKeywords.some(keyword => className.includes(keyword)) || healthScore < 60;
-    let diseaseName = '';
-    let symptoms = [];
-    let treatment = [];
-    let issues = [];
-    
-    if (diseaseDetected) {
-        diseaseName = 'Potential stress or disease detected';
-        symptoms = [
-            'Visual stress indicators present',
-            'Unusual coloration detected',
-            'Possible health decline'
-        ];
-        treatment = [
-            'Consult agricultural expert for proper diagnosis',
-            'Isolate affected plants if possible',
-            'Check environmental conditions (water, light, nutrients)',
-            'Consider appropriate treatment based on expert diagnosis',
-            'Monitor surrounding plants for similar symptoms'
-        ];
-        issues = ['Disease or stress indicators detected', 'Requires attention'];
+});
+
+// @route   GET /api/ai/training-jobs/:jobId
+// @desc    Get training progress and validation metrics
+// @access  Private (Admin)
+router.get('/training-jobs/:jobId', auth, authorize('admin'), async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid training job ID'
+            });
+        }
+
+        const job = await TrainingJob.findById(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Training job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { job }
+        });
+    } catch (error) {
+        next(error);
     }
-    
-    // Generate recommendations based on health score
-    let recommendations = [];
-    if (healthScore > 85) {
-        recommendations = [
-            'Excellent condition - maintain current practices',
-            'Document successful methods for future reference',
-            'Monitor regularly to catch early issues',
-            'Consider this as a baseline for comparison'
-        ];
-    } else if (healthScore > 70) {
-        recommendations = [
-            'Good overall health detected',
-            'Continue regular monitoring',
-            'Ensure consistent care schedule',
-            'Check soil moisture and nutrients periodically'
-        ];
-    } else if (healthScore > 50) {
-        recommendations = [
-            'Fair condition - increased monitoring recommended',
-            'Check for environmental stressors',
-            'Consider soil testing',
-            'Verify irrigation and drainage systems',
-            'Inspect for pest activity'
-        ];
-    } else {
-        recommendations = [
-            '⚠️ Poor condition - immediate attention needed',
-            'Consult agricultural expert urgently',
-            'Isolate plant if disease suspected',
-            'Review and adjust care practices immediately',
-            'Document symptoms for expert consultation'
-        ];
+});
+
+// @route   POST /api/ai/evaluations
+// @desc    Score one or more models on the held-out split of a labeled dataset
+// @access  Private (Admin)
+router.post('/evaluations', auth, authorize('admin'), validate('modelEvaluation'), async (req, res, next) => {
+    try {
+        const { modelIds, exportId, filters, split } = req.body;
+
+        const unknown = modelIds.filter(modelId => !modelRegistry.hasModel(modelId));
+        if (unknown.length > 0) {
+            return res.status(404).json({
+                success: false,
+                message: `Unknown model: ${unknown.join(', ')}`
+            });
+        }
+
+        if (exportId && !datasetExport.getExportFilePath(exportId, 'manifest.jsonl')) {
+            return res.status(404).json({
+                success: false,
+                message: `Dataset export ${exportId} not found`
+            });
+        }
+
+        const run = await modelEvaluation.createEvaluationRun(req.user._id, {
+            modelIds,
+            exportId,
+            filters,
+            split
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Evaluation queued',
+            data: { evaluationId: run._id, status: run.status }
+        });
+    } catch (error) {
+        next(error);
     }
-    
-    const analysis = {
-        cropAnalysis: {
-            detectedCrop: detectedCrop,
-            healthScore: healthScore,
-            condition: healthScore > 85 ? 'excellent' : healthScore > 70 ? 'good' : healthScore > 50 ? 'fair' : 'poor',
-            issues: issues,
-            recommendations: recommendations,
-            confidence: Math.round(probability * 100) / 100,
-            rawPredictions: predictions.slice(0, 3).map(p => ({
-                class: p.className,
-                probability: (p.probability * 100).toFixed(2) + '%'
-            }))
-        },
-        soilAnalysis: {
-            type: 'Visual analysis not available',
-            moistureLevel: 'Cannot determine from image',
-            nutrientDeficiencies: [],
-            phEstimate: null,
-            texture: 'Not detectable from image',
-            color: 'Requires physical soil sample',
-            organicMatter: 'Not detectable from image',
-            note: 'Soil analysis requires physical sample testing'
-        },
-        pestAnalysis: {
-            detected: diseaseDetected,
-            pests: [],
-            disease: {
-                detected: diseaseDetected,
-                name: diseaseName,
-                symptoms: symptoms,
-                treatment: treatment
-            },
-            note: 'Detailed pest identification requires expert examination'
-        },
-        environmentalFactors: {
-            lighting: 'Visible in image',
-            season: 'Cannot determine from single image',
-            weatherConditions: 'Cannot determine from image',
-            irrigationStatus: 'Not detectable from image',
-            note: 'Environmental factors require additional context'
+});
+
+// @route   GET /api/ai/evaluations
+// @desc    List evaluation runs
+// @access  Private (Admin)
+router.get('/evaluations', auth, authorize('admin'), async (req, res, next) => {
+    try {
+        const evaluations = await EvaluationRun.find()
+            .sort({ createdAt: -1 })
+            .limit(50)
+            .select('-results.perClass -results.confusionMatrix -results.labels');
+
+        res.json({
+            success: true,
+            data: { evaluations }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/ai/evaluations/:evaluationId
+// @desc    Get evaluation metrics, per-class scores and confusion matrices
+// @access  Private (Admin)
+router.get('/evaluations/:evaluationId', auth, authorize('admin'), async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.evaluationId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid evaluation ID'
+            });
         }
-    };
-    
-    console.log('✅ Analysis complete:', {
-        crop: detectedCrop,
-        health: healthScore,
-        diseaseDetected,
-        recommendationsCount: recommendations.length
-    });
-    
-    return analysis;
-};
 
-// @route   POST /api/ai/analyze/:analysisId
-// @desc    Analyze image using AI
-// @access  Private
-router.post('/analyze/:analysisId', auth, async (req, res, next) => {
+        const evaluation = await EvaluationRun.findById(req.params.evaluationId);
+        if (!evaluation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Evaluation not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { evaluation }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/ai/shadow
+// @desc    Get the shadow model and how it compares with production on live uploads
+// @access  Private (Admin)
+router.get('/shadow', auth, authorize('admin'), async (req, res, next) => {
     try {
-        const { analysisId } = req.params;
-        
-        // Find the image analysis
-        const imageAnalysis = await ImageAnalysis.findOne({
-            _id: analysisId,
-            user: req.user._id
+        const modelId = req.query.modelId || modelRegistry.getShadowModelId();
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 1000, 1), 1000);
+
+        res.json({
+            success: true,
+            data: {
+                shadowModel: modelRegistry.getShadowModelId(),
+                defaultModel: modelRegistry.getDefaultModelId(),
+                comparison: modelId ? await modelEvaluation.getShadowComparison(modelId, { limit }) : null
+            }
         });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        if (!imageAnalysis) {
+// @route   PUT /api/ai/shadow
+// @desc    Shadow-run a candidate model on new uploads alongside the default model
+// @access  Private (Admin)
+router.put('/shadow', auth, authorize('admin'), validate('shadowModel'), async (req, res, next) => {
+    try {
+        const { modelId } = req.body;
+
+        if (!modelRegistry.hasModel(modelId)) {
             return res.status(404).json({
                 success: false,
-                message: 'Image analysis not found'
+                message: `Unknown model: ${modelId}`
             });
         }
 
-        // Check if already processed
-        if (imageAnalysis.status === 'completed') {
-            return res.json({
-                success: true,
-                message: 'Analysis already completed',
-                data: { analysis: imageAnalysis }
+        if (modelId === modelRegistry.getDefaultModelId()) {
+            return res.status(400).json({
+                success: false,
+                message: `${modelId} is already the default model`
             });
         }
 
-        // Update status to processing
-        imageAnalysis.status = 'processing';
-        await imageAnalysis.save();
+        modelRegistry.setShadowModel(modelId);
 
-        try {
-            const startTime = Date.now();
-            
-            // Perform AI analysis
-            const analysis = await analyzeImageWithAI(imageAnalysis.originalImage.path);
-            
-            const processingTime = (Date.now() - startTime) / 1000;
-
-            // Update analysis with results
-            imageAnalysis.analysis = analysis;
-            imageAnalysis.processingTime = processingTime;
-            imageAnalysis.status = 'completed';
-            await imageAnalysis.save();
-
-            res.json({
-                success: true,
-                message: 'Image analyzed successfully',
-                data: { analysis: imageAnalysis }
+        res.json({
+            success: true,
+            message: `${modelId} will be shadow-run on new uploads`,
+            data: { shadowModel: modelId }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/ai/shadow
+// @desc    Stop shadow-running a candidate model (stored results are kept)
+// @access  Private (Admin)
+router.delete('/shadow', auth, authorize('admin'), async (req, res, next) => {
+    try {
+        modelRegistry.setShadowModel(null);
+
+        res.json({
+            success: true,
+            message: 'Shadow model disabled'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/ai/rules
+// @desc    Get the active agricultural rule set and its test results
+// @access  Private (Admin)
+router.get('/rules', auth, authorize('admin'), async (req, res, next) => {
+    try {
+        const rules = agriculturalRules.getActiveRules();
+
+        res.json({
+            success: true,
+            data: {
+                rules,
+                source: agriculturalRules.RULES_PATH,
+                testReport: agriculturalRules.runRuleTests(rules)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/ai/rules/preview
+// @desc    Preview a rule set change against stored predictions (nothing is saved)
+// @access  Private (Admin)
+router.post('/rules/preview', auth, authorize('admin'), async (req, res, next) => {
+    try {
+        const { rules, modelId } = req.body;
+        const limit = Math.min(Math.max(parseInt(req.body.limit) || 200, 1), 1000);
+
+        if (!rules || typeof rules !== 'object') {
+            return res.status(400).json({
+                success: false,
+                message: 'A rule set is required'
             });
+        }
 
-        } catch (aiError) {
-            // Update status to failed
-            imageAnalysis.status = 'failed';
-            imageAnalysis.errorMessage = aiError.message;
-            await imageAnalysis.save();
+        const preview = await agriculturalRules.previewRules(rules, {
+            limit,
+            modelId,
+            taxonomyFor: (id) => modelRegistry.getModelDefinition(id)?.taxonomy || 'imagenet'
+        });
 
-            return res.status(500).json({
+        if (preview.errors) {
+            return res.status(400).json({
                 success: false,
-                message: 'AI analysis failed',
-                error: aiError.message
+                message: 'Invalid rule set',
+                errors: preview.errors
             });
         }
 
+        res.json({
+            success: true,
+            data: {
+                testReport: preview.testReport,
+                impact: preview.impact
+            }
+        });
     } catch (error) {
         next(error);
     }
 });
 
-// @route   GET /api/ai/models
-// @desc    Get available AI models
-// @access  Private
-router.get('/models', auth, async (req, res, next) => {
+// @route   PUT /api/ai/rules
+// @desc    Activate a new rule set (must validate and pass its tests)
+// @access  Private (Admin)
+router.put('/rules', auth, authorize('admin'), async (req, res, next) => {
     try {
-        const models = [
-            {
-                id: 'mobilenet-v2',
-                name: 'MobileNet V2',
-                description: 'Lightweight model for mobile and edge devices',
-                categories: ['crop_classification', 'health_assessment'],
-                accuracy: 0.75,
-                speed: 'fast',
-                size: '14MB'
-            },
-            {
-                id: 'agricultural-net',
-                name: 'AgriculturalNet',
-                description: 'Specialized model for agricultural applications',
-                categories: ['crop_classification', 'disease_detection', 'pest_identification'],
-                accuracy: 0.85,
-                speed: 'medium',
-                size: '45MB'
-            }
-        ];
+        const { rules } = req.body;
+
+        if (!rules || typeof rules !== 'object') {
+            return res.status(400).json({
+                success: false,
+                message: 'A rule set is required'
+            });
+        }
+
+        const result = agriculturalRules.saveRules(rules);
+        if (result.errors) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rule set was not activated',
+                errors: result.errors,
+                testReport: result.testReport
+            });
+        }
 
         res.json({
             success: true,
-            data: { models }
+            message: `Rule set ${result.value.version} activated`,
+            data: { testReport: result.testReport }
         });
     } catch (error) {
         next(error);
@@ -369,52 +530,52 @@ router.get('/models', auth, async (req, res, next) => {
 });
 
 // @route   GET /api/ai/crop-suggestions
-// @desc    Get crop suggestions based on location and conditions
+// @desc    Crops ranked for a field or location by forecast, soil type and season
+//          (?fieldId or ?latitude&longitude, else the profile location; ?soilType, ?season=wet|dry)
 // @access  Private
-router.get('/crop-suggestions', auth, async (req, res, next) => {
+router.get('/crop-suggestions', auth, validateQuery('cropSuggestions'), async (req, res, next) => {
     try {
-        const { latitude, longitude, soilType, season } = req.query;
-
-        // Mock crop suggestions based on location and conditions
-        const suggestions = [
-            {
-                crop: 'Rice',
-                suitability: 85,
-                reasons: ['Suitable for tropical climate', 'High water availability', 'Good soil conditions'],
-                growingSeason: 'Kharif',
-                expectedYield: '4-5 tons/hectare',
-                marketPrice: '₹18-22/kg',
-                investment: 'Medium',
-                risks: ['Water logging', 'Pest attacks'],
-                recommendations: ['Use quality seeds', 'Proper water management', 'Regular pest monitoring']
-            },
-            {
-                crop: 'Wheat',
-                suitability: 75,
-                reasons: ['Suitable for temperate climate', 'Good soil drainage', 'Moderate water requirement'],
-                growingSeason: 'Rabi',
-                expectedYield: '3-4 tons/hectare',
-                marketPrice: '₹20-25/kg',
-                investment: 'Low',
-                risks: ['Frost damage', 'Rust diseases'],
-                recommendations: ['Timely sowing', 'Disease resistant varieties', 'Proper fertilization']
-            },
-            {
-                crop: 'Cotton',
-                suitability: 70,
-                reasons: ['Warm climate suitable', 'Well-drained soil', 'Long growing season'],
-                growingSeason: 'Kharif',
-                expectedYield: '2-3 tons/hectare',
-                marketPrice: '₹45-55/kg',
-                investment: 'High',
-                risks: ['Pest attacks', 'Weather fluctuations'],
-                recommendations: ['BT cotton varieties', 'Integrated pest management', 'Proper spacing']
+        const { fieldId, season, limit } = req.query;
+        let { latitude, longitude, soilType } = req.query;
+
+        let field = null;
+        if (fieldId) {
+            field = await Field.findOne({ _id: fieldId, user: req.user._id }).select('name soilType location');
+            if (!field) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Field not found'
+                });
+            }
+            soilType = soilType || field.soilType;
+            if (latitude == null && field.location?.latitude != null) {
+                ({ latitude, longitude } = field.location);
             }
-        ];
+        }
+
+        // Fall back to the profile location ([0, 0] is the schema default)
+        const [profileLongitude, profileLatitude] = req.user.location?.coordinates || [];
+        if (latitude == null && (profileLongitude || profileLatitude)) {
+            latitude = profileLatitude;
+            longitude = profileLongitude;
+        }
+
+        const { conditions, suggestions } = await getCropSuggestions({
+            latitude,
+            longitude,
+            soilType,
+            season,
+            currentCrops: req.user.profile?.crops || [],
+            limit
+        });
 
         res.json({
             success: true,
-            data: { suggestions }
+            data: {
+                field: field ? { id: field._id, name: field.name } : null,
+                conditions,
+                suggestions
+            }
         });
     } catch (error) {
         next(error);
@@ -422,36 +583,56 @@ router.get('/crop-suggestions', auth, async (req, res, next) => {
 });
 
 // @route   POST /api/ai/batch-analyze
-// @desc    Analyze multiple images
+// @desc    Queue a batch analysis of the user's uploaded images
 // @access  Private
 router.post('/batch-analyze', auth, async (req, res, next) => {
     try {
-        const { analysisIds } = req.body;
+        const { analysisIds, modelId, batchSize, force = false } = req.body;
 
-        if (!analysisIds || !Array.isArray(analysisIds)) {
+        if (!analysisIds || !Array.isArray(analysisIds) || analysisIds.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: 'Analysis IDs array is required'
             });
         }
 
-        const results = await Promise.allSettled(
-            analysisIds.map(id => 
-                analyzeImageWithAI(id)
-                    .then(analysis => ({ id, success: true, analysis }))
-                    .catch(error => ({ id, success: false, error: error.message }))
-            )
-        );
+        if (analysisIds.length > MAX_BATCH_ITEMS) {
+            return res.status(400).json({
+                success: false,
+                message: `A batch can contain at most ${MAX_BATCH_ITEMS} analyses`
+            });
+        }
 
-        const successful = results.filter(r => r.status === 'fulfilled' && r.value.success);
-        const failed = results.filter(r => r.status === 'rejected' || (r.status === 'fulfilled' && !r.value.success));
+        const invalidIds = analysisIds.filter(id => !mongoose.isValidObjectId(id));
+        if (invalidIds.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid analysis IDs',
+                data: { invalidIds }
+            });
+        }
 
-        res.json({
+        if (modelId && !modelRegistry.hasModel(modelId)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown model: ${modelId}`
+            });
+        }
+
+        const { batch, notFound } = await batchAnalysis.createBatch(req.user._id, analysisIds, {
+            modelId,
+            batchSize,
+            force: force === true || force === 'true'
+        });
+
+        res.status(202).json({
             success: true,
+            message: 'Batch analysis queued',
             data: {
-                successful: successful.length,
-                failed: failed.length,
-                results: results.map(r => r.status === 'fulfilled' ? r.value : { success: false, error: r.reason })
+                batchId: batch._id,
+                status: batch.status,
+                progress: batch.progress,
+                notFound
             }
         });
     } catch (error) {
@@ -459,6 +640,32 @@ router.post('/batch-analyze', auth, async (req, res, next) => {
     }
 });
 
+// @route   GET /api/ai/batch-analyze/:batchId
+// @desc    Get progress and per-item results of a batch analysis
+// @access  Private
+router.get('/batch-analyze/:batchId', auth, async (req, res, next) => {
+    try {
+        const batch = await AnalysisBatch.findOne({
+            _id: req.params.batchId,
+            user: req.user._id
+        }).populate('items.analysis', 'status analysis.cropAnalysis originalImage.url processedImage.thumbnail.url');
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Batch not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { batch }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // @route   GET /api/ai/analytics
 // @desc    Get AI analysis analytics
 // @access  Private
@@ -476,7 +683,8 @@ router.get('/analytics', auth, async (req, res, next) => {
                 $match: {
                     user: req.user._id,
                     createdAt: { $gte: startDate, $lte: endDate },
-                    status: 'completed'
+                    status: 'completed',
+                    duplicateOf: { $exists: false }
                 }
             },
             {
@@ -509,7 +717,8 @@ router.get('/analytics', auth, async (req, res, next) => {
                 $match: {
                     user: req.user._id,
                     createdAt: { $gte: startDate, $lte: endDate },
-                    status: 'completed'
+                    status: 'completed',
+                    duplicateOf: { $exists: false }
                 }
             },
             {
@@ -542,5 +751,4 @@ router.get('/analytics', auth, async (req, res, next) => {
     }
 });
 
-module.exports = router;
-module.exports.analyzeImageWithAI = analyzeImageWithAI;
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
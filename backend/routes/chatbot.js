@@ -1,99 +1,159 @@
-// Chatbot Routes with Google Gemini Integration
+// Chatbot Routes with LLM provider failover (see services/chatProviders.js)
 const express = require('express');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const ChatSession = require('../models/ChatSession');
+const chatProviders = require('../services/chatProviders');
+const knowledgeBase = require('../services/knowledgeBase');
+const chatContext = require('../services/chatContext');
+const chatTools = require('../services/chatTools');
+const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
 
 const router = express.Router();
 
-// Initialize Google Gemini client
-let genAI = null;
-if (process.env.GOOGLE_GEMINI_API_KEY) {
-    genAI = new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_API_KEY);
-}
-
-// Agricultural knowledge base for fallback responses
-const AGRICULTURAL_KNOWLEDGE = {
-    'soil_health': {
-        keywords: ['soil', 'fertilizer', 'nutrients', 'ph', 'compost', 'manure'],
-        responses: [
-            'Healthy soil should have a pH between 6.0-7.0 for most crops. Test your soil annually and add organic matter regularly.',
-            'For nutrient deficiencies, consider balanced NPK fertilizers. Nitrogen for leaf growth, Phosphorus for roots, Potassium for overall health.',
-            'Compost improves soil structure, water retention, and microbial activity. Apply 2-4 inches of compost annually.',
-            'Crop rotation helps maintain soil health and reduces pest buildup. Rotate between different plant families each season.'
-        ]
-    },
-    'pest_control': {
-        keywords: ['pest', 'insect', 'bug', 'worm', 'disease', 'fungus', 'bacteria'],
-        responses: [
-            'Integrated Pest Management (IPM) combines cultural, biological, and chemical controls. Start with prevention and monitoring.',
-            'Beneficial insects like ladybugs, lacewings, and parasitic wasps help control pests naturally. Plant flowers to attract them.',
-            'For fungal diseases, ensure proper air circulation, avoid overhead watering, and apply copper-based fungicides if needed.',
-            'Neem oil is effective against many pests and diseases. Mix 2 tablespoons per gallon of water and spray weekly.'
-        ]
-    },
-    'water_management': {
-        keywords: ['water', 'irrigation', 'drainage', 'moisture', 'drought', 'flood'],
-        responses: [
-            'Water deeply but infrequently to encourage deep root growth. Most crops need 1-2 inches of water per week.',
-            'Drip irrigation saves water and reduces disease risk by keeping foliage dry. Install during dry periods.',
-            'Mulching conserves moisture, suppresses weeds, and regulates soil temperature. Apply 2-4 inches around plants.',
-            'Good drainage is crucial. Raised beds or contour planting can help prevent waterlogging in heavy soils.'
-        ]
-    },
-    'crop_selection': {
-        keywords: ['crop', 'plant', 'variety', 'seed', 'sowing', 'planting', 'harvest'],
-        responses: [
-            'Choose crop varieties suited to your climate, soil type, and market demand. Check local growing calendars.',
-            'Heirloom varieties offer unique flavors and genetic diversity, while hybrids provide uniformity and disease resistance.',
-            'Direct seeding works for crops like beans, carrots, and lettuce. Transplants give a head start for tomatoes and peppers.',
-            'Succession planting every 2-3 weeks ensures continuous harvest of crops like lettuce, radishes, and beans.'
-        ]
-    },
-    'weather_climate': {
-        keywords: ['weather', 'climate', 'season', 'temperature', 'rain', 'frost'],
-        responses: [
-            'Monitor weather forecasts regularly. Prepare for extreme conditions with protective covers or irrigation.',
-            'Frost-sensitive crops need protection when temperatures drop below 32°F (0°C). Use row covers or cold frames.',
-            'High temperatures above 90°F (32°C) can stress plants. Provide shade and increase watering frequency.',
-            'Season extension techniques like greenhouses, cold frames, and row covers allow year-round production.'
-        ]
-    }
-};
-
-// Function to get fallback response based on user query
-const getFallbackResponse = (query) => {
-    const lowerQuery = query.toLowerCase();
-    
-    for (const [category, data] of Object.entries(AGRICULTURAL_KNOWLEDGE)) {
-        const match = data.keywords.some(keyword => lowerQuery.includes(keyword));
-        if (match) {
-            const responses = data.responses;
-            return responses[Math.floor(Math.random() * responses.length)];
-        }
-    }
-    
-    // Default fallback response
-    return "I'm here to help with farming questions! You can ask me about soil health, pest control, water management, crop selection, or weather conditions. What would you like to know?";
-};
+const MAX_MESSAGE_LENGTH = 2000; // ChatSession message content limit
 
 // @route   GET /api/chatbot/test
 // @desc    Test chatbot endpoint
 // @access  Private
 router.get('/test', auth, async (req, res) => {
+    const status = chatProviders.getProviderStatus(req.user);
     res.json({
         success: true,
         message: 'Chatbot route is working!',
         user: req.user._id,
-        geminiEnabled: !!genAI,
+        geminiEnabled: status.providers.some(provider => provider.name === 'gemini' && provider.enabled),
+        providers: status,
         timestamp: new Date().toISOString()
     });
 });
 
+// Find the user's session, or create a new one when the id is missing or unknown
+const findOrCreateSession = async (sessionId, userId, language) => {
+    let session;
+
+    // Only look for existing session if sessionId is a valid MongoDB ObjectId
+    if (sessionId && /^[0-9a-fA-F]{24}$/.test(sessionId)) {
+        console.log('🔍 Looking for session:', sessionId);
+        session = await ChatSession.findOne({
+            _id: sessionId,
+            user: userId
+        });
+        console.log('📦 Found session:', session ? 'Yes' : 'No');
+    } else if (sessionId) {
+        console.log('⚠️ Invalid sessionId format, creating new session');
+    }
+
+    if (!session) {
+        console.log('🆕 Creating new session');
+        session = await ChatSession.create({
+            user: userId,
+            messages: [],
+            settings: {
+                language: language
+            }
+        });
+        console.log('✅ New session created:', session._id);
+    }
+
+    return session;
+};
+
+// Knowledge base passages for a question; retrieval problems never block a reply
+const retrievePassages = async (message) => {
+    try {
+        return await knowledgeBase.retrieveForQuestion(message);
+    } catch (error) {
+        console.error('❌ Knowledge base retrieval failed:', error.message);
+        return [];
+    }
+};
+
+// Farm context for the prompt; like retrieval, it never blocks a reply
+const buildFarmContext = async (user) => {
+    try {
+        return await chatContext.buildChatContext(user);
+    } catch (error) {
+        console.error('❌ Chat context failed:', error.message);
+        return { text: '', sections: [] };
+    }
+};
+
+// Provider request with the session's last 10 messages as history, what the
+// farmer shares about their farm, the knowledge base passages relevant to the
+// question and the farm data tools the model may call.
+// Call BEFORE the new user message is pushed to the session.
+const buildChatRequest = async (session, message, language, user) => {
+    const [passages, context] = await Promise.all([
+        retrievePassages(message),
+        buildFarmContext(user)
+    ]);
+
+    let systemPrompt = `You are an agricultural expert assistant. Provide helpful, accurate farming advice in ${language}. Be concise but informative (max 200 words). Focus on practical solutions that farmers can implement.`;
+    if (context.text) {
+        systemPrompt += `\n\nWhat the farmer has shared about their farm. Tailor your advice to it where it is relevant, without repeating it back:\n${context.text}`;
+    }
+    if (passages.length > 0) {
+        systemPrompt += `\n\nExcerpts from agricultural extension guides that may help answer the farmer's question. Base your advice on them where they apply and name the guide you used:\n\n${knowledgeBase.formatForPrompt(passages)}`;
+    }
+
+    return {
+        systemPrompt,
+        history: session.messages.slice(-10).map(msg => ({
+            role: msg.role === 'assistant' ? 'assistant' : 'user',
+            content: msg.content
+        })),
+        message,
+        passages,
+        contextShared: context.sections.map(section => section.key),
+        tools: chatTools.createToolbox(user),
+        maxOutputTokens: 300,
+        temperature: 0.7
+    };
+};
+
+// Guides a reply drew on and the context sections it was given, for the
+// message metadata and the client
+const requestDetails = (request) => ({
+    sources: request.passages.map(passage => ({
+        document: passage.documentId,
+        title: passage.title,
+        heading: passage.heading
+    })),
+    contextShared: request.contextShared
+});
+
+// Tools the model called, without their full results, for the client
+const toolCallSummaries = (reply) => (reply.toolCalls || []).map(({ name, args, error, durationMs }) => ({
+    name, args, error, durationMs
+}));
+
+// Assistant message recording which provider and model actually answered and
+// the tool calls the answer was based on
+const assistantMessage = (reply, metadata = {}) => ({
+    role: 'assistant',
+    content: reply.text.trim().slice(0, MAX_MESSAGE_LENGTH),
+    timestamp: new Date(),
+    metadata: {
+        source: reply.source,
+        provider: reply.provider,
+        model: reply.model,
+        tokensUsed: reply.tokensUsed,
+        failedProviders: reply.failedProviders,
+        toolCalls: reply.toolCalls?.length > 0 ? reply.toolCalls : undefined,
+        ...metadata
+    }
+});
+
+const addReply = (session, reply, metadata) => {
+    session.messages.push(assistantMessage(reply, metadata));
+    session.totalTokensUsed += reply.tokensUsed || 0;
+};
+
 // @route   POST /api/chatbot/chat
 // @desc    Send message to chatbot
 // @access  Private
-router.post('/chat', auth, async (req, res, next) => {
+router.post('/chat', auth, validate('chatMessage'), async (req, res, next) => {
     try {
         console.log('📨 Received chat request from user:', req.user._id);
         console.log('📝 Request body:', req.body);
@@ -108,41 +168,11 @@ router.post('/chat', auth, async (req, res, next) => {
             });
         }
 
-        // Find or create chat session
-        let session;
-        
-        // Only look for existing session if sessionId is a valid MongoDB ObjectId
-        if (sessionId && /^[0-9a-fA-F]{24}$/.test(sessionId)) {
-            console.log('🔍 Looking for session:', sessionId);
-            session = await ChatSession.findOne({
-                _id: sessionId,
-                user: req.user._id
-            });
-            console.log('📦 Found session:', session ? 'Yes' : 'No');
-        } else if (sessionId) {
-            console.log('⚠️ Invalid sessionId format, creating new session');
-        }
-        
-        if (!session) {
-            console.log('🆕 Creating new session');
-            session = await ChatSession.create({
-                user: req.user._id,
-                messages: [],
-                settings: {
-                    language: language
-                }
-            });
-            console.log('✅ New session created:', session._id);
-        }
+        const session = await findOrCreateSession(sessionId, req.user._id, language);
+        const startedAt = Date.now();
 
         // Build conversation history BEFORE adding the new message
-        // Get the last 10 messages (excluding the current one we're about to add)
-        const previousMessages = session.messages.slice(-10);
-        
-        const history = previousMessages.map(msg => ({
-            role: msg.role === 'assistant' ? 'model' : 'user',
-            parts: [{ text: msg.content }]
-        }));
+        const request = await buildChatRequest(session, message.trim(), language, req.user);
 
         // Add user message to session
         session.messages.push({
@@ -151,81 +181,13 @@ router.post('/chat', auth, async (req, res, next) => {
             timestamp: new Date()
         });
 
-        let botResponse = '';
-        let responseSource = 'gemini';
-
-        try {
-            // Try Google Gemini first
-            if (genAI) {
-                console.log('🤖 Calling Google Gemini API...');
-                
-                const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-                
-                // Create system prompt
-                const systemPrompt = `You are an agricultural expert assistant. Provide helpful, accurate farming advice in ${language}. Be concise but informative (max 200 words). Focus on practical solutions that farmers can implement.`;
-
-                // Start chat with history (NOT including the message we just added)
-                const chat = model.startChat({
-                    history: [
-                        {
-                            role: 'user',
-                            parts: [{ text: systemPrompt }]
-                        },
-                        {
-                            role: 'model',
-                            parts: [{ text: 'Understood. I will provide practical farming advice.' }]
-                        },
-                        ...history
-                    ],
-                    generationConfig: {
-                        maxOutputTokens: 300,
-                        temperature: 0.7,
-                    }
-                });
-
-                // Now send the current message
-                const result = await chat.sendMessage(message.trim());
-                const response = await result.response;
-                botResponse = response.text();
-                
-                // Validate response is not empty
-                if (!botResponse || botResponse.trim() === '') {
-                    console.log('⚠️ Gemini returned empty response, using fallback');
-                    botResponse = getFallbackResponse(message);
-                    responseSource = 'local';
-                } else {
-                    console.log('✅ Gemini response received:', botResponse.substring(0, 100) + '...');
-                }
-            } else {
-                console.log('⚠️ No Gemini API key, using fallback');
-                botResponse = getFallbackResponse(message);
-                responseSource = 'local';
-            }
-        } catch (geminiError) {
-            console.error('❌ Gemini error:', geminiError.message);
-            console.error('Full error:', geminiError);
-            botResponse = getFallbackResponse(message);
-            responseSource = 'local';
-        }
-
-        // Double-check botResponse is valid before saving
-        if (!botResponse || botResponse.trim() === '') {
-            console.error('❌ Bot response is empty, using default fallback');
-            botResponse = "I apologize, but I'm having trouble generating a response right now. Please try asking your question again.";
-            responseSource = 'local';
-        }
-
-        console.log('💬 Bot response to save:', botResponse.substring(0, 50) + '...');
+        const reply = await chatProviders.generateReply(request, { user: req.user });
+        console.log(`✅ Reply from ${reply.provider} (${reply.model}):`, reply.text.substring(0, 100) + '...');
 
         // Add bot response to session
-        session.messages.push({
-            role: 'assistant',
-            content: botResponse.trim(),
-            timestamp: new Date(),
-            metadata: {
-                source: responseSource,
-                model: responseSource === 'gemini' ? 'gemini-2.5-flash' : 'local-knowledge'
-            }
+        addReply(session, reply, {
+            processingTime: Date.now() - startedAt,
+            ...requestDetails(request)
         });
 
         await session.save();
@@ -234,10 +196,14 @@ router.post('/chat', auth, async (req, res, next) => {
         res.json({
             success: true,
             data: {
-                response: botResponse.trim(),
+                response: reply.text.trim(),
                 sessionId: session._id,
                 messageCount: session.messages.length,
-                responseSource
+                responseSource: reply.source,
+                provider: reply.provider,
+                model: reply.model,
+                toolCalls: toolCallSummaries(reply),
+                ...requestDetails(request)
             }
         });
 
@@ -248,6 +214,134 @@ router.post('/chat', auth, async (req, res, next) => {
     }
 });
 
+// @route   POST /api/chatbot/chat/stream
+// @desc    Send message to chatbot and stream the reply as Server-Sent Events
+//          (events: session, tool, token, done, error). The reply is saved to the
+//          session when the stream completes or the client disconnects.
+// @access  Private
+router.post('/chat/stream', auth, validate('chatMessage'), async (req, res, next) => {
+    // Everything before the stream opens goes through the error handler
+    let session;
+    let request;
+    try {
+        const { message, sessionId, language = 'en' } = req.body;
+
+        if (!message || message.trim() === '') {
+            return res.status(400).json({
+                success: false,
+                message: 'Message is required'
+            });
+        }
+
+        session = await findOrCreateSession(sessionId, req.user._id, language);
+        request = await buildChatRequest(session, message.trim(), language, req.user);
+
+        session.messages.push({
+            role: 'user',
+            content: message.trim(),
+            timestamp: new Date()
+        });
+    } catch (error) {
+        return next(error);
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // stop nginx-style proxies from buffering the stream
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+        if (res.writableEnded) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        // compression() buffers output until flushed
+        if (typeof res.flush === 'function') res.flush();
+    };
+
+    // Client went away (closed tab, lost signal): stop generating and keep what we have
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    const startedAt = Date.now();
+    sendEvent('session', { sessionId: session._id });
+
+    try {
+        const reply = await chatProviders.streamReply(request, {
+            user: req.user,
+            signal: controller.signal,
+            onToken: (text) => sendEvent('token', { text }),
+            onToolCall: (call) => sendEvent('tool', { name: call.name, args: call.args, error: call.error })
+        });
+
+        if (reply.text.trim()) {
+            addReply(session, reply, {
+                processingTime: Date.now() - startedAt,
+                aborted: reply.aborted,
+                ...requestDetails(request)
+            });
+        }
+        await session.save();
+        console.log(reply.aborted
+            ? '💾 Partial streamed reply saved (client disconnected)'
+            : `💾 Streamed reply from ${reply.provider} (${reply.model}) saved`);
+
+        sendEvent('done', {
+            sessionId: session._id,
+            messageCount: session.messages.length,
+            responseSource: reply.source,
+            provider: reply.provider,
+            model: reply.model,
+            toolCalls: toolCallSummaries(reply),
+            ...requestDetails(request)
+        });
+    } catch (error) {
+        console.error('❌ Chat stream error:', error);
+        sendEvent('error', { message: 'Failed to generate a response' });
+    }
+    res.end();
+});
+
+// @route   GET /api/chatbot/context
+// @desc    What the chatbot is told about the farmer, and which sections are shared
+// @access  Private
+router.get('/context', auth, async (req, res, next) => {
+    try {
+        const context = await chatContext.buildChatContext(req.user);
+
+        res.json({
+            success: true,
+            data: { context }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/chatbot/context
+// @desc    Switch chat context sections on or off (profile, location, alerts, analyses, weather, fields)
+// @access  Private
+router.put('/context', auth, validate('chatContextSettings'), async (req, res, next) => {
+    try {
+        const update = Object.fromEntries(
+            Object.entries(req.body).map(([key, value]) => [`preferences.chatContext.${key}`, value])
+        );
+        const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true });
+        const context = await chatContext.buildChatContext(user);
+
+        res.json({
+            success: true,
+            message: 'Chat context settings updated',
+            data: { context }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // @route   POST /api/chatbot/query (Alternative endpoint)
 // @desc    Send message to chatbot (alternative route name)
 // @access  Private
@@ -511,6 +605,6 @@ router.get('/analytics', auth, async (req, res, next) => {
 });
 
 console.log('✅ Chatbot routes loaded');
-console.log('🤖 Google Gemini:', genAI ? 'Enabled' : 'Disabled (using local fallback)');
+console.log('🤖 Chat providers:', chatProviders.getProviderChain().map(provider => provider.name).join(' → '));
 
 module.exports = router;
\ No newline at end of file
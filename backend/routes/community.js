@@ -428,19 +428,7 @@ router.get('/search', auth, async (req, res, next) => {
 
         const skip = (page - 1) * limit;
 
-        // Create search filter
-        const searchFilter = {
-            status: 'published',
-            $or: [
-                { 'content.title': { $regex: q, $options: 'i' } },
-                { 'content.body': { $regex: q, $options: 'i' } },
-                { tags: { $in: [new RegExp(q, 'i')] } }
-            ]
-        };
-
-        if (category) {
-            searchFilter.category = category;
-        }
+        const searchFilter = CommunityPost.searchFilter(q, category);
 
         const posts = await CommunityPost.find(searchFilter)
             .populate('author', 'name profile.avatar profile.experience')
@@ -0,0 +1,65 @@
+// Training Dataset Routes
+const express = require('express');
+const datasetExport = require('../services/datasetExport');
+const { auth, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   POST /api/datasets/exports
+// @desc    Export a labeled training dataset from reviewed and corrected analyses
+// @access  Private (Admin)
+router.post('/exports', auth, authorize('admin'), validate('datasetExport'), async (req, res, next) => {
+    try {
+        const { crop, from, to, minRating, maxRating, sources, split, seed, limit } = req.body;
+
+        const summary = await datasetExport.createDatasetExport(
+            { crop, from, to, minRating, maxRating, sources },
+            { split, seed, limit }
+        );
+
+        res.status(201).json({
+            success: true,
+            message: `Exported ${summary.counts.total} labeled images`,
+            data: { export: summary }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/datasets/exports
+// @desc    List previous dataset exports
+// @access  Private (Admin)
+router.get('/exports', auth, authorize('admin'), async (req, res, next) => {
+    try {
+        res.json({
+            success: true,
+            data: { exports: datasetExport.listDatasetExports() }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/datasets/exports/:exportId/:file
+// @desc    Download an export's manifest.jsonl, manifest.csv or summary.json
+// @access  Private (Admin)
+router.get('/exports/:exportId/:file', auth, authorize('admin'), async (req, res, next) => {
+    try {
+        const filePath = datasetExport.getExportFilePath(req.params.exportId, req.params.file);
+
+        if (!filePath) {
+            return res.status(404).json({
+                success: false,
+                message: 'Export file not found'
+            });
+        }
+
+        res.download(filePath, `${req.params.exportId}-${req.params.file}`);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+// Farm Routes
+const express = require('express');
+const Farm = require('../models/Farm');
+const Field = require('../models/Field');
+const { convertArea, preferredAreaUnit } = require('../services/fieldGeometry');
+const { auth } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+const farmNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Farm not found'
+});
+
+const nameTaken = (res) => res.status(409).json({
+    success: false,
+    message: 'You already have a farm with this name'
+});
+
+// Farm with its field count and total mapped area in the farmer's unit
+const withTotals = (farm, fields, unit) => {
+    const mapped = fields.filter(field => typeof field.areaHectares === 'number');
+    return {
+        ...farm.toObject(),
+        fieldCount: fields.length,
+        mappedFields: mapped.length,
+        totalArea: {
+            value: convertArea(mapped.reduce((total, field) => total + field.areaHectares, 0), unit),
+            unit
+        }
+    };
+};
+
+// @route   POST /api/farms
+// @desc    Register a farm
+// @access  Private
+router.post('/', auth, validate('createFarm'), async (req, res, next) => {
+    try {
+        if (await Farm.exists({ user: req.user._id, name: req.body.name })) {
+            return nameTaken(res);
+        }
+
+        const farm = await Farm.create({ ...req.body, user: req.user._id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Farm registered successfully',
+            data: { farm: withTotals(farm, [], preferredAreaUnit(req.user)) }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/farms
+// @desc    Get user's farms with field counts and total area
+// @access  Private
+router.get('/', auth, async (req, res, next) => {
+    try {
+        const unit = preferredAreaUnit(req.user);
+        const farms = await Farm.find({ user: req.user._id }).sort({ name: 1 });
+        const fields = await Field.find({ user: req.user._id, farm: { $in: farms.map(farm => farm._id) } })
+            .select('farm areaHectares');
+
+        res.json({
+            success: true,
+            data: {
+                farms: farms.map(farm => withTotals(
+                    farm,
+                    fields.filter(field => field.farm.equals(farm._id)),
+                    unit
+                ))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/farms/:id
+// @desc    Get a farm with its fields
+// @access  Private
+router.get('/:id', auth, async (req, res, next) => {
+    try {
+        const farm = await Farm.findOne({ _id: req.params.id, user: req.user._id });
+        if (!farm) return farmNotFound(res);
+
+        const unit = preferredAreaUnit(req.user);
+        const fields = await Field.find({ farm: farm._id, user: req.user._id })
+            .select('-treatments')
+            .sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                farm: withTotals(farm, fields, unit),
+                fields: fields.map(field => field.withArea(unit))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/farms/:id
+// @desc    Update a farm
+// @access  Private
+router.put('/:id', auth, validate('updateFarm'), async (req, res, next) => {
+    try {
+        const farm = await Farm.findOne({ _id: req.params.id, user: req.user._id });
+        if (!farm) return farmNotFound(res);
+
+        const { name, description, location } = req.body;
+        if (name && name !== farm.name) {
+            if (await Farm.exists({ user: req.user._id, name })) {
+                return nameTaken(res);
+            }
+            farm.name = name;
+        }
+        if (description !== undefined) farm.description = description;
+        if (location) farm.location = location;
+
+        await farm.save();
+
+        const fields = await Field.find({ farm: farm._id, user: req.user._id }).select('areaHectares');
+
+        res.json({
+            success: true,
+            message: 'Farm updated successfully',
+            data: { farm: withTotals(farm, fields, preferredAreaUnit(req.user)) }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/farms/:id
+// @desc    Delete a farm (its fields are kept, detached from the farm)
+// @access  Private
+router.delete('/:id', auth, async (req, res, next) => {
+    try {
+        const farm = await Farm.findOne({ _id: req.params.id, user: req.user._id });
+        if (!farm) return farmNotFound(res);
+
+        await Field.updateMany({ farm: farm._id }, { $unset: { farm: 1 } });
+        await farm.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Farm deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
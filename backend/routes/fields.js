@@ -0,0 +1,267 @@
+// Field Routes
+const express = require('express');
+const Farm = require('../models/Farm');
+const Field = require('../models/Field');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const fieldTimeline = require('../services/fieldTimeline');
+const { preferredAreaUnit } = require('../services/fieldGeometry');
+const { auth } = require('../middleware/auth');
+const { validate, validateQuery } = require('../middleware/validation');
+
+const router = express.Router();
+
+const fieldNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Field not found'
+});
+
+const nameTaken = (res) => res.status(409).json({
+    success: false,
+    message: 'You already have a field with this name'
+});
+
+const farmNotFound = (res) => res.status(400).json({
+    success: false,
+    message: 'Farm not found'
+});
+
+const userOwnsFarm = (farmId, userId) => Farm.exists({ _id: farmId, user: userId });
+
+// @route   POST /api/fields
+// @desc    Register a field or plot (optionally with a GeoJSON boundary and farm)
+// @access  Private
+router.post('/', auth, validate('createField'), async (req, res, next) => {
+    try {
+        const { farmId, ...details } = req.body;
+
+        if (await Field.exists({ user: req.user._id, name: details.name })) {
+            return nameTaken(res);
+        }
+        if (farmId && !(await userOwnsFarm(farmId, req.user._id))) {
+            return farmNotFound(res);
+        }
+
+        const field = await Field.create({ ...details, farm: farmId, user: req.user._id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Field registered successfully',
+            data: { field: field.withArea(preferredAreaUnit(req.user)) }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/fields
+// @desc    Get user's fields with their areas and analysis counts (?farmId)
+// @access  Private
+router.get('/', auth, async (req, res, next) => {
+    try {
+        const filter = { user: req.user._id };
+        if (req.query.farmId) {
+            filter.farm = req.query.farmId;
+        }
+
+        const fields = await Field.find(filter).sort({ name: 1 });
+        const unit = preferredAreaUnit(req.user);
+
+        const counts = await ImageAnalysis.aggregate([
+            { $match: { user: req.user._id, field: { $in: fields.map(field => field._id) } } },
+            { $group: { _id: '$field', analyses: { $sum: 1 }, lastAnalysisAt: { $max: '$createdAt' } } }
+        ]);
+        const countsByField = new Map(counts.map(count => [count._id.toString(), count]));
+
+        res.json({
+            success: true,
+            data: {
+                fields: fields.map(field => ({
+                    ...field.withArea(unit),
+                    analyses: countsByField.get(field._id.toString())?.analyses || 0,
+                    lastAnalysisAt: countsByField.get(field._id.toString())?.lastAnalysisAt || null
+                }))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/fields/:id
+// @desc    Get a field
+// @access  Private
+router.get('/:id', auth, async (req, res, next) => {
+    try {
+        const field = await Field.findOne({ _id: req.params.id, user: req.user._id })
+            .populate('farm', 'name');
+        if (!field) return fieldNotFound(res);
+
+        res.json({
+            success: true,
+            data: { field: field.withArea(preferredAreaUnit(req.user)) }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/fields/:id
+// @desc    Update a field
+// @access  Private
+router.put('/:id', auth, validate('updateField'), async (req, res, next) => {
+    try {
+        const field = await Field.findOne({ _id: req.params.id, user: req.user._id });
+        if (!field) return fieldNotFound(res);
+
+        const { name, farmId, location, ...details } = req.body;
+        if (name && name !== field.name) {
+            if (await Field.exists({ user: req.user._id, name })) {
+                return nameTaken(res);
+            }
+            field.name = name;
+        }
+        if (farmId && !(await userOwnsFarm(farmId, req.user._id))) {
+            return farmNotFound(res);
+        }
+        if (farmId !== undefined) field.farm = farmId || undefined;
+
+        // null clears an optional detail (e.g. boundary, plantingDate)
+        Object.entries(details).forEach(([key, value]) => {
+            field[key] = value === null ? undefined : value;
+        });
+        // A boundary sets the location to its centroid
+        if (location && !field.boundary) field.location = location;
+        else if (location?.address !== undefined) field.location.address = location.address;
+
+        await field.save();
+
+        res.json({
+            success: true,
+            message: 'Field updated successfully',
+            data: { field: field.withArea(preferredAreaUnit(req.user)) }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/fields/:id
+// @desc    Delete a field (its analyses are kept, detached from the field)
+// @access  Private
+router.delete('/:id', auth, async (req, res, next) => {
+    try {
+        const field = await Field.findOne({ _id: req.params.id, user: req.user._id });
+        if (!field) return fieldNotFound(res);
+
+        await ImageAnalysis.updateMany({ field: field._id }, { $unset: { field: 1 } });
+        await field.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Field deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/fields/:id/analyses
+// @desc    Attach existing analyses to a field
+// @access  Private
+router.post('/:id/analyses', auth, validate('fieldAnalyses'), async (req, res, next) => {
+    try {
+        const field = await Field.findOne({ _id: req.params.id, user: req.user._id });
+        if (!field) return fieldNotFound(res);
+
+        const result = await ImageAnalysis.updateMany(
+            { _id: { $in: req.body.analysisIds }, user: req.user._id },
+            { $set: { field: field._id } }
+        );
+
+        res.json({
+            success: true,
+            message: `${result.matchedCount} analyses attached to ${field.name}`,
+            data: {
+                attached: result.matchedCount,
+                notFound: req.body.analysisIds.length - result.matchedCount
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/fields/:id/treatments
+// @desc    Log a treatment applied to a field
+// @access  Private
+router.post('/:id/treatments', auth, validate('fieldTreatment'), async (req, res, next) => {
+    try {
+        const field = await Field.findOne({ _id: req.params.id, user: req.user._id });
+        if (!field) return fieldNotFound(res);
+
+        field.treatments.push(req.body);
+        await field.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Treatment logged successfully',
+            data: {
+                treatment: field.treatments[field.treatments.length - 1]
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/fields/:id/treatments/:treatmentId
+// @desc    Remove a logged treatment
+// @access  Private
+router.delete('/:id/treatments/:treatmentId', auth, async (req, res, next) => {
+    try {
+        const field = await Field.findOne({ _id: req.params.id, user: req.user._id });
+        if (!field) return fieldNotFound(res);
+
+        const treatment = field.treatments.id(req.params.treatmentId);
+        if (!treatment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Treatment not found'
+            });
+        }
+
+        treatment.deleteOne();
+        await field.save();
+
+        res.json({
+            success: true,
+            message: 'Treatment removed successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/fields/:id/timeline
+// @desc    Health score progression, disease first detections and treatment effects (?from, ?to)
+// @access  Private
+router.get('/:id/timeline', auth, validateQuery('fieldTimeline'), async (req, res, next) => {
+    try {
+        const field = await Field.findOne({ _id: req.params.id, user: req.user._id });
+        if (!field) return fieldNotFound(res);
+
+        const timeline = await fieldTimeline.buildTimeline(field, {
+            from: req.query.from,
+            to: req.query.to
+        });
+
+        res.json({
+            success: true,
+            data: { timeline }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,12 +1,18 @@
 // Image Upload and Processing Routes
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
-const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
-const { analyzeImageWithAI } = require('./ai');
+const analysisQueue = require('../services/analysisQueue');
+const { preprocessImage, removeDerivatives } = require('../services/imagePreprocessor');
+const { generateHeatmap } = require('../services/attentionHeatmap');
+const modelRegistry = require('../services/modelRegistry');
 const ImageAnalysis = require('../models/ImageAnalysis');
+const ScoutingSession = require('../models/ScoutingSession');
+const Field = require('../models/Field');
 const { auth } = require('../middleware/auth');
+const { schemas } = require('../middleware/validation');
 const User = require('../models/User');
 const router = express.Router();
 
@@ -48,8 +54,183 @@ const upload = multer({
     fileFilter: fileFilter
 });
 
+// Near-duplicate detection for re-uploads of the same photo
+const DUPLICATE_WINDOW_HOURS = parseInt(process.env.DUPLICATE_WINDOW_HOURS) || 24;
+const DUPLICATE_MAX_DISTANCE = 5; // bits out of 64
+
+const ANALYSIS_TYPES = ImageAnalysis.schema.path('analysisType').enumValues;
+
+// Multer configuration for scouting sessions (many plants per field visit)
+const MAX_SCOUTING_IMAGES = 30;
+const scoutingUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB limit
+        files: MAX_SCOUTING_IMAGES
+    },
+    fileFilter: fileFilter
+});
+
+// Remove uploaded files after a failed request
+const cleanupUploadedFiles = (files = []) => {
+    files.forEach(file => {
+        if (file && fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+    });
+};
+
+// Resolve the location to store with an upload. Priority: GPS embedded in the
+// photo's EXIF, then manual coordinates, then the registered field's location,
+// then the user's profile location.
+// Resolves to { location, source } where source is 'exif', 'manual', 'field', 'profile' or null.
+const resolveUploadLocation = (body, user, exif = null, field = null) => {
+    const { latitude, longitude, location, useProfileLocation = 'true' } = body;
+
+    // Priority 1: GPS recorded by the camera
+    if (exif?.gps) {
+        console.log('✅ Using EXIF GPS location from photo');
+        return {
+            location: {
+                latitude: exif.gps.latitude,
+                longitude: exif.gps.longitude,
+                altitude: exif.gps.altitude,
+                address: location || null
+            },
+            source: 'exif'
+        };
+    }
+
+    // Priority 2: Manual location override (if provided)
+    if (latitude && longitude) {
+        console.log('✅ Using manual location from upload');
+        return {
+            location: {
+                latitude: parseFloat(latitude),
+                longitude: parseFloat(longitude),
+                address: location || null
+            },
+            source: 'manual'
+        };
+    }
+
+    // Priority 3: Location of the field the photo belongs to
+    if (field?.location?.latitude != null && field.location.longitude != null) {
+        console.log('✅ Using field location');
+        return {
+            location: {
+                latitude: field.location.latitude,
+                longitude: field.location.longitude,
+                address: location || field.location.address || field.name
+            },
+            source: 'field'
+        };
+    }
+
+    // Priority 4: User profile location (if useProfileLocation is true and available)
+    if (useProfileLocation === 'true' && user?.location?.coordinates?.[0] !== 0) {
+        console.log('✅ Using profile default location');
+        return {
+            location: {
+                latitude: user.location.coordinates[1], // MongoDB stores [longitude, latitude]
+                longitude: user.location.coordinates[0],
+                address: user.location.address || `${user.location.city || ''}, ${user.location.country || ''}`.trim()
+            },
+            source: 'profile'
+        };
+    }
+
+    console.log('⚠️ No location data available');
+    return {
+        location: {
+            latitude: null,
+            longitude: null,
+            address: null
+        },
+        source: null
+    };
+};
+
+// Build the ImageAnalysis document for an uploaded, preprocessed file
+const buildImageAnalysis = (req, file, preprocessed, resolvedLocation, extra = {}) => ({
+    user: req.user._id,
+    originalImage: {
+        filename: file.filename,
+        url: `/uploads/images/${file.filename}`,
+        path: file.path,
+        size: preprocessed.originalSize,
+        mimetype: file.mimetype
+    },
+    processedImage: preprocessed.processedImage,
+    perceptualHash: preprocessed.perceptualHash,
+    metadata: {
+        location: {
+            ...resolvedLocation.location,
+            source: resolvedLocation.source || undefined
+        },
+        deviceInfo: {
+            userAgent: req.get('User-Agent'),
+            deviceType: preprocessed.exif?.camera || undefined,
+            timestamp: preprocessed.exif?.capturedAt || new Date(),
+            timestampSource: preprocessed.exif?.capturedAt ? 'exif' : 'upload'
+        }
+    },
+    ...extra
+});
+
+// List views get the thumbnail rather than the full-size original
+const toListItem = (analysis) => ({
+    ...analysis.toObject(),
+    imageUrl: analysis.getThumbnailUrl()
+});
+
+// The user's registered field for an upload's fieldId, or null
+const findUserField = (fieldId, userId) => {
+    if (!mongoose.isValidObjectId(fieldId)) return null;
+    return Field.findOne({ _id: fieldId, user: userId }).select('name location');
+};
+
+// Parse the on-device result an offline upload carries (a JSON form field).
+// Returns { value }, { error } or {} when there is none.
+const parseClientAnalysis = (raw) => {
+    if (!raw) return {};
+
+    let parsed;
+    try {
+        parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+        return { error: 'clientAnalysis must be valid JSON' };
+    }
+
+    const { error, value } = schemas.clientAnalysis.validate(parsed);
+    if (error) {
+        return { error: `clientAnalysis: ${error.details.map(detail => detail.message).join(', ')}` };
+    }
+    return { value: { ...value, receivedAt: new Date(), verification: { status: 'pending' } } };
+};
+
+// Run sharp preprocessing, answering 400 for files that aren't decodable images
+const preprocessUploads = async (files, res) => {
+    const results = [];
+    for (const file of files) {
+        try {
+            results.push(await preprocessImage(file));
+        } catch (error) {
+            console.error('❌ Image preprocessing failed:', file.originalname, error.message);
+            results.forEach(result => removeDerivatives(result.processedImage));
+            cleanupUploadedFiles(files);
+            res.status(400).json({
+                success: false,
+                message: `Could not read image file: ${file.originalname}`
+            });
+            return null;
+        }
+    }
+    return results;
+};
+
 // @route   POST /api/images/upload
-// @desc    Upload image for analysis
+// @desc    Upload image for analysis (analysisType: crop, soil or pest; fieldId: registered field; clientAnalysis: on-device result)
 // @access  Private
 router.post('/upload', auth, upload.single('image'), async (req, res, next) => {
     try {
@@ -60,101 +241,313 @@ router.post('/upload', auth, upload.single('image'), async (req, res, next) => {
             });
         }
 
-        const { latitude, longitude, location, useProfileLocation = 'true' } = req.body;
+        const { modelId = modelRegistry.getDefaultModelId(), analysisType = 'crop' } = req.body;
 
-        // Get user's default location from profile
-        const user = await User.findById(req.user._id);
-        
-        let finalLocation = {
-            latitude: null,
-            longitude: null,
-            address: null
-        };
+        if (!ANALYSIS_TYPES.includes(analysisType)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({
+                success: false,
+                message: `analysisType must be one of: ${ANALYSIS_TYPES.join(', ')}`
+            });
+        }
 
-        // Priority 1: Manual location override (if provided)
-        if (latitude && longitude) {
-            console.log('✅ Using manual location from upload');
-            finalLocation = {
-                latitude: parseFloat(latitude),
-                longitude: parseFloat(longitude),
-                address: location || null
-            };
-        } 
-        // Priority 2: User profile location (if useProfileLocation is true and available)
-        else if (useProfileLocation === 'true' && user?.location?.coordinates?.[0] !== 0) {
-            console.log('✅ Using profile default location');
-            finalLocation = {
-                latitude: user.location.coordinates[1], // MongoDB stores [longitude, latitude]
-                longitude: user.location.coordinates[0],
-                address: user.location.address || `${user.location.city || ''}, ${user.location.country || ''}`.trim()
-            };
-        } else {
-            console.log('⚠️ No location data available');
+        const clientAnalysis = parseClientAnalysis(req.body.clientAnalysis);
+        if (clientAnalysis.error || (clientAnalysis.value && analysisType !== 'crop')) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({
+                success: false,
+                message: clientAnalysis.error || 'clientAnalysis is only accepted for crop analyses'
+            });
         }
 
-        // Create image analysis record
-        const imageAnalysis = await ImageAnalysis.create({
-            user: req.user._id,
-            originalImage: {
-                filename: req.file.filename,
-                url: `/uploads/images/${req.file.filename}`,
-                path: req.file.path,
-                size: req.file.size,
-                mimetype: req.file.mimetype
-            },
-            metadata: {
-                location: finalLocation,
-                deviceInfo: {
-                    userAgent: req.get('User-Agent'),
-                    timestamp: new Date()
-                }
-            }
+        if (!modelRegistry.hasModel(modelId)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({
+                success: false,
+                message: `Unknown model: ${modelId}`
+            });
+        }
+
+        const field = req.body.fieldId ? await findUserField(req.body.fieldId, req.user._id) : null;
+        if (req.body.fieldId && !field) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({
+                success: false,
+                message: 'Field not found'
+            });
+        }
+
+        // Auto-rotate, strip EXIF and create normalized/thumbnail derivatives
+        const preprocessed = await preprocessUploads([req.file], res);
+        if (!preprocessed) return;
+
+        // Return the earlier analysis when the same photo was uploaded recently
+        const allowDuplicate = req.query.allowDuplicate === 'true' || req.body.allowDuplicate === 'true';
+        const duplicate = await ImageAnalysis.findNearDuplicate(req.user._id, preprocessed[0].perceptualHash, {
+            windowHours: DUPLICATE_WINDOW_HOURS,
+            maxDistance: DUPLICATE_MAX_DISTANCE,
+            analysisType
         });
 
-        // 🆕 TRIGGER ASYNC ANALYSIS (non-blocking)
-        setImmediate(async () => {
-            try {
-                console.log('🤖 Starting AI analysis for:', imageAnalysis._id);
-                imageAnalysis.status = 'processing';
-                await imageAnalysis.save();
+        if (duplicate && !allowDuplicate) {
+            console.log('♻️ Duplicate upload detected, returning analysis:', duplicate._id);
+            removeDerivatives(preprocessed[0].processedImage);
+            cleanupUploadedFiles([req.file]);
+
+            return res.json({
+                success: true,
+                message: 'This image was already uploaded recently. Returning the existing analysis; use allowDuplicate=true to analyze it again.',
+                data: {
+                    analysis: duplicate,
+                    analysisId: duplicate._id,
+                    imageUrl: duplicate.originalImage.url,
+                    status: duplicate.status,
+                    duplicate: true
+                }
+            });
+        }
 
-                const startTime = Date.now();
-                const analysis = await analyzeImageWithAI(imageAnalysis.originalImage.path);
-                const processingTime = (Date.now() - startTime) / 1000;
+        // Get user's default location from profile
+        const user = await User.findById(req.user._id);
+        const resolvedLocation = resolveUploadLocation(req.body, user, preprocessed[0].exif, field);
 
-                imageAnalysis.analysis = analysis;
-                imageAnalysis.processingTime = processingTime;
-                imageAnalysis.status = 'completed';
-                await imageAnalysis.save();
+        // Create image analysis record
+        const imageAnalysis = await ImageAnalysis.create(
+            buildImageAnalysis(req, req.file, preprocessed[0], resolvedLocation, {
+                analysisType,
+                ...(field && { field: field._id }),
+                ...(clientAnalysis.value && { clientAnalysis: clientAnalysis.value }),
+                ...(duplicate && { duplicateOf: duplicate._id })
+            })
+        );
 
-                console.log('✅ AI analysis completed for:', imageAnalysis._id);
-            } catch (error) {
-                console.error('❌ AI analysis failed for:', imageAnalysis._id, error);
-                imageAnalysis.status = 'failed';
-                imageAnalysis.errorMessage = error.message;
-                await imageAnalysis.save();
-            }
-        });
+        // Queue analysis (processed by the background worker)
+        const job = await analysisQueue.enqueue(imageAnalysis, { modelId });
 
-        // Return immediately with "processing" status
+        // Return immediately with "queued" status
         res.json({
             success: true,
-            message: 'Image uploaded successfully, analysis in progress',
+            message: 'Image uploaded successfully, analysis queued',
             data: {
                 analysis: imageAnalysis,
                 analysisId: imageAnalysis._id,
                 imageUrl: imageAnalysis.originalImage.url,
-                status: 'processing',
-                locationUsed: finalLocation.latitude ? 'provided' : 'not_available'
+                status: 'queued',
+                jobId: job._id,
+                queuePosition: await job.getQueuePosition(),
+                analysisType,
+                fieldId: field ? field._id : null,
+                modelId: analysisType === 'crop' ? modelId : undefined,
+                locationUsed: resolvedLocation.source || 'not_available',
+                capturedAt: imageAnalysis.metadata.deviceInfo.timestamp,
+                duplicate: false,
+                duplicateOf: imageAnalysis.duplicateOf || null
             }
         });
 
 
     } catch (error) {
         // Clean up uploaded file if error occurs
-        if (req.file && fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
+        cleanupUploadedFiles([req.file]);
+        next(error);
+    }
+});
+
+// @route   POST /api/images/scouting-sessions
+// @desc    Upload the photos from one field visit and analyze each plant
+// @access  Private
+router.post('/scouting-sessions', auth, scoutingUpload.array('images', MAX_SCOUTING_IMAGES), async (req, res, next) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one image file is required'
+            });
         }
+
+        const {
+            fieldId,
+            visitDate,
+            notes,
+            modelId = modelRegistry.getDefaultModelId()
+        } = req.body;
+
+        if (!modelRegistry.hasModel(modelId)) {
+            cleanupUploadedFiles(req.files);
+            return res.status(400).json({
+                success: false,
+                message: `Unknown model: ${modelId}`
+            });
+        }
+
+        const field = fieldId ? await findUserField(fieldId, req.user._id) : null;
+        if (fieldId && !field) {
+            cleanupUploadedFiles(req.files);
+            return res.status(400).json({
+                success: false,
+                message: 'Field not found'
+            });
+        }
+
+        if (visitDate && isNaN(new Date(visitDate).getTime())) {
+            cleanupUploadedFiles(req.files);
+            return res.status(400).json({
+                success: false,
+                message: 'visitDate must be a valid date'
+            });
+        }
+
+        // Per-image GPS and labels arrive as JSON arrays in upload order
+        let imageLocations = null;
+        let imageLabels = null;
+        try {
+            imageLocations = req.body.locations ? JSON.parse(req.body.locations) : [];
+            imageLabels = req.body.labels ? JSON.parse(req.body.labels) : [];
+        } catch (parseError) {
+            // reported below
+        }
+        const validLists = [imageLocations, imageLabels].every(list => Array.isArray(list) && list.length <= req.files.length) &&
+            imageLabels.every(label => label == null || typeof label === 'string');
+        if (!validLists) {
+            cleanupUploadedFiles(req.files);
+            return res.status(400).json({
+                success: false,
+                message: 'locations and labels must be JSON arrays'
+            });
+        }
+
+        const preprocessed = await preprocessUploads(req.files, res);
+        if (!preprocessed) return;
+
+        const user = await User.findById(req.user._id);
+        const sessionResolvedLocation = resolveUploadLocation(req.body, user, null, field);
+        const sessionLocation = sessionResolvedLocation.location;
+
+        const session = new ScoutingSession({
+            user: req.user._id,
+            field: field ? field._id : undefined,
+            fieldName: req.body.fieldName || field?.name,
+            visitDate: visitDate ? new Date(visitDate) : new Date(),
+            notes,
+            location: sessionLocation
+        });
+
+        const analyses = [];
+        for (const [index, file] of req.files.entries()) {
+            // Per image: EXIF GPS, then the GPS sent for that image, then the session location
+            const gps = imageLocations[index];
+            const hasGps = gps && gps.latitude != null && gps.longitude != null;
+            let resolvedLocation = resolveUploadLocation(
+                hasGps
+                    ? { latitude: gps.latitude, longitude: gps.longitude, location: sessionLocation.address }
+                    : { location: sessionLocation.address, useProfileLocation: 'false' },
+                user,
+                preprocessed[index].exif
+            );
+            if (!resolvedLocation.source) {
+                resolvedLocation = sessionResolvedLocation;
+            }
+            const location = resolvedLocation.location;
+
+            const imageAnalysis = await ImageAnalysis.create(
+                buildImageAnalysis(req, file, preprocessed[index], resolvedLocation, {
+                    scoutingSession: session._id,
+                    ...(field && { field: field._id })
+                })
+            );
+            analyses.push(imageAnalysis);
+
+            session.images.push({
+                analysis: imageAnalysis._id,
+                label: imageLabels[index] || `Plant ${index + 1}`,
+                location: { latitude: location.latitude, longitude: location.longitude }
+            });
+        }
+
+        session.summary.totalImages = session.images.length;
+        await session.save();
+
+        for (const imageAnalysis of analyses) {
+            await analysisQueue.enqueue(imageAnalysis, { modelId });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Scouting session created, ${analyses.length} images queued for analysis`,
+            data: {
+                session,
+                sessionId: session._id,
+                analysisIds: analyses.map(a => a._id)
+            }
+        });
+    } catch (error) {
+        cleanupUploadedFiles(req.files);
+        next(error);
+    }
+});
+
+// @route   GET /api/images/scouting-sessions
+// @desc    Get user's scouting sessions
+// @access  Private
+router.get('/scouting-sessions', auth, async (req, res, next) => {
+    try {
+        const { page = 1, limit = 10 } = req.query;
+        const skip = (page - 1) * limit;
+
+        const sessions = await ScoutingSession.find({ user: req.user._id })
+            .sort({ visitDate: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .select('-images');
+
+        const total = await ScoutingSession.countDocuments({ user: req.user._id });
+
+        res.json({
+            success: true,
+            data: {
+                sessions,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/images/scouting-sessions/:id
+// @desc    Get a scouting session with its per-plant results and summary
+// @access  Private
+router.get('/scouting-sessions/:id', auth, async (req, res, next) => {
+    try {
+        const session = await ScoutingSession.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Scouting session not found'
+            });
+        }
+
+        // Analyses finish in the background, so bring the summary up to date
+        if (session.status !== 'completed') {
+            await session.refreshSummary();
+        }
+
+        await session.populate('images.analysis', 'status analysis.cropAnalysis analysis.pestAnalysis.disease analysis.message originalImage.url processedImage.thumbnail.url errorMessage');
+
+        res.json({
+            success: true,
+            data: { session }
+        });
+    } catch (error) {
         next(error);
     }
 });
@@ -165,13 +558,19 @@ router.post('/upload', auth, upload.single('image'), async (req, res, next) => {
 // @access  Private
 router.get('/analyses', auth, async (req, res, next) => {
     try {
-        const { page = 1, limit = 10, status } = req.query;
+        const { page = 1, limit = 10, status, analysisType, fieldId } = req.query;
         const skip = (page - 1) * limit;
 
         const filter = { user: req.user._id };
         if (status) {
             filter.status = status;
         }
+        if (analysisType) {
+            filter.analysisType = analysisType === 'crop' ? { $in: ['crop', null] } : analysisType;
+        }
+        if (fieldId) {
+            filter.field = fieldId;
+        }
 
         const analyses = await ImageAnalysis.find(filter)
             .sort({ createdAt: -1 })
@@ -184,7 +583,7 @@ router.get('/analyses', auth, async (req, res, next) => {
         res.json({
             success: true,
             data: {
-                analyses,
+                analyses: analyses.map(toListItem),
                 pagination: {
                     page: parseInt(page),
                     limit: parseInt(limit),
@@ -199,7 +598,7 @@ router.get('/analyses', auth, async (req, res, next) => {
 });
 
 // @route   GET /api/images/analyses/:id
-// @desc    Get specific image analysis
+// @desc    Get specific image analysis with its attention heatmap (?generateHeatmap=true to create a missing one)
 // @access  Private
 router.get('/analyses/:id', auth, async (req, res, next) => {
     try {
@@ -219,9 +618,73 @@ router.get('/analyses/:id', auth, async (req, res, next) => {
             });
         }
 
+        // Owners can request a heatmap for analyses that completed without one.
+        // It takes dozens of forward passes, so it waits for an inference slot
+        // like queued analyses do.
+        const isOwner = analysis.user._id.toString() === req.user._id.toString();
+        if (req.query.generateHeatmap === 'true' && isOwner &&
+            analysis.status === 'completed' && !analysis.processedImage?.heatmap?.url) {
+            try {
+                await analysisQueue.withInferenceSlot(() => generateHeatmap(analysis));
+                await analysis.save();
+            } catch (error) {
+                return res.status(422).json({
+                    success: false,
+                    message: `Heatmap could not be generated: ${error.message}`
+                });
+            }
+        }
+
+        const heatmap = analysis.processedImage?.heatmap;
+        res.json({
+            success: true,
+            data: {
+                analysis,
+                heatmap: heatmap?.url
+                    ? {
+                        url: heatmap.url,
+                        method: heatmap.method,
+                        targetClass: heatmap.targetClass,
+                        baselineProbability: heatmap.baselineProbability,
+                        hotspot: heatmap.hotspot,
+                        generatedAt: heatmap.generatedAt
+                    }
+                    : null
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/images/analyses/:id/status
+// @desc    Get processing status and queue position of an analysis
+// @access  Private
+router.get('/analyses/:id/status', auth, async (req, res, next) => {
+    try {
+        const analysis = await ImageAnalysis.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        }).select('status errorMessage processingTime');
+
+        if (!analysis) {
+            return res.status(404).json({
+                success: false,
+                message: 'Analysis not found'
+            });
+        }
+
+        const job = await analysisQueue.getStatus(analysis._id);
+
         res.json({
             success: true,
-            data: { analysis }
+            data: {
+                analysisId: analysis._id,
+                status: analysis.status,
+                errorMessage: analysis.errorMessage || null,
+                processingTime: analysis.processingTime || null,
+                job
+            }
         });
     } catch (error) {
         next(error);
@@ -250,9 +713,7 @@ router.delete('/analyses/:id', auth, async (req, res, next) => {
             fs.unlinkSync(analysis.originalImage.path);
         }
 
-        if (analysis.processedImage && analysis.processedImage.path && fs.existsSync(analysis.processedImage.path)) {
-            fs.unlinkSync(analysis.processedImage.path);
-        }
+        removeDerivatives(analysis.processedImage);
 
         await analysis.deleteOne();
 
@@ -266,7 +727,8 @@ router.delete('/analyses/:id', auth, async (req, res, next) => {
 });
 
 // @route   POST /api/images/analyses/:id/feedback
-// @desc    Add feedback to analysis
+// @desc    Add feedback to analysis. correctedAnalysis may set detectedCrop, diseaseName
+//          and healthy; corrections and ratings feed the training dataset export
 // @access  Private
 router.post('/analyses/:id/feedback', auth, async (req, res, next) => {
     try {
@@ -357,7 +819,7 @@ router.get('/nearby', auth, async (req, res, next) => {
 
         res.json({
             success: true,
-            data: { analyses }
+            data: { analyses: analyses.map(toListItem) }
         });
     } catch (error) {
         next(error);
@@ -369,8 +831,9 @@ router.get('/nearby', auth, async (req, res, next) => {
 // @access  Private
 router.get('/stats', auth, async (req, res, next) => {
     try {
+        // Forced re-uploads of the same photo are not counted twice
         const stats = await ImageAnalysis.aggregate([
-            { $match: { user: req.user._id } },
+            { $match: { user: req.user._id, duplicateOf: { $exists: false } } },
             {
                 $group: {
                     _id: null,
@@ -378,6 +841,9 @@ router.get('/stats', auth, async (req, res, next) => {
                     completedAnalyses: {
                         $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
                     },
+                    notAPlantAnalyses: {
+                        $sum: { $cond: [{ $eq: ['$status', 'not_a_plant'] }, 1, 0] }
+                    },
                     averageHealthScore: {
                         $avg: '$analysis.cropAnalysis.healthScore'
                     },
@@ -389,7 +855,7 @@ router.get('/stats', auth, async (req, res, next) => {
         ]);
 
         const monthlyStats = await ImageAnalysis.aggregate([
-            { $match: { user: req.user._id } },
+            { $match: { user: req.user._id, duplicateOf: { $exists: false } } },
             {
                 $group: {
                     _id: {
@@ -409,6 +875,7 @@ router.get('/stats', auth, async (req, res, next) => {
                 overall: stats[0] || {
                     totalAnalyses: 0,
                     completedAnalyses: 0,
+                    notAPlantAnalyses: 0,
                     averageHealthScore: 0,
                     mostCommonCrop: []
                 },
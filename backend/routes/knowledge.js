@@ -0,0 +1,120 @@
+// Knowledge Base Routes
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const knowledgeBase = require('../services/knowledgeBase');
+const { auth, authorize } = require('../middleware/auth');
+const { validate, validateQuery } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Guides are indexed straight from memory, so they are not written to disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 20 * 1024 * 1024, // 20MB limit
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (/^\.(md|markdown|pdf)$/.test(path.extname(file.originalname).toLowerCase())) {
+            return cb(null, true);
+        }
+        cb(Object.assign(new Error('Only Markdown (.md) and PDF documents are allowed'), { statusCode: 400 }));
+    }
+});
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// @route   POST /api/knowledge/documents
+// @desc    Ingest a Markdown or PDF extension guide (multipart: document, title?, tags?, crops?)
+// @access  Private (Admin)
+router.post('/documents', auth, authorize('admin'), upload.single('document'), validate('knowledgeDocument'), async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please upload a document'
+            });
+        }
+
+        const { document, duplicate } = await knowledgeBase.ingestDocument({
+            buffer: req.file.buffer,
+            filename: req.file.originalname,
+            title: req.body.title,
+            tags: splitList(req.body.tags),
+            crops: splitList(req.body.crops),
+            uploadedBy: req.user._id
+        });
+
+        res.status(duplicate ? 200 : 201).json({
+            success: true,
+            message: duplicate
+                ? 'This document is already in the knowledge base'
+                : `Document ingested (${document.chunkCount} passages)`,
+            data: { document, duplicate }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/knowledge/documents
+// @desc    List ingested documents
+// @access  Private
+router.get('/documents', auth, async (req, res, next) => {
+    try {
+        const documents = await KnowledgeDocument.find()
+            .select('-checksum')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: { documents }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   DELETE /api/knowledge/documents/:id
+// @desc    Remove a document and its passages
+// @access  Private (Admin)
+router.delete('/documents/:id', auth, authorize('admin'), async (req, res, next) => {
+    try {
+        const document = await KnowledgeDocument.findById(req.params.id);
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: 'Document not found'
+            });
+        }
+
+        await knowledgeBase.removeDocument(document);
+
+        res.json({
+            success: true,
+            message: 'Document removed from the knowledge base'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/knowledge/search
+// @desc    Passages most relevant to a question (?q, ?limit)
+// @access  Private
+router.get('/search', auth, validateQuery('knowledgeSearch'), async (req, res, next) => {
+    try {
+        const results = await knowledgeBase.search(req.query.q, { limit: req.query.limit });
+
+        res.json({
+            success: true,
+            data: { results }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+// Expert Review Routes
+const express = require('express');
+const mongoose = require('mongoose');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const expertReview = require('../services/expertReview');
+const { auth, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Fields experts need to review an analysis (no farmer contact details)
+const REVIEW_FIELDS = 'user originalImage.url processedImage.url processedImage.thumbnail.url processedImage.heatmap ' +
+    'analysis metadata.location.address metadata.location.source review status createdAt';
+
+const invalidIdResponse = (res) => res.status(400).json({
+    success: false,
+    message: 'Invalid analysis ID'
+});
+
+// Explain why a claim/approve/correct call could not act on an analysis
+const reviewConflict = async (res, analysisId) => {
+    const analysis = await ImageAnalysis.findById(analysisId).select('review');
+    if (!analysis) {
+        return res.status(404).json({
+            success: false,
+            message: 'Analysis not found'
+        });
+    }
+
+    return res.status(409).json({
+        success: false,
+        message: analysis.review.status === 'in_review'
+            ? 'Analysis is claimed by another expert'
+            : `Analysis is not awaiting review (status: ${analysis.review.status})`
+    });
+};
+
+// @route   GET /api/reviews/queue
+// @desc    List analyses waiting for expert review (critical first, then oldest)
+// @access  Private (Expert)
+router.get('/queue', auth, authorize('expert'), async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status = 'pending', reason, mine } = req.query;
+        const skip = (page - 1) * limit;
+
+        if (!['pending', 'in_review', 'approved', 'corrected'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid review status'
+            });
+        }
+
+        const filter = { 'review.status': status };
+        if (reason) filter['review.reasons'] = reason;
+        if (mine === 'true') filter['review.reviewer'] = req.user._id;
+
+        const analyses = await ImageAnalysis.find(filter)
+            .sort({ 'review.priority': -1, 'review.queuedAt': 1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .select(REVIEW_FIELDS)
+            .populate('user', 'name')
+            .populate('review.reviewer', 'name');
+
+        const total = await ImageAnalysis.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                analyses,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/reviews/:analysisId
+// @desc    Get an analysis with its review state
+// @access  Private (Expert)
+router.get('/:analysisId', auth, authorize('expert'), async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.analysisId)) {
+            return invalidIdResponse(res);
+        }
+
+        const analysis = await ImageAnalysis.findOne({
+            _id: req.params.analysisId,
+            'review.status': { $ne: 'none' }
+        })
+            .select(REVIEW_FIELDS)
+            .populate('user', 'name')
+            .populate('review.reviewer', 'name');
+
+        if (!analysis) {
+            return res.status(404).json({
+                success: false,
+                message: 'Analysis not found in the review queue'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { analysis }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/reviews/:analysisId/claim
+// @desc    Claim an analysis so no other expert reviews it at the same time
+// @access  Private (Expert)
+router.post('/:analysisId/claim', auth, authorize('expert'), async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.analysisId)) {
+            return invalidIdResponse(res);
+        }
+
+        const analysis = await expertReview.claimReview(req.params.analysisId, req.user._id);
+        if (!analysis) {
+            return reviewConflict(res, req.params.analysisId);
+        }
+
+        res.json({
+            success: true,
+            message: 'Analysis claimed for review',
+            data: {
+                analysisId: analysis._id,
+                review: analysis.review,
+                claimExpiresAt: new Date(analysis.review.claimedAt.getTime() + expertReview.CLAIM_EXPIRY_MS)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/reviews/:analysisId/release
+// @desc    Return a claimed analysis to the queue
+// @access  Private (Expert)
+router.post('/:analysisId/release', auth, authorize('expert'), async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.analysisId)) {
+            return invalidIdResponse(res);
+        }
+
+        const analysis = await expertReview.releaseReview(req.params.analysisId, req.user._id);
+        if (!analysis) {
+            return reviewConflict(res, req.params.analysisId);
+        }
+
+        res.json({
+            success: true,
+            message: 'Analysis returned to the review queue'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/reviews/:analysisId/approve
+// @desc    Approve the AI diagnosis of a claimed analysis
+// @access  Private (Expert)
+router.post('/:analysisId/approve', auth, authorize('expert'), validate('reviewApproval'), async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.analysisId)) {
+            return invalidIdResponse(res);
+        }
+
+        const analysis = await expertReview.completeReview(req.params.analysisId, req.user, {
+            notes: req.body.notes
+        });
+        if (!analysis) {
+            return reviewConflict(res, req.params.analysisId);
+        }
+
+        res.json({
+            success: true,
+            message: 'Diagnosis approved and farmer notified',
+            data: { analysisId: analysis._id, review: analysis.review }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/reviews/:analysisId/correct
+// @desc    Correct the diagnosis of a claimed analysis
+// @access  Private (Expert)
+router.post('/:analysisId/correct', auth, authorize('expert'), validate('reviewCorrection'), async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.analysisId)) {
+            return invalidIdResponse(res);
+        }
+
+        const { notes, ...correction } = req.body;
+        const analysis = await expertReview.completeReview(req.params.analysisId, req.user, {
+            correction,
+            notes
+        });
+        if (!analysis) {
+            return reviewConflict(res, req.params.analysisId);
+        }
+
+        res.json({
+            success: true,
+            message: 'Diagnosis corrected and farmer notified',
+            data: { analysis }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
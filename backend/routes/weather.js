@@ -1,89 +1,31 @@
 // Weather API Routes
 const express = require('express');
-const axios = require('axios');
 const WeatherData = require('../models/WeatherData');
 const WeatherAlert = require('../models/WeatherAlert');
 const { auth } = require('../middleware/auth');
+const { resolveCoordinates, getCurrentWeather, getForecast } = require('../services/weather');
 
 const router = express.Router();
 
-// OpenWeatherMap API configuration
-const WEATHER_API_KEY = process.env.OPENWEATHER_API_KEY;
-const WEATHER_BASE_URL = 'https://api.openweathermap.org/data/2.5';
-const GEOCODE_BASE_URL = 'http://api.openweathermap.org/geo/1.0';
-
 // @route   GET /api/weather/current
 // @desc    Get current weather conditions
 // @access  Private
 router.get('/current', auth, async (req, res, next) => {
     try {
-        const { latitude, longitude, location } = req.query;
+        const { location } = req.query;
 
-        if (!latitude || !longitude) {
-            return res.status(400).json({
+        const coordinates = await resolveCoordinates(req.query, req.user);
+        if (coordinates.message) {
+            return res.status(coordinates.status).json({
                 success: false,
-                message: 'Latitude and longitude are required'
+                message: coordinates.message
             });
         }
-
-        // Check if we have recent cached data
-        const cacheExpiry = new Date(Date.now() - 10 * 60 * 1000); // 10 minutes
-        const cachedWeather = await WeatherData.findOne({
-            latitude: parseFloat(latitude),
-            longitude: parseFloat(longitude),
-            timestamp: { $gte: cacheExpiry }
-        }).sort({ timestamp: -1 });
-
-        if (cachedWeather) {
-            return res.json({
-                success: true,
-                data: {
-                    weather: cachedWeather,
-                    source: 'cache'
-                }
-            });
-        }
-
-        // Fetch from OpenWeatherMap API
-        const response = await axios.get(`${WEATHER_BASE_URL}/weather`, {
-            params: {
-                lat: latitude,
-                lon: longitude,
-                appid: WEATHER_API_KEY,
-                units: 'metric'
-            }
-        });
-
-        const weatherData = response.data;
-
-        // Save to database
-        const weatherRecord = await WeatherData.create({
-            user: req.user._id,
-            latitude: parseFloat(latitude),
-            longitude: parseFloat(longitude),
-            location: location || `${weatherData.name}, ${weatherData.sys.country}`,
-            temperature: weatherData.main.temp,
-            feelsLike: weatherData.main.feels_like,
-            humidity: weatherData.main.humidity,
-            pressure: weatherData.main.pressure,
-            windSpeed: weatherData.wind.speed,
-            windDirection: weatherData.wind.deg,
-            visibility: weatherData.visibility,
-            uvIndex: weatherData.uvi || null,
-            conditions: weatherData.weather[0].main,
-            description: weatherData.weather[0].description,
-            icon: weatherData.weather[0].icon,
-            sunrise: new Date(weatherData.sys.sunrise * 1000),
-            sunset: new Date(weatherData.sys.sunset * 1000),
-            timestamp: new Date()
-        });
+        const { weather, source } = await getCurrentWeather({ ...coordinates, location }, req.user);
 
         res.json({
             success: true,
-            data: {
-                weather: weatherRecord,
-                source: 'api'
-            }
+            data: { weather, source }
         });
 
     } catch (error) {
@@ -102,76 +44,20 @@ router.get('/current', auth, async (req, res, next) => {
 // @access  Private
 router.get('/forecast', auth, async (req, res, next) => {
     try {
-        const { latitude, longitude, days = 5 } = req.query;
+        const { days = 5 } = req.query;
 
-        if (!latitude || !longitude) {
-            return res.status(400).json({
+        const coordinates = await resolveCoordinates(req.query, req.user);
+        if (coordinates.message) {
+            return res.status(coordinates.status).json({
                 success: false,
-                message: 'Latitude and longitude are required'
+                message: coordinates.message
             });
         }
-
-        const response = await axios.get(`${WEATHER_BASE_URL}/forecast`, {
-            params: {
-                lat: latitude,
-                lon: longitude,
-                appid: WEATHER_API_KEY,
-                units: 'metric',
-                cnt: parseInt(days) * 8 // 8 forecasts per day (3-hour intervals)
-            }
-        });
-
-        const forecastData = response.data.list.map(item => ({
-            timestamp: new Date(item.dt * 1000),
-            temperature: item.main.temp,
-            feelsLike: item.main.feels_like,
-            humidity: item.main.humidity,
-            pressure: item.main.pressure,
-            windSpeed: item.wind.speed,
-            windDirection: item.wind.deg,
-            conditions: item.weather[0].main,
-            description: item.weather[0].description,
-            icon: item.weather[0].icon,
-            precipitation: item.rain ? item.rain['3h'] || 0 : 0,
-            probability: item.pop || 0
-        }));
-
-        // Group by days
-        const dailyForecast = {};
-        forecastData.forEach(item => {
-            const date = item.timestamp.toDateString();
-            if (!dailyForecast[date]) {
-                dailyForecast[date] = {
-                    date: item.timestamp,
-                    items: []
-                };
-            }
-            dailyForecast[date].items.push(item);
-        });
-
-        // Calculate daily summaries
-        const dailySummaries = Object.values(dailyForecast).map(day => {
-            const temps = day.items.map(item => item.temperature);
-            return {
-                date: day.date,
-                minTemp: Math.min(...temps),
-                maxTemp: Math.max(...temps),
-                avgTemp: temps.reduce((a, b) => a + b, 0) / temps.length,
-                humidity: day.items[0].humidity, // Use first reading of the day
-                conditions: day.items[0].conditions,
-                description: day.items[0].description,
-                icon: day.items[0].icon,
-                precipitation: day.items.reduce((sum, item) => sum + item.precipitation, 0),
-                hourly: day.items
-            };
-        });
+        const { location, forecast } = await getForecast(coordinates, days);
 
         res.json({
             success: true,
-            data: {
-                location: response.data.city.name,
-                forecast: dailySummaries
-            }
+            data: { location, forecast }
         });
 
     } catch (error) {
@@ -180,18 +66,23 @@ router.get('/forecast', auth, async (req, res, next) => {
 });
 
 // @route   GET /api/weather/alerts
-// @desc    Get weather alerts for location
+// @desc    Get weather alerts for a location or field (fieldId; matched against its boundary)
 // @access  Private
 router.get('/alerts', auth, async (req, res, next) => {
     try {
-        const { latitude, longitude } = req.query;
-
-        if (!latitude || !longitude) {
-            return res.status(400).json({
+        const coordinates = await resolveCoordinates(req.query, req.user);
+        if (coordinates.message) {
+            return res.status(coordinates.status).json({
                 success: false,
-                message: 'Latitude and longitude are required'
+                message: coordinates.message
             });
         }
+        const { latitude, longitude, field } = coordinates;
+
+        // A field's alerts: those touching its boundary or raised for it directly
+        const geometry = field?.boundary
+            ? field.boundary.toObject()
+            : { type: 'Point', coordinates: [parseFloat(longitude), parseFloat(latitude)] };
 
         // Get existing alerts from database
         const activeAlerts = await WeatherAlert.find({
@@ -200,17 +91,15 @@ router.get('/alerts', auth, async (req, res, next) => {
                     expiresAt: { $gt: new Date() },
                     affectedAreas: {
                         $geoIntersects: {
-                            $geometry: {
-                                type: 'Point',
-                                coordinates: [parseFloat(longitude), parseFloat(latitude)]
-                            }
+                            $geometry: geometry
                         }
                     }
                 },
                 {
                     expiresAt: { $gt: new Date() },
                     isGlobal: true
-                }
+                },
+                ...(field ? [{ expiresAt: { $gt: new Date() }, field: field._id }] : [])
             ]
         }).sort({ severity: -1, createdAt: -1 });
 
@@ -284,7 +173,7 @@ const generateAgriculturalAlerts = (latitude, longitude) => {
 };
 
 // @route   POST /api/weather/alerts
-// @desc    Create weather alert
+// @desc    Create weather alert (fieldId instead of affectedAreas covers that field)
 // @access  Private (Admin only)
 router.post('/alerts', auth, async (req, res, next) => {
     try {
@@ -294,11 +183,27 @@ router.post('/alerts', auth, async (req, res, next) => {
             description,
             severity,
             type,
-            affectedAreas,
+            fieldId,
             recommendations,
             affectedCrops,
             expiresAt
         } = req.body;
+        let { affectedAreas } = req.body;
+
+        let field = null;
+        if (fieldId) {
+            const coordinates = await resolveCoordinates({ fieldId }, req.user);
+            if (coordinates.message) {
+                return res.status(coordinates.status).json({
+                    success: false,
+                    message: coordinates.message
+                });
+            }
+            field = coordinates.field;
+            affectedAreas = field.boundary
+                ? field.boundary.toObject()
+                : { type: 'Point', coordinates: [coordinates.longitude, coordinates.latitude] };
+        }
 
         const alert = await WeatherAlert.create({
             title,
@@ -306,6 +211,7 @@ router.post('/alerts', auth, async (req, res, next) => {
             severity,
             type,
             affectedAreas,
+            field: field ? field._id : undefined,
             recommendations,
             affectedCrops,
             expiresAt: expiresAt ? new Date(expiresAt) : new Date(Date.now() + 24 * 60 * 60 * 1000),
@@ -328,14 +234,16 @@ router.post('/alerts', auth, async (req, res, next) => {
 // @access  Private
 router.get('/history', auth, async (req, res, next) => {
     try {
-        const { latitude, longitude, days = 30 } = req.query;
+        const { days = 30 } = req.query;
 
-        if (!latitude || !longitude) {
-            return res.status(400).json({
+        const coordinates = await resolveCoordinates(req.query, req.user);
+        if (coordinates.message) {
+            return res.status(coordinates.status).json({
                 success: false,
-                message: 'Latitude and longitude are required'
+                message: coordinates.message
             });
         }
+        const { latitude, longitude } = coordinates;
 
         const startDate = new Date();
         startDate.setDate(startDate.getDate() - parseInt(days));
@@ -403,14 +311,14 @@ const calculateTrend = (data) => {
 // @access  Private
 router.get('/agricultural-insights', auth, async (req, res, next) => {
     try {
-        const { latitude, longitude } = req.query;
-
-        if (!latitude || !longitude) {
-            return res.status(400).json({
+        const coordinates = await resolveCoordinates(req.query, req.user);
+        if (coordinates.message) {
+            return res.status(coordinates.status).json({
                 success: false,
-                message: 'Latitude and longitude are required'
+                message: coordinates.message
             });
         }
+        const { latitude, longitude } = coordinates;
 
         // Get current weather
         const currentWeather = await WeatherData.findOne({
@@ -0,0 +1,40 @@
+// Validate an agricultural rule set and run its embedded test cases.
+//
+//   npm run test:rules                      checks the active rules file
+//   npm run test:rules -- path/to/rules.json
+//
+// Exits with a non-zero code when the rule set is invalid or a test fails.
+const path = require('path');
+const fs = require('fs');
+const { RULES_PATH, validateRules, runRuleTests } = require('../services/agriculturalRules');
+
+const rulesPath = process.argv[2] ? path.resolve(process.argv[2]) : RULES_PATH;
+
+let rawRules;
+try {
+    rawRules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+} catch (error) {
+    console.error(`❌ Could not read ${rulesPath}: ${error.message}`);
+    process.exit(1);
+}
+
+const { value, errors } = validateRules(rawRules);
+if (errors) {
+    console.error(`❌ Invalid rule set ${rulesPath}:`);
+    errors.forEach(message => console.error(`   - ${message}`));
+    process.exit(1);
+}
+
+console.log(`📐 Rule set ${value.version} (${rulesPath})`);
+const report = runRuleTests(value);
+report.results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+    result.failures.forEach(failure => {
+        console.log(failure.error
+            ? `   ${failure.error}`
+            : `   ${failure.field}: expected ${JSON.stringify(failure.expected)}, got ${JSON.stringify(failure.actual)}`);
+    });
+});
+
+console.log(`\n${report.passed}/${report.total} rule tests passed`);
+process.exit(report.failed > 0 ? 1 : 0);
@@ -0,0 +1,36 @@
+// Ingest the Markdown/PDF extension guides in a directory into the chatbot
+// knowledge base. Files that were already ingested are skipped.
+//
+//   npm run ingest:knowledge                  ingests backend/knowledge
+//   npm run ingest:knowledge -- path/to/guides
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { KNOWLEDGE_DIR, ingestDirectory } = require('../services/knowledgeBase');
+
+const directory = process.argv[2] ? path.resolve(process.argv[2]) : KNOWLEDGE_DIR;
+
+const run = async () => {
+    await connectDB();
+
+    console.log(`📚 Ingesting guides from ${directory}`);
+    const results = await ingestDirectory(directory);
+    results.forEach(result => {
+        if (result.error) {
+            console.error(`❌ ${result.file}: ${result.error}`);
+        } else if (result.duplicate) {
+            console.log(`⏭️  ${result.file}: already ingested as "${result.title}"`);
+        } else {
+            console.log(`✅ ${result.file}: "${result.title}" (${result.passages} passages)`);
+        }
+    });
+
+    await mongoose.disconnect();
+    process.exit(results.some(result => result.error) ? 1 : 0);
+};
+
+run().catch(error => {
+    console.error(`❌ Ingestion failed: ${error.message}`);
+    process.exit(1);
+});
@@ -19,6 +19,11 @@ const chatbotRoutes = require('./routes/chatbot');
 const weatherRoutes = require('./routes/weather');
 const communityRoutes = require('./routes/community');
 const notificationRoutes = require('./routes/notifications');
+const reviewRoutes = require('./routes/reviews');
+const datasetRoutes = require('./routes/datasets');
+const farmRoutes = require('./routes/farms');
+const fieldRoutes = require('./routes/fields');
+const knowledgeRoutes = require('./routes/knowledge');
 
 // Import middleware
 const { auth } = require('./middleware/auth');
@@ -27,6 +32,12 @@ const errorHandler = require('./middleware/errorHandler');
 // Import database connection
 const connectDB = require('./config/database');
 
+// Import background workers
+const analysisQueue = require('./services/analysisQueue');
+const batchAnalysis = require('./services/batchAnalysis');
+const modelTraining = require('./services/modelTraining');
+const modelEvaluation = require('./services/modelEvaluation');
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -166,7 +177,8 @@ app.get('/api/docs', (req, res) => {
                     contentType: 'multipart/form-data',
                     body: {
                         image: 'file (required)',
-                        cropType: 'string (optional)'
+                        cropType: 'string (optional)',
+                        modelId: 'string (optional, see /ai/models)'
                     }
                 },
                 list: {
@@ -216,6 +228,23 @@ app.get('/api/docs', (req, res) => {
                         context: 'object (optional)'
                     }
                 },
+                stream: {
+                    method: 'POST',
+                    path: '/chatbot/chat/stream',
+                    description: 'Ask a question and receive the reply as Server-Sent Events (session, token, done, error)',
+                    auth: 'Bearer Token Required',
+                    body: {
+                        message: 'string (required)',
+                        sessionId: 'string (optional)',
+                        language: 'string (optional)'
+                    }
+                },
+                context: {
+                    method: 'GET',
+                    path: '/chatbot/context',
+                    description: 'See the farm context shared with the chatbot (PUT with section booleans to switch sections off)',
+                    auth: 'Bearer Token Required'
+                },
                 history: {
                     method: 'GET',
                     path: '/chatbot/history',
@@ -285,6 +314,124 @@ app.get('/api/docs', (req, res) => {
                     description: 'Mark notification as read',
                     auth: 'Bearer Token Required'
                 }
+            },
+            reviews: {
+                queue: {
+                    method: 'GET',
+                    path: '/reviews/queue',
+                    description: 'Low-confidence and critical analyses awaiting expert review',
+                    auth: 'Bearer Token Required (expert)'
+                },
+                claim: {
+                    method: 'POST',
+                    path: '/reviews/:analysisId/claim',
+                    description: 'Claim an analysis for review',
+                    auth: 'Bearer Token Required (expert)'
+                },
+                approve: {
+                    method: 'POST',
+                    path: '/reviews/:analysisId/approve',
+                    description: 'Approve the AI diagnosis and notify the farmer',
+                    auth: 'Bearer Token Required (expert)',
+                    body: {
+                        notes: 'string (optional)'
+                    }
+                },
+                correct: {
+                    method: 'POST',
+                    path: '/reviews/:analysisId/correct',
+                    description: 'Correct the diagnosis and notify the farmer',
+                    auth: 'Bearer Token Required (expert)',
+                    body: {
+                        detectedCrop: 'string (optional)',
+                        condition: 'string (optional)',
+                        diseaseName: 'string (optional)',
+                        treatment: 'string[] (optional)',
+                        notes: 'string (optional)'
+                    }
+                }
+            },
+            farms: {
+                create: {
+                    method: 'POST',
+                    path: '/farms',
+                    description: 'Register a farm',
+                    auth: 'Bearer Token Required',
+                    body: {
+                        name: 'string (required)',
+                        location: 'object (optional)'
+                    }
+                },
+                get: {
+                    method: 'GET',
+                    path: '/farms/:id',
+                    description: 'Get a farm with its fields and total area in the preferred unit',
+                    auth: 'Bearer Token Required'
+                }
+            },
+            fields: {
+                create: {
+                    method: 'POST',
+                    path: '/fields',
+                    description: 'Register a field or plot; pass its id as fieldId when uploading or for weather',
+                    auth: 'Bearer Token Required',
+                    body: {
+                        name: 'string (required)',
+                        farmId: 'string (optional)',
+                        boundary: 'GeoJSON Polygon (optional, area is computed)',
+                        crop: 'string (optional)',
+                        plantingDate: 'ISO date (optional)',
+                        soilType: 'string (optional)',
+                        irrigationType: 'string (optional)',
+                        location: 'object (optional)'
+                    }
+                },
+                treatments: {
+                    method: 'POST',
+                    path: '/fields/:id/treatments',
+                    description: 'Log a treatment applied to the field',
+                    auth: 'Bearer Token Required',
+                    body: {
+                        name: 'string (required)',
+                        targetDisease: 'string (optional)',
+                        appliedAt: 'ISO date (optional)'
+                    }
+                },
+                timeline: {
+                    method: 'GET',
+                    path: '/fields/:id/timeline',
+                    description: 'Health score progression, first detection of each disease and whether treatments are working',
+                    auth: 'Bearer Token Required',
+                    query: {
+                        from: 'ISO date (optional)',
+                        to: 'ISO date (optional)'
+                    }
+                }
+            },
+            knowledge: {
+                ingest: {
+                    method: 'POST',
+                    path: '/knowledge/documents',
+                    description: 'Ingest a Markdown or PDF extension guide into the chatbot knowledge base (admin)',
+                    auth: 'Bearer Token Required',
+                    contentType: 'multipart/form-data',
+                    body: {
+                        document: 'file (required, .md or .pdf)',
+                        title: 'string (optional)',
+                        tags: 'comma-separated string (optional)',
+                        crops: 'comma-separated string (optional)'
+                    }
+                },
+                search: {
+                    method: 'GET',
+                    path: '/knowledge/search',
+                    description: 'Passages most relevant to a question (BM25)',
+                    auth: 'Bearer Token Required',
+                    query: {
+                        q: 'string (required)',
+                        limit: 'number (optional, default 5)'
+                    }
+                }
             }
         },
         authentication: {
@@ -323,7 +470,12 @@ app.get('/', (req, res) => {
             chatbot: '/api/chatbot',
             weather: '/api/weather',
             community: '/api/community',
-            notifications: '/api/notifications'
+            notifications: '/api/notifications',
+            reviews: '/api/reviews',
+            datasets: '/api/datasets',
+            farms: '/api/farms',
+            fields: '/api/fields',
+            knowledge: '/api/knowledge'
         },
         documentation: '/api/docs',
         repository: 'https://github.com/PhilipOndieki/agri-ai.git'
@@ -338,6 +490,11 @@ app.use('/api/chatbot', auth, chatbotRoutes);
 app.use('/api/weather', auth, weatherRoutes);
 app.use('/api/community', auth, communityRoutes);
 app.use('/api/notifications', auth, notificationRoutes);
+app.use('/api/reviews', auth, reviewRoutes);
+app.use('/api/datasets', auth, datasetRoutes);
+app.use('/api/farms', auth, farmRoutes);
+app.use('/api/fields', auth, fieldRoutes);
+app.use('/api/knowledge', auth, knowledgeRoutes);
 
 // 404 handler for undefined routes
 app.use((req, res) => {
@@ -354,6 +511,7 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('👋 SIGTERM received, closing server gracefully...');
+    analysisQueue.stop();
     server.close(() => {
         console.log('✅ Server closed');
         require('mongoose').connection.close(false, () => {
@@ -373,6 +531,12 @@ const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`🔧 Health: http://localhost:${PORT}/api/health`);
     console.log(`📚 Docs: http://localhost:${PORT}/api/docs`);
     console.log('═══════════════════════════════════════');
+
+    // Start processing queued image analyses (requeues jobs interrupted by a restart)
+    analysisQueue.start();
+    batchAnalysis.resumeInterruptedBatches();
+    modelTraining.failInterruptedTrainingJobs();
+    modelEvaluation.failInterruptedEvaluations();
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,530 @@
+// Agricultural Rule Engine
+// Turns a model's top prediction into crop, health score, condition, issues and
+// treatment using a declarative JSON rule set instead of hardcoded logic. The
+// active rule set is read from AGRI_RULES_PATH (default config/agriculturalRules.json)
+// and reloaded whenever the file changes, so agronomists can adjust rules
+// without a deploy. Every rule set carries its own test cases, which must pass
+// before it can be activated.
+//
+// Evaluation is deterministic: crops and score rules are checked in file order
+// and the first match wins. Each taxonomy can also define a plant check that
+// rejects photos that don't show a plant (see checkPlant). When the leaf was
+// segmented, `damageScoring` turns the measured damaged leaf area into the
+// health score instead of the score rules.
+const Joi = require('joi');
+const _ = require('lodash');
+const path = require('path');
+const fs = require('fs');
+const ImageAnalysis = require('../models/ImageAnalysis');
+
+const RULES_PATH = process.env.AGRI_RULES_PATH || path.join(__dirname, '..', 'config', 'agriculturalRules.json');
+
+const keywordList = Joi.array().items(Joi.string().trim().lowercase().min(1)).min(1);
+const stringList = Joi.array().items(Joi.string().min(1)).default([]);
+
+const scoreFormula = Joi.object({
+    base: Joi.number().required(),
+    perConfidence: Joi.number().required()
+});
+
+const taxonomySchema = Joi.object({
+    cropSource: Joi.string().valid('keywords', 'label').required(),
+    crops: Joi.array().items(Joi.object({
+        name: Joi.string().required(),
+        keywords: keywordList.required()
+    })).default([]),
+    plantKeywords: Joi.array().items(Joi.string().trim().lowercase()).default([]),
+    labelSeparator: Joi.string().default('___'),
+    scoreRules: Joi.array().items(Joi.object({
+        id: Joi.string().required(),
+        when: Joi.object({
+            keywords: keywordList,
+            healthy: Joi.boolean(),
+            minConfidence: Joi.number().min(0).max(1),
+            maxConfidence: Joi.number().min(0).max(1)
+        }).min(1).required(),
+        score: scoreFormula.required(),
+        disease: Joi.boolean().default(false)
+    })).unique('id').default([]),
+    defaultScore: scoreFormula.required(),
+    defaultDisease: Joi.boolean().default(false),
+    diseaseName: Joi.string().allow(''), // omitted: disease name comes from the label
+    plantDetection: Joi.object({
+        plantClasses: Joi.array().items(Joi.string().trim().lowercase().min(1)), // exact class names
+        minPlantProbability: Joi.number().min(0).max(1), // share of the top predictions on plantClasses
+        minConfidence: Joi.number().min(0).max(1), // top-1 probability
+        maxEntropy: Joi.number().min(0).max(1) // normalized entropy of the whole distribution
+    }).default({})
+});
+
+const predictionSchema = Joi.object({
+    className: Joi.string().required(),
+    probability: Joi.number().min(0).max(1).required()
+});
+
+const ruleSetSchema = Joi.object({
+    version: Joi.string().required(),
+    description: Joi.string().allow(''),
+    taxonomies: Joi.object().pattern(Joi.string(), taxonomySchema).min(1).required(),
+    conditions: Joi.array().items(Joi.object({
+        name: Joi.string().required(),
+        above: Joi.number().allow(null).required()
+    })).min(1).unique('name').required(),
+    recommendations: Joi.object().pattern(Joi.string(), stringList).required(),
+    damageScoring: Joi.object({ // omitted: health scores always come from the score rules
+        minLeafCoverage: Joi.number().min(0).max(1).default(0.1), // share of the photo the leaf must cover
+        curve: Joi.array().items(Joi.object({ // linear between points
+            damagedArea: Joi.number().min(0).max(100).required(), // percent of the leaf
+            score: Joi.number().min(0).max(100).required()
+        })).min(2).required()
+    }),
+    disease: Joi.object({
+        issues: stringList,
+        symptoms: stringList,
+        treatment: stringList,
+        specific: Joi.array().items(Joi.object({
+            id: Joi.string().required(),
+            keywords: keywordList.required(),
+            issues: Joi.array().items(Joi.string()),
+            symptoms: Joi.array().items(Joi.string()),
+            treatment: Joi.array().items(Joi.string())
+        })).unique('id').default([])
+    }).required(),
+    notPlant: Joi.object({
+        message: Joi.string().required(),
+        recommendations: stringList
+    }).required(),
+    tests: Joi.array().items(Joi.object({
+        name: Joi.string().required(),
+        taxonomy: Joi.string().required(),
+        prediction: predictionSchema, // top prediction only
+        predictions: Joi.array().items(predictionSchema).min(1), // top predictions, best first
+        entropy: Joi.number().min(0).max(1),
+        damagedArea: Joi.number().min(0).max(100), // measured leaf damage in percent
+        expect: Joi.object().min(1).required()
+    }).xor('prediction', 'predictions')).default([])
+});
+
+// Checks joi can't express: condition thresholds and cross references
+const checkConsistency = (rules) => {
+    const problems = [];
+
+    const thresholds = rules.conditions.map(condition => condition.above);
+    if (thresholds[thresholds.length - 1] !== null) {
+        problems.push('The last condition must have "above": null to catch every remaining score');
+    }
+    for (let i = 1; i < thresholds.length - 1; i++) {
+        if (thresholds[i] === null || thresholds[i] >= thresholds[i - 1]) {
+            problems.push('Conditions must be ordered by strictly decreasing "above" thresholds');
+            break;
+        }
+    }
+
+    const curve = rules.damageScoring?.curve || [];
+    if (curve.length > 0 && curve[0].damagedArea !== 0) {
+        problems.push('The damage scoring curve must start at "damagedArea": 0');
+    }
+    if (curve.some((point, i) => i > 0 && point.damagedArea <= curve[i - 1].damagedArea)) {
+        problems.push('Damage scoring points must be ordered by strictly increasing "damagedArea"');
+    }
+
+    const allowedConditions = ImageAnalysis.schema.path('analysis.cropAnalysis.condition').enumValues;
+    rules.conditions.forEach(condition => {
+        if (!allowedConditions.includes(condition.name)) {
+            problems.push(`Condition "${condition.name}" must be one of: ${allowedConditions.join(', ')}`);
+        }
+        if (!rules.recommendations[condition.name]) {
+            problems.push(`No recommendations defined for condition "${condition.name}"`);
+        }
+    });
+
+    Object.entries(rules.taxonomies).forEach(([name, taxonomy]) => {
+        if (taxonomy.cropSource === 'keywords' && taxonomy.crops.length === 0) {
+            problems.push(`Taxonomy "${name}" uses keyword crops but defines none`);
+        }
+        if (taxonomy.cropSource === 'keywords' && taxonomy.diseaseName === undefined) {
+            problems.push(`Taxonomy "${name}" needs a diseaseName because its labels carry no disease`);
+        }
+        const { plantClasses, minPlantProbability } = taxonomy.plantDetection;
+        if (minPlantProbability !== undefined && !plantClasses?.length) {
+            problems.push(`Taxonomy "${name}" sets minPlantProbability without any plantClasses`);
+        }
+    });
+
+    rules.tests.forEach(test => {
+        if (!rules.taxonomies[test.taxonomy]) {
+            problems.push(`Test "${test.name}" uses unknown taxonomy "${test.taxonomy}"`);
+        }
+    });
+
+    return problems;
+};
+
+// Validate a raw rule set. Resolves to { value } or { errors: [...] }.
+const validateRules = (rawRules) => {
+    const { error, value } = ruleSetSchema.validate(rawRules, { abortEarly: false });
+    if (error) {
+        return { errors: error.details.map(detail => detail.message) };
+    }
+
+    const problems = checkConsistency(value);
+    return problems.length > 0 ? { errors: problems } : { value };
+};
+
+const includesAny = (text, keywords = []) => keywords.some(keyword => text.includes(keyword));
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const scoreFrom = ({ base, perConfidence }, probability) => {
+    return Math.min(Math.max(Math.floor(base + perConfidence * probability), 0), 100);
+};
+
+// Health score for a measured leaf damage, or null when the leaf wasn't
+// segmented or the rule set has no damage scoring
+const scoreFromDamage = (damage, damageScoring) => {
+    if (!damageScoring || !damage?.leafFound || typeof damage.damagedArea !== 'number') return null;
+    if (damage.leafCoverage < damageScoring.minLeafCoverage) return null;
+
+    const { curve } = damageScoring;
+    const area = Math.min(Math.max(damage.damagedArea, 0), 100);
+    const upper = curve.findIndex(point => point.damagedArea >= area);
+    let score;
+    if (upper === -1) {
+        score = curve[curve.length - 1].score;
+    } else if (upper === 0) {
+        score = curve[0].score;
+    } else {
+        const from = curve[upper - 1];
+        const to = curve[upper];
+        score = from.score + (to.score - from.score) * (area - from.damagedArea) / (to.damagedArea - from.damagedArea);
+    }
+    return Math.min(Math.max(Math.floor(score), 0), 100);
+};
+
+// Crop, plant flag and label-derived disease for the top class
+const identifyCrop = (className, taxonomy) => {
+    if (taxonomy.cropSource === 'label') {
+        // PlantVillage-style labels such as "Tomato___Early_blight" or "Corn_(maize)___healthy"
+        const [cropPart, conditionPart = ''] = className.split(taxonomy.labelSeparator);
+        const crop = cropPart.replace(/_/g, ' ').replace(/\s*\(.*\)\s*/, '').trim();
+        const labelCondition = conditionPart.replace(/_/g, ' ').trim();
+
+        return {
+            detectedCrop: capitalize(crop),
+            isPlant: true,
+            healthyLabel: labelCondition.toLowerCase() === 'healthy',
+            labelCondition: capitalize(labelCondition)
+        };
+    }
+
+    const lowerName = className.toLowerCase();
+    const crop = taxonomy.crops.find(candidate => includesAny(lowerName, candidate.keywords));
+    if (crop) {
+        return { detectedCrop: crop.name, isPlant: true };
+    }
+    if (includesAny(lowerName, taxonomy.plantKeywords)) {
+        return { detectedCrop: lowerName.split(',')[0].trim(), isPlant: true };
+    }
+    return { detectedCrop: 'Unknown Crop', isPlant: false };
+};
+
+const ruleMatches = (when, lowerName, probability, crop) => {
+    if (when.keywords && !includesAny(lowerName, when.keywords)) return false;
+    if (when.healthy !== undefined && when.healthy !== !!crop.healthyLabel) return false;
+    if (when.minConfidence !== undefined && probability < when.minConfidence) return false;
+    if (when.maxConfidence !== undefined && probability > when.maxConfidence) return false;
+    return true;
+};
+
+// Evaluate one prediction ({ className, probability }) against a validated rule
+// set. `damage` is the leaf segmentation of the same photo, if any.
+const evaluatePrediction = (prediction, taxonomyName, rules, { damage } = {}) => {
+    const taxonomy = rules.taxonomies[taxonomyName];
+    if (!taxonomy) {
+        throw new Error(`Rule set ${rules.version} has no rules for taxonomy "${taxonomyName}"`);
+    }
+
+    const { className, probability } = prediction;
+    const lowerName = className.toLowerCase();
+    const crop = identifyCrop(className, taxonomy);
+
+    const scoreRule = taxonomy.scoreRules.find(rule => ruleMatches(rule.when, lowerName, probability, crop));
+    const damageScore = scoreFromDamage(damage, rules.damageScoring);
+    const healthScore = damageScore ?? scoreFrom(scoreRule ? scoreRule.score : taxonomy.defaultScore, probability);
+    const diseaseDetected = scoreRule ? scoreRule.disease : taxonomy.defaultDisease;
+    const condition = rules.conditions.find(c => c.above === null || healthScore > c.above).name;
+
+    let diseaseName = '';
+    let issues = [];
+    let symptoms = [];
+    let treatment = [];
+    let specificRule = null;
+
+    if (diseaseDetected) {
+        diseaseName = taxonomy.diseaseName !== undefined ? taxonomy.diseaseName : crop.labelCondition;
+
+        const searchText = `${lowerName.replace(/_/g, ' ')} ${diseaseName.toLowerCase()}`;
+        specificRule = rules.disease.specific.find(rule => includesAny(searchText, rule.keywords)) || null;
+
+        issues = [...(specificRule?.issues || rules.disease.issues)];
+        symptoms = [...(specificRule?.symptoms || rules.disease.symptoms)];
+        treatment = [...(specificRule?.treatment || rules.disease.treatment)];
+        if (taxonomy.diseaseName === undefined && diseaseName) {
+            issues.unshift(diseaseName);
+        }
+    }
+
+    return {
+        detectedCrop: crop.detectedCrop,
+        isPlant: crop.isPlant,
+        healthScore,
+        scoreSource: damageScore === null ? 'model' : 'leaf_damage',
+        condition,
+        diseaseDetected,
+        diseaseName,
+        issues,
+        symptoms,
+        treatment,
+        recommendations: [...rules.recommendations[condition]],
+        matchedRules: [
+            scoreRule?.id || 'default',
+            ...(damageScore !== null ? ['leaf-damage'] : []),
+            ...(specificRule ? [specificRule.id] : [])
+        ],
+        rulesVersion: rules.version
+    };
+};
+
+// Decide whether the top predictions look like a plant photo at all. Photos
+// fail when too little probability lands on the taxonomy's plant classes, when
+// the model is too unsure (low top-1 probability or high entropy), or both;
+// `reasons` lists every failed check.
+const checkPlant = (predictions, taxonomyName, rules, { entropy } = {}) => {
+    const taxonomy = rules.taxonomies[taxonomyName];
+    if (!taxonomy) {
+        throw new Error(`Rule set ${rules.version} has no rules for taxonomy "${taxonomyName}"`);
+    }
+
+    const { plantClasses, minPlantProbability, minConfidence, maxEntropy } = taxonomy.plantDetection;
+    const confidence = predictions[0]?.probability ?? 0;
+    const reasons = [];
+
+    let plantProbability = null;
+    if (plantClasses) {
+        const plantClassSet = new Set(plantClasses);
+        plantProbability = Math.round(predictions
+            .filter(prediction => plantClassSet.has(prediction.className.toLowerCase()))
+            .reduce((sum, prediction) => sum + prediction.probability, 0) * 10000) / 10000;
+
+        if (minPlantProbability !== undefined && plantProbability < minPlantProbability) {
+            reasons.push('no_plant_classes');
+        }
+    }
+    if (minConfidence !== undefined && confidence < minConfidence) {
+        reasons.push('low_confidence');
+    }
+    if (maxEntropy !== undefined && typeof entropy === 'number' && entropy > maxEntropy) {
+        reasons.push('high_entropy');
+    }
+
+    return {
+        isPlant: reasons.length === 0,
+        reasons,
+        plantProbability,
+        confidence,
+        entropy: typeof entropy === 'number' ? Math.round(entropy * 10000) / 10000 : null
+    };
+};
+
+// Run the test cases embedded in a validated rule set
+const runRuleTests = (rules) => {
+    const results = rules.tests.map(test => {
+        const predictions = test.predictions || [test.prediction];
+        const damage = test.damagedArea !== undefined
+            ? { leafFound: true, leafCoverage: 1, damagedArea: test.damagedArea }
+            : undefined;
+        let actual;
+        try {
+            actual = {
+                ...evaluatePrediction(predictions[0], test.taxonomy, rules, { damage }),
+                plantCheck: checkPlant(predictions, test.taxonomy, rules, { entropy: test.entropy })
+            };
+        } catch (error) {
+            return { name: test.name, passed: false, failures: [{ field: '*', error: error.message }] };
+        }
+
+        const failures = Object.entries(test.expect)
+            .filter(([field, expected]) => !_.isEqual(_.get(actual, field), expected))
+            .map(([field, expected]) => ({ field, expected, actual: _.get(actual, field) }));
+
+        return { name: test.name, passed: failures.length === 0, failures };
+    });
+
+    const failed = results.filter(result => !result.passed).length;
+    return { total: results.length, passed: results.length - failed, failed, results };
+};
+
+// Active rule set, reloaded when the file's modification time changes
+let activeRules = null;
+let activeMtime = null;
+
+const readRulesFile = (filePath = RULES_PATH) => {
+    const { value, errors } = validateRules(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    if (errors) {
+        throw new Error(`Invalid rule set in ${filePath}: ${errors.join('; ')}`);
+    }
+    return value;
+};
+
+const getActiveRules = () => {
+    const mtime = fs.statSync(RULES_PATH).mtimeMs;
+    if (activeRules && mtime === activeMtime) return activeRules;
+
+    try {
+        activeRules = readRulesFile();
+        console.log(`📐 Agricultural rules ${activeRules.version} loaded from ${RULES_PATH}`);
+    } catch (error) {
+        // Keep serving the last good rule set rather than failing every analysis
+        if (!activeRules) throw error;
+        console.error('❌ Rule set reload failed, keeping previous rules:', error.message);
+    }
+    activeMtime = mtime;
+    return activeRules;
+};
+
+// Validate, test and activate a new rule set by replacing the rules file
+const saveRules = (rawRules) => {
+    const { value, errors } = validateRules(rawRules);
+    if (errors) return { errors };
+
+    const testReport = runRuleTests(value);
+    if (testReport.failed > 0) return { errors: ['Rule set tests failed'], testReport };
+
+    const tempPath = `${RULES_PATH}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(rawRules, null, 4) + '\n');
+    fs.renameSync(tempPath, RULES_PATH);
+
+    activeRules = value;
+    activeMtime = fs.statSync(RULES_PATH).mtimeMs;
+    console.log(`📐 Agricultural rules ${value.version} activated`);
+    return { value, testReport };
+};
+
+// Re-evaluate stored predictions under the active and a candidate rule set and
+// report what would change. Nothing is written. `taxonomyFor(modelId)` maps the
+// model that produced each prediction to its label taxonomy.
+const previewRules = async (rawRules, options = {}) => {
+    const { value: candidate, errors } = validateRules(rawRules);
+    if (errors) return { errors };
+
+    const { limit = 200, modelId, taxonomyFor = () => 'imagenet' } = options;
+    const current = getActiveRules();
+
+    const analyses = await ImageAnalysis.find({
+        status: { $in: ['completed', 'not_a_plant'] },
+        analysisType: { $in: ['crop', null] },
+        'analysis.predictions.0': { $exists: true },
+        ...(modelId && { 'analysis.modelUsed': modelId })
+    })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select('analysis.predictions analysis.modelUsed analysis.plantCheck.entropy analysis.cropAnalysis.leafDamage');
+
+    const conditionChanges = {};
+    const samples = [];
+    let evaluated = 0;
+    let skipped = 0;
+    let changed = 0;
+    let newlyDiseased = 0;
+    let noLongerDiseased = 0;
+    let newlyRejected = 0;
+    let noLongerRejected = 0;
+    let currentScoreTotal = 0;
+    let candidateScoreTotal = 0;
+
+    analyses.forEach(imageAnalysis => {
+        const taxonomy = taxonomyFor(imageAnalysis.analysis.modelUsed);
+        const { predictions, plantCheck, cropAnalysis } = imageAnalysis.analysis;
+        const prediction = predictions[0];
+        const evaluate = (rules) => ({
+            ...evaluatePrediction(prediction, taxonomy, rules, { damage: cropAnalysis?.leafDamage }),
+            acceptedAsPlant: checkPlant(predictions, taxonomy, rules, { entropy: plantCheck?.entropy }).isPlant
+        });
+
+        let before;
+        let after;
+        try {
+            before = evaluate(current);
+            after = evaluate(candidate);
+        } catch (error) {
+            skipped++;
+            return;
+        }
+
+        evaluated++;
+        currentScoreTotal += before.healthScore;
+        candidateScoreTotal += after.healthScore;
+
+        const fields = ['acceptedAsPlant', 'detectedCrop', 'healthScore', 'condition', 'diseaseDetected', 'diseaseName'];
+        const differences = fields.filter(field => !_.isEqual(before[field], after[field]));
+        if (!_.isEqual(before.treatment, after.treatment)) differences.push('treatment');
+        if (!_.isEqual(before.recommendations, after.recommendations)) differences.push('recommendations');
+        if (differences.length === 0) return;
+
+        changed++;
+        if (before.condition !== after.condition) {
+            const key = `${before.condition} -> ${after.condition}`;
+            conditionChanges[key] = (conditionChanges[key] || 0) + 1;
+        }
+        if (!before.diseaseDetected && after.diseaseDetected) newlyDiseased++;
+        if (before.diseaseDetected && !after.diseaseDetected) noLongerDiseased++;
+        if (before.acceptedAsPlant && !after.acceptedAsPlant) newlyRejected++;
+        if (!before.acceptedAsPlant && after.acceptedAsPlant) noLongerRejected++;
+
+        if (samples.length < 25) {
+            samples.push({
+                analysisId: imageAnalysis._id,
+                prediction: { className: prediction.className, probability: prediction.probability },
+                changedFields: differences,
+                current: _.pick(before, [...fields, 'matchedRules']),
+                candidate: _.pick(after, [...fields, 'matchedRules'])
+            });
+        }
+    });
+
+    const mean = (total) => (evaluated > 0 ? Math.round((total / evaluated) * 10) / 10 : null);
+
+    return {
+        value: candidate,
+        testReport: runRuleTests(candidate),
+        impact: {
+            currentVersion: current.version,
+            candidateVersion: candidate.version,
+            evaluated,
+            skipped,
+            changed,
+            conditionChanges,
+            newlyDiseased,
+            noLongerDiseased,
+            newlyRejected, // would now be marked not_a_plant
+            noLongerRejected,
+            meanHealthScore: {
+                current: mean(currentScoreTotal),
+                candidate: mean(candidateScoreTotal)
+            },
+            samples
+        }
+    };
+};
+
+module.exports = {
+    RULES_PATH,
+    validateRules,
+    evaluatePrediction,
+    checkPlant,
+    runRuleTests,
+    readRulesFile,
+    getActiveRules,
+    saveRules,
+    previewRules
+};
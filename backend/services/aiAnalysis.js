@@ -0,0 +1,261 @@
+// AI Image Analysis Service
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs');
+const modelRegistry = require('./modelRegistry');
+const agriculturalRules = require('./agriculturalRules');
+const leafSegmentation = require('./leafSegmentation');
+
+// Decode an image file into a [size, size, 3] tensor of raw RGB values
+const readImageTensor = (imagePath, size = 224) => {
+    const imageBuffer = fs.readFileSync(imagePath);
+    return tf.tidy(() => {
+        const imageTensor = tf.node.decodeImage(imageBuffer, 3); // 3 channels (RGB)
+        return tf.image.resizeBilinear(imageTensor, [size, size]);
+    });
+};
+
+// Leaf segmentation for the health score. Without it the score falls back to
+// model confidence, so a failure is logged rather than thrown.
+const measureLeafDamage = async (imagePath) => {
+    try {
+        return await leafSegmentation.segmentLeaf(imagePath);
+    } catch (error) {
+        console.warn(`⚠️ Leaf segmentation failed for ${imagePath}:`, error.message);
+        return null;
+    }
+};
+
+// Analyze image using the selected model from the registry
+const analyzeImageWithAI = async (imagePath, options = {}) => {
+    const { modelId = modelRegistry.getDefaultModelId() } = options;
+
+    try {
+        const loadedModel = await modelRegistry.loadModel(modelId);
+        const { definition } = loadedModel;
+
+        // Load and preprocess image, then add batch dimension
+        const imageTensor = readImageTensor(imagePath, definition.inputSize);
+        const batchedTensor = imageTensor.expandDims(0);
+
+        let predictions;
+        let entropy;
+        try {
+            [{ predictions, entropy }] = await modelRegistry.predictBatch(loadedModel, batchedTensor);
+        } finally {
+            imageTensor.dispose();
+            batchedTensor.dispose();
+        }
+
+        console.log(`🔍 ${definition.id} predictions:`, predictions);
+        const damage = await measureLeafDamage(imagePath);
+
+        // Convert to agricultural analysis
+        return convertToAgriculturalAnalysis(predictions, definition, undefined, { entropy, damage });
+    } catch (error) {
+        console.error('AI analysis error:', error);
+        throw error;
+    }
+};
+
+// Analyze several images with one forward pass of the selected model.
+// Returns one { analysis } or { error } per input path, in the same order.
+const analyzeImagesWithAI = async (imagePaths, options = {}) => {
+    const { modelId = modelRegistry.getDefaultModelId() } = options;
+
+    const loadedModel = await modelRegistry.loadModel(modelId);
+    const { definition } = loadedModel;
+
+    // Decode every image up front so one unreadable file doesn't sink the batch
+    const results = new Array(imagePaths.length);
+    const tensors = [];
+    const tensorIndexes = [];
+    imagePaths.forEach((imagePath, index) => {
+        try {
+            tensors.push(readImageTensor(imagePath, definition.inputSize));
+            tensorIndexes.push(index);
+        } catch (error) {
+            results[index] = { error: `Could not read image: ${error.message}` };
+        }
+    });
+
+    if (tensors.length > 0) {
+        const batchedTensor = tf.stack(tensors);
+        let batchPredictions;
+        try {
+            batchPredictions = await modelRegistry.predictBatch(loadedModel, batchedTensor);
+            console.log(`🔍 ${definition.id} batch of ${tensors.length} classified`);
+        } finally {
+            tensors.forEach(tensor => tensor.dispose());
+            batchedTensor.dispose();
+        }
+
+        for (const [row, { predictions, entropy }] of batchPredictions.entries()) {
+            const index = tensorIndexes[row];
+            const damage = await measureLeafDamage(imagePaths[index]);
+            try {
+                results[index] = {
+                    analysis: convertToAgriculturalAnalysis(predictions, definition, undefined, { entropy, damage })
+                };
+            } catch (error) {
+                results[index] = { error: error.message };
+            }
+        }
+    }
+
+    return results;
+};
+
+// ImageAnalysis status for a finished analysis result
+const getAnalysisStatus = (analysis) => {
+    return analysis?.plantCheck?.isPlant === false ? 'not_a_plant' : 'completed';
+};
+
+// Result for a photo that failed the plant check: no crop diagnostics, just
+// what was seen and how to take a usable photo
+const notAPlantAnalysis = (predictions, definition, rules, plantCheck) => {
+    console.log('🚫 Not a plant photo:', plantCheck.reasons.join(', '));
+
+    return {
+        modelUsed: definition.id,
+        modelVersion: definition.version,
+        rulesVersion: rules.version,
+        predictions: predictions.map(p => ({
+            className: p.className,
+            probability: p.probability,
+            classId: p.classId
+        })),
+        plantCheck,
+        message: rules.notPlant.message,
+        cropAnalysis: {
+            issues: [],
+            recommendations: [...rules.notPlant.recommendations],
+            confidence: Math.round(plantCheck.confidence * 100) / 100
+        },
+        pestAnalysis: {
+            detected: false,
+            pests: [],
+            disease: {
+                detected: false,
+                symptoms: [],
+                treatment: []
+            }
+        }
+    };
+};
+
+// Convert model predictions to agricultural analysis using the active rule set
+// (see services/agriculturalRules.js and config/agriculturalRules.json).
+// `entropy` is the normalized entropy of the model's full output, used by the
+// plant check; `damage` is the leaf segmentation the health score is based on.
+const convertToAgriculturalAnalysis = (
+    predictions,
+    definition = modelRegistry.getModelDefinition(),
+    rules = agriculturalRules.getActiveRules(),
+    { entropy, damage } = {}
+) => {
+    console.log('📊 Raw model predictions:', JSON.stringify(predictions, null, 2));
+
+    // Ensure we have predictions
+    if (!predictions || predictions.length === 0) {
+        throw new Error('No predictions returned from model');
+    }
+
+    // Extract top prediction
+    const topPrediction = predictions[0];
+    const probability = topPrediction.probability;
+
+    console.log('🎯 Top prediction:', topPrediction.className, 'confidence:', probability);
+
+    const plantCheck = agriculturalRules.checkPlant(predictions, definition.taxonomy, rules, { entropy });
+    if (!plantCheck.isPlant) {
+        return notAPlantAnalysis(predictions, definition, rules, plantCheck);
+    }
+
+    const result = agriculturalRules.evaluatePrediction(topPrediction, definition.taxonomy, rules, { damage });
+    const {
+        detectedCrop,
+        healthScore,
+        scoreSource,
+        condition,
+        diseaseDetected,
+        diseaseName,
+        issues,
+        symptoms,
+        treatment,
+        recommendations
+    } = result;
+
+    console.log('💚 Calculated health score:', healthScore, `(${scoreSource})`, 'rules:', result.matchedRules.join(', '));
+
+    const analysis = {
+        modelUsed: definition.id,
+        modelVersion: definition.version,
+        rulesVersion: result.rulesVersion,
+        predictions: predictions.map(p => ({
+            className: p.className,
+            probability: p.probability,
+            classId: p.classId
+        })),
+        plantCheck,
+        cropAnalysis: {
+            detectedCrop: detectedCrop,
+            healthScore: healthScore,
+            condition: condition,
+            issues: issues,
+            recommendations: recommendations,
+            confidence: Math.round(probability * 100) / 100,
+            leafDamage: damage || undefined,
+            scoreSource,
+            rawPredictions: predictions.slice(0, 3).map(p => ({
+                class: p.className,
+                probability: (p.probability * 100).toFixed(2) + '%'
+            }))
+        },
+        soilAnalysis: {
+            type: null, // Visual analysis not available
+            moistureLevel: null, // Cannot determine from image
+            nutrientDeficiencies: [],
+            phEstimate: null,
+            texture: 'Not detectable from image',
+            color: 'Requires physical soil sample',
+            organicMatter: 'Not detectable from image',
+            note: 'Soil analysis requires physical sample testing'
+        },
+        pestAnalysis: {
+            detected: diseaseDetected,
+            pests: [],
+            disease: {
+                detected: diseaseDetected,
+                name: diseaseName,
+                symptoms: symptoms,
+                treatment: treatment
+            },
+            note: 'Detailed pest identification requires expert examination'
+        },
+        environmentalFactors: {
+            lighting: 'Visible in image',
+            season: 'Cannot determine from single image',
+            weatherConditions: 'Cannot determine from image',
+            irrigationStatus: 'Not detectable from image',
+            note: 'Environmental factors require additional context'
+        }
+    };
+
+    console.log('✅ Analysis complete:', {
+        model: `${definition.id}@${definition.version}`,
+        crop: detectedCrop,
+        health: healthScore,
+        diseaseDetected,
+        recommendationsCount: recommendations.length
+    });
+
+    return analysis;
+};
+
+module.exports = {
+    readImageTensor,
+    analyzeImageWithAI,
+    analyzeImagesWithAI,
+    getAnalysisStatus,
+    convertToAgriculturalAnalysis
+};
@@ -0,0 +1,292 @@
+// Analysis Job Queue
+// Mongo-backed queue for image analysis. Jobs survive restarts, failed jobs are
+// retried with exponential backoff (unless the error has retryable: false, e.g.
+// a photo the pipeline can never read), and at most AI_ANALYSIS_CONCURRENCY
+// inferences run at once in this process. Batch analyses (services/batchAnalysis.js)
+// take their inference slots from the same pool.
+const os = require('os');
+const AnalysisJob = require('../models/AnalysisJob');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const { analyzeImageWithAI, getAnalysisStatus } = require('./aiAnalysis');
+const { analyzeSoilImage } = require('./soilAnalysis');
+const { analyzePestImage } = require('./pestAnalysis');
+const { refreshHeatmap } = require('./attentionHeatmap');
+const { flagForReview } = require('./expertReview');
+const { runShadowAnalysis } = require('./modelEvaluation');
+const { verifyClientAnalysis } = require('./offlineInference');
+
+const CONCURRENCY = parseInt(process.env.AI_ANALYSIS_CONCURRENCY) || 1;
+const POLL_INTERVAL_MS = 2000;
+const RETRY_BASE_DELAY_MS = 5000;
+const STALE_JOB_MS = 10 * 60 * 1000; // 10 minutes
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+let activeJobs = 0;
+const slotWaiters = [];
+let ticking = false;
+let pollTimer = null;
+let lastStaleCheck = 0;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether the analysis has a job waiting or in progress
+const hasActiveJob = async (analysisId) => {
+    return !!(await AnalysisJob.exists({
+        analysis: analysisId,
+        status: { $in: ['queued', 'running'] }
+    }));
+};
+
+// Put jobs left "running" by a crashed worker back in the queue, and queue any
+// analysis that was stuck in pending/processing without an active job
+const recoverStaleJobs = async ({ onStartup = false } = {}) => {
+    const staleBefore = new Date(Date.now() - STALE_JOB_MS);
+    const staleFilter = {
+        status: 'running',
+        $or: [
+            { lockedAt: { $lt: staleBefore } },
+            // On startup, anything this host was running belongs to a dead process
+            ...(onStartup ? [{ workerId: { $regex: `^${escapeRegex(os.hostname())}-` } }] : [])
+        ]
+    };
+
+    const staleJobs = await AnalysisJob.find(staleFilter);
+    for (const job of staleJobs) {
+        const exhausted = job.attempts >= job.maxAttempts;
+        job.status = exhausted ? 'failed' : 'queued';
+        job.lastError = 'Worker stopped before the job finished';
+        job.lockedAt = undefined;
+        job.workerId = undefined;
+        job.runAt = new Date();
+        if (exhausted) job.completedAt = new Date();
+        await job.save();
+
+        await ImageAnalysis.updateOne(
+            { _id: job.analysis },
+            exhausted
+                ? { status: 'failed', errorMessage: job.lastError }
+                : { status: 'pending' }
+        );
+    }
+
+    let orphaned = 0;
+    if (onStartup) {
+        const unfinished = await ImageAnalysis.find({
+            status: { $in: ['pending', 'processing'] }
+        }).select('_id user analysis.modelUsed');
+
+        for (const imageAnalysis of unfinished) {
+            if (await hasActiveJob(imageAnalysis._id)) continue;
+
+            await enqueue(imageAnalysis, { modelId: imageAnalysis.analysis?.modelUsed });
+            await ImageAnalysis.updateOne({ _id: imageAnalysis._id }, { status: 'pending' });
+            orphaned++;
+        }
+    }
+
+    if (staleJobs.length > 0 || orphaned > 0) {
+        console.log(`♻️ Recovered ${staleJobs.length} stale and ${orphaned} orphaned analysis jobs`);
+    }
+};
+
+// Atomically take the next due job off the queue
+const claimNextJob = () => {
+    return AnalysisJob.findOneAndUpdate(
+        { status: 'queued', runAt: { $lte: new Date() } },
+        {
+            $set: { status: 'running', lockedAt: new Date(), workerId: WORKER_ID },
+            $inc: { attempts: 1 }
+        },
+        { sort: { priority: -1, createdAt: 1 }, new: true }
+    );
+};
+
+// Inference slots shared by queued jobs and batch chunks. A freed slot goes to
+// a waiting batch chunk first, otherwise back to the queue.
+const acquireSlot = () => {
+    if (activeJobs < CONCURRENCY) {
+        activeJobs++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => slotWaiters.push(resolve));
+};
+
+const releaseSlot = () => {
+    const next = slotWaiters.shift();
+    if (next) return next();
+
+    activeJobs--;
+    if (pollTimer) setImmediate(tick);
+};
+
+// Run fn once an inference slot is free
+const withInferenceSlot = async (fn) => {
+    await acquireSlot();
+    try {
+        return await fn();
+    } finally {
+        releaseSlot();
+    }
+};
+
+// Store a finished analysis on its ImageAnalysis along with the follow-up
+// steps every result gets: heatmap, expert review flag, shadow model run and
+// the offline result check. The caller saves the document.
+const applyAnalysisResult = async (imageAnalysis, analysis, processingTime) => {
+    imageAnalysis.analysis = analysis;
+    imageAnalysis.processingTime = processingTime;
+    imageAnalysis.status = getAnalysisStatus(analysis);
+    imageAnalysis.errorMessage = undefined;
+    await refreshHeatmap(imageAnalysis);
+    flagForReview(imageAnalysis);
+    await runShadowAnalysis(imageAnalysis);
+    await verifyClientAnalysis(imageAnalysis);
+};
+
+// Run the pipeline for the photo's analysis type. `modelId` picks the crop model.
+const runAnalysis = (imageAnalysis, { modelId } = {}) => {
+    const imagePath = imageAnalysis.getInferenceImagePath();
+    if (imageAnalysis.analysisType === 'soil') return analyzeSoilImage(imagePath);
+    if (imageAnalysis.analysisType === 'pest') return analyzePestImage(imagePath);
+    return analyzeImageWithAI(imagePath, { modelId });
+};
+
+const processJob = async (job) => {
+    const imageAnalysis = await ImageAnalysis.findById(job.analysis);
+    if (!imageAnalysis) {
+        job.status = 'failed';
+        job.lastError = 'Image analysis no longer exists';
+        job.completedAt = new Date();
+        return job.save();
+    }
+
+    try {
+        console.log(`🤖 Starting AI analysis for: ${imageAnalysis._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+        imageAnalysis.status = 'processing';
+        await imageAnalysis.save();
+
+        const startTime = Date.now();
+        const analysis = await runAnalysis(imageAnalysis, { modelId: job.options?.modelId || undefined });
+        const processingTime = (Date.now() - startTime) / 1000;
+
+        await applyAnalysisResult(imageAnalysis, analysis, processingTime);
+        await imageAnalysis.save();
+
+        job.status = 'completed';
+        job.completedAt = new Date();
+        job.lockedAt = undefined;
+        await job.save();
+
+        console.log(`✅ AI analysis ${imageAnalysis.status} for:`, imageAnalysis._id);
+    } catch (error) {
+        console.error('❌ AI analysis failed for:', imageAnalysis._id, error);
+
+        const willRetry = error.retryable !== false && job.attempts < job.maxAttempts;
+        job.lastError = error.message;
+        job.lockedAt = undefined;
+        if (willRetry) {
+            job.status = 'queued';
+            job.runAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1));
+        } else {
+            job.status = 'failed';
+            job.completedAt = new Date();
+        }
+        await job.save();
+
+        imageAnalysis.status = willRetry ? 'pending' : 'failed';
+        imageAnalysis.errorMessage = error.message;
+        await imageAnalysis.save();
+    }
+};
+
+// Fill free worker slots with due jobs
+const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+        if (Date.now() - lastStaleCheck > STALE_JOB_MS / 2) {
+            lastStaleCheck = Date.now();
+            await recoverStaleJobs();
+        }
+
+        while (activeJobs < CONCURRENCY) {
+            const job = await claimNextJob();
+            if (!job) break;
+
+            activeJobs++;
+            processJob(job)
+                .catch(error => console.error('❌ Analysis job error:', error))
+                .finally(releaseSlot);
+        }
+    } catch (error) {
+        console.error('❌ Analysis queue error:', error.message);
+    } finally {
+        ticking = false;
+    }
+};
+
+// Queue an ImageAnalysis document for inference
+const enqueue = async (imageAnalysis, options = {}) => {
+    const { modelId, priority = 0, maxAttempts } = options;
+
+    const job = await AnalysisJob.create({
+        analysis: imageAnalysis._id,
+        user: imageAnalysis.user,
+        options: { modelId },
+        priority,
+        ...(maxAttempts && { maxAttempts })
+    });
+
+    if (pollTimer) setImmediate(tick);
+    return job;
+};
+
+// Queue state for an analysis: its latest job and place in line
+const getStatus = async (analysisId) => {
+    const job = await AnalysisJob.getLatestForAnalysis(analysisId);
+    if (!job) return null;
+
+    return {
+        jobId: job._id,
+        status: job.status,
+        queuePosition: await job.getQueuePosition(),
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextAttemptAt: job.status === 'queued' ? job.runAt : null,
+        lastError: job.lastError || null,
+        runningJobs: await AnalysisJob.countDocuments({ status: 'running' })
+    };
+};
+
+const start = async () => {
+    if (pollTimer) return;
+
+    try {
+        lastStaleCheck = Date.now();
+        await recoverStaleJobs({ onStartup: true });
+    } catch (error) {
+        console.error('❌ Analysis job recovery failed:', error.message);
+    }
+
+    pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+    console.log(`🧵 Analysis queue started (worker ${WORKER_ID}, concurrency ${CONCURRENCY})`);
+    tick();
+};
+
+const stop = () => {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+};
+
+module.exports = {
+    withInferenceSlot,
+    applyAnalysisResult,
+    enqueue,
+    hasActiveJob,
+    getStatus,
+    start,
+    stop
+};
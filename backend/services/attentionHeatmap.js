@@ -0,0 +1,178 @@
+// Attention Heatmap Service
+// Occlusion sensitivity maps for analysis results: a grey patch is slid over
+// the image on a GRID x GRID lattice and the drop in the top class probability
+// is recorded for each cell. Cells whose occlusion hurts the prediction most are
+// the regions the model relied on. The map is rendered as a translucent colour
+// overlay on the normalized image and saved as a PNG next to it.
+//
+// Occlusion works with every model type in the registry (MobileNet, graph and
+// layers models) because it only needs forward passes, not gradients.
+const tf = require('@tensorflow/tfjs-node');
+const sharp = require('sharp');
+const path = require('path');
+const fs = require('fs');
+const modelRegistry = require('./modelRegistry');
+const { readImageTensor } = require('./aiAnalysis');
+
+const GRID = Math.min(Math.max(parseInt(process.env.AI_HEATMAP_GRID) || 8, 2), 16);
+const OCCLUSION_BATCH_SIZE = 16;
+const OCCLUSION_VALUE = 127; // mid-grey patch
+const MAX_OVERLAY_ALPHA = 170;
+
+// Blue -> cyan -> yellow -> red colour scale for a value in [0, 1]
+const colorFor = (value) => {
+    const channel = (center) => Math.round(255 * Math.min(Math.max(1.5 - Math.abs(4 * value - center), 0), 1));
+    return [channel(3), channel(2), channel(1)];
+};
+
+// [n, size, size, 1] mask that is 0 inside each cell's patch and 1 elsewhere
+const buildOcclusionMasks = (cells, size) => {
+    const cellSize = size / GRID;
+    const masks = new Float32Array(cells.length * size * size).fill(1);
+
+    cells.forEach((cell, index) => {
+        const row = Math.floor(cell / GRID);
+        const col = cell % GRID;
+        const top = Math.floor(row * cellSize);
+        const bottom = Math.floor((row + 1) * cellSize);
+        const left = Math.floor(col * cellSize);
+        const right = Math.floor((col + 1) * cellSize);
+
+        for (let y = top; y < bottom; y++) {
+            masks.fill(0, index * size * size + y * size + left, index * size * size + y * size + right);
+        }
+    });
+
+    return tf.tensor4d(masks, [cells.length, size, size, 1]);
+};
+
+// Importance of each grid cell for `classId`, normalized to [0, 1]
+const computeOcclusionMap = async (loadedModel, imagePath, classId) => {
+    const size = loadedModel.definition.inputSize;
+    const image = readImageTensor(imagePath, size);
+
+    try {
+        const baselineInput = image.expandDims(0);
+        const [baseline] = await modelRegistry.predictClassProbabilities(loadedModel, baselineInput, classId);
+        baselineInput.dispose();
+
+        const drops = [];
+        const cells = Array.from({ length: GRID * GRID }, (_, cell) => cell);
+        for (let i = 0; i < cells.length; i += OCCLUSION_BATCH_SIZE) {
+            const chunk = cells.slice(i, i + OCCLUSION_BATCH_SIZE);
+            const masks = buildOcclusionMasks(chunk, size);
+            const occluded = tf.tidy(() => image.expandDims(0)
+                .mul(masks)
+                .add(tf.scalar(1).sub(masks).mul(OCCLUSION_VALUE)));
+
+            try {
+                const probabilities = await modelRegistry.predictClassProbabilities(loadedModel, occluded, classId);
+                probabilities.forEach(probability => drops.push(Math.max(baseline - probability, 0)));
+            } finally {
+                masks.dispose();
+                occluded.dispose();
+            }
+        }
+
+        const maxDrop = Math.max(...drops);
+        return {
+            baseline,
+            values: drops.map(drop => (maxDrop > 0 ? drop / maxDrop : 0))
+        };
+    } finally {
+        image.dispose();
+    }
+};
+
+// Render the grid values as a smooth translucent overlay on top of the base image
+const renderOverlay = async (basePath, values, outputPath) => {
+    const { width, height } = await sharp(basePath).metadata();
+
+    const cells = Buffer.alloc(GRID * GRID * 4);
+    values.forEach((value, cell) => {
+        const [r, g, b] = colorFor(value);
+        cells.set([r, g, b, Math.round(MAX_OVERLAY_ALPHA * value)], cell * 4);
+    });
+
+    const overlay = await sharp(cells, { raw: { width: GRID, height: GRID, channels: 4 } })
+        .resize(width, height, { fit: 'fill', kernel: 'cubic' })
+        .png()
+        .toBuffer();
+
+    const info = await sharp(basePath)
+        .composite([{ input: overlay }])
+        .png()
+        .toFile(outputPath);
+
+    return { width: info.width, height: info.height, size: info.size };
+};
+
+// Bounding box of the most important cell, as fractions of the image size
+const findHotspot = (values) => {
+    const cell = values.indexOf(Math.max(...values));
+    return {
+        x: (cell % GRID) / GRID,
+        y: Math.floor(cell / GRID) / GRID,
+        width: 1 / GRID,
+        height: 1 / GRID
+    };
+};
+
+// Generate the heatmap for a completed ImageAnalysis and store it on
+// processedImage.heatmap (the document is not saved here).
+const generateHeatmap = async (imageAnalysis) => {
+    const processedImage = imageAnalysis.processedImage;
+    if (!processedImage?.path || !fs.existsSync(processedImage.path)) {
+        throw new Error('Analysis has no processed image to overlay');
+    }
+
+    const topPrediction = imageAnalysis.analysis?.predictions?.[0];
+    if (!topPrediction || typeof topPrediction.classId !== 'number') {
+        throw new Error('Analysis has no prediction to explain');
+    }
+
+    const loadedModel = await modelRegistry.loadModel(imageAnalysis.analysis.modelUsed || undefined);
+    const { baseline, values } = await computeOcclusionMap(
+        loadedModel,
+        imageAnalysis.getInferenceImagePath(),
+        topPrediction.classId
+    );
+
+    const filename = `${path.parse(processedImage.filename).name.replace(/-normalized$/, '')}-heatmap.png`;
+    const outputPath = path.join(path.dirname(processedImage.path), filename);
+    const rendered = await renderOverlay(processedImage.path, values, outputPath);
+
+    processedImage.heatmap = {
+        filename,
+        url: `${path.posix.dirname(processedImage.url)}/${filename}`,
+        path: outputPath,
+        ...rendered,
+        method: 'occlusion',
+        grid: GRID,
+        targetClass: topPrediction.className,
+        targetClassId: topPrediction.classId,
+        baselineProbability: baseline,
+        hotspot: findHotspot(values),
+        generatedAt: new Date()
+    };
+
+    return processedImage.heatmap;
+};
+
+// Heatmaps are an extra: a failure is logged and never fails the analysis
+const refreshHeatmap = async (imageAnalysis) => {
+    // Soil and pest results and non-plant photos have no crop prediction worth explaining
+    if (imageAnalysis.analysisType !== 'crop' || imageAnalysis.analysis?.plantCheck?.isPlant === false) return null;
+
+    try {
+        return await generateHeatmap(imageAnalysis);
+    } catch (error) {
+        console.warn(`⚠️ Heatmap not generated for ${imageAnalysis._id}:`, error.message);
+        return null;
+    }
+};
+
+module.exports = {
+    generateHeatmap,
+    refreshHeatmap
+};
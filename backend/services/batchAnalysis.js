@@ -0,0 +1,184 @@
+// Batch Analysis Service
+// Runs stored ImageAnalysis records through the model N images at a time.
+// Batches run one after another in this process and each chunk waits for an
+// inference slot from the analysis queue, so batches and queued jobs together
+// stay within AI_ANALYSIS_CONCURRENCY. Progress is written to the AnalysisBatch
+// document after every chunk so clients can poll it and an interrupted batch
+// can resume where it stopped.
+const AnalysisBatch = require('../models/AnalysisBatch');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const { analyzeImagesWithAI } = require('./aiAnalysis');
+const { withInferenceSlot, applyAnalysisResult } = require('./analysisQueue');
+
+const DEFAULT_BATCH_SIZE = parseInt(process.env.AI_BATCH_SIZE) || 8;
+const MAX_BATCH_SIZE = 32;
+
+// Serialize batches so only one batched forward pass runs at a time
+let batchChain = Promise.resolve();
+
+const runChunk = async (batch, chunk) => {
+    const analyses = await ImageAnalysis.find({
+        _id: { $in: chunk.map(item => item.analysis) },
+        user: batch.user
+    });
+    const analysesById = new Map(analyses.map(a => [a._id.toString(), a]));
+
+    // Items whose analysis was deleted since the batch was created
+    const runnable = [];
+    chunk.forEach(item => {
+        const imageAnalysis = analysesById.get(item.analysis.toString());
+        if (!imageAnalysis) {
+            item.status = 'failed';
+            item.error = 'Image analysis not found';
+        } else {
+            item.status = 'processing';
+            runnable.push({ item, imageAnalysis });
+        }
+    });
+    await batch.save();
+
+    if (runnable.length === 0) return;
+
+    await Promise.all(runnable.map(({ imageAnalysis }) => {
+        imageAnalysis.status = 'processing';
+        return imageAnalysis.save();
+    }));
+
+    await withInferenceSlot(async () => {
+        const startTime = Date.now();
+        let results;
+        try {
+            results = await analyzeImagesWithAI(
+                runnable.map(({ imageAnalysis }) => imageAnalysis.getInferenceImagePath()),
+                { modelId: batch.modelId }
+            );
+        } catch (error) {
+            // The whole forward pass failed (model load, out of memory, ...)
+            results = runnable.map(() => ({ error: error.message }));
+        }
+        const perImageTime = (Date.now() - startTime) / 1000 / runnable.length;
+
+        // Heatmaps and shadow runs need more forward passes, so the follow-up
+        // steps run one image at a time
+        for (const [index, { item, imageAnalysis }] of runnable.entries()) {
+            const result = results[index];
+            if (result.error) {
+                item.status = 'failed';
+                item.error = result.error;
+                imageAnalysis.status = 'failed';
+                imageAnalysis.errorMessage = result.error;
+            } else {
+                item.status = 'completed';
+                item.processingTime = perImageTime;
+                await applyAnalysisResult(imageAnalysis, result.analysis, perImageTime);
+            }
+        }
+    });
+
+    await Promise.all(runnable.map(({ imageAnalysis }) => imageAnalysis.save()));
+    await batch.save();
+};
+
+const runBatch = async (batchId) => {
+    const batch = await AnalysisBatch.findById(batchId);
+    if (!batch || batch.status === 'completed' || batch.status === 'failed') return;
+
+    console.log(`📦 Running analysis batch ${batch._id} (${batch.items.length} images)`);
+    batch.status = 'running';
+    batch.startedAt = batch.startedAt || new Date();
+    await batch.save();
+
+    try {
+        // "processing" items were interrupted mid-chunk; run them again
+        const remaining = batch.items.filter(item => item.status === 'pending' || item.status === 'processing');
+        for (let i = 0; i < remaining.length; i += batch.batchSize) {
+            await runChunk(batch, remaining.slice(i, i + batch.batchSize));
+        }
+
+        batch.status = 'completed';
+        batch.completedAt = new Date();
+        await batch.save();
+        console.log(`✅ Analysis batch ${batch._id} completed:`, batch.progress);
+    } catch (error) {
+        console.error(`❌ Analysis batch ${batch._id} failed:`, error);
+        batch.status = 'failed';
+        batch.errorMessage = error.message;
+        batch.completedAt = new Date();
+        await batch.save();
+    }
+};
+
+const scheduleBatch = (batchId) => {
+    batchChain = batchChain
+        .then(() => runBatch(batchId))
+        .catch(error => console.error('❌ Batch scheduler error:', error));
+};
+
+// Create a batch for the user's analyses and schedule it
+const createBatch = async (userId, analysisIds, options = {}) => {
+    const { modelId, force = false } = options;
+    const batchSize = Math.min(Math.max(parseInt(options.batchSize) || DEFAULT_BATCH_SIZE, 1), MAX_BATCH_SIZE);
+    const uniqueIds = [...new Set(analysisIds.map(String))];
+
+    const analyses = await ImageAnalysis.find({
+        _id: { $in: uniqueIds },
+        user: userId
+    }).select('status analysisType analysis.modelUsed');
+    const analysesById = new Map(analyses.map(a => [a._id.toString(), a]));
+
+    const items = [];
+    const notFound = [];
+    uniqueIds.forEach(id => {
+        const imageAnalysis = analysesById.get(id);
+        if (!imageAnalysis) {
+            notFound.push(id);
+            return;
+        }
+
+        // Batches re-run crop models; soil and pest photos are analyzed on upload
+        if (imageAnalysis.analysisType !== 'crop') {
+            items.push({ analysis: imageAnalysis._id, status: 'skipped', error: 'Only crop analyses are run in batches' });
+            return;
+        }
+
+        const alreadyDone = ['completed', 'not_a_plant'].includes(imageAnalysis.status) &&
+            (!modelId || imageAnalysis.analysis?.modelUsed === modelId);
+        items.push({
+            analysis: imageAnalysis._id,
+            status: alreadyDone && !force ? 'skipped' : 'pending',
+            ...(alreadyDone && !force && { error: 'Already analyzed with this model' })
+        });
+    });
+
+    const batch = await AnalysisBatch.create({
+        user: userId,
+        modelId,
+        batchSize,
+        force,
+        items
+    });
+
+    scheduleBatch(batch._id);
+    return { batch, notFound };
+};
+
+// Reschedule batches that were queued or running when the server stopped
+const resumeInterruptedBatches = async () => {
+    try {
+        const batches = await AnalysisBatch.find({ status: { $in: ['queued', 'running'] } })
+            .sort({ createdAt: 1 })
+            .select('_id');
+
+        batches.forEach(batch => scheduleBatch(batch._id));
+        if (batches.length > 0) {
+            console.log(`♻️ Resuming ${batches.length} interrupted analysis batches`);
+        }
+    } catch (error) {
+        console.error('❌ Failed to resume analysis batches:', error.message);
+    }
+};
+
+module.exports = {
+    createBatch,
+    resumeInterruptedBatches
+};
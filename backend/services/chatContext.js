@@ -0,0 +1,242 @@
+// Chat Context Service
+// What the chatbot is told about the farmer asking: profile crops and
+// experience, where they farm, active weather alerts, recent photo analyses,
+// the latest weather observation and their registered fields. Sections are
+// added in that order until CHAT_CONTEXT_TOKEN_BUDGET is spent (estimated at
+// about 4 characters per token), dropping the lines that do not fit. Farmers
+// see the result at GET /api/chatbot/context and switch sections off in
+// User.preferences.chatContext.
+const _ = require('lodash');
+const Field = require('../models/Field');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const WeatherAlert = require('../models/WeatherAlert');
+const WeatherData = require('../models/WeatherData');
+const { convertArea, preferredAreaUnit } = require('./fieldGeometry');
+
+const CONTEXT_SECTIONS = ['profile', 'location', 'alerts', 'analyses', 'weather', 'fields'];
+const TOKEN_BUDGET = parseInt(process.env.CHAT_CONTEXT_TOKEN_BUDGET) || 300;
+const CHARS_PER_TOKEN = 4;
+const WEATHER_MAX_AGE_HOURS = 48;
+const ANALYSIS_LOOKBACK_DAYS = 30;
+const MAX_ALERTS = 3;
+const SEVERITY_RANK = { critical: 4, high: 3, medium: 2, low: 1 };
+const MAX_ANALYSES = 5;
+const MAX_FIELDS = 5;
+
+const estimateTokens = (text) => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Which sections the farmer shares; everything is shared until switched off
+const getContextSettings = (user) => Object.fromEntries(
+    CONTEXT_SECTIONS.map(key => [key, user.preferences?.chatContext?.[key] !== false])
+);
+
+// [longitude, latitude] of the farmer's profile location, or null when unset
+const profileCoordinates = (user) => {
+    const coordinates = user.location?.coordinates;
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+    if (coordinates[0] === 0 && coordinates[1] === 0) return null; // schema default
+    return coordinates;
+};
+
+const profileLines = (user) => {
+    const { crops = [], farmSize, experience } = user.profile || {};
+    const lines = [];
+    if (crops.length > 0) lines.push(`Crops grown: ${crops.join(', ')}`);
+    if (farmSize) lines.push(`Farm size: ${farmSize}`);
+    if (typeof experience === 'number') lines.push(`Farming experience: ${experience} years`);
+    return lines;
+};
+
+const locationLines = (user) => {
+    const { address, city, state, country } = user.location || {};
+    const place = [city, state, country].filter(Boolean).join(', ') || address;
+    if (place) return [`Location: ${place}`];
+
+    const coordinates = profileCoordinates(user);
+    if (!coordinates) return [];
+    // Rounded to about a kilometre: enough for climate, not an exact farm position
+    return [`Approximate location: latitude ${coordinates[1].toFixed(2)}, longitude ${coordinates[0].toFixed(2)}`];
+};
+
+const alertLines = async (user) => {
+    const now = new Date();
+    const fieldIds = await Field.find({ user: user._id }).distinct('_id');
+    const coordinates = profileCoordinates(user);
+
+    const alerts = await WeatherAlert.find({
+        isActive: true,
+        expiresAt: { $gt: now },
+        $or: [
+            { isGlobal: true },
+            { field: { $in: fieldIds } },
+            ...(coordinates
+                ? [{ affectedAreas: { $geoIntersects: { $geometry: { type: 'Point', coordinates } } } }]
+                : [])
+        ]
+    })
+        .sort({ createdAt: -1 })
+        .populate('field', 'name');
+
+    // Severity is a string, so rank it here before keeping the most severe
+    const ranked = _.sortBy(alerts, alert => -(SEVERITY_RANK[alert.severity] || 0)).slice(0, MAX_ALERTS);
+
+    return ranked.map(alert => {
+        const where = alert.field?.name ? ` for ${alert.field.name}` : '';
+        return `Weather alert${where} (${alert.severity} ${alert.type}, until ${formatDate(alert.expiresAt)}): ${alert.title}`;
+    });
+};
+
+// One line per recent analysis, e.g.
+// "2026-10-12 crop scan (North plot): tomato, poor, health 45/100, Early blight"
+const analysisLine = (analysis) => {
+    const where = analysis.field?.name ? ` (${analysis.field.name})` : '';
+    const prefix = `${formatDate(analysis.createdAt)} ${analysis.analysisType || 'crop'} scan${where}`;
+    const { cropAnalysis, pestAnalysis, soilAnalysis } = analysis.analysis || {};
+
+    if (analysis.analysisType === 'soil' && soilAnalysis) {
+        const details = [
+            soilAnalysis.type && `${soilAnalysis.type} soil`,
+            soilAnalysis.moistureLevel,
+            typeof soilAnalysis.phEstimate === 'number' && `pH about ${soilAnalysis.phEstimate}`,
+            soilAnalysis.nutrientDeficiencies?.length > 0 && `possible ${soilAnalysis.nutrientDeficiencies.join(', ')} deficiency`
+        ];
+        return `${prefix}: ${details.filter(Boolean).join(', ')}`;
+    }
+
+    if (analysis.analysisType === 'pest') {
+        const pests = (pestAnalysis?.pests || []).map(pest => `${pest.name} (${pest.severity})`);
+        return `${prefix}: ${pests.length > 0 ? pests.join(', ') : 'no pests found'}`;
+    }
+
+    if (!cropAnalysis) return null;
+    const disease = pestAnalysis?.disease?.detected ? pestAnalysis.disease.name : null;
+    const details = [
+        cropAnalysis.detectedCrop,
+        cropAnalysis.condition,
+        typeof cropAnalysis.healthScore === 'number' && `health ${cropAnalysis.healthScore}/100`,
+        disease
+    ];
+    return `${prefix}: ${details.filter(Boolean).join(', ')}`;
+};
+
+const analysisLines = async (user) => {
+    const analyses = await ImageAnalysis.find({
+        user: user._id,
+        status: 'completed',
+        duplicateOf: { $exists: false },
+        createdAt: { $gte: new Date(Date.now() - ANALYSIS_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) }
+    })
+        .sort({ createdAt: -1 })
+        .limit(MAX_ANALYSES)
+        .select('analysisType analysis.cropAnalysis analysis.pestAnalysis analysis.soilAnalysis field createdAt')
+        .populate('field', 'name');
+
+    return analyses.map(analysisLine).filter(Boolean);
+};
+
+const weatherLines = async (user) => {
+    const weather = await WeatherData.findOne({
+        user: user._id,
+        timestamp: { $gte: new Date(Date.now() - WEATHER_MAX_AGE_HOURS * 60 * 60 * 1000) }
+    }).sort({ timestamp: -1 });
+    if (!weather) return [];
+
+    const fahrenheit = user.preferences?.units?.temperature === 'fahrenheit';
+    const temperature = fahrenheit
+        ? `${Math.round(weather.temperature * 9 / 5 + 32)}°F`
+        : `${Math.round(weather.temperature)}°C`;
+    const hoursAgo = Math.round((Date.now() - weather.timestamp.getTime()) / (60 * 60 * 1000));
+    const details = [
+        temperature,
+        weather.description || weather.conditions,
+        typeof weather.humidity === 'number' && `humidity ${weather.humidity}%`,
+        typeof weather.windSpeed === 'number' && `wind ${weather.windSpeed} m/s`,
+        weather.precipitation?.rain && `rain ${weather.precipitation.rain} mm`
+    ];
+    const where = weather.location ? ` in ${weather.location}` : '';
+
+    return [`Latest weather${where} (${hoursAgo < 1 ? 'just now' : `${hoursAgo} h ago`}): ${details.filter(Boolean).join(', ')}`];
+};
+
+const fieldLines = async (user) => {
+    const unit = preferredAreaUnit(user);
+    const fields = await Field.find({ user: user._id })
+        .select('name crop plantingDate areaHectares soilType irrigationType')
+        .sort({ updatedAt: -1 })
+        .limit(MAX_FIELDS);
+
+    return fields.map(field => {
+        const details = [
+            field.crop,
+            field.plantingDate && `planted ${formatDate(field.plantingDate)}`,
+            typeof field.areaHectares === 'number' && `${convertArea(field.areaHectares, unit)} ${unit}`,
+            field.soilType && `${field.soilType} soil`,
+            field.irrigationType && `${field.irrigationType.replace('_', ' ')} irrigation`
+        ];
+        return `Field "${field.name}": ${details.filter(Boolean).join(', ') || 'no details yet'}`;
+    });
+};
+
+const SECTION_BUILDERS = {
+    profile: profileLines,
+    location: locationLines,
+    alerts: alertLines,
+    analyses: analysisLines,
+    weather: weatherLines,
+    fields: fieldLines
+};
+
+// Context for a user's chat prompt:
+// { settings, budget, tokens, text, sections: [{ key, lines, tokens, truncated }], omitted }
+// where omitted lists shared sections that had data but no room left.
+const buildChatContext = async (user) => {
+    const settings = getContextSettings(user);
+    const shared = CONTEXT_SECTIONS.filter(key => settings[key]);
+    const sectionLines = await Promise.all(shared.map(key => SECTION_BUILDERS[key](user)));
+
+    const sections = [];
+    const omitted = [];
+    let remaining = TOKEN_BUDGET;
+
+    shared.forEach((key, index) => {
+        const lines = sectionLines[index];
+        if (lines.length === 0) return;
+
+        const kept = [];
+        for (const line of lines) {
+            const cost = estimateTokens(line) + 1; // plus the line break
+            if (cost > remaining) break;
+            kept.push(line);
+            remaining -= cost;
+        }
+
+        if (kept.length === 0) {
+            omitted.push(key);
+            return;
+        }
+        sections.push({
+            key,
+            lines: kept,
+            tokens: estimateTokens(kept.join('\n')),
+            truncated: kept.length < lines.length
+        });
+    });
+
+    const text = sections.flatMap(section => section.lines).join('\n');
+    return {
+        settings,
+        budget: TOKEN_BUDGET,
+        tokens: estimateTokens(text),
+        text,
+        sections,
+        omitted
+    };
+};
+
+module.exports = {
+    CONTEXT_SECTIONS,
+    getContextSettings,
+    buildChatContext
+};
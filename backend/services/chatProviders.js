@@ -0,0 +1,508 @@
+// Chat Provider Service
+// The chatbot asks an ordered chain of LLM providers and fails over to the next
+// one when a provider errors, times out or returns nothing:
+//
+//   gemini   Google Gemini (GOOGLE_GEMINI_API_KEY, GEMINI_MODEL)
+//   openai   any OpenAI-compatible chat completions endpoint, e.g. OpenAI or a
+//            local llama.cpp / Ollama server (OPENAI_BASE_URL, OPENAI_API_KEY,
+//            OPENAI_MODEL)
+//   local    the knowledge base passages retrieved for the question
+//            (services/knowledgeBase.js), else the canned answers below
+//
+// The chain comes from CHAT_PROVIDERS_<TIER> for the user's active subscription
+// tier (FREE, PREMIUM, ENTERPRISE), else CHAT_PROVIDERS, else "gemini,openai,local".
+// Unconfigured providers are skipped and "local" is always the last resort.
+// Gemini can also call the farm data tools in services/chatTools.js; the calls
+// it made are returned with the reply as toolCalls.
+// A provider that fails CHAT_BREAKER_THRESHOLD times in a row is skipped for
+// CHAT_BREAKER_COOLDOWN_MS. After that one request at a time is let through to
+// probe it while the others keep skipping it: a successful probe closes the
+// circuit, a failed one opens it for another cooldown.
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const OpenAI = require('openai');
+const { groundedAnswer } = require('./knowledgeBase');
+
+const DEFAULT_CHAIN = 'gemini,openai,local';
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.CHAT_PROVIDER_TIMEOUT_MS) || 20000; // per attempt; idle time between chunks when streaming
+const BREAKER_THRESHOLD = parseInt(process.env.CHAT_BREAKER_THRESHOLD) || 3;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.CHAT_BREAKER_COOLDOWN_MS) || 60000;
+const LOCAL_CHUNK_DELAY_MS = 40;
+const MAX_TOOL_ROUNDS = 3; // rounds of tool calls before the model must answer
+
+// Agricultural knowledge base for fallback responses
+const AGRICULTURAL_KNOWLEDGE = {
+    'soil_health': {
+        keywords: ['soil', 'fertilizer', 'nutrients', 'ph', 'compost', 'manure'],
+        responses: [
+            'Healthy soil should have a pH between 6.0-7.0 for most crops. Test your soil annually and add organic matter regularly.',
+            'For nutrient deficiencies, consider balanced NPK fertilizers. Nitrogen for leaf growth, Phosphorus for roots, Potassium for overall health.',
+            'Compost improves soil structure, water retention, and microbial activity. Apply 2-4 inches of compost annually.',
+            'Crop rotation helps maintain soil health and reduces pest buildup. Rotate between different plant families each season.'
+        ]
+    },
+    'pest_control': {
+        keywords: ['pest', 'insect', 'bug', 'worm', 'disease', 'fungus', 'bacteria'],
+        responses: [
+            'Integrated Pest Management (IPM) combines cultural, biological, and chemical controls. Start with prevention and monitoring.',
+            'Beneficial insects like ladybugs, lacewings, and parasitic wasps help control pests naturally. Plant flowers to attract them.',
+            'For fungal diseases, ensure proper air circulation, avoid overhead watering, and apply copper-based fungicides if needed.',
+            'Neem oil is effective against many pests and diseases. Mix 2 tablespoons per gallon of water and spray weekly.'
+        ]
+    },
+    'water_management': {
+        keywords: ['water', 'irrigation', 'drainage', 'moisture', 'drought', 'flood'],
+        responses: [
+            'Water deeply but infrequently to encourage deep root growth. Most crops need 1-2 inches of water per week.',
+            'Drip irrigation saves water and reduces disease risk by keeping foliage dry. Install during dry periods.',
+            'Mulching conserves moisture, suppresses weeds, and regulates soil temperature. Apply 2-4 inches around plants.',
+            'Good drainage is crucial. Raised beds or contour planting can help prevent waterlogging in heavy soils.'
+        ]
+    },
+    'crop_selection': {
+        keywords: ['crop', 'plant', 'variety', 'seed', 'sowing', 'planting', 'harvest'],
+        responses: [
+            'Choose crop varieties suited to your climate, soil type, and market demand. Check local growing calendars.',
+            'Heirloom varieties offer unique flavors and genetic diversity, while hybrids provide uniformity and disease resistance.',
+            'Direct seeding works for crops like beans, carrots, and lettuce. Transplants give a head start for tomatoes and peppers.',
+            'Succession planting every 2-3 weeks ensures continuous harvest of crops like lettuce, radishes, and beans.'
+        ]
+    },
+    'weather_climate': {
+        keywords: ['weather', 'climate', 'season', 'temperature', 'rain', 'frost'],
+        responses: [
+            'Monitor weather forecasts regularly. Prepare for extreme conditions with protective covers or irrigation.',
+            'Frost-sensitive crops need protection when temperatures drop below 32°F (0°C). Use row covers or cold frames.',
+            'High temperatures above 90°F (32°C) can stress plants. Provide shade and increase watering frequency.',
+            'Season extension techniques like greenhouses, cold frames, and row covers allow year-round production.'
+        ]
+    }
+};
+
+// Function to get fallback response based on user query
+const getFallbackResponse = (query) => {
+    const lowerQuery = query.toLowerCase();
+    
+    for (const [category, data] of Object.entries(AGRICULTURAL_KNOWLEDGE)) {
+        const match = data.keywords.some(keyword => lowerQuery.includes(keyword));
+        if (match) {
+            const responses = data.responses;
+            return responses[Math.floor(Math.random() * responses.length)];
+        }
+    }
+    
+    // Default fallback response
+    return "I'm here to help with farming questions! You can ask me about soil health, pest control, water management, crop selection, or weather conditions. What would you like to know?";
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A chat request is provider-neutral:
+//   { systemPrompt, history: [{ role: 'user'|'assistant', content }], message,
+//     passages, tools, maxOutputTokens, temperature }
+// where passages are the knowledge base results already folded into systemPrompt
+// and tools is a chatTools toolbox (or null).
+// Each provider exposes generate() -> { text, tokensUsed, toolCalls } and
+// stream(), an async generator of { text } chunks, { toolCalls } after each
+// round of tool calls and optionally a final { tokensUsed }.
+
+const createGeminiProvider = () => {
+    const client = process.env.GOOGLE_GEMINI_API_KEY
+        ? new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_API_KEY)
+        : null;
+    const model = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+
+    const startChat = ({ systemPrompt, history, tools, maxOutputTokens, temperature }) =>
+        client.getGenerativeModel({
+            model,
+            tools: tools ? [{ functionDeclarations: tools.declarations }] : undefined
+        }).startChat({
+            history: [
+                { role: 'user', parts: [{ text: tools ? `${systemPrompt}\n\n${tools.instructions}` : systemPrompt }] },
+                { role: 'model', parts: [{ text: 'Understood. I will provide practical farming advice.' }] },
+                ...history.map(msg => ({
+                    role: msg.role === 'assistant' ? 'model' : 'user',
+                    parts: [{ text: msg.content }]
+                }))
+            ],
+            generationConfig: { maxOutputTokens, temperature }
+        });
+
+    // Function calls the model asked for in this response, when it may still call tools
+    const pendingCalls = (request, response, round) =>
+        request.tools && round < MAX_TOOL_ROUNDS ? response.functionCalls() || [] : [];
+
+    // Run the calls and build the function response parts to send back
+    const runTools = async (request, calls, signal) => {
+        const toolCalls = await Promise.all(calls.map(call => request.tools.call(call.name, call.args, signal)));
+        const parts = toolCalls.map(call => ({
+            functionResponse: {
+                name: call.name,
+                response: call.error ? { error: call.error } : { result: call.result }
+            }
+        }));
+        return { toolCalls, parts };
+    };
+
+    return {
+        name: 'gemini',
+        source: 'gemini',
+        model,
+        enabled: !!client,
+        async generate(request, signal, touch) {
+            const chat = startChat(request);
+            const toolCalls = [];
+            let result = await chat.sendMessage(request.message, { signal });
+            let tokensUsed = result.response.usageMetadata?.totalTokenCount || 0;
+
+            for (let round = 0; ; round++) {
+                const calls = pendingCalls(request, result.response, round);
+                if (calls.length === 0) break;
+                const tools = await runTools(request, calls, signal);
+                toolCalls.push(...tools.toolCalls);
+                touch?.();
+                result = await chat.sendMessage(tools.parts, { signal });
+                tokensUsed += result.response.usageMetadata?.totalTokenCount || 0;
+            }
+
+            return { text: result.response.text(), tokensUsed, toolCalls };
+        },
+        async *stream(request, signal) {
+            const chat = startChat(request);
+            let message = request.message;
+            let tokensUsed = 0;
+
+            for (let round = 0; ; round++) {
+                const result = await chat.sendMessageStream(message, { signal });
+                for await (const chunk of result.stream) {
+                    const text = chunk.text();
+                    if (text) yield { text };
+                }
+                const response = await result.response;
+                tokensUsed += response.usageMetadata?.totalTokenCount || 0;
+
+                const calls = pendingCalls(request, response, round);
+                if (calls.length === 0) break;
+                const tools = await runTools(request, calls, signal);
+                yield { toolCalls: tools.toolCalls };
+                message = tools.parts;
+            }
+            yield { tokensUsed };
+        }
+    };
+};
+
+const createOpenAiProvider = () => {
+    const baseURL = process.env.OPENAI_BASE_URL;
+    const client = baseURL || process.env.OPENAI_API_KEY
+        ? new OpenAI({
+            baseURL,
+            apiKey: process.env.OPENAI_API_KEY || 'not-needed', // local servers usually take any key
+            maxRetries: 0 // failover handles retries
+        })
+        : null;
+    const model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+    const completion = ({ systemPrompt, history, message, maxOutputTokens, temperature }) => ({
+        model,
+        messages: [
+            { role: 'system', content: systemPrompt },
+            ...history.map(msg => ({ role: msg.role, content: msg.content })),
+            { role: 'user', content: message }
+        ],
+        max_tokens: maxOutputTokens,
+        temperature
+    });
+
+    return {
+        name: 'openai',
+        source: 'openai',
+        model,
+        enabled: !!client,
+        async generate(request, signal) {
+            const response = await client.chat.completions.create(completion(request), { signal });
+            return {
+                text: response.choices[0]?.message?.content || '',
+                tokensUsed: response.usage?.total_tokens
+            };
+        },
+        async *stream(request, signal) {
+            // Without include_usage the server sends no token counts for a stream;
+            // they arrive in a final chunk with no choices
+            const stream = await client.chat.completions.create({
+                ...completion(request),
+                stream: true,
+                stream_options: { include_usage: true }
+            }, { signal });
+            for await (const chunk of stream) {
+                const text = chunk.choices[0]?.delta?.content;
+                if (text) yield { text };
+                if (chunk.usage) yield { tokensUsed: chunk.usage.total_tokens };
+            }
+        }
+    };
+};
+
+// Grounded in the retrieved passages when there are any
+const localAnswer = (request) => request.passages?.length > 0
+    ? groundedAnswer(request.passages)
+    : getFallbackResponse(request.message);
+
+const createLocalProvider = () => ({
+    name: 'local',
+    source: 'local',
+    model: 'local-knowledge',
+    enabled: true,
+    async generate(request) {
+        return { text: localAnswer(request) };
+    },
+    // Word-sized chunks so the local answer streams like a model reply
+    async *stream(request, signal) {
+        const chunks = localAnswer(request).match(/\S+\s*/g) || [];
+        for (const text of chunks) {
+            if (signal.aborted) return;
+            yield { text };
+            await wait(LOCAL_CHUNK_DELAY_MS);
+        }
+    }
+});
+
+const PROVIDERS = Object.fromEntries(
+    [createGeminiProvider(), createOpenAiProvider(), createLocalProvider()].map(provider => [provider.name, provider])
+);
+
+// Circuit breaker state by provider name: consecutive failures, when the
+// cooldown ends and whether a probe request is in flight
+const breakers = new Map();
+
+const circuitState = (name) => {
+    const breaker = breakers.get(name);
+    if (!breaker || breaker.failures < BREAKER_THRESHOLD) return 'closed';
+    return breaker.openUntil > Date.now() ? 'open' : 'half-open';
+};
+
+// Whether a request may try the provider, and if so whether it is the probe
+// of a half-open circuit: { probe } or null
+const enterCircuit = (name) => {
+    const state = circuitState(name);
+    if (state === 'closed') return { probe: false };
+
+    const breaker = breakers.get(name);
+    if (state === 'open' || breaker.probing) return null;
+    breaker.probing = true;
+    return { probe: true };
+};
+
+// Let the next request probe again (a failed probe has reopened the circuit,
+// a successful one closed it; this covers probes the caller aborted)
+const leaveCircuit = (name, access) => {
+    const breaker = breakers.get(name);
+    if (access.probe && breaker) breaker.probing = false;
+};
+
+const recordSuccess = (name) => breakers.delete(name);
+
+const recordFailure = (name, error) => {
+    const breaker = breakers.get(name) || { failures: 0, openUntil: 0 };
+    breaker.failures++;
+    breaker.lastError = error.message;
+    if (breaker.failures >= BREAKER_THRESHOLD) {
+        breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+        console.warn(`⚡ Chat provider ${name} circuit open for ${BREAKER_COOLDOWN_MS / 1000}s after ${breaker.failures} failures`);
+    }
+    breakers.set(name, breaker);
+};
+
+// Providers to try for this user, in order
+const getProviderChain = (user) => {
+    const tier = user?.isSubscriptionActive?.() === false ? 'free' : user?.subscription?.type;
+    const configured = (tier && process.env[`CHAT_PROVIDERS_${tier.toUpperCase()}`]) ||
+        process.env.CHAT_PROVIDERS ||
+        DEFAULT_CHAIN;
+
+    const names = configured.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    if (!names.includes('local')) names.push('local');
+
+    return [...new Set(names)]
+        .map(name => PROVIDERS[name])
+        .filter(provider => provider && provider.enabled);
+};
+
+// Signal for one provider attempt: aborts when the caller aborts or the
+// provider is silent for PROVIDER_TIMEOUT_MS. touch() restarts the clock.
+const attemptSignal = (parent) => {
+    const controller = new AbortController();
+    const onParentAbort = () => controller.abort(parent.reason);
+    parent?.addEventListener('abort', onParentAbort, { once: true });
+
+    let timer;
+    const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(
+            () => controller.abort(new Error(`Timed out after ${PROVIDER_TIMEOUT_MS}ms`)),
+            PROVIDER_TIMEOUT_MS
+        );
+    };
+    touch();
+
+    return {
+        signal: controller.signal,
+        touch,
+        done: () => {
+            clearTimeout(timer);
+            parent?.removeEventListener('abort', onParentAbort);
+        }
+    };
+};
+
+// Settle with the promise, or reject as soon as the signal aborts even if the
+// provider ignores it
+const raceAbort = (promise, signal) => new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+});
+
+const replyFrom = (provider, fields) => ({
+    provider: provider.name,
+    source: provider.source,
+    model: provider.model,
+    ...fields
+});
+
+// Full reply from the first provider that answers:
+// { text, tokensUsed, provider, source, model, failedProviders, toolCalls }
+const generateReply = async (request, { user, signal } = {}) => {
+    const failedProviders = [];
+
+    for (const provider of getProviderChain(user)) {
+        const access = enterCircuit(provider.name);
+        if (!access) {
+            failedProviders.push(provider.name);
+            continue;
+        }
+
+        const attempt = attemptSignal(signal);
+        let result;
+        try {
+            result = await raceAbort(provider.generate(request, attempt.signal, attempt.touch), attempt.signal);
+            recordSuccess(provider.name);
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.error(`❌ Chat provider ${provider.name} failed:`, error.message);
+            recordFailure(provider.name, error);
+            failedProviders.push(provider.name);
+            continue;
+        } finally {
+            attempt.done();
+            leaveCircuit(provider.name, access);
+        }
+
+        // An empty answer (e.g. a safety block) is not an outage: fail over without tripping the breaker
+        if (!result.text || result.text.trim() === '') {
+            console.log(`⚠️ Chat provider ${provider.name} returned an empty response`);
+            failedProviders.push(provider.name);
+            continue;
+        }
+
+        return replyFrom(provider, {
+            text: result.text,
+            tokensUsed: result.tokensUsed,
+            failedProviders,
+            toolCalls: result.toolCalls || []
+        });
+    }
+
+    throw new Error('No chat provider could answer');
+};
+
+// Stream a reply, calling onToken(text) for every chunk and onToolCall(call)
+// for every tool the model calls. A provider that fails before its first chunk
+// is replaced by the next one; once chunks have been sent the reply stays with
+// that provider and ends where it broke off.
+// Resolves with { text, tokensUsed, provider, source, model, failedProviders,
+// toolCalls, aborted }, where aborted means the caller's signal ended the stream.
+const streamReply = async (request, { user, signal, onToken, onToolCall }) => {
+    const failedProviders = [];
+
+    for (const provider of getProviderChain(user)) {
+        const access = enterCircuit(provider.name);
+        if (!access) {
+            failedProviders.push(provider.name);
+            continue;
+        }
+
+        const attempt = attemptSignal(signal);
+        let text = '';
+        let tokensUsed;
+        const toolCalls = [];
+        try {
+            const iterator = provider.stream(request, attempt.signal)[Symbol.asyncIterator]();
+            while (true) {
+                const { value, done } = await raceAbort(iterator.next(), attempt.signal);
+                if (done) break;
+                attempt.touch();
+                if (value.text) {
+                    text += value.text;
+                    onToken(value.text);
+                }
+                if (value.toolCalls) {
+                    toolCalls.push(...value.toolCalls);
+                    value.toolCalls.forEach(call => onToolCall?.(call));
+                }
+                if (value.tokensUsed) tokensUsed = value.tokensUsed;
+            }
+            recordSuccess(provider.name);
+        } catch (error) {
+            if (signal?.aborted) {
+                return replyFrom(provider, { text, tokensUsed, failedProviders, toolCalls, aborted: true });
+            }
+            console.error(`❌ Chat provider ${provider.name} stream failed:`, error.message);
+            recordFailure(provider.name, error);
+            if (text) {
+                return replyFrom(provider, { text, tokensUsed, failedProviders, toolCalls, aborted: false });
+            }
+            failedProviders.push(provider.name);
+            continue;
+        } finally {
+            attempt.done();
+            leaveCircuit(provider.name, access);
+        }
+
+        if (text.trim() === '') {
+            console.log(`⚠️ Chat provider ${provider.name} streamed an empty response`);
+            failedProviders.push(provider.name);
+            continue;
+        }
+
+        return replyFrom(provider, { text, tokensUsed, failedProviders, toolCalls, aborted: false });
+    }
+
+    if (signal?.aborted) {
+        return { text: '', provider: null, source: null, model: null, failedProviders, toolCalls: [], aborted: true };
+    }
+    throw new Error('No chat provider could answer');
+};
+
+// Configured providers, this user's chain and circuit breaker state
+const getProviderStatus = (user) => ({
+    chain: getProviderChain(user).map(provider => provider.name),
+    providers: Object.values(PROVIDERS).map(provider => {
+        const breaker = breakers.get(provider.name);
+        return {
+            name: provider.name,
+            model: provider.model,
+            enabled: provider.enabled,
+            circuit: circuitState(provider.name),
+            consecutiveFailures: breaker?.failures || 0,
+            lastError: breaker?.lastError || null
+        };
+    })
+});
+
+module.exports = {
+    generateReply,
+    streamReply,
+    getProviderChain,
+    getProviderStatus
+};
@@ -0,0 +1,386 @@
+// Chat Tools Service
+// Live farm data the chatbot can ask for through Gemini function calling
+// instead of having it all in the prompt:
+//
+//   get_current_weather    current conditions at the farm or a named field
+//   get_weather_forecast   up to 5 days of 3-hourly forecast (rain, wind)
+//   get_analysis_history   the farmer's recent photo analyses
+//   suggest_crops          crops ranked for the farm (services/cropSuggestions.js)
+//   search_community       published community posts matching a query
+//
+// Tools follow the farmer's chat context switches (services/chatContext.js):
+// weather needs the weather section plus the location or fields, analysis
+// history needs analyses, crop suggestions only use the location, fields and
+// profile crops that are shared, and field names are only offered or reported
+// when fields are shared. Every call is recorded as
+// { name, args, result, error, durationMs } so the answer can be traced back
+// to the data it was based on. Set CHAT_TOOLS=false to turn tools off.
+const { SchemaType } = require('@google/generative-ai');
+const Field = require('../models/Field');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const CommunityPost = require('../models/CommunityPost');
+const { resolveCoordinates, getCurrentWeather, getForecast } = require('./weather');
+const { getContextSettings } = require('./chatContext');
+const { SEASONS, getCropSuggestions } = require('./cropSuggestions');
+
+const TOOLS_ENABLED = process.env.CHAT_TOOLS !== 'false';
+const MAX_FORECAST_DAYS = 5;
+const MAX_HISTORY = 10;
+const MAX_POSTS = 5;
+const POST_EXCERPT_CHARS = 300;
+
+const SOIL_TYPES = Field.schema.path('soilType').enumValues;
+const COMMUNITY_CATEGORIES = ['general', 'pest_alert', 'disease_warning', 'weather_update', 'market_info', 'crop_advice', 'success_story', 'question'];
+
+const TOOL_INSTRUCTIONS = 'You can call tools for live data about this farmer. For questions about the weather, rain, wind, spraying, irrigation or planting timing, call the weather tools when you have them and base your answer on their readings instead of guessing. Use the analysis history, when you have it, for questions about their own crops, the crop suggestions for what to plant and the community search to see what other farmers report. If a tool returns an error or the data is not available, say so.';
+
+// Errors with a message meant for the model (and the farmer)
+const toolError = (message) => Object.assign(new Error(message), { expose: true });
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const clamp = (value, min, max, fallback) => {
+    const number = parseInt(value);
+    return Number.isNaN(number) ? fallback : Math.min(Math.max(number, min), max);
+};
+
+const round = (value, digits = 1) => typeof value === 'number' ? Number(value.toFixed(digits)) : value;
+
+const findFieldByName = async (user, settings, fieldName) => {
+    if (!settings.fields) throw toolError('The farmer does not share their fields');
+    const field = await Field.findOne({
+        user: user._id,
+        name: new RegExp(`^${escapeRegex(fieldName.trim())}$`, 'i')
+    }).select('_id name soilType location');
+    if (!field) throw toolError(`The farmer has no field named "${fieldName}"`);
+    return field;
+};
+
+// Where to look up the weather: the named field, else the profile location,
+// else the most recently updated field that has a location; each only when
+// the farmer shares it
+const weatherCoordinates = async (user, settings, fieldName) => {
+    let fieldId;
+    if (fieldName) {
+        fieldId = (await findFieldByName(user, settings, fieldName))._id.toString();
+    } else {
+        const [longitude, latitude] = settings.location ? user.location?.coordinates || [] : [];
+        if (longitude || latitude) {
+            return { latitude, longitude, field: null };
+        }
+        const field = settings.fields
+            ? await Field.findOne({ user: user._id, 'location.latitude': { $ne: null } })
+                .sort({ updatedAt: -1 })
+                .select('_id')
+            : null;
+        if (!field) throw toolError('The farmer has not shared a farm location or field boundary');
+        fieldId = field._id.toString();
+    }
+
+    const coordinates = await resolveCoordinates({ fieldId }, user);
+    if (coordinates.message) throw toolError(coordinates.message);
+    return coordinates;
+};
+
+const currentWeather = async ({ fieldName }, { user, settings, signal }) => {
+    const coordinates = await weatherCoordinates(user, settings, fieldName);
+    const { weather } = await getCurrentWeather(coordinates, user, { signal });
+    return {
+        location: weather.location,
+        observedAt: weather.timestamp,
+        temperature: round(weather.temperature),
+        feelsLike: round(weather.feelsLike),
+        humidity: weather.humidity,
+        windSpeed: weather.windSpeed,
+        conditions: weather.conditions,
+        description: weather.description
+    };
+};
+
+const weatherForecast = async ({ fieldName, days }, { user, settings, signal }) => {
+    const coordinates = await weatherCoordinates(user, settings, fieldName);
+    const { location, forecast } = await getForecast(coordinates, clamp(days, 1, MAX_FORECAST_DAYS, 2), { signal });
+    return {
+        location: coordinates.field?.name || location,
+        days: forecast.map(day => ({
+            date: day.date.toISOString().slice(0, 10),
+            minTemp: round(day.minTemp),
+            maxTemp: round(day.maxTemp),
+            precipitation: round(day.precipitation),
+            description: day.description,
+            periods: day.hourly.map(item => ({
+                time: item.timestamp.toISOString(),
+                temperature: round(item.temperature),
+                precipitation: round(item.precipitation),
+                rainProbability: Math.round(item.probability * 100),
+                windSpeed: item.windSpeed,
+                description: item.description
+            }))
+        }))
+    };
+};
+
+const analysisSummary = (analysis, settings) => {
+    const { cropAnalysis, pestAnalysis, soilAnalysis } = analysis.analysis || {};
+    const summary = {
+        date: analysis.createdAt.toISOString().slice(0, 10),
+        type: analysis.analysisType || 'crop',
+        field: settings.fields ? analysis.field?.name : undefined
+    };
+
+    if (summary.type === 'soil') {
+        return {
+            ...summary,
+            soilType: soilAnalysis?.type,
+            moistureLevel: soilAnalysis?.moistureLevel,
+            phEstimate: soilAnalysis?.phEstimate,
+            nutrientDeficiencies: soilAnalysis?.nutrientDeficiencies
+        };
+    }
+
+    return {
+        ...summary,
+        crop: cropAnalysis?.detectedCrop,
+        condition: cropAnalysis?.condition,
+        healthScore: cropAnalysis?.healthScore,
+        issues: cropAnalysis?.issues,
+        disease: pestAnalysis?.disease?.detected ? pestAnalysis.disease.name : undefined,
+        pests: pestAnalysis?.pests?.map(pest => ({ name: pest.name, severity: pest.severity }))
+    };
+};
+
+const analysisHistory = async ({ analysisType, fieldName, limit }, { user, settings }) => {
+    const filter = {
+        user: user._id,
+        status: 'completed',
+        duplicateOf: { $exists: false }
+    };
+    if (analysisType) {
+        filter.analysisType = analysisType === 'crop' ? { $in: ['crop', null] } : analysisType;
+    }
+    if (fieldName) {
+        filter.field = (await findFieldByName(user, settings, fieldName))._id;
+    }
+
+    const analyses = await ImageAnalysis.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(clamp(limit, 1, MAX_HISTORY, 5))
+        .select('analysisType analysis.cropAnalysis analysis.pestAnalysis analysis.soilAnalysis field createdAt')
+        .populate('field', 'name');
+
+    return { analyses: analyses.map(analysis => analysisSummary(analysis, settings)) };
+};
+
+// Where to suggest crops for, like weatherCoordinates but never failing for a
+// missing location: { field, latitude, longitude } with any part unset
+const suggestionSite = async (user, settings, fieldName) => {
+    if (fieldName) {
+        const field = await findFieldByName(user, settings, fieldName);
+        return { field, latitude: field.location?.latitude, longitude: field.location?.longitude };
+    }
+
+    const [longitude, latitude] = settings.location ? user.location?.coordinates || [] : [];
+    if (longitude || latitude) return { field: null, latitude, longitude };
+
+    const field = settings.fields
+        ? await Field.findOne({ user: user._id, 'location.latitude': { $ne: null } })
+            .sort({ updatedAt: -1 })
+            .select('name soilType location')
+        : null;
+    return { field, latitude: field?.location?.latitude, longitude: field?.location?.longitude };
+};
+
+const cropSuggestions = async ({ fieldName, soilType, season }, { user, settings, signal }) => {
+    const site = await suggestionSite(user, settings, fieldName);
+    const { conditions, suggestions } = await getCropSuggestions({
+        latitude: site.latitude,
+        longitude: site.longitude,
+        soilType: SOIL_TYPES.includes(soilType) ? soilType : site.field?.soilType,
+        season,
+        currentCrops: settings.profile ? user.profile?.crops || [] : [],
+        signal
+    });
+
+    return {
+        field: site.field?.name,
+        conditions,
+        suggestions: suggestions.map(({ crop, suitability, reasons, risks, grownByFarmer, waterNeed, growingDays }) => ({
+            crop, suitability, reasons, risks, grownByFarmer, waterNeed, growingDays
+        }))
+    };
+};
+
+const communitySearch = async ({ query, category }) => {
+    if (!query || !query.trim()) throw toolError('A search query is required');
+    const posts = await CommunityPost.find(
+        CommunityPost.searchFilter(escapeRegex(query.trim()), COMMUNITY_CATEGORIES.includes(category) ? category : undefined)
+    )
+        .sort({ createdAt: -1 })
+        .limit(MAX_POSTS)
+        .select('content.title content.body category tags engagement.likes engagement.comments createdAt');
+
+    return {
+        posts: posts.map(post => ({
+            title: post.content.title,
+            excerpt: post.content.body.slice(0, POST_EXCERPT_CHARS),
+            category: post.category,
+            tags: post.tags,
+            likes: post.engagement.likes.length,
+            comments: post.engagement.comments.length,
+            date: post.createdAt.toISOString().slice(0, 10)
+        }))
+    };
+};
+
+// Offered only when the farmer shares what a field name would reveal
+const fieldNameParameter = (settings) => settings.fields
+    ? {
+        fieldName: {
+            type: SchemaType.STRING,
+            description: 'Name of one of the farmer\'s registered fields. Omit to use the farm location.'
+        }
+    }
+    : {};
+
+// Each tool: whether the farmer's context settings allow it, its Gemini
+// declaration for those settings and its handler(args, { user, settings, signal })
+const TOOLS = {
+    get_current_weather: {
+        allowed: (settings) => settings.weather && (settings.location || settings.fields),
+        declare: (settings) => ({
+            description: 'Current weather at the farmer\'s farm or one of their fields: temperature (°C), humidity, wind (m/s) and conditions.',
+            parameters: {
+                type: SchemaType.OBJECT,
+                properties: { ...fieldNameParameter(settings) }
+            }
+        }),
+        handler: currentWeather
+    },
+    get_weather_forecast: {
+        allowed: (settings) => settings.weather && (settings.location || settings.fields),
+        declare: (settings) => ({
+            description: 'Weather forecast for the farmer\'s farm or one of their fields: daily summaries plus 3-hourly temperature, rain (mm), rain probability and wind (m/s).',
+            parameters: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    ...fieldNameParameter(settings),
+                    days: {
+                        type: SchemaType.INTEGER,
+                        description: `Number of days to forecast, 1 to ${MAX_FORECAST_DAYS} (default 2).`
+                    }
+                }
+            }
+        }),
+        handler: weatherForecast
+    },
+    get_analysis_history: {
+        allowed: (settings) => settings.analyses,
+        declare: (settings) => ({
+            description: 'The farmer\'s most recent crop, pest and soil photo analyses, newest first.',
+            parameters: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    analysisType: {
+                        type: SchemaType.STRING,
+                        format: 'enum',
+                        enum: ['crop', 'pest', 'soil'],
+                        description: 'Only analyses of this type.'
+                    },
+                    ...fieldNameParameter(settings),
+                    limit: {
+                        type: SchemaType.INTEGER,
+                        description: `How many analyses to return, 1 to ${MAX_HISTORY} (default 5).`
+                    }
+                }
+            }
+        }),
+        handler: analysisHistory
+    },
+    suggest_crops: {
+        allowed: () => true, // the handler only uses the location, fields and crops that are shared
+        declare: (settings) => ({
+            description: 'Crops that suit the farmer\'s farm or one of their fields, ranked 0-100 from the 5-day forecast temperature, the soil type and the season, with reasons and risks.',
+            parameters: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    ...fieldNameParameter(settings),
+                    soilType: {
+                        type: SchemaType.STRING,
+                        format: 'enum',
+                        enum: SOIL_TYPES,
+                        description: 'Soil type, if the farmer mentioned it. Defaults to the field\'s recorded soil type.'
+                    },
+                    season: {
+                        type: SchemaType.STRING,
+                        format: 'enum',
+                        enum: SEASONS,
+                        description: 'Season the farmer plans to plant in. Omit to judge it from the forecast rain.'
+                    }
+                }
+            }
+        }),
+        handler: cropSuggestions
+    },
+    search_community: {
+        allowed: () => true, // public posts, nothing about the farmer
+        declare: () => ({
+            description: 'Search published community posts from other farmers, e.g. pest alerts or crop advice.',
+            parameters: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    query: { type: SchemaType.STRING, description: 'Words to look for in post titles, bodies and tags.' },
+                    category: {
+                        type: SchemaType.STRING,
+                        format: 'enum',
+                        enum: COMMUNITY_CATEGORIES,
+                        description: 'Only posts in this category.'
+                    }
+                },
+                required: ['query']
+            }
+        }),
+        handler: communitySearch
+    }
+};
+
+// Message for a failed call: our own tool errors as they are, weather API
+// failures and anything unexpected as a generic outage
+const errorMessage = (name, error) => {
+    if (error.expose) return error.message;
+    if (error.isAxiosError) return 'Weather service temporarily unavailable';
+    return `${name} failed`;
+};
+
+// Tools bound to one user for a chat request, limited to what they share, or
+// null when tools are off:
+// { declarations, instructions, call(name, args, signal) -> call record }
+const createToolbox = (user) => {
+    if (!TOOLS_ENABLED) return null;
+
+    const settings = getContextSettings(user);
+    const names = Object.keys(TOOLS).filter(name => TOOLS[name].allowed(settings));
+
+    return {
+        declarations: names.map(name => ({ name, ...TOOLS[name].declare(settings) })),
+        instructions: TOOL_INSTRUCTIONS,
+        async call(name, args = {}, signal) {
+            const startedAt = Date.now();
+            const record = { name, args };
+            try {
+                if (!names.includes(name)) throw toolError(`Unknown tool ${name}`);
+                record.result = await TOOLS[name].handler(args, { user, settings, signal });
+                console.log(`🔧 Chat tool ${name} answered in ${Date.now() - startedAt}ms`);
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                console.error(`❌ Chat tool ${name} failed:`, error.message);
+                record.error = errorMessage(name, error);
+            }
+            record.durationMs = Date.now() - startedAt;
+            return record;
+        }
+    };
+};
+
+module.exports = {
+    createToolbox
+};
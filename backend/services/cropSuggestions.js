@@ -0,0 +1,149 @@
+// Crop Suggestions Service
+// Ranks the crops in config/cropProfiles.json (CROP_PROFILES_PATH) for a farm,
+// used by GET /api/ai/crop-suggestions and the chatbot's suggest_crops tool.
+// Each crop is scored out of 100 from:
+//
+//   temperature  the mean of the 5-day forecast against the crop's range (40)
+//   soil         the field's soil type against the crop's good/fair soils (30)
+//   season       the requested season, or "wet"/"dry" from the forecast rain (30)
+//
+// A part that is not known (no coordinates, no soil type) scores half its
+// points, so a missing input never decides the ranking on its own. Crops the
+// farmer already grows are marked. These are planning hints, not a yield or
+// market forecast.
+const path = require('path');
+const fs = require('fs');
+const Field = require('../models/Field');
+const { getForecast } = require('./weather');
+
+const PROFILES_PATH = process.env.CROP_PROFILES_PATH || path.join(__dirname, '..', 'config', 'cropProfiles.json');
+const FORECAST_DAYS = 5;
+const WET_SEASON_RAIN_MM = 10; // forecast rain over FORECAST_DAYS that counts as the wet season
+const SEASONS = ['wet', 'dry'];
+const WEIGHTS = { temperature: 40, soil: 30, season: 30 };
+const TEMPERATURE_PENALTY = 8; // points lost per °C outside the crop's range
+const DEFAULT_LIMIT = 5;
+
+const loadProfiles = () => {
+    const profiles = JSON.parse(fs.readFileSync(PROFILES_PATH, 'utf8'));
+    const soilTypes = Field.schema.path('soilType').enumValues;
+    Object.entries(profiles.crops).forEach(([cropId, crop]) => {
+        const unknownSoils = [...crop.soils.good, ...crop.soils.fair].filter(soil => !soilTypes.includes(soil));
+        const unknownSeasons = crop.seasons.filter(season => !SEASONS.includes(season));
+        if (unknownSoils.length > 0 || unknownSeasons.length > 0) {
+            throw new Error(`Crop ${cropId} in ${PROFILES_PATH} uses unknown soil types or seasons: ${[...unknownSoils, ...unknownSeasons].join(', ')}`);
+        }
+    });
+    return profiles;
+};
+
+const profiles = loadProfiles();
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Mean temperature and total rain of the coming days, or null without coordinates
+const forecastConditions = async ({ latitude, longitude }, signal) => {
+    if (latitude == null || longitude == null) return null;
+
+    try {
+        const { location, forecast } = await getForecast({ latitude, longitude }, FORECAST_DAYS, { signal });
+        if (forecast.length === 0) return null;
+        return {
+            location,
+            days: forecast.length,
+            meanTemperature: round(forecast.reduce((sum, day) => sum + day.avgTemp, 0) / forecast.length),
+            rainfall: round(forecast.reduce((sum, day) => sum + day.precipitation, 0))
+        };
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn('⚠️ Forecast unavailable for crop suggestions:', error.message);
+        return null;
+    }
+};
+
+const temperatureScore = (crop, meanTemperature) => {
+    const { min, max } = crop.temperature;
+    const range = `${min}-${max}°C`;
+    if (meanTemperature == null) return { score: WEIGHTS.temperature / 2 };
+
+    if (meanTemperature >= min && meanTemperature <= max) {
+        return { score: WEIGHTS.temperature, reason: `Forecast average of ${meanTemperature}°C is within its ${range} range` };
+    }
+    const distance = meanTemperature < min ? min - meanTemperature : meanTemperature - max;
+    return {
+        score: Math.max(WEIGHTS.temperature - TEMPERATURE_PENALTY * distance, 0),
+        risk: `Forecast average of ${meanTemperature}°C is ${meanTemperature < min ? 'below' : 'above'} its ${range} range`
+    };
+};
+
+const soilScore = (crop, soilType) => {
+    if (!soilType) return { score: WEIGHTS.soil / 2 };
+    if (crop.soils.good.includes(soilType)) return { score: WEIGHTS.soil, reason: `Does well in ${soilType} soil` };
+    if (crop.soils.fair.includes(soilType)) return { score: WEIGHTS.soil / 2, reason: `Tolerates ${soilType} soil` };
+    return { score: 0, risk: `Poorly suited to ${soilType} soil` };
+};
+
+const seasonScore = (crop, season) => {
+    if (!season) return { score: WEIGHTS.season / 2 };
+    if (crop.seasons.includes(season)) return { score: WEIGHTS.season, reason: `Suited to planting in the ${season} season` };
+    if (season === 'dry' && crop.water !== 'low') {
+        return { score: WEIGHTS.season / 6, risk: 'Needs irrigation to grow in the dry season' };
+    }
+    return { score: WEIGHTS.season / 6, risk: `Not usually planted in the ${season} season` };
+};
+
+const isGrownBy = (crop, currentCrops) => currentCrops.some(name =>
+    crop.aliases.includes(String(name).trim().toLowerCase())
+);
+
+// Ranked suggestions for a farm:
+// { conditions: { soilType, season, seasonSource, forecast }, suggestions }
+// where forecast is { location, days, meanTemperature, rainfall } or null and
+// seasonSource is 'requested', 'forecast' or null
+const getCropSuggestions = async (options = {}) => {
+    const { latitude, longitude, soilType, currentCrops = [], limit = DEFAULT_LIMIT, signal } = options;
+    const forecast = await forecastConditions({ latitude, longitude }, signal);
+
+    let season = SEASONS.includes(options.season) ? options.season : null;
+    let seasonSource = season ? 'requested' : null;
+    if (!season && forecast) {
+        season = forecast.rainfall >= WET_SEASON_RAIN_MM ? 'wet' : 'dry';
+        seasonSource = 'forecast';
+    }
+
+    const suggestions = Object.entries(profiles.crops).map(([cropId, crop]) => {
+        const parts = [
+            temperatureScore(crop, forecast?.meanTemperature),
+            soilScore(crop, soilType),
+            seasonScore(crop, season)
+        ];
+        const grownByFarmer = isGrownBy(crop, currentCrops);
+
+        return {
+            cropId,
+            crop: crop.name,
+            suitability: Math.round(parts.reduce((sum, part) => sum + part.score, 0)),
+            reasons: [
+                ...parts.map(part => part.reason).filter(Boolean),
+                ...(grownByFarmer ? ['You already grow it'] : [])
+            ],
+            risks: parts.map(part => part.risk).filter(Boolean),
+            grownByFarmer,
+            waterNeed: crop.water,
+            growingDays: crop.growingDays,
+            recommendations: crop.recommendations
+        };
+    });
+
+    return {
+        conditions: { soilType: soilType || null, season, seasonSource, forecast },
+        suggestions: suggestions
+            .sort((a, b) => b.suitability - a.suitability || Number(b.grownByFarmer) - Number(a.grownByFarmer))
+            .slice(0, limit)
+    };
+};
+
+module.exports = {
+    SEASONS,
+    getCropSuggestions
+};
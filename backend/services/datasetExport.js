@@ -0,0 +1,288 @@
+// Dataset Export Service
+// Builds labeled training datasets from analyses whose diagnosis was confirmed
+// or corrected by a person: expert reviews first, then farmer corrections
+// (feedback.correctedAnalysis), then AI results the farmer rated highly.
+//
+// Each export is written to DATASET_EXPORTS_DIR/<exportId>/:
+//
+//   images/<split>/<label>/<analysisId>.<ext>
+//   manifest.jsonl, manifest.csv    one row per image
+//   summary.json                    filters, split ratios and counts
+//
+// Labels use the PlantVillage "Crop___Condition" form the model registry
+// understands. Results from models with another taxonomy (ImageNet
+// pseudo-labels like "Corn___Potential_stress_or_disease_detected") are left
+// out unless an expert relabelled them, and the rating filters only apply to
+// farmer corrections. Users are assigned to train/val/test as a whole, so photos from
+// one farm never end up on both sides of an evaluation.
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const modelRegistry = require('./modelRegistry');
+
+const EXPORTS_DIR = process.env.DATASET_EXPORTS_DIR || path.join(__dirname, '..', 'exports', 'datasets');
+const DEFAULT_SPLIT = { train: 0.8, val: 0.1, test: 0.1 };
+const CONFIRMING_RATING = 4; // ratings at or above this confirm the AI label
+const MAX_EXPORT_ITEMS = 10000;
+const MANIFEST_FILES = ['manifest.jsonl', 'manifest.csv', 'summary.json'];
+const CSV_COLUMNS = ['analysisId', 'image', 'label', 'crop', 'disease', 'healthy', 'split', 'source', 'userHash', 'rating', 'capturedAt', 'modelUsed', 'modelPrediction'];
+
+// "Early blight" -> "Early_blight", "Corn (maize)" -> "Corn_(maize)"
+const toLabelPart = (text) => text.trim().replace(/\s+/g, '_').replace(/[^\w()-]/g, '');
+
+const hashToUnit = (value) => parseInt(crypto.createHash('sha256').update(value).digest('hex').slice(0, 8), 16) / 0xffffffff;
+
+// Same user + seed always lands in the same split
+const assignSplit = (userId, ratios, seed) => {
+    const bucket = hashToUnit(`${seed}:${userId}`);
+    if (bucket < ratios.train) return 'train';
+    if (bucket < ratios.train + ratios.val) return 'val';
+    return 'test';
+};
+
+// Dataset label for a crop and its condition, e.g. "Tomato___Early_blight" or "Tomato___healthy"
+const buildLabel = (crop, healthy, diseaseName) => {
+    return `${toLabelPart(crop)}___${healthy ? 'healthy' : toLabelPart(diseaseName)}`;
+};
+
+const isHealthyName = (name) => typeof name === 'string' && name.trim().toLowerCase() === 'healthy';
+
+// Training label for an analysis from its most trusted source, or null if it has none
+const resolveLabel = (imageAnalysis) => {
+    const cropAnalysis = imageAnalysis.analysis?.cropAnalysis || {};
+    const disease = imageAnalysis.analysis?.pestAnalysis?.disease || {};
+    const corrected = imageAnalysis.feedback?.correctedAnalysis;
+
+    let source;
+    let crop = cropAnalysis.detectedCrop;
+    let diseaseName = disease.name;
+    let healthy = !disease.detected;
+
+    if (['approved', 'corrected'].includes(imageAnalysis.review?.status)) {
+        // Expert corrections are already applied to the analysis itself
+        source = 'expert';
+    } else if (corrected && typeof corrected === 'object' &&
+        ['detectedCrop', 'crop', 'diseaseName', 'disease', 'healthy', 'diseaseDetected'].some(key => corrected[key] !== undefined)) {
+        source = 'farmer';
+        crop = corrected.detectedCrop || corrected.crop || crop;
+        const correctedDisease = corrected.diseaseName ?? corrected.disease;
+        if (corrected.healthy !== undefined || corrected.diseaseDetected !== undefined) {
+            healthy = corrected.healthy === true || corrected.diseaseDetected === false;
+        } else if (correctedDisease !== undefined) {
+            healthy = !correctedDisease || isHealthyName(correctedDisease);
+        }
+        if (correctedDisease) diseaseName = correctedDisease;
+    } else if (imageAnalysis.feedback?.rating >= CONFIRMING_RATING) {
+        source = 'confirmed';
+    } else {
+        return null;
+    }
+
+    if (!crop || crop === 'Unknown Crop') return null;
+    if (!healthy && (!diseaseName || isHealthyName(diseaseName))) return null;
+
+    return {
+        source,
+        crop,
+        disease: healthy ? null : diseaseName,
+        healthy,
+        label: buildLabel(crop, healthy, diseaseName)
+    };
+};
+
+const csvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Whether the analysis' label is a real PlantVillage class: an expert
+// relabelled it or it came from a PlantVillage model. Analyses without a
+// model id predate the registry and came from the ImageNet MobileNet.
+const hasPlantVillageLabel = (imageAnalysis, resolved) => {
+    if (resolved.source === 'expert' && imageAnalysis.review?.status === 'corrected') return true;
+    const modelUsed = imageAnalysis.analysis?.modelUsed;
+    return !!modelUsed && modelRegistry.getModelDefinition(modelUsed)?.taxonomy === 'plantvillage';
+};
+
+const inRatingRange = (rating, minRating, maxRating) => {
+    if (minRating !== undefined && !(rating >= minRating)) return false;
+    if (maxRating !== undefined && !(rating <= maxRating)) return false;
+    return true;
+};
+
+const countBy = (counts, key) => {
+    counts[key] = (counts[key] || 0) + 1;
+};
+
+// Build a dataset export. Resolves to the export summary.
+const createDatasetExport = async (filters = {}, options = {}) => {
+    const { crop, from, to, minRating, maxRating, sources = ['expert', 'farmer', 'confirmed'] } = filters;
+    const { split = DEFAULT_SPLIT, seed = 'agriai', limit = MAX_EXPORT_ITEMS } = options;
+
+    const query = {
+        status: 'completed',
+        analysisType: { $in: ['crop', null] },
+        duplicateOf: { $exists: false },
+        $or: [
+            { 'review.status': { $in: ['approved', 'corrected'] } },
+            { 'feedback.correctedAnalysis': { $exists: true, $ne: null } },
+            { 'feedback.rating': { $gte: CONFIRMING_RATING } }
+        ]
+    };
+    if (from || to) {
+        query.createdAt = {
+            ...(from && { $gte: new Date(from) }),
+            ...(to && { $lte: new Date(to) })
+        };
+    }
+
+    const exportId = `dataset-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    const exportDir = path.join(EXPORTS_DIR, exportId);
+    fs.mkdirSync(path.join(exportDir, 'images'), { recursive: true });
+
+    const jsonl = fs.createWriteStream(path.join(exportDir, 'manifest.jsonl'));
+    const csv = fs.createWriteStream(path.join(exportDir, 'manifest.csv'));
+    csv.write(CSV_COLUMNS.join(',') + '\n');
+
+    const counts = { total: 0, bySplit: {}, byLabel: {}, bySource: {} };
+    const usersBySplit = { train: new Set(), val: new Set(), test: new Set() };
+    const skipped = { noLabel: 0, cropFilter: 0, sourceFilter: 0, ratingFilter: 0, taxonomy: 0, missingImage: 0 };
+
+    const cursor = ImageAnalysis.find(query)
+        .sort({ createdAt: 1 })
+        .select('user originalImage analysis.modelUsed analysis.predictions analysis.cropAnalysis analysis.pestAnalysis.disease feedback review.status metadata.deviceInfo.timestamp createdAt')
+        .cursor();
+
+    try {
+        for await (const imageAnalysis of cursor) {
+            if (counts.total >= limit) break;
+
+            const resolved = resolveLabel(imageAnalysis);
+            if (!resolved) {
+                skipped.noLabel++;
+                continue;
+            }
+            if (crop && resolved.crop.toLowerCase() !== crop.toLowerCase()) {
+                skipped.cropFilter++;
+                continue;
+            }
+            if (!sources.includes(resolved.source)) {
+                skipped.sourceFilter++;
+                continue;
+            }
+            if (resolved.source === 'farmer' && !inRatingRange(imageAnalysis.feedback?.rating, minRating, maxRating)) {
+                skipped.ratingFilter++;
+                continue;
+            }
+            if (!hasPlantVillageLabel(imageAnalysis, resolved)) {
+                skipped.taxonomy++;
+                continue;
+            }
+            if (!imageAnalysis.originalImage?.path || !fs.existsSync(imageAnalysis.originalImage.path)) {
+                skipped.missingImage++;
+                continue;
+            }
+
+            const userId = imageAnalysis.user.toString();
+            const datasetSplit = assignSplit(userId, split, seed);
+            const extension = path.extname(imageAnalysis.originalImage.path) || '.jpg';
+            const relativeImage = path.posix.join('images', datasetSplit, resolved.label, `${imageAnalysis._id}${extension}`);
+
+            fs.mkdirSync(path.join(exportDir, 'images', datasetSplit, resolved.label), { recursive: true });
+            fs.copyFileSync(imageAnalysis.originalImage.path, path.join(exportDir, relativeImage));
+
+            const record = {
+                analysisId: imageAnalysis._id.toString(),
+                image: relativeImage,
+                label: resolved.label,
+                crop: resolved.crop,
+                disease: resolved.disease,
+                healthy: resolved.healthy,
+                split: datasetSplit,
+                source: resolved.source,
+                userHash: crypto.createHash('sha256').update(`${seed}:${userId}`).digest('hex').slice(0, 12),
+                rating: imageAnalysis.feedback?.rating ?? null,
+                capturedAt: imageAnalysis.metadata?.deviceInfo?.timestamp || imageAnalysis.createdAt,
+                modelUsed: imageAnalysis.analysis?.modelUsed || null,
+                modelPrediction: imageAnalysis.analysis?.predictions?.[0]?.className || null
+            };
+
+            jsonl.write(JSON.stringify(record) + '\n');
+            csv.write(CSV_COLUMNS.map(column => csvValue(record[column])).join(',') + '\n');
+
+            counts.total++;
+            countBy(counts.bySplit, datasetSplit);
+            countBy(counts.byLabel, resolved.label);
+            countBy(counts.bySource, resolved.source);
+            usersBySplit[datasetSplit].add(userId);
+        }
+    } finally {
+        await Promise.all([jsonl, csv].map(stream => new Promise(resolve => stream.end(resolve))));
+    }
+
+    const summary = {
+        exportId,
+        createdAt: new Date(),
+        filters: { crop, from, to, minRating, maxRating, sources },
+        split,
+        seed,
+        counts: {
+            ...counts,
+            usersBySplit: Object.fromEntries(Object.entries(usersBySplit).map(([name, users]) => [name, users.size]))
+        },
+        skipped,
+        truncated: counts.total >= limit,
+        files: MANIFEST_FILES
+    };
+    fs.writeFileSync(path.join(exportDir, 'summary.json'), JSON.stringify(summary, null, 2));
+
+    console.log(`📦 Dataset export ${exportId}: ${counts.total} images, ${Object.keys(counts.byLabel).length} labels`);
+    return summary;
+};
+
+// Summaries of previous exports, newest first
+const listDatasetExports = () => {
+    if (!fs.existsSync(EXPORTS_DIR)) return [];
+
+    return fs.readdirSync(EXPORTS_DIR)
+        .filter(entry => fs.existsSync(path.join(EXPORTS_DIR, entry, 'summary.json')))
+        .map(entry => JSON.parse(fs.readFileSync(path.join(EXPORTS_DIR, entry, 'summary.json'), 'utf8')))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+// Path of a manifest file inside an export, or null if it doesn't exist
+const getExportFilePath = (exportId, file) => {
+    if (!/^dataset-[\w-]+$/.test(exportId) || !MANIFEST_FILES.includes(file)) return null;
+
+    const filePath = path.join(EXPORTS_DIR, exportId, file);
+    return fs.existsSync(filePath) ? filePath : null;
+};
+
+// Records of an export's manifest with absolute image paths, or null if the export doesn't exist
+const readExportManifest = (exportId) => {
+    const manifestPath = getExportFilePath(exportId, 'manifest.jsonl');
+    if (!manifestPath) return null;
+
+    const exportDir = path.dirname(manifestPath);
+    return fs.readFileSync(manifestPath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            const record = JSON.parse(line);
+            return { ...record, imagePath: path.join(exportDir, record.image) };
+        });
+};
+
+module.exports = {
+    EXPORTS_DIR,
+    DEFAULT_SPLIT,
+    MAX_EXPORT_ITEMS,
+    buildLabel,
+    resolveLabel,
+    createDatasetExport,
+    listDatasetExports,
+    getExportFilePath,
+    readExportManifest
+};
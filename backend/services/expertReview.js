@@ -0,0 +1,183 @@
+// Expert Review Service
+// Completed analyses the model is unsure about (low confidence) or that come
+// out critical (a health score at or below REVIEW_CRITICAL_HEALTH_SCORE, or a
+// critical pest) are queued for an expert. An expert claims an analysis, then
+// approves the AI diagnosis or corrects it, and the farmer is notified.
+const ImageAnalysis = require('../models/ImageAnalysis');
+const Notification = require('../models/Notification');
+
+const REVIEW_CONFIDENCE_THRESHOLD = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0.5;
+const REVIEW_CRITICAL_HEALTH_SCORE = parseFloat(process.env.REVIEW_CRITICAL_HEALTH_SCORE) || 30;
+const CLAIM_EXPIRY_MS = 2 * 60 * 60 * 1000; // unfinished claims return to the queue after 2 hours
+
+const REASON_PRIORITY = {
+    critical: 2,
+    low_confidence: 1
+};
+
+// Why an analysis needs an expert (empty when it doesn't)
+const getReviewReasons = (analysis) => {
+    const cropAnalysis = analysis?.cropAnalysis;
+    const pests = analysis?.pestAnalysis?.pests || [];
+    if ((!cropAnalysis && pests.length === 0) || analysis.plantCheck?.isPlant === false) return []; // nothing to diagnose
+
+    // The rules grade conditions excellent to poor, so "critical" comes from the
+    // score itself; 'critical' conditions from older results still count
+    const critical = cropAnalysis?.condition === 'critical' ||
+        (typeof cropAnalysis?.healthScore === 'number' && cropAnalysis.healthScore <= REVIEW_CRITICAL_HEALTH_SCORE) ||
+        pests.some(pest => pest.severity === 'critical');
+
+    const reasons = [];
+    if (critical) reasons.push('critical');
+    if (typeof cropAnalysis?.confidence === 'number' && cropAnalysis.confidence < REVIEW_CONFIDENCE_THRESHOLD) {
+        reasons.push('low_confidence');
+    }
+    return reasons;
+};
+
+// Queue a freshly (re-)analyzed ImageAnalysis for review if it needs one.
+// A new result replaces any earlier review. The document is not saved here.
+const flagForReview = (imageAnalysis) => {
+    const reasons = getReviewReasons(imageAnalysis.analysis);
+
+    imageAnalysis.review = reasons.length > 0
+        ? {
+            status: 'pending',
+            reasons,
+            priority: Math.max(...reasons.map(reason => REASON_PRIORITY[reason])),
+            queuedAt: new Date()
+        }
+        : { status: 'none' };
+
+    return reasons;
+};
+
+// Atomically claim an analysis for an expert. Pending analyses, the expert's own
+// claims and expired claims can be taken; resolves to null otherwise.
+const claimReview = (analysisId, expertId) => {
+    const staleBefore = new Date(Date.now() - CLAIM_EXPIRY_MS);
+
+    return ImageAnalysis.findOneAndUpdate(
+        {
+            _id: analysisId,
+            $or: [
+                { 'review.status': 'pending' },
+                { 'review.status': 'in_review', 'review.reviewer': expertId },
+                { 'review.status': 'in_review', 'review.claimedAt': { $lt: staleBefore } }
+            ]
+        },
+        {
+            $set: {
+                'review.status': 'in_review',
+                'review.reviewer': expertId,
+                'review.claimedAt': new Date()
+            }
+        },
+        { new: true }
+    );
+};
+
+// Give a claimed analysis back to the queue
+const releaseReview = (analysisId, expertId) => {
+    return ImageAnalysis.findOneAndUpdate(
+        { _id: analysisId, 'review.status': 'in_review', 'review.reviewer': expertId },
+        {
+            $set: { 'review.status': 'pending' },
+            $unset: { 'review.reviewer': '', 'review.claimedAt': '' }
+        },
+        { new: true }
+    );
+};
+
+// Overwrite the AI diagnosis with the expert's corrections, keeping the original
+const applyCorrection = (imageAnalysis, correction) => {
+    const { cropAnalysis, pestAnalysis } = imageAnalysis.analysis;
+
+    imageAnalysis.review.originalDiagnosis = {
+        detectedCrop: cropAnalysis.detectedCrop,
+        healthScore: cropAnalysis.healthScore,
+        condition: cropAnalysis.condition,
+        issues: [...cropAnalysis.issues],
+        recommendations: [...cropAnalysis.recommendations],
+        disease: {
+            detected: pestAnalysis.disease.detected,
+            name: pestAnalysis.disease.name,
+            treatment: [...pestAnalysis.disease.treatment]
+        }
+    };
+
+    if (correction.detectedCrop !== undefined) cropAnalysis.detectedCrop = correction.detectedCrop;
+    if (correction.healthScore !== undefined) cropAnalysis.healthScore = correction.healthScore;
+    if (correction.condition !== undefined) cropAnalysis.condition = correction.condition;
+    if (correction.issues !== undefined) cropAnalysis.issues = correction.issues;
+    if (correction.recommendations !== undefined) cropAnalysis.recommendations = correction.recommendations;
+
+    if (correction.diseaseDetected !== undefined) {
+        pestAnalysis.detected = correction.diseaseDetected;
+        pestAnalysis.disease.detected = correction.diseaseDetected;
+        if (!correction.diseaseDetected) pestAnalysis.disease.name = '';
+    }
+    if (correction.diseaseName !== undefined) pestAnalysis.disease.name = correction.diseaseName;
+    if (correction.treatment !== undefined) pestAnalysis.disease.treatment = correction.treatment;
+};
+
+const notifyFarmer = (imageAnalysis, expert) => {
+    const corrected = imageAnalysis.review.status === 'corrected';
+    const crop = imageAnalysis.analysis.cropAnalysis.detectedCrop || 'crop';
+
+    return Notification.createNotification(imageAnalysis.user, {
+        title: corrected ? 'Your analysis was corrected by an expert' : 'An expert confirmed your analysis',
+        message: corrected
+            ? `${expert.name} reviewed your ${crop} analysis and updated the diagnosis.`
+            : `${expert.name} reviewed your ${crop} analysis and agreed with the diagnosis.`,
+        type: 'review',
+        priority: corrected ? 'high' : 'medium',
+        data: {
+            analysisId: imageAnalysis._id,
+            reviewStatus: imageAnalysis.review.status
+        },
+        metadata: {
+            source: 'system',
+            relatedId: imageAnalysis._id,
+            relatedType: 'ImageAnalysis'
+        }
+    });
+};
+
+// Approve (no correction) or correct a claimed analysis and notify its owner.
+// Resolves to null when the expert doesn't hold the claim.
+const completeReview = async (analysisId, expert, { correction, notes } = {}) => {
+    const imageAnalysis = await ImageAnalysis.findOne({
+        _id: analysisId,
+        'review.status': 'in_review',
+        'review.reviewer': expert._id
+    });
+    if (!imageAnalysis) return null;
+
+    if (correction) {
+        applyCorrection(imageAnalysis, correction);
+    }
+    imageAnalysis.review.status = correction ? 'corrected' : 'approved';
+    imageAnalysis.review.reviewedAt = new Date();
+    imageAnalysis.review.notes = notes;
+    await imageAnalysis.save();
+
+    try {
+        await notifyFarmer(imageAnalysis, expert);
+    } catch (error) {
+        console.error('❌ Review notification failed:', error.message);
+    }
+
+    console.log(`🧑‍🌾 Analysis ${imageAnalysis._id} ${imageAnalysis.review.status} by expert ${expert._id}`);
+    return imageAnalysis;
+};
+
+module.exports = {
+    REVIEW_CONFIDENCE_THRESHOLD,
+    CLAIM_EXPIRY_MS,
+    getReviewReasons,
+    flagForReview,
+    claimReview,
+    releaseReview,
+    completeReview
+};
@@ -0,0 +1,147 @@
+// Field Geometry Service
+// GeoJSON polygon checks and measurements for field boundaries. Areas are
+// geodesic (spherical excess on the WGS84 equatorial radius, as in
+// @mapbox/geojson-area), stored in hectares and converted to the unit the
+// farmer prefers (User.preferences.units.area) when shown.
+const EARTH_RADIUS = 6378137; // metres
+const SQUARE_METRES = {
+    hectares: 10000,
+    acres: 4046.8564224
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Signed area of a closed ring in square metres
+const ringArea = (ring) => {
+    const length = ring.length;
+    if (length < 3) return 0;
+
+    let area = 0;
+    for (let i = 0; i < length; i++) {
+        const lower = ring[i];
+        const middle = ring[(i + 1) % length];
+        const upper = ring[(i + 2) % length];
+        area += (toRadians(upper[0]) - toRadians(lower[0])) * Math.sin(toRadians(middle[1]));
+    }
+    return (area * EARTH_RADIUS * EARTH_RADIUS) / 2;
+};
+
+// Do segments p1-p2 and p3-p4 cross (touching counts)?
+const segmentsIntersect = (p1, p2, p3, p4) => {
+    const orientation = (a, b, c) => Math.sign((b[1] - a[1]) * (c[0] - b[0]) - (b[0] - a[0]) * (c[1] - b[1]));
+    const onSegment = (a, b, c) =>
+        Math.min(a[0], c[0]) <= b[0] && b[0] <= Math.max(a[0], c[0]) &&
+        Math.min(a[1], c[1]) <= b[1] && b[1] <= Math.max(a[1], c[1]);
+
+    const o1 = orientation(p1, p2, p3);
+    const o2 = orientation(p1, p2, p4);
+    const o3 = orientation(p3, p4, p1);
+    const o4 = orientation(p3, p4, p2);
+
+    if (o1 !== o2 && o3 !== o4) return true;
+    return (o1 === 0 && onSegment(p1, p3, p2)) ||
+        (o2 === 0 && onSegment(p1, p4, p2)) ||
+        (o3 === 0 && onSegment(p3, p1, p4)) ||
+        (o4 === 0 && onSegment(p3, p2, p4));
+};
+
+// Non-adjacent edges of a closed ring that cross each other
+const isSelfIntersecting = (ring) => {
+    const edges = ring.length - 1;
+    for (let i = 0; i < edges; i++) {
+        for (let j = i + 2; j < edges; j++) {
+            if (i === 0 && j === edges - 1) continue; // first and last edge share the closing vertex
+            if (segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[j + 1])) return true;
+        }
+    }
+    return false;
+};
+
+// Problems with a GeoJSON polygon as a field boundary, or null if it is usable
+const validatePolygon = (polygon) => {
+    if (polygon?.type !== 'Polygon' || !Array.isArray(polygon.coordinates) || polygon.coordinates.length === 0) {
+        return 'Boundary must be a GeoJSON Polygon';
+    }
+
+    for (const [index, ring] of polygon.coordinates.entries()) {
+        const name = index === 0 ? 'Boundary' : `Hole ${index}`;
+        if (ring.length < 4) {
+            return `${name} needs at least 3 distinct points`;
+        }
+        const outOfRange = ring.some(([longitude, latitude]) =>
+            Math.abs(longitude) > 180 || Math.abs(latitude) > 90
+        );
+        if (outOfRange) {
+            return `${name} has coordinates outside [longitude, latitude] range`;
+        }
+        const [first, last] = [ring[0], ring[ring.length - 1]];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+            return `${name} must be closed (last point equal to the first)`;
+        }
+        if (isSelfIntersecting(ring)) {
+            return `${name} crosses itself`;
+        }
+    }
+
+    if (polygonArea(polygon) <= 0) {
+        return 'Boundary encloses no area';
+    }
+    return null;
+};
+
+// Area of a polygon in square metres, holes excluded
+const polygonArea = (polygon) => {
+    const [outer, ...holes] = polygon.coordinates;
+    const area = Math.abs(ringArea(outer)) - holes.reduce((total, hole) => total + Math.abs(ringArea(hole)), 0);
+    return Math.max(area, 0);
+};
+
+// Area-weighted centroid of the outer ring as { latitude, longitude }. Planar
+// in degrees, which is accurate enough at field scale.
+const polygonCentroid = (polygon) => {
+    const ring = polygon.coordinates[0];
+    let twiceArea = 0;
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [x0, y0] = ring[i];
+        const [x1, y1] = ring[i + 1];
+        const cross = x0 * y1 - x1 * y0;
+        twiceArea += cross;
+        x += (x0 + x1) * cross;
+        y += (y0 + y1) * cross;
+    }
+
+    if (twiceArea === 0) {
+        const points = ring.slice(0, -1);
+        return {
+            longitude: points.reduce((sum, point) => sum + point[0], 0) / points.length,
+            latitude: points.reduce((sum, point) => sum + point[1], 0) / points.length
+        };
+    }
+    return {
+        longitude: x / (3 * twiceArea),
+        latitude: y / (3 * twiceArea)
+    };
+};
+
+// Hectares in `unit` ('hectares' or 'acres'), rounded to 2 decimals
+const convertArea = (hectares, unit = 'hectares') => {
+    if (hectares === null || hectares === undefined) return null;
+    const squareMetres = hectares * SQUARE_METRES.hectares;
+    return Math.round((squareMetres / (SQUARE_METRES[unit] || SQUARE_METRES.hectares)) * 100) / 100;
+};
+
+const squareMetresToHectares = (squareMetres) => squareMetres / SQUARE_METRES.hectares;
+
+// Area unit the user prefers (User.preferences.units.area)
+const preferredAreaUnit = (user) => user?.preferences?.units?.area || 'hectares';
+
+module.exports = {
+    validatePolygon,
+    polygonArea,
+    polygonCentroid,
+    convertArea,
+    squareMetresToHectares,
+    preferredAreaUnit
+};
@@ -0,0 +1,209 @@
+// Field Timeline Service
+// Crop health of one registered field over time, built from the completed crop
+// analyses attached to it:
+//
+//   - health progression: daily mean health score and the overall trend
+//   - diseases: when each disease was first (and last) detected in the field
+//   - treatments: the score trend from the days before a logged treatment to
+//     the analyses after it, i.e. whether the treatment is working
+//
+// Photos are dated by capture time (EXIF or the phone's clock), so scans
+// uploaded later from the offline queue land on the day they were taken.
+const ImageAnalysis = require('../models/ImageAnalysis');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TREATMENT_WINDOW_DAYS = parseInt(process.env.FIELD_TREATMENT_WINDOW_DAYS) || 21;
+const STABLE_SLOPE = 2; // health points per week below which a trend counts as flat
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const analysisDate = (analysis) => analysis.metadata?.deviceInfo?.timestamp || analysis.createdAt;
+
+// Least-squares slope of [{ time, score }] in health points per week, or null
+// when the points don't span any time
+const slopePerWeek = (points) => {
+    if (points.length < 2) return null;
+
+    const meanTime = mean(points.map(point => point.time));
+    const meanScore = mean(points.map(point => point.score));
+    let covariance = 0;
+    let variance = 0;
+    points.forEach(({ time, score }) => {
+        covariance += (time - meanTime) * (score - meanScore);
+        variance += (time - meanTime) ** 2;
+    });
+    if (variance === 0) return null;
+
+    return round1((covariance / variance) * 7 * DAY_MS);
+};
+
+const trendDirection = (slope) => {
+    if (slope === null) return null;
+    if (slope >= STABLE_SLOPE) return 'improving';
+    if (slope <= -STABLE_SLOPE) return 'declining';
+    return 'stable';
+};
+
+// One point per completed crop analysis, oldest first
+const toPoints = (analyses) => analyses
+    .map(analysis => {
+        const disease = analysis.analysis.pestAnalysis?.disease;
+        return {
+            analysisId: analysis._id,
+            time: new Date(analysisDate(analysis)).getTime(),
+            score: analysis.analysis.cropAnalysis.healthScore,
+            condition: analysis.analysis.cropAnalysis.condition,
+            disease: disease?.detected ? (disease.name || 'Unidentified') : null
+        };
+    })
+    .sort((a, b) => a.time - b.time);
+
+// Daily mean health score and the diseases seen that day
+const dailyProgression = (points) => {
+    const days = new Map();
+    points.forEach(point => {
+        const day = new Date(point.time).toISOString().slice(0, 10);
+        if (!days.has(day)) days.set(day, []);
+        days.get(day).push(point);
+    });
+
+    return [...days.entries()].map(([date, dayPoints]) => {
+        const scores = dayPoints.map(point => point.score);
+        return {
+            date,
+            analyses: dayPoints.length,
+            meanHealthScore: round1(mean(scores)),
+            minHealthScore: Math.min(...scores),
+            diseasedAnalyses: dayPoints.filter(point => point.disease).length,
+            diseases: [...new Set(dayPoints.map(point => point.disease).filter(Boolean))]
+        };
+    });
+};
+
+// First and last detection of every disease, in order of first detection
+const diseaseHistory = (points) => {
+    const diseases = new Map();
+    points.filter(point => point.disease).forEach(point => {
+        const key = point.disease.toLowerCase();
+        if (!diseases.has(key)) {
+            diseases.set(key, {
+                name: point.disease,
+                firstDetectedAt: new Date(point.time),
+                firstAnalysis: point.analysisId,
+                lastDetectedAt: new Date(point.time),
+                detections: 0
+            });
+        }
+        const disease = diseases.get(key);
+        disease.lastDetectedAt = new Date(point.time);
+        disease.detections++;
+    });
+
+    return [...diseases.values()];
+};
+
+// Effect of one treatment: the scores in the window before it are the
+// baseline, the analyses after it (up to the next treatment) show the trend
+const treatmentEffect = (treatment, nextTreatment, points) => {
+    const appliedAt = new Date(treatment.appliedAt).getTime();
+    const windowEnd = Math.min(
+        appliedAt + TREATMENT_WINDOW_DAYS * DAY_MS,
+        nextTreatment ? new Date(nextTreatment.appliedAt).getTime() : Infinity
+    );
+
+    const before = points.filter(point => point.time < appliedAt && point.time >= appliedAt - TREATMENT_WINDOW_DAYS * DAY_MS);
+    const after = points.filter(point => point.time >= appliedAt && point.time < windowEnd);
+
+    const baselineScore = before.length > 0 ? round1(mean(before.map(point => point.score))) : null;
+    // The baseline counts as one point at the moment of treatment
+    const series = [
+        ...(baselineScore !== null ? [{ time: appliedAt, score: baselineScore }] : []),
+        ...after
+    ];
+    const slope = after.length > 0 ? slopePerWeek(series) : null;
+
+    let effect = 'insufficient_data';
+    if (slope !== null) {
+        effect = { improving: 'improving', stable: 'no_change', declining: 'worsening' }[trendDirection(slope)];
+    }
+
+    const latestDay = after.length > 0 ? new Date(after[after.length - 1].time).toISOString().slice(0, 10) : null;
+    const latest = after.filter(point => new Date(point.time).toISOString().slice(0, 10) === latestDay);
+    const latestScore = latest.length > 0 ? round1(mean(latest.map(point => point.score))) : null;
+
+    let targetDisease;
+    if (treatment.targetDisease) {
+        const target = treatment.targetDisease.toLowerCase();
+        const hasTarget = (point) => point.disease?.toLowerCase() === target;
+        targetDisease = {
+            name: treatment.targetDisease,
+            stillDetected: latest.length > 0 ? latest.some(hasTarget) : null, // on the latest day scanned
+            detectionsAfter: after.filter(hasTarget).length
+        };
+    }
+
+    return {
+        treatmentId: treatment._id,
+        name: treatment.name,
+        product: treatment.product,
+        appliedAt: treatment.appliedAt,
+        analysesBefore: before.length,
+        analysesAfter: after.length,
+        baselineScore,
+        latestScore,
+        scoreChange: baselineScore !== null && latestScore !== null ? round1(latestScore - baselineScore) : null,
+        slopePerWeek: slope,
+        effect,
+        targetDisease
+    };
+};
+
+// Timeline of a Field document. Options: from, to (Date) limit the period.
+const buildTimeline = async (field, { from, to } = {}) => {
+    const analyses = await ImageAnalysis.find({
+        field: field._id,
+        // Older records have no analysisType and are crop analyses
+        analysisType: { $in: ['crop', null] },
+        status: 'completed',
+        duplicateOf: { $exists: false },
+        'analysis.cropAnalysis.healthScore': { $type: 'number' }
+    })
+        .select('analysis.cropAnalysis.healthScore analysis.cropAnalysis.condition analysis.pestAnalysis.disease metadata.deviceInfo.timestamp createdAt');
+
+    const inPeriod = (time) => (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+    const points = toPoints(analyses).filter(point => inPeriod(point.time));
+    const treatments = [...field.treatments]
+        .filter(treatment => inPeriod(new Date(treatment.appliedAt).getTime()))
+        .sort((a, b) => new Date(a.appliedAt) - new Date(b.appliedAt));
+
+    const days = dailyProgression(points);
+    const slope = slopePerWeek(days.map(day => ({ time: new Date(day.date).getTime(), score: day.meanHealthScore })));
+
+    return {
+        field: {
+            id: field._id,
+            name: field.name,
+            crop: field.crop
+        },
+        period: {
+            from: points.length > 0 ? new Date(points[0].time) : null,
+            to: points.length > 0 ? new Date(points[points.length - 1].time) : null
+        },
+        analyses: points.length,
+        health: {
+            latestScore: days.length > 0 ? days[days.length - 1].meanHealthScore : null,
+            meanScore: points.length > 0 ? round1(mean(points.map(point => point.score))) : null,
+            slopePerWeek: slope,
+            trend: trendDirection(slope),
+            progression: days
+        },
+        diseases: diseaseHistory(points),
+        treatments: treatments.map((treatment, index) => treatmentEffect(treatment, treatments[index + 1], points))
+    };
+};
+
+module.exports = {
+    buildTimeline
+};
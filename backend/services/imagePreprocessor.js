@@ -0,0 +1,180 @@
+// Image Preprocessing Service
+// Every upload goes through sharp before analysis: the original is auto-rotated
+// from its EXIF orientation and re-saved without metadata, and two derivatives
+// are written next to it - a normalized copy used for inference and a small
+// thumbnail used by list endpoints.
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const path = require('path');
+const fs = require('fs');
+
+const NORMALIZED_SIZE = parseInt(process.env.IMAGE_NORMALIZED_SIZE) || 512;
+const THUMBNAIL_SIZE = 224;
+const PROCESSED_DIR = path.join(__dirname, '..', 'uploads', 'images', 'processed');
+const PROCESSED_URL = '/uploads/images/processed';
+
+const ensureProcessedDir = () => {
+    if (!fs.existsSync(PROCESSED_DIR)) {
+        fs.mkdirSync(PROCESSED_DIR, { recursive: true });
+    }
+};
+
+const writeDerivative = async (pipeline, filename) => {
+    const outputPath = path.join(PROCESSED_DIR, filename);
+    const info = await pipeline.toFile(outputPath);
+    return {
+        filename,
+        url: `${PROCESSED_URL}/${filename}`,
+        path: outputPath,
+        size: info.size,
+        width: info.width,
+        height: info.height
+    };
+};
+
+// Convert EXIF [degrees, minutes, seconds] plus N/S/E/W reference to decimal degrees
+const toDecimalDegrees = (dms, ref) => {
+    if (!Array.isArray(dms) || dms.length < 3 || dms.some(value => !Number.isFinite(value))) {
+        return null;
+    }
+    const decimal = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === 'S' || ref === 'W' ? -decimal : decimal;
+};
+
+// EXIF stores local capture time without a zone; apply OffsetTimeOriginal when present
+const toCaptureDate = (dateTimeOriginal, offset) => {
+    if (!(dateTimeOriginal instanceof Date) || isNaN(dateTimeOriginal.getTime())) return null;
+
+    const match = typeof offset === 'string' && offset.match(/^([+-])(\d{2}):(\d{2})$/);
+    if (!match) return dateTimeOriginal;
+
+    const offsetMinutes = (parseInt(match[2]) * 60 + parseInt(match[3])) * (match[1] === '-' ? -1 : 1);
+    return new Date(dateTimeOriginal.getTime() - offsetMinutes * 60 * 1000);
+};
+
+// Pull GPS position, capture time and camera model out of a raw EXIF buffer.
+// Resolves to null when the photo has no readable EXIF.
+const parseExif = (exifBuffer) => {
+    if (!exifBuffer) return null;
+
+    let tags;
+    try {
+        tags = exifReader(exifBuffer);
+    } catch (error) {
+        console.warn('⚠️ Could not parse EXIF data:', error.message);
+        return null;
+    }
+
+    const gpsInfo = tags.GPSInfo || {};
+    const latitude = toDecimalDegrees(gpsInfo.GPSLatitude, gpsInfo.GPSLatitudeRef);
+    const longitude = toDecimalDegrees(gpsInfo.GPSLongitude, gpsInfo.GPSLongitudeRef);
+    const validGps = latitude !== null && longitude !== null &&
+        Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 &&
+        !(latitude === 0 && longitude === 0);
+
+    const photo = tags.Photo || {};
+    const image = tags.Image || {};
+    const camera = [image.Make, image.Model].filter(Boolean).join(' ').trim();
+
+    return {
+        gps: validGps
+            ? {
+                latitude,
+                longitude,
+                altitude: Number.isFinite(gpsInfo.GPSAltitude)
+                    ? (gpsInfo.GPSAltitudeRef === 1 ? -gpsInfo.GPSAltitude : gpsInfo.GPSAltitude)
+                    : null
+            }
+            : null,
+        capturedAt: toCaptureDate(photo.DateTimeOriginal || image.DateTime, photo.OffsetTimeOriginal),
+        camera: camera || null
+    };
+};
+
+// Difference hash (dHash): shrink to 9x8 greyscale and record whether each pixel
+// is brighter than its right-hand neighbour. Near-identical photos (re-encoded,
+// resized, slightly re-exposed) end up a few bits apart. Returns 16 hex chars.
+const computePerceptualHash = async (image) => {
+    const pixels = await image.clone()
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = '';
+    for (let row = 0; row < 8; row++) {
+        let byte = 0;
+        for (let col = 0; col < 8; col++) {
+            const left = pixels[row * 9 + col];
+            const right = pixels[row * 9 + col + 1];
+            byte = (byte << 1) | (left > right ? 1 : 0);
+        }
+        hash += byte.toString(16).padStart(2, '0');
+    }
+    return hash;
+};
+
+// Preprocess an uploaded file in place and create its derivatives.
+// Resolves to { exif, originalSize, perceptualHash, processedImage } where `exif`
+// holds the GPS position, capture time and camera read before EXIF was stripped
+// (null if none).
+const preprocessImage = async (file) => {
+    ensureProcessedDir();
+
+    const metadata = await sharp(file.path).metadata();
+    const exif = parseExif(metadata.exif);
+
+    // Re-save the original upright and without EXIF (GPS, device serials, ...)
+    const cleanedOriginal = await sharp(file.path).rotate().toBuffer();
+    fs.writeFileSync(file.path, cleanedOriginal);
+
+    const baseName = path.parse(file.filename).name;
+    const upright = sharp(cleanedOriginal);
+
+    const normalized = await writeDerivative(
+        upright.clone()
+            .resize(NORMALIZED_SIZE, NORMALIZED_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .removeAlpha()
+            .jpeg({ quality: 90 }),
+        `${baseName}-normalized.jpg`
+    );
+
+    const thumbnail = await writeDerivative(
+        upright.clone()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+            .removeAlpha()
+            .jpeg({ quality: 80 }),
+        `${baseName}-thumb.jpg`
+    );
+
+    return {
+        exif,
+        originalSize: cleanedOriginal.length,
+        perceptualHash: await computePerceptualHash(upright),
+        processedImage: {
+            ...normalized,
+            thumbnail: {
+                filename: thumbnail.filename,
+                url: thumbnail.url,
+                path: thumbnail.path,
+                size: thumbnail.size
+            }
+        }
+    };
+};
+
+// Delete the derivatives recorded in an ImageAnalysis.processedImage
+const removeDerivatives = (processedImage) => {
+    if (!processedImage) return;
+
+    [processedImage.path, processedImage.thumbnail?.path, processedImage.heatmap?.path].forEach(filePath => {
+        if (filePath && fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    });
+};
+
+module.exports = {
+    preprocessImage,
+    removeDerivatives
+};
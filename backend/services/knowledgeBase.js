@@ -0,0 +1,378 @@
+// Knowledge Base Service
+// Local agronomy knowledge base behind the chatbot. Markdown and PDF extension
+// guides are split into passages of about CHUNK_WORDS words (Markdown along its
+// headings), each stored as a KnowledgeChunk with its term counts. Questions are
+// ranked against the passages with Okapi BM25, so retrieval needs no external
+// service and keeps working offline.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js'); // the package index runs a debug self-test when required
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const KnowledgeChunk = require('../models/KnowledgeChunk');
+
+const KNOWLEDGE_DIR = process.env.KNOWLEDGE_DIR || path.join(__dirname, '..', 'knowledge');
+const MIN_SCORE = parseFloat(process.env.KNOWLEDGE_MIN_SCORE) || 1;
+const CHUNK_WORDS = 180;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const STATS_TTL_MS = 5 * 60 * 1000; // documents may be ingested by another process
+const MAX_ANSWER_LENGTH = 1900; // leaves room under the ChatSession message limit
+
+const FORMATS = {
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.pdf': 'pdf'
+};
+
+const STOPWORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+    'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'for', 'from', 'had',
+    'has', 'have', 'having', 'he', 'her', 'here', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+    'just', 'me', 'more', 'most', 'my', 'no', 'not', 'of', 'on', 'or', 'other', 'our', 'out', 'over', 'she',
+    'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+    'they', 'this', 'those', 'to', 'too', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where',
+    'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+const inputError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Plural-insensitive term: "tomatoes"/"tomato", "varieties"/"variety"
+const normalizeTerm = (word) => {
+    if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (word.length > 4 && word.endsWith('oes')) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+    return word;
+};
+
+const tokenize = (text) => text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // drop accents
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(normalizeTerm);
+
+// { length, terms: [{ term, frequency }] } for a passage
+const indexTerms = (text) => {
+    const tokens = tokenize(text);
+    const counts = new Map();
+    tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    return {
+        length: tokens.length,
+        terms: [...counts].map(([term, frequency]) => ({ term, frequency }))
+    };
+};
+
+const stripMarkdown = (text) => text
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '') // images
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links keep their text
+    .replace(/<[^>]+>/g, '')
+    .replace(/`+/g, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(\*|_)(\S(?:.*?\S)?)\1/g, '$2')
+    .replace(/^\s*>\s?/gm, '')
+    .trim();
+
+// Sections of a Markdown guide: [{ heading: 'Parent > Child', paragraphs }]
+const markdownSections = (markdown) => {
+    const sections = [];
+    const headings = [];
+    let section = { heading: null, paragraphs: [] };
+    let paragraph = [];
+    let inCodeBlock = false;
+
+    // Wrapped lines are joined; list items and table rows keep their own line
+    const endParagraph = () => {
+        const text = stripMarkdown(paragraph.reduce((joined, line) =>
+            !joined ? line : joined + (/^\s*([-*+|]|\d+\.)\s/.test(line) ? '\n' : ' ') + line.trim(), ''));
+        if (text) section.paragraphs.push(text);
+        paragraph = [];
+    };
+
+    for (const line of markdown.split(/\r?\n/)) {
+        if (/^\s*```/.test(line)) {
+            inCodeBlock = !inCodeBlock;
+            continue;
+        }
+        const heading = !inCodeBlock && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            endParagraph();
+            if (section.paragraphs.length > 0) sections.push(section);
+
+            const level = heading[1].length;
+            headings.length = level - 1;
+            headings[level - 1] = stripMarkdown(heading[2]);
+            section = { heading: headings.filter(Boolean).join(' > '), paragraphs: [] };
+        } else if (line.trim() === '') {
+            endParagraph();
+        } else {
+            paragraph.push(line);
+        }
+    }
+    endParagraph();
+    if (section.paragraphs.length > 0) sections.push(section);
+
+    return sections;
+};
+
+// PDF text comes as wrapped lines; rejoin them into paragraphs
+const pdfParagraphs = (text) => text
+    .replace(/-\n(?=[a-z])/g, '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s*\n\s*/g, ' ').trim())
+    .filter(Boolean);
+
+// Group paragraphs into passages of at most CHUNK_WORDS words
+const chunkParagraphs = (paragraphs) => {
+    const chunks = [];
+    let current = [];
+    let words = 0;
+
+    const endChunk = () => {
+        if (current.length > 0) chunks.push(current.join('\n\n'));
+        current = [];
+        words = 0;
+    };
+
+    for (const paragraph of paragraphs) {
+        const paragraphWords = paragraph.split(/\s+/);
+        if (words + paragraphWords.length > CHUNK_WORDS) endChunk();
+
+        if (paragraphWords.length > CHUNK_WORDS) {
+            for (let i = 0; i < paragraphWords.length; i += CHUNK_WORDS) {
+                chunks.push(paragraphWords.slice(i, i + CHUNK_WORDS).join(' '));
+            }
+            continue;
+        }
+        current.push(paragraph);
+        words += paragraphWords.length;
+    }
+    endChunk();
+
+    return chunks;
+};
+
+// Section path without the document title it usually starts with
+const relativeHeading = (heading, title) => {
+    if (!heading || heading === title) return null;
+    return heading.startsWith(`${title} > `) ? heading.slice(title.length + 3) : heading;
+};
+
+// BM25 corpus statistics, cached for STATS_TTL_MS
+let corpusStats = null;
+
+const getCorpusStats = async () => {
+    if (!corpusStats || Date.now() - corpusStats.loadedAt > STATS_TTL_MS) {
+        const [stats] = await KnowledgeChunk.aggregate([
+            { $group: { _id: null, passages: { $sum: 1 }, averageLength: { $avg: '$length' } } }
+        ]);
+        corpusStats = {
+            passages: stats?.passages || 0,
+            averageLength: stats?.averageLength || 0,
+            loadedAt: Date.now()
+        };
+    }
+    return corpusStats;
+};
+
+const invalidateStats = () => {
+    corpusStats = null;
+};
+
+// Add a Markdown or PDF guide to the knowledge base. A file that was already
+// ingested (same checksum) is not indexed again.
+// Resolves with { document, duplicate }.
+const ingestDocument = async ({ buffer, filename, title, tags = [], crops = [], uploadedBy }) => {
+    const extension = path.extname(filename).toLowerCase();
+    const format = FORMATS[extension];
+    if (!format) {
+        throw inputError(`Unsupported document type ${extension || filename}: use Markdown (.md) or PDF`);
+    }
+
+    const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+    const existing = await KnowledgeDocument.findOne({ checksum });
+    if (existing) return { document: existing, duplicate: true };
+
+    let sections;
+    let documentTitle = title;
+    if (format === 'markdown') {
+        const markdown = buffer.toString('utf8');
+        sections = markdownSections(markdown);
+        documentTitle = documentTitle || stripMarkdown(markdown.match(/^#\s+(.+)$/m)?.[1] || '');
+    } else {
+        let pdf;
+        try {
+            // Copied because PDF.js ignores the byteOffset of pooled Buffers
+            pdf = await pdfParse(new Uint8Array(buffer));
+        } catch (error) {
+            throw inputError(`Could not read PDF ${filename}: ${error.message}`);
+        }
+        sections = [{ heading: null, paragraphs: pdfParagraphs(pdf.text) }];
+        documentTitle = documentTitle || pdf.info?.Title;
+    }
+    documentTitle = (documentTitle || path.basename(filename, extension)).slice(0, 200);
+
+    const passages = sections.flatMap(section =>
+        chunkParagraphs(section.paragraphs).map(text => ({
+            heading: relativeHeading(section.heading, documentTitle),
+            text
+        }))
+    );
+    if (passages.length === 0) {
+        throw inputError(`No text found in ${filename}`);
+    }
+
+    const document = await KnowledgeDocument.create({
+        title: documentTitle,
+        source: filename,
+        format,
+        checksum,
+        tags,
+        crops,
+        chunkCount: passages.length,
+        uploadedBy
+    });
+
+    try {
+        await KnowledgeChunk.insertMany(passages.map((passage, position) => ({
+            document: document._id,
+            title: documentTitle,
+            heading: passage.heading,
+            position,
+            text: passage.text,
+            ...indexTerms(`${passage.heading || ''} ${passage.text}`)
+        })));
+    } catch (error) {
+        await KnowledgeChunk.deleteMany({ document: document._id });
+        await document.deleteOne();
+        throw error;
+    }
+
+    invalidateStats();
+    console.log(`📚 Ingested "${documentTitle}" (${passages.length} passages)`);
+    return { document, duplicate: false };
+};
+
+// Ingest every Markdown/PDF file in a directory (default KNOWLEDGE_DIR)
+const ingestDirectory = async (directory = KNOWLEDGE_DIR) => {
+    const results = [];
+    const files = fs.readdirSync(directory)
+        .filter(file => FORMATS[path.extname(file).toLowerCase()])
+        .sort();
+
+    for (const file of files) {
+        try {
+            const { document, duplicate } = await ingestDocument({
+                buffer: fs.readFileSync(path.join(directory, file)),
+                filename: file
+            });
+            results.push({ file, title: document.title, passages: document.chunkCount, duplicate });
+        } catch (error) {
+            results.push({ file, error: error.message });
+        }
+    }
+    return results;
+};
+
+// Remove a guide and its passages
+const removeDocument = async (document) => {
+    await KnowledgeChunk.deleteMany({ document: document._id });
+    await document.deleteOne();
+    invalidateStats();
+};
+
+// Passages most relevant to a question, best first:
+// [{ chunkId, documentId, title, heading, text, score }]
+const search = async (query, { limit = 5, minScore = 0 } = {}) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const { passages, averageLength } = await getCorpusStats();
+    if (passages === 0) return [];
+
+    // Passages containing any query term, with only those terms' counts
+    const candidates = await KnowledgeChunk.aggregate([
+        { $match: { 'terms.term': { $in: queryTerms } } },
+        {
+            $project: {
+                document: 1,
+                title: 1,
+                heading: 1,
+                text: 1,
+                length: 1,
+                terms: { $filter: { input: '$terms', cond: { $in: ['$$this.term', queryTerms] } } }
+            }
+        }
+    ]);
+
+    const documentFrequency = new Map();
+    candidates.forEach(chunk => chunk.terms.forEach(({ term }) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }));
+
+    return candidates
+        .map(chunk => {
+            const lengthNorm = 1 - BM25_B + BM25_B * (chunk.length / (averageLength || 1));
+            const score = chunk.terms.reduce((total, { term, frequency }) => {
+                const df = documentFrequency.get(term);
+                const idf = Math.log(1 + (passages - df + 0.5) / (df + 0.5));
+                return total + idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+            }, 0);
+
+            return {
+                chunkId: chunk._id,
+                documentId: chunk.document,
+                title: chunk.title,
+                heading: chunk.heading || null,
+                text: chunk.text,
+                score: Math.round(score * 1000) / 1000
+            };
+        })
+        .filter(result => result.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
+// Passages worth giving the chatbot for a question: above KNOWLEDGE_MIN_SCORE
+// and within half the best passage's score
+const retrieveForQuestion = async (question, limit = 3) => {
+    const results = await search(question, { limit, minScore: MIN_SCORE });
+    if (results.length === 0) return [];
+    return results.filter(result => result.score >= results[0].score / 2);
+};
+
+const passageLabel = (passage) => passage.heading ? `${passage.title} — ${passage.heading}` : passage.title;
+
+// Reference block for an LLM system prompt
+const formatForPrompt = (passages) => passages
+    .map((passage, index) => `[${index + 1}] ${passageLabel(passage)}\n${passage.text}`)
+    .join('\n\n');
+
+// Answer built only from retrieved passages, for when no LLM is available
+const groundedAnswer = (passages) => {
+    const intro = 'Here is what the extension guides say:';
+    const sections = passages.map(passage => `**${passageLabel(passage)}**\n${passage.text}`);
+
+    let answer = intro;
+    for (const section of sections) {
+        if (answer.length + section.length + 2 > MAX_ANSWER_LENGTH) break;
+        answer += `\n\n${section}`;
+    }
+    // A first passage too long to fit is trimmed rather than dropped
+    return answer === intro
+        ? `${intro}\n\n${sections[0]}`.slice(0, MAX_ANSWER_LENGTH - 1) + '…'
+        : answer;
+};
+
+module.exports = {
+    KNOWLEDGE_DIR,
+    tokenize,
+    ingestDocument,
+    ingestDirectory,
+    removeDocument,
+    search,
+    retrieveForQuestion,
+    formatForPrompt,
+    groundedAnswer
+};
@@ -0,0 +1,229 @@
+// Leaf Segmentation Service
+// Pixel-level segmentation of a leaf photo with sharp. Every pixel is classed by
+// colour (green, chlorotic yellow, necrotic brown, dark, bright, other); green
+// and yellow pixels are leaf tissue. Non-tissue pixels that can't be reached
+// from the image border without crossing tissue lie inside the leaf: brown or
+// dark patches there are lesions, anything else is a hole where the background
+// shows through. Small enclosed bright or dark spots are counted separately as
+// specks (insects, eggs, frass) rather than damage.
+//
+// Damage on the leaf margin that opens onto the background can't be told apart
+// from the background itself, so measured damage is a lower bound.
+const sharp = require('sharp');
+
+const SEGMENTATION_SIZE = 256;
+const MIN_LEAF_FRACTION = 0.1; // leaf region needed before damage is measured
+const MAX_SPECK_PIXELS = 40; // enclosed spots up to this size are specks, not damage
+
+const PIXEL = {
+    OTHER: 0,
+    GREEN: 1,
+    CHLOROTIC: 2,
+    NECROTIC: 3,
+    DARK: 4,
+    BRIGHT: 5
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Hue in degrees (0-360), saturation and value (0-1) of an RGB pixel
+const rgbToHsv = (r, g, b) => {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const delta = max - min;
+
+    let hue = 0;
+    if (delta > 0) {
+        if (max === r) hue = 60 * (((g - b) / delta) % 6);
+        else if (max === g) hue = 60 * ((b - r) / delta + 2);
+        else hue = 60 * ((r - g) / delta + 4);
+    }
+
+    return {
+        hue: (hue + 360) % 360,
+        saturation: max > 0 ? delta / max : 0,
+        value: max / 255
+    };
+};
+
+const classifyPixel = (r, g, b) => {
+    const { hue, saturation, value } = rgbToHsv(r, g, b);
+
+    if (value < 0.15) return PIXEL.DARK;
+    if (saturation < 0.15 && value > 0.8) return PIXEL.BRIGHT;
+    if (hue >= 65 && hue < 170 && saturation >= 0.2) return PIXEL.GREEN;
+    if (hue >= 40 && hue < 65 && saturation >= 0.3 && value >= 0.35) return PIXEL.CHLOROTIC;
+    if ((hue < 40 || hue >= 330) && saturation >= 0.2 && value < 0.7) return PIXEL.NECROTIC;
+    return PIXEL.OTHER;
+};
+
+// Resize a photo for segmentation and return its raw RGB pixels
+const readPixels = async (imagePath, size = SEGMENTATION_SIZE) => {
+    const { data, info } = await sharp(imagePath)
+        .resize(size, size, { fit: 'cover' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return { data, width: info.width, height: info.height, channels: info.channels };
+};
+
+// Class of every pixel as a Uint8Array of PIXEL values
+const classifyPixels = ({ data, width, height, channels }) => {
+    const classes = new Uint8Array(width * height);
+    for (let i = 0; i < classes.length; i++) {
+        classes[i] = classifyPixel(data[i * channels], data[i * channels + 1], data[i * channels + 2]);
+    }
+    return classes;
+};
+
+// Mark the pixels matching `passable` that are 4-connected to the image border
+const floodFromBorder = (passable, width, height) => {
+    const reached = new Uint8Array(width * height);
+    const stack = [];
+    const push = (i) => {
+        if (!reached[i] && passable[i]) {
+            reached[i] = 1;
+            stack.push(i);
+        }
+    };
+
+    for (let x = 0; x < width; x++) {
+        push(x);
+        push((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        push(y * width);
+        push(y * width + width - 1);
+    }
+
+    while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % width;
+        if (x > 0) push(i - 1);
+        if (x < width - 1) push(i + 1);
+        if (i >= width) push(i - width);
+        if (i < width * (height - 1)) push(i + width);
+    }
+
+    return reached;
+};
+
+// 4-connected components of the pixels set in `mask`. Returns
+// { labels (Int32Array, 0 = none), sizes (component size by label) }.
+const connectedComponents = (mask, width, height) => {
+    const labels = new Int32Array(width * height);
+    const sizes = [0];
+    const stack = [];
+
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || labels[start]) continue;
+
+        const label = sizes.length;
+        let size = 0;
+        labels[start] = label;
+        stack.push(start);
+        while (stack.length > 0) {
+            const i = stack.pop();
+            size++;
+            const x = i % width;
+            const neighbours = [
+                x > 0 ? i - 1 : -1,
+                x < width - 1 ? i + 1 : -1,
+                i >= width ? i - width : -1,
+                i < width * (height - 1) ? i + width : -1
+            ];
+            neighbours.forEach(n => {
+                if (n >= 0 && mask[n] && !labels[n]) {
+                    labels[n] = label;
+                    stack.push(n);
+                }
+            });
+        }
+        sizes.push(size);
+    }
+
+    return { labels, sizes };
+};
+
+// Count the small components of an enclosed mask and clear them from it.
+// Returns the number of specks removed.
+const extractSpecks = (mask, width, height) => {
+    const { labels, sizes } = connectedComponents(mask, width, height);
+    let specks = 0;
+    sizes.forEach((size, label) => {
+        if (label > 0 && size <= MAX_SPECK_PIXELS) specks++;
+    });
+    for (let i = 0; i < mask.length; i++) {
+        if (labels[i] && sizes[labels[i]] <= MAX_SPECK_PIXELS) mask[i] = 0;
+    }
+    return specks;
+};
+
+// Segment the leaf in pixels from readPixels(). Areas are percentages of the
+// leaf region (tissue plus enclosed lesions, holes and specks).
+const segmentPixels = (pixels) => {
+    const { width, height } = pixels;
+    const pixelCount = width * height;
+    const classes = classifyPixels(pixels);
+
+    const isTissue = (pixelClass) => pixelClass === PIXEL.GREEN || pixelClass === PIXEL.CHLOROTIC;
+    const background = floodFromBorder(classes.map(pixelClass => (isTissue(pixelClass) ? 0 : 1)), width, height);
+
+    const counts = { green: 0, chlorotic: 0 };
+    const lesionMask = new Uint8Array(pixelCount);
+    const brightMask = new Uint8Array(pixelCount);
+    const holeMask = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        const pixelClass = classes[i];
+        if (pixelClass === PIXEL.GREEN) counts.green++;
+        else if (pixelClass === PIXEL.CHLOROTIC) counts.chlorotic++;
+        else if (!background[i]) {
+            if (pixelClass === PIXEL.NECROTIC || pixelClass === PIXEL.DARK) lesionMask[i] = 1;
+            else if (pixelClass === PIXEL.BRIGHT) brightMask[i] = 1;
+            else holeMask[i] = 1;
+        }
+    }
+
+    const darkSpecks = extractSpecks(lesionMask, width, height);
+    const brightSpecks = extractSpecks(brightMask, width, height);
+    const sum = (mask) => mask.reduce((total, value) => total + value, 0);
+    const necrotic = sum(lesionMask);
+    const holes = sum(holeMask) + sum(brightMask); // larger bright patches are holes too
+
+    const leafPixels = pixelCount - sum(background);
+    const leafCoverage = leafPixels / pixelCount;
+    if (leafCoverage < MIN_LEAF_FRACTION) {
+        return {
+            leafFound: false,
+            leafCoverage: round1(leafCoverage * 100) / 100
+        };
+    }
+
+    const percent = (count) => round1((count / leafPixels) * 100);
+    return {
+        leafFound: true,
+        leafCoverage: round1(leafCoverage * 100) / 100,
+        healthyArea: percent(counts.green),
+        chloroticArea: percent(counts.chlorotic),
+        necroticArea: percent(necrotic),
+        holeArea: percent(holes),
+        damagedArea: percent(counts.chlorotic + necrotic + holes),
+        brightSpecks,
+        darkSpecks
+    };
+};
+
+const segmentLeaf = async (imagePath) => segmentPixels(await readPixels(imagePath));
+
+module.exports = {
+    PIXEL,
+    MAX_SPECK_PIXELS,
+    rgbToHsv,
+    readPixels,
+    classifyPixels,
+    floodFromBorder,
+    connectedComponents,
+    segmentPixels,
+    segmentLeaf
+};
@@ -0,0 +1,321 @@
+// Model Evaluation Service
+// Offline: scores one or more models on the held-out split of a labeled dataset
+// export (accuracy, per-class precision/recall and a confusion matrix). Every
+// model sees the same images, so runs with several models are A/B comparisons.
+//
+// Online: when a shadow model is set in the registry, each live upload is also
+// run through it and the result is stored next to the production analysis in
+// ImageAnalysis.shadowAnalysis. Farmers only ever see the production result.
+//
+// Predictions are compared in the dataset's "Crop___Condition" label form, as
+// produced by the agricultural rules for the model's taxonomy.
+const EvaluationRun = require('../models/EvaluationRun');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const modelRegistry = require('./modelRegistry');
+const datasetExport = require('./datasetExport');
+const { analyzeImageWithAI, analyzeImagesWithAI } = require('./aiAnalysis');
+
+const EVALUATION_BATCH_SIZE = 16;
+const UNKNOWN_LABEL = 'Unknown';
+const MAX_SHADOW_SAMPLES = 1000;
+const MAX_DISAGREEMENTS = 20;
+
+// Serialize evaluations so only one run uses the CPU at a time
+let evaluationChain = Promise.resolve();
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const ratio = (count, total) => (total > 0 ? round(count / total) : null);
+
+// "Crop___Condition" label of an analysis result
+const analysisLabel = (analysis) => {
+    const crop = analysis?.cropAnalysis?.detectedCrop;
+    const disease = analysis?.pestAnalysis?.disease || {};
+    if (!crop || crop === 'Unknown Crop') return UNKNOWN_LABEL;
+
+    return datasetExport.buildLabel(crop, !disease.detected, disease.name || 'Unknown disease');
+};
+
+// Accuracy, per-class precision/recall/F1 and a confusion matrix for
+// [{ actual, predicted }] label pairs. Labels that were only ever predicted get
+// a confusion matrix column but no per-class row; macro averages are over the
+// actual labels.
+const computeMetrics = (pairs) => {
+    const actualLabels = [...new Set(pairs.map(pair => pair.actual))].sort();
+    const predictedOnly = [...new Set(pairs.map(pair => pair.predicted))]
+        .filter(label => !actualLabels.includes(label))
+        .sort();
+    const labels = [...actualLabels, ...predictedOnly];
+    const labelIndex = new Map(labels.map((label, index) => [label, index]));
+
+    const confusionMatrix = labels.map(() => labels.map(() => 0));
+    pairs.forEach(({ actual, predicted }) => {
+        confusionMatrix[labelIndex.get(actual)][labelIndex.get(predicted)]++;
+    });
+
+    const perClass = actualLabels.map((label, index) => {
+        const truePositives = confusionMatrix[index][index];
+        const support = confusionMatrix[index].reduce((sum, count) => sum + count, 0);
+        const predicted = confusionMatrix.reduce((sum, row) => sum + row[index], 0);
+        const precision = predicted > 0 ? truePositives / predicted : 0;
+        const recall = support > 0 ? truePositives / support : 0;
+        const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+        return {
+            label,
+            precision: round(precision),
+            recall: round(recall),
+            f1: round(f1),
+            support,
+            predicted
+        };
+    });
+
+    const macro = (key) => (perClass.length > 0
+        ? round(perClass.reduce((sum, entry) => sum + entry[key], 0) / perClass.length)
+        : null);
+
+    return {
+        samples: pairs.length,
+        accuracy: ratio(pairs.filter(pair => pair.actual === pair.predicted).length, pairs.length),
+        macroPrecision: macro('precision'),
+        macroRecall: macro('recall'),
+        macroF1: macro('f1'),
+        labels,
+        perClass,
+        confusionMatrix
+    };
+};
+
+const evaluateModel = async (run, modelId, records) => {
+    const pairs = [];
+    let failed = 0;
+
+    for (let i = 0; i < records.length; i += EVALUATION_BATCH_SIZE) {
+        const chunk = records.slice(i, i + EVALUATION_BATCH_SIZE);
+        const results = await analyzeImagesWithAI(chunk.map(record => record.imagePath), { modelId });
+
+        results.forEach((result, index) => {
+            if (result.error) {
+                failed++;
+            } else {
+                pairs.push({ actual: chunk[index].label, predicted: analysisLabel(result.analysis) });
+            }
+        });
+
+        run.progress.processed += chunk.length;
+        await run.save();
+    }
+
+    return {
+        modelId,
+        modelVersion: modelRegistry.getModelDefinition(modelId)?.version,
+        failed,
+        ...computeMetrics(pairs)
+    };
+};
+
+const runEvaluation = async (runId) => {
+    const run = await EvaluationRun.findById(runId);
+    if (!run || run.status !== 'queued') return;
+
+    try {
+        console.log(`📏 Evaluation ${run._id} started (${run.modelIds.join(', ')})`);
+        run.status = 'running';
+        run.startedAt = new Date();
+        await run.save();
+
+        if (!run.exportId) {
+            const summary = await datasetExport.createDatasetExport(run.filters || {});
+            run.exportId = summary.exportId;
+        }
+        const records = datasetExport.readExportManifest(run.exportId);
+        if (!records) {
+            throw new Error(`Dataset export ${run.exportId} not found`);
+        }
+
+        const heldOut = run.split === 'all' ? records : records.filter(record => record.split === run.split);
+        if (heldOut.length === 0) {
+            throw new Error(`No images in the ${run.split} split of ${run.exportId}`);
+        }
+
+        run.progress = { processed: 0, total: heldOut.length * run.modelIds.length };
+        run.results = [];
+        await run.save();
+
+        for (const modelId of run.modelIds) {
+            run.results.push(await evaluateModel(run, modelId, heldOut));
+            await run.save();
+        }
+
+        if (run.results.length > 1) {
+            const best = run.results.reduce((a, b) => ((b.accuracy ?? -1) > (a.accuracy ?? -1) ? b : a));
+            run.bestModelId = best.modelId;
+        }
+
+        run.status = 'completed';
+        run.completedAt = new Date();
+        await run.save();
+        console.log(`✅ Evaluation ${run._id} finished on ${heldOut.length} images`);
+    } catch (error) {
+        console.error(`❌ Evaluation ${run._id} failed:`, error);
+        run.status = 'failed';
+        run.errorMessage = error.message;
+        run.completedAt = new Date();
+        await run.save();
+    }
+};
+
+// Create and schedule an evaluation run
+const createEvaluationRun = async (userId, { modelIds, exportId, filters, split = 'test' }) => {
+    const run = await EvaluationRun.create({
+        user: userId,
+        modelIds,
+        exportId,
+        filters,
+        split
+    });
+
+    evaluationChain = evaluationChain
+        .then(() => runEvaluation(run._id))
+        .catch(error => console.error('❌ Evaluation scheduler error:', error));
+
+    return run;
+};
+
+// Evaluation state lives in memory, so runs cut off by a restart can't resume
+const failInterruptedEvaluations = async () => {
+    try {
+        const result = await EvaluationRun.updateMany(
+            { status: { $in: ['queued', 'running'] } },
+            {
+                status: 'failed',
+                errorMessage: 'Server restarted before the evaluation finished',
+                completedAt: new Date()
+            }
+        );
+        if (result.modifiedCount > 0) {
+            console.log(`⚠️ Marked ${result.modifiedCount} interrupted evaluations as failed`);
+        }
+    } catch (error) {
+        console.error('❌ Failed to clean up evaluations:', error.message);
+    }
+};
+
+// Run the shadow model on a freshly analyzed ImageAnalysis and attach its result.
+// Failures are recorded, never thrown. The document is not saved here.
+const runShadowAnalysis = async (imageAnalysis) => {
+    const shadowModelId = modelRegistry.getShadowModelId();
+    if (!shadowModelId || imageAnalysis.analysisType !== 'crop' ||
+        shadowModelId === imageAnalysis.analysis?.modelUsed) return null;
+
+    const startTime = Date.now();
+    try {
+        const analysis = await analyzeImageWithAI(imageAnalysis.getInferenceImagePath(), { modelId: shadowModelId });
+        const { cropAnalysis, pestAnalysis } = analysis;
+        const label = analysisLabel(analysis);
+        const productionLabel = analysisLabel(imageAnalysis.analysis);
+
+        imageAnalysis.shadowAnalysis = {
+            modelUsed: analysis.modelUsed,
+            modelVersion: analysis.modelVersion,
+            predictions: analysis.predictions.slice(0, 5),
+            label,
+            productionLabel,
+            agrees: label === productionLabel,
+            detectedCrop: cropAnalysis.detectedCrop,
+            healthScore: cropAnalysis.healthScore,
+            condition: cropAnalysis.condition,
+            confidence: cropAnalysis.confidence,
+            diseaseDetected: pestAnalysis.disease.detected,
+            diseaseName: pestAnalysis.disease.name,
+            processingTime: (Date.now() - startTime) / 1000,
+            analyzedAt: new Date()
+        };
+    } catch (error) {
+        console.error(`❌ Shadow analysis with ${shadowModelId} failed for ${imageAnalysis._id}:`, error.message);
+        imageAnalysis.shadowAnalysis = {
+            modelUsed: shadowModelId,
+            error: error.message,
+            analyzedAt: new Date()
+        };
+    }
+
+    return imageAnalysis.shadowAnalysis;
+};
+
+const average = (values) => (values.length > 0
+    ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null);
+
+// How a shadow model compares with production on recent live uploads. Accuracy
+// is only measured against expert or farmer corrections: highly rated results
+// simply confirm the production label and would favour it.
+const getShadowComparison = async (modelId, { limit = MAX_SHADOW_SAMPLES } = {}) => {
+    const analyses = await ImageAnalysis.find({
+        'shadowAnalysis.modelUsed': modelId,
+        status: 'completed'
+    })
+        .sort({ createdAt: -1 })
+        .limit(Math.min(limit, MAX_SHADOW_SAMPLES))
+        .select('shadowAnalysis analysis.modelUsed analysis.cropAnalysis analysis.pestAnalysis.disease feedback review.status createdAt');
+
+    const compared = analyses.filter(imageAnalysis => !imageAnalysis.shadowAnalysis.error);
+    const cropOf = (label) => label.split('___')[0];
+
+    const labeled = { samples: 0, productionCorrect: 0, shadowCorrect: 0 };
+    const disagreements = [];
+    compared.forEach(imageAnalysis => {
+        const shadow = imageAnalysis.shadowAnalysis;
+        const resolved = datasetExport.resolveLabel(imageAnalysis);
+        const humanLabel = resolved && resolved.source !== 'confirmed' ? resolved.label : null;
+
+        if (humanLabel) {
+            labeled.samples++;
+            if (shadow.productionLabel === humanLabel) labeled.productionCorrect++;
+            if (shadow.label === humanLabel) labeled.shadowCorrect++;
+        }
+
+        if (!shadow.agrees && disagreements.length < MAX_DISAGREEMENTS) {
+            disagreements.push({
+                analysisId: imageAnalysis._id,
+                productionModel: imageAnalysis.analysis?.modelUsed,
+                productionLabel: shadow.productionLabel,
+                shadowLabel: shadow.label,
+                humanLabel,
+                createdAt: imageAnalysis.createdAt
+            });
+        }
+    });
+
+    return {
+        modelId,
+        samples: analyses.length,
+        failed: analyses.length - compared.length,
+        agreement: ratio(compared.filter(a => a.shadowAnalysis.agrees).length, compared.length),
+        cropAgreement: ratio(
+            compared.filter(a => cropOf(a.shadowAnalysis.label) === cropOf(a.shadowAnalysis.productionLabel)).length,
+            compared.length
+        ),
+        averageConfidence: {
+            production: average(compared.map(a => a.analysis?.cropAnalysis?.confidence).filter(Number.isFinite)),
+            shadow: average(compared.map(a => a.shadowAnalysis.confidence).filter(Number.isFinite))
+        },
+        averageShadowProcessingTime: average(compared.map(a => a.shadowAnalysis.processingTime).filter(Number.isFinite)),
+        labeled: {
+            samples: labeled.samples,
+            productionAccuracy: ratio(labeled.productionCorrect, labeled.samples),
+            shadowAccuracy: ratio(labeled.shadowCorrect, labeled.samples)
+        },
+        disagreements
+    };
+};
+
+module.exports = {
+    analysisLabel,
+    computeMetrics,
+    createEvaluationRun,
+    failInterruptedEvaluations,
+    runShadowAnalysis,
+    getShadowComparison
+};
@@ -0,0 +1,352 @@
+// AI Model Registry
+// Loads crop classification models by id. MobileNet is built in; additional
+// TF.js graph/layers models are discovered on disk under AI_MODELS_DIR, one
+// directory per model:
+//
+//   ml-models/<id>/model.json      TF.js model topology + weights manifest
+//   ml-models/<id>/metadata.json   { name, version, format, labels, inputSize, ... }
+//
+// A "mobilenet-head" model is a small layers classifier trained on MobileNet
+// embeddings (see services/modelTraining.js); metadata.baseModel names the
+// built-in MobileNet that produces its inputs. The default model and an optional
+// shadow (candidate) model can be switched at runtime and are remembered in
+// ml-models/active.json.
+const tf = require('@tensorflow/tfjs-node');
+const mobilenet = require('@tensorflow-models/mobilenet');
+const { IMAGENET_CLASSES } = require('@tensorflow-models/mobilenet/dist/imagenet_classes');
+const path = require('path');
+const fs = require('fs');
+
+const MODELS_DIR = process.env.AI_MODELS_DIR || path.join(__dirname, '..', 'ml-models');
+const DEFAULT_MODEL_ID = process.env.AI_DEFAULT_MODEL || 'mobilenet-v1-0.25';
+const ACTIVE_MODEL_FILE = path.join(MODELS_DIR, 'active.json');
+
+// Models shipped with the server (downloaded from TF Hub on first use)
+const BUILTIN_MODELS = {
+    'mobilenet-v1-0.25': {
+        id: 'mobilenet-v1-0.25',
+        name: 'MobileNet V1 (alpha 0.25)',
+        description: 'Lightweight ImageNet classifier, mapped to crops by keyword',
+        version: '1.0.0-alpha0.25',
+        type: 'mobilenet',
+        taxonomy: 'imagenet',
+        categories: ['crop_classification', 'health_assessment'],
+        inputSize: 224,
+        speed: 'fast',
+        size: '2MB',
+        mobilenetConfig: { version: 1, alpha: 0.25 },
+        // Same graph @tensorflow-models/mobilenet loads; browsers cache it for offline use
+        hubUrl: 'https://tfhub.dev/google/imagenet/mobilenet_v1_025_224/classification/1',
+        inputRange: [0, 1]
+    }
+};
+
+// Loaded models by id, plus in-flight loads so concurrent callers share one load
+const loadedModels = new Map();
+const loadingModels = new Map();
+
+// Read metadata.json for every model directory on disk
+const discoverModels = () => {
+    if (!fs.existsSync(MODELS_DIR)) return {};
+
+    const discovered = {};
+    for (const entry of fs.readdirSync(MODELS_DIR, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+
+        const modelDir = path.join(MODELS_DIR, entry.name);
+        const metadataPath = path.join(modelDir, 'metadata.json');
+        const modelPath = path.join(modelDir, 'model.json');
+        if (!fs.existsSync(metadataPath) || !fs.existsSync(modelPath)) continue;
+
+        try {
+            const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+            let labels = metadata.labels;
+            if (!labels && metadata.labelsFile) {
+                labels = JSON.parse(fs.readFileSync(path.join(modelDir, metadata.labelsFile), 'utf8'));
+            }
+
+            if (!Array.isArray(labels) || labels.length === 0) {
+                console.warn(`⚠️ Skipping model "${entry.name}": no labels defined`);
+                continue;
+            }
+
+            const id = metadata.id || entry.name;
+            discovered[id] = {
+                id,
+                name: metadata.name || id,
+                description: metadata.description || '',
+                version: String(metadata.version || '1.0.0'),
+                type: ['layers', 'mobilenet-head'].includes(metadata.format) ? metadata.format : 'graph',
+                baseModel: metadata.baseModel,
+                taxonomy: metadata.taxonomy || 'plantvillage',
+                categories: metadata.categories || ['crop_classification', 'disease_detection'],
+                inputSize: metadata.inputSize || 224,
+                inputRange: metadata.inputRange || [0, 1],
+                outputActivation: metadata.outputActivation || 'softmax',
+                accuracy: metadata.accuracy,
+                speed: metadata.speed || 'medium',
+                labels,
+                modelPath
+            };
+        } catch (error) {
+            console.error(`❌ Invalid metadata for model "${entry.name}":`, error.message);
+        }
+    }
+
+    return discovered;
+};
+
+// Discovered models, re-read when AI_MODELS_DIR's modification time changes
+// (a model directory was added, removed or renamed) or on refreshModelDefinitions()
+let cachedDefinitions = null;
+let cachedMtime = null;
+
+const modelsDirMtime = () => fs.existsSync(MODELS_DIR) ? fs.statSync(MODELS_DIR).mtimeMs : null;
+
+// Re-read the models on disk, e.g. after a training job saved a new one
+const refreshModelDefinitions = () => {
+    cachedMtime = modelsDirMtime();
+    cachedDefinitions = {
+        ...BUILTIN_MODELS,
+        ...discoverModels()
+    };
+    return cachedDefinitions;
+};
+
+// All known models; disk models can override built-ins with the same id
+const getModelDefinitions = () => {
+    if (cachedDefinitions && modelsDirMtime() === cachedMtime) return cachedDefinitions;
+    return refreshModelDefinitions();
+};
+
+// Runtime settings kept in ml-models/active.json: the activated default model
+// and the candidate model shadow-run on live uploads
+const readActiveSettings = () => {
+    if (!fs.existsSync(ACTIVE_MODEL_FILE)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(ACTIVE_MODEL_FILE, 'utf8'));
+    } catch (error) {
+        console.error('❌ Invalid active model file:', error.message);
+        return {};
+    }
+};
+
+const writeActiveSettings = (changes) => {
+    fs.mkdirSync(MODELS_DIR, { recursive: true });
+    fs.writeFileSync(ACTIVE_MODEL_FILE, JSON.stringify({ ...readActiveSettings(), ...changes }, null, 2));
+};
+
+// Model used when a request doesn't name one: the activated model if it still
+// exists, otherwise AI_DEFAULT_MODEL
+const getDefaultModelId = () => {
+    const { defaultModel } = readActiveSettings();
+    return defaultModel && getModelDefinitions()[defaultModel] ? defaultModel : DEFAULT_MODEL_ID;
+};
+
+// Candidate model run alongside the default on live uploads (null when off)
+const getShadowModelId = () => {
+    const { shadowModel } = readActiveSettings();
+    return shadowModel && getModelDefinitions()[shadowModel] ? shadowModel : null;
+};
+
+const getModelDefinition = (modelId = getDefaultModelId()) => {
+    return getModelDefinitions()[modelId] || null;
+};
+
+const hasModel = (modelId) => !!getModelDefinition(modelId);
+
+// Public description of available models (no file paths or label lists)
+const listModels = () => {
+    const defaultModelId = getDefaultModelId();
+    return Object.values(getModelDefinitions()).map(definition => ({
+        id: definition.id,
+        name: definition.name,
+        description: definition.description,
+        version: definition.version,
+        type: definition.type,
+        categories: definition.categories,
+        classes: definition.labels ? definition.labels.length : 1000,
+        accuracy: definition.accuracy,
+        speed: definition.speed,
+        size: definition.size,
+        loaded: loadedModels.has(definition.id),
+        isDefault: definition.id === defaultModelId
+    }));
+};
+
+// Make a model the default for new analyses
+const setDefaultModel = (modelId) => {
+    if (!hasModel(modelId)) {
+        throw new Error(`Unknown AI model: ${modelId}`);
+    }
+
+    writeActiveSettings({ defaultModel: modelId, activatedAt: new Date() });
+    console.log(`🔀 Default AI model set to ${modelId}`);
+};
+
+// Start (modelId) or stop (null) shadow-running a candidate model
+const setShadowModel = (modelId) => {
+    if (modelId && !hasModel(modelId)) {
+        throw new Error(`Unknown AI model: ${modelId}`);
+    }
+
+    writeActiveSettings({ shadowModel: modelId || null, shadowSince: modelId ? new Date() : null });
+    console.log(modelId ? `👥 Shadow-running ${modelId} on new uploads` : '👥 Shadow model disabled');
+};
+
+const loadFromDefinition = async (definition) => {
+    if (definition.type === 'mobilenet') {
+        return mobilenet.load(definition.mobilenetConfig);
+    }
+
+    if (definition.type === 'mobilenet-head') {
+        const base = await loadModel(definition.baseModel);
+        if (base.definition.type !== 'mobilenet') {
+            throw new Error(`Base model ${definition.baseModel} is not a MobileNet`);
+        }
+        const head = await tf.loadLayersModel(`file://${definition.modelPath}`);
+        return { base: base.model, head };
+    }
+
+    const modelUrl = `file://${definition.modelPath}`;
+    return definition.type === 'layers'
+        ? tf.loadLayersModel(modelUrl)
+        : tf.loadGraphModel(modelUrl);
+};
+
+// Load a model by id (cached). Resolves to { definition, model }.
+const loadModel = async (modelId = getDefaultModelId()) => {
+    if (loadedModels.has(modelId)) return loadedModels.get(modelId);
+    if (loadingModels.has(modelId)) return loadingModels.get(modelId);
+
+    const definition = getModelDefinition(modelId);
+    if (!definition) {
+        throw new Error(`Unknown AI model: ${modelId}`);
+    }
+
+    const loading = (async () => {
+        try {
+            console.log(`🤖 Loading model ${definition.id}@${definition.version}...`);
+            const model = await loadFromDefinition(definition);
+            const entry = { definition, model };
+            loadedModels.set(modelId, entry);
+            console.log(`✅ Model ${definition.id} loaded successfully`);
+            return entry;
+        } catch (error) {
+            console.error(`❌ Failed to load model ${definition.id}:`, error);
+            throw error;
+        } finally {
+            loadingModels.delete(modelId);
+        }
+    })();
+
+    loadingModels.set(modelId, loading);
+    return loading;
+};
+
+// Drop a cached model so the next loadModel() call reads it from disk again
+const unloadModel = (modelId) => {
+    const entry = loadedModels.get(modelId);
+    if (entry && entry.definition.type === 'mobilenet-head') {
+        entry.model.head.dispose(); // the shared base model stays loaded
+    } else if (entry && entry.model && typeof entry.model.dispose === 'function') {
+        entry.model.dispose();
+    }
+    loadedModels.delete(modelId);
+};
+
+// Top predictions of each row, plus the entropy of the whole distribution
+// normalized to 0..1 (1 = the model has no idea)
+const topKFromProbabilities = async (probabilities, labels, topK) => {
+    const rows = await probabilities.array();
+    return rows.map(row => ({
+        predictions: row
+            .map((probability, classId) => ({
+                className: labels[classId] || `class_${classId}`,
+                probability,
+                classId
+            }))
+            .sort((a, b) => b.probability - a.probability)
+            .slice(0, topK),
+        entropy: row.length > 1
+            ? -row.reduce((sum, p) => (p > 0 ? sum + p * Math.log(p) : sum), 0) / Math.log(row.length)
+            : 0
+    }));
+};
+
+// Class probabilities for a batch of images, as a [N, classes] tensor.
+// `images` is a [N, H, W, 3] tensor of raw RGB values in [0, 255].
+const computeProbabilities = ({ definition, model }, images) => {
+    if (definition.type === 'mobilenet') {
+        // MobileNet handles its own resizing and normalization
+        return tf.tidy(() => tf.softmax(model.infer(images)));
+    }
+
+    if (definition.type === 'mobilenet-head') {
+        // The head was trained on MobileNet embeddings and ends in a softmax
+        return tf.tidy(() => model.head.predict(model.base.infer(images, true)));
+    }
+
+    const [inputMin, inputMax] = definition.inputRange;
+    const size = definition.inputSize;
+    return tf.tidy(() => {
+        const resized = tf.image.resizeBilinear(images.toFloat(), [size, size], true);
+        const normalized = resized.mul((inputMax - inputMin) / 255).add(inputMin);
+        const output = model.predict(normalized);
+        return definition.outputActivation === 'logits' ? tf.softmax(output) : output;
+    });
+};
+
+// MobileNet feature vectors ([N, features]) for a batch of raw RGB images
+const extractEmbeddings = ({ definition, model }, images) => {
+    if (definition.type !== 'mobilenet') {
+        throw new Error(`Model ${definition.id} cannot produce embeddings`);
+    }
+    return model.infer(images, true);
+};
+
+// Run a batch of images through a loaded model. Returns one
+// { predictions: [{ className, probability, classId }], entropy } per image.
+const predictBatch = async (loadedModel, images, topK = 5) => {
+    const labels = loadedModel.definition.type === 'mobilenet'
+        ? IMAGENET_CLASSES
+        : loadedModel.definition.labels;
+    const probabilities = computeProbabilities(loadedModel, images);
+
+    try {
+        return await topKFromProbabilities(probabilities, labels, topK);
+    } finally {
+        probabilities.dispose();
+    }
+};
+
+// Probability of a single class for each image in the batch
+const predictClassProbabilities = async (loadedModel, images, classId) => {
+    const probabilities = computeProbabilities(loadedModel, images);
+    const column = tf.tidy(() => probabilities.gather([classId], 1).squeeze([1]));
+
+    try {
+        return Array.from(await column.data());
+    } finally {
+        probabilities.dispose();
+        column.dispose();
+    }
+};
+
+module.exports = {
+    MODELS_DIR,
+    DEFAULT_MODEL_ID,
+    getDefaultModelId,
+    setDefaultModel,
+    getShadowModelId,
+    setShadowModel,
+    getModelDefinition,
+    hasModel,
+    refreshModelDefinitions,
+    listModels,
+    loadModel,
+    unloadModel,
+    predictBatch,
+    predictClassProbabilities,
+    extractEmbeddings
+};
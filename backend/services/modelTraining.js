@@ -0,0 +1,294 @@
+// Model Training Service
+// Transfer learning on CPU: images from a labeled dataset export are run through
+// a built-in MobileNet once to get their embeddings, and a small dense
+// classifier ("head") is trained on those embeddings. The head is saved as a
+// "mobilenet-head" model under AI_MODELS_DIR so the registry picks it up, and
+// can optionally be made the default model for new analyses.
+//
+// Jobs run one at a time in this process; progress is written to the
+// TrainingJob document after every epoch.
+const tf = require('@tensorflow/tfjs-node');
+const path = require('path');
+const fs = require('fs');
+const TrainingJob = require('../models/TrainingJob');
+const modelRegistry = require('./modelRegistry');
+const datasetExport = require('./datasetExport');
+const { readImageTensor } = require('./aiAnalysis');
+
+const EMBEDDING_BATCH_SIZE = 16;
+const MIN_TRAIN_SAMPLES = 10;
+const DEFAULT_OPTIONS = {
+    epochs: 30,
+    batchSize: 32,
+    learningRate: 0.001,
+    hiddenUnits: 128,
+    activate: false
+};
+
+// Serialize training so only one job uses the CPU at a time
+let trainingChain = Promise.resolve();
+
+// Embeddings for a list of image paths as a [N, features] tensor
+const embedImages = async (baseModel, imagePaths) => {
+    const chunks = [];
+    for (let i = 0; i < imagePaths.length; i += EMBEDDING_BATCH_SIZE) {
+        const images = imagePaths
+            .slice(i, i + EMBEDDING_BATCH_SIZE)
+            .map(imagePath => readImageTensor(imagePath, baseModel.definition.inputSize));
+        const batch = tf.stack(images);
+        chunks.push(modelRegistry.extractEmbeddings(baseModel, batch));
+        images.forEach(image => image.dispose());
+        batch.dispose();
+        await tf.nextFrame(); // let the event loop breathe between chunks
+    }
+
+    const embeddings = tf.concat(chunks);
+    chunks.forEach(chunk => chunk.dispose());
+    return embeddings;
+};
+
+const buildHead = (inputSize, labelCount, { hiddenUnits, learningRate }) => {
+    const head = tf.sequential();
+    head.add(tf.layers.dense({ inputShape: [inputSize], units: hiddenUnits, activation: 'relu' }));
+    head.add(tf.layers.dropout({ rate: 0.2 }));
+    head.add(tf.layers.dense({ units: labelCount, activation: 'softmax' }));
+    head.compile({
+        optimizer: tf.train.adam(learningRate),
+        loss: 'categoricalCrossentropy',
+        metrics: ['accuracy']
+    });
+    return head;
+};
+
+// Share of rows where the head's top class matches the label
+const accuracyOf = async (head, embeddings, labelIndexes) => {
+    if (labelIndexes.length === 0) return null;
+
+    const predicted = tf.tidy(() => head.predict(embeddings).argMax(1));
+    const values = await predicted.data();
+    predicted.dispose();
+
+    const correct = labelIndexes.filter((labelIndex, row) => values[row] === labelIndex).length;
+    return correct / labelIndexes.length;
+};
+
+const newModelId = (baseModelId) => {
+    return `${baseModelId}-ft-${new Date().toISOString().slice(0, 19).replace(/[-:T]/g, '')}`;
+};
+
+const saveModel = async (job, head, labels, { valAccuracy, testAccuracy, samples }) => {
+    const modelDir = path.join(modelRegistry.MODELS_DIR, job.modelId);
+    fs.mkdirSync(modelDir, { recursive: true });
+    await head.save(`file://${modelDir}`);
+
+    const baseDefinition = modelRegistry.getModelDefinition(job.baseModelId);
+    const metadata = {
+        id: job.modelId,
+        name: `${baseDefinition.name} fine-tuned (${labels.length} classes)`,
+        description: `Trained on ${samples} labeled farmer images from dataset ${job.exportId}`,
+        version: `1.0.0+${job._id}`,
+        format: 'mobilenet-head',
+        baseModel: job.baseModelId,
+        inputSize: baseDefinition.inputSize,
+        taxonomy: 'plantvillage',
+        categories: ['crop_classification', 'disease_detection'],
+        accuracy: valAccuracy,
+        speed: baseDefinition.speed,
+        labels,
+        training: {
+            jobId: job._id,
+            exportId: job.exportId,
+            trainSamples: job.metrics.trainSamples,
+            valAccuracy,
+            testAccuracy,
+            trainedAt: new Date()
+        }
+    };
+    fs.writeFileSync(path.join(modelDir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+    modelRegistry.refreshModelDefinitions();
+};
+
+const runTrainingJob = async (jobId) => {
+    const job = await TrainingJob.findById(jobId);
+    if (!job || job.status !== 'queued') return;
+
+    const options = { ...DEFAULT_OPTIONS, ...job.toObject().options };
+    const tensors = [];
+    let head = null;
+
+    const setStage = (stage) => {
+        job.stage = stage;
+        return job.save();
+    };
+
+    try {
+        console.log(`🏋️ Training job ${job._id} started (base ${job.baseModelId})`);
+        job.status = 'running';
+        job.startedAt = new Date();
+        await setStage('preparing_dataset');
+
+        if (!job.exportId) {
+            const summary = await datasetExport.createDatasetExport(job.filters || {});
+            job.exportId = summary.exportId;
+        }
+        const records = datasetExport.readExportManifest(job.exportId);
+        if (!records) {
+            throw new Error(`Dataset export ${job.exportId} not found`);
+        }
+
+        // Classes come from the training split; val/test images of unseen classes can't be scored
+        const labels = [...new Set(records.filter(r => r.split === 'train').map(r => r.label))].sort();
+        const labelIndex = new Map(labels.map((label, index) => [label, index]));
+        const bySplit = { train: [], val: [], test: [] };
+        records.forEach(record => {
+            if (labelIndex.has(record.label)) bySplit[record.split].push(record);
+        });
+
+        if (labels.length < 2) {
+            throw new Error(`Need at least 2 classes in the training split, found ${labels.length}`);
+        }
+        if (bySplit.train.length < MIN_TRAIN_SAMPLES) {
+            throw new Error(`Need at least ${MIN_TRAIN_SAMPLES} training images, found ${bySplit.train.length}`);
+        }
+
+        job.metrics = {
+            labels,
+            trainSamples: bySplit.train.length,
+            valSamples: bySplit.val.length,
+            testSamples: bySplit.test.length,
+            droppedSamples: records.length - bySplit.train.length - bySplit.val.length - bySplit.test.length,
+            history: []
+        };
+        await setStage('extracting_features');
+
+        const baseModel = await modelRegistry.loadModel(job.baseModelId);
+        const embed = async (split) => {
+            const embeddings = await embedImages(baseModel, bySplit[split].map(r => r.imagePath));
+            tensors.push(embeddings);
+            return embeddings;
+        };
+        const labelIndexesOf = (split) => bySplit[split].map(r => labelIndex.get(r.label));
+
+        const xTrain = await embed('train');
+        const yTrain = tf.tidy(() => tf.oneHot(tf.tensor1d(labelIndexesOf('train'), 'int32'), labels.length));
+        tensors.push(yTrain);
+
+        let validationData;
+        if (bySplit.val.length > 0) {
+            const xVal = await embed('val');
+            const yVal = tf.tidy(() => tf.oneHot(tf.tensor1d(labelIndexesOf('val'), 'int32'), labels.length));
+            tensors.push(yVal);
+            validationData = [xVal, yVal];
+        }
+
+        await setStage('training');
+        job.progress = { epoch: 0, totalEpochs: options.epochs };
+        head = buildHead(xTrain.shape[1], labels.length, options);
+
+        await head.fit(xTrain, yTrain, {
+            epochs: options.epochs,
+            batchSize: options.batchSize,
+            shuffle: true,
+            validationData,
+            callbacks: {
+                onEpochEnd: async (epoch, logs) => {
+                    const entry = {
+                        epoch: epoch + 1,
+                        loss: logs.loss,
+                        accuracy: logs.acc ?? logs.accuracy,
+                        valLoss: logs.val_loss,
+                        valAccuracy: logs.val_acc ?? logs.val_accuracy
+                    };
+                    job.progress = { ...entry, totalEpochs: options.epochs };
+                    job.metrics.history.push(entry);
+                    await job.save();
+                }
+            }
+        });
+
+        await setStage('evaluating');
+        job.metrics.valAccuracy = validationData
+            ? await accuracyOf(head, validationData[0], labelIndexesOf('val'))
+            : null;
+        job.metrics.testAccuracy = bySplit.test.length > 0
+            ? await accuracyOf(head, await embed('test'), labelIndexesOf('test'))
+            : null;
+
+        await setStage('saving');
+        job.modelId = job.modelId || newModelId(job.baseModelId);
+        await saveModel(job, head, labels, {
+            valAccuracy: job.metrics.valAccuracy,
+            testAccuracy: job.metrics.testAccuracy,
+            samples: records.length
+        });
+
+        if (options.activate) {
+            modelRegistry.setDefaultModel(job.modelId);
+            job.activated = true;
+        }
+
+        job.status = 'completed';
+        job.stage = 'done';
+        job.completedAt = new Date();
+        await job.save();
+        console.log(`✅ Training job ${job._id} saved model ${job.modelId} (val accuracy ${job.metrics.valAccuracy})`);
+    } catch (error) {
+        console.error(`❌ Training job ${job._id} failed:`, error);
+        job.status = 'failed';
+        job.errorMessage = error.message;
+        job.completedAt = new Date();
+        await job.save();
+    } finally {
+        tensors.forEach(tensor => tensor.dispose());
+        if (head) {
+            head.optimizer.dispose(); // Adam moment estimates
+            head.dispose();
+        }
+    }
+};
+
+const scheduleTrainingJob = (jobId) => {
+    trainingChain = trainingChain
+        .then(() => runTrainingJob(jobId))
+        .catch(error => console.error('❌ Training scheduler error:', error));
+};
+
+// Create and schedule a training job
+const createTrainingJob = async (userId, { baseModelId, modelId, exportId, filters, options = {} }) => {
+    const job = await TrainingJob.create({
+        user: userId,
+        baseModelId,
+        modelId,
+        exportId,
+        filters,
+        options: { ...DEFAULT_OPTIONS, ...options }
+    });
+
+    scheduleTrainingJob(job._id);
+    return job;
+};
+
+// Training state lives in memory, so jobs cut off by a restart can't resume
+const failInterruptedTrainingJobs = async () => {
+    try {
+        const result = await TrainingJob.updateMany(
+            { status: { $in: ['queued', 'running'] } },
+            {
+                status: 'failed',
+                errorMessage: 'Server restarted before training finished',
+                completedAt: new Date()
+            }
+        );
+        if (result.modifiedCount > 0) {
+            console.log(`⚠️ Marked ${result.modifiedCount} interrupted training jobs as failed`);
+        }
+    } catch (error) {
+        console.error('❌ Failed to clean up training jobs:', error.message);
+    }
+};
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    createTrainingJob,
+    failInterruptedTrainingJobs
+};
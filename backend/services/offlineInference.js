@@ -0,0 +1,169 @@
+// Offline Inference Service
+// Packages a registry model and the active agricultural rule set so the web
+// app can classify photos on the phone without a connection
+// (frontend/lib/offline). Photos analyzed offline are uploaded later with the
+// phone's result attached (ImageAnalysis.clientAnalysis); the server analyzes
+// them as usual and verifies the phone's diagnosis against its own.
+//
+// Built-in MobileNets are fetched by the browser from TF Hub; disk models are
+// served from AI_MODELS_DIR. A mobilenet-head model needs its base MobileNet
+// too, so the package lists both.
+const path = require('path');
+const fs = require('fs');
+const Notification = require('../models/Notification');
+const modelRegistry = require('./modelRegistry');
+const agriculturalRules = require('./agriculturalRules');
+const { analysisLabel } = require('./modelEvaluation');
+
+const NOT_A_PLANT_LABEL = 'Not_a_plant';
+const MODEL_FILE_PATTERN = /^[\w.-]+$/;
+
+// Browser-side description of one model
+const describeModel = (definition) => {
+    const description = {
+        id: definition.id,
+        version: definition.version,
+        type: definition.type,
+        taxonomy: definition.taxonomy,
+        inputSize: definition.inputSize
+    };
+
+    if (definition.type === 'mobilenet') {
+        return {
+            ...description,
+            mobilenet: { ...definition.mobilenetConfig, inputRange: definition.inputRange },
+            modelUrl: definition.hubUrl,
+            fromTFHub: true
+        };
+    }
+
+    return {
+        ...description,
+        inputRange: definition.inputRange,
+        outputActivation: definition.outputActivation,
+        labels: definition.labels,
+        modelUrl: `/api/ai/models/${encodeURIComponent(definition.id)}/files/model.json`,
+        fromTFHub: false
+    };
+};
+
+// Everything the phone needs to run `modelId` offline
+const buildOfflinePackage = (modelId = modelRegistry.getDefaultModelId()) => {
+    const definition = modelRegistry.getModelDefinition(modelId);
+    if (!definition) {
+        throw new Error(`Unknown AI model: ${modelId}`);
+    }
+    if (definition.type === 'mobilenet' && !definition.hubUrl) {
+        throw new Error(`Model ${modelId} has no browser download URL`);
+    }
+
+    let baseModel;
+    if (definition.type === 'mobilenet-head') {
+        const base = modelRegistry.getModelDefinition(definition.baseModel);
+        if (!base || base.type !== 'mobilenet' || !base.hubUrl) {
+            throw new Error(`Base model ${definition.baseModel} of ${modelId} can't run in the browser`);
+        }
+        baseModel = describeModel(base);
+    }
+
+    // Tests only matter when a rule set is activated
+    const { tests, ...rules } = agriculturalRules.getActiveRules();
+
+    return {
+        packageVersion: `${definition.id}@${definition.version}+rules@${rules.version}`,
+        generatedAt: new Date(),
+        model: describeModel(definition),
+        baseModel,
+        rules
+    };
+};
+
+// Absolute path of a file of a disk model (model.json or a weight shard), or
+// null if the model has no such file
+const getModelFilePath = (modelId, file) => {
+    const definition = modelRegistry.getModelDefinition(modelId);
+    if (!definition?.modelPath || !MODEL_FILE_PATTERN.test(file)) return null;
+
+    const modelDir = path.dirname(definition.modelPath);
+    if (file !== path.basename(definition.modelPath)) {
+        const modelJson = JSON.parse(fs.readFileSync(definition.modelPath, 'utf8'));
+        const weightFiles = (modelJson.weightsManifest || []).flatMap(group => group.paths);
+        if (!weightFiles.includes(file)) return null;
+    }
+
+    const filePath = path.join(modelDir, file);
+    return fs.existsSync(filePath) ? filePath : null;
+};
+
+// "Crop___Condition" label of the phone's result
+const clientLabel = (clientAnalysis) => {
+    if (clientAnalysis.isPlant === false) return NOT_A_PLANT_LABEL;
+
+    return analysisLabel({
+        cropAnalysis: { detectedCrop: clientAnalysis.detectedCrop },
+        pestAnalysis: {
+            disease: { detected: clientAnalysis.diseaseDetected, name: clientAnalysis.diseaseName }
+        }
+    });
+};
+
+const notifyMismatch = (imageAnalysis) => {
+    const crop = imageAnalysis.analysis.cropAnalysis?.detectedCrop || 'plant';
+
+    return Notification.createNotification(imageAnalysis.user, {
+        title: 'Your offline scan was updated',
+        message: `The server re-checked the ${crop} photo you scanned offline and reached a different result. Open the analysis to see the updated diagnosis.`,
+        type: 'alert',
+        priority: 'high',
+        data: {
+            analysisId: imageAnalysis._id,
+            clientLabel: imageAnalysis.clientAnalysis.verification.clientLabel,
+            serverLabel: imageAnalysis.clientAnalysis.verification.serverLabel
+        },
+        metadata: {
+            source: 'system',
+            relatedId: imageAnalysis._id,
+            relatedType: 'ImageAnalysis'
+        }
+    });
+};
+
+// Compare the phone's result with a freshly (re-)analyzed ImageAnalysis and
+// notify the farmer when the server disagrees. The document is not saved here.
+const verifyClientAnalysis = async (imageAnalysis) => {
+    const client = imageAnalysis.clientAnalysis;
+    if (!client?.modelId) return null;
+
+    const previousStatus = client.verification?.status;
+    const serverLabel = imageAnalysis.status === 'not_a_plant'
+        ? NOT_A_PLANT_LABEL
+        : analysisLabel(imageAnalysis.analysis);
+    const label = clientLabel(client);
+
+    client.verification = {
+        status: label === serverLabel ? 'confirmed' : 'mismatch',
+        clientLabel: label,
+        serverLabel,
+        sameModel: client.modelId === imageAnalysis.analysis?.modelUsed &&
+            client.modelVersion === imageAnalysis.analysis?.modelVersion,
+        verifiedAt: new Date()
+    };
+
+    console.log(`📱 Offline result for ${imageAnalysis._id}: ${client.verification.status} (${label} vs ${serverLabel})`);
+
+    if (client.verification.status === 'mismatch' && previousStatus !== 'mismatch') {
+        try {
+            await notifyMismatch(imageAnalysis);
+        } catch (error) {
+            console.error('❌ Failed to notify about offline mismatch:', error.message);
+        }
+    }
+
+    return client.verification;
+};
+
+module.exports = {
+    buildOfflinePackage,
+    getModelFilePath,
+    verifyClientAnalysis
+};
@@ -0,0 +1,250 @@
+// Pest Analysis Service
+// Pest identification for uploads with analysisType "pest" (leaf or sticky
+// trap photos). Each pest in config/pestProfiles.json is scored from two kinds
+// of evidence:
+//
+//   - visual signs: leaf segmentation (holes, lesions, chlorosis, specks on the
+//     leaf) or, on yellow sticky traps, counts of pale and dark specks
+//   - classifier labels: predictions of PEST_MODEL (default: the built-in
+//     ImageNet MobileNet, which knows grasshoppers and crickets) matching the
+//     pest's `classes`
+//
+// Pests scoring at least `minScore` are reported with the measured affected
+// leaf area, a severity from the pest's thresholds and IPM advice: monitoring,
+// cultural and biological steps always, chemical control only from
+// `chemicalFrom` severity up.
+const tf = require('@tensorflow/tfjs-node');
+const path = require('path');
+const fs = require('fs');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const modelRegistry = require('./modelRegistry');
+const leafSegmentation = require('./leafSegmentation');
+const { readImageTensor } = require('./aiAnalysis');
+
+const PROFILES_PATH = process.env.PEST_PROFILES_PATH || path.join(__dirname, '..', 'config', 'pestProfiles.json');
+const PEST_MODEL = process.env.PEST_MODEL || 'mobilenet-v1-0.25';
+const CLASSIFIER_TOP_K = 10;
+const MIN_TRAP_FRACTION = 0.4; // share of yellow pixels that marks a sticky trap photo
+const MIN_TRAP_SPECK_PIXELS = 2; // smaller spots are compression noise
+const COUNT_SIGNS = ['brightSpecks', 'darkSpecks', 'trapPaleSpecks', 'trapDarkSpecks'];
+
+const SEVERITIES = ImageAnalysis.schema.path('analysis.pestAnalysis.pests').schema.path('severity').enumValues;
+
+const loadProfiles = () => {
+    const profiles = JSON.parse(fs.readFileSync(PROFILES_PATH, 'utf8'));
+    if (!SEVERITIES.includes(profiles.chemicalFrom)) {
+        throw new Error(`chemicalFrom in ${PROFILES_PATH} must be one of: ${SEVERITIES.join(', ')}`);
+    }
+    Object.entries(profiles.pests).forEach(([pestId, pest]) => {
+        const signs = Object.keys({ ...pest.signs, ...pest.trapSigns });
+        const unknown = signs.filter(sign => !profiles.signScales[sign]);
+        if (unknown.length > 0) {
+            throw new Error(`Pest ${pestId} uses signs without a scale: ${unknown.join(', ')}`);
+        }
+    });
+    return profiles;
+};
+
+const profiles = loadProfiles();
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Yellow sticky trap: count the insects stuck on it as pale or dark specks
+const detectStickyTrap = (pixels) => {
+    const { data, width, height, channels } = pixels;
+    const pixelCount = width * height;
+
+    const trap = new Uint8Array(pixelCount);
+    let trapPixels = 0;
+    for (let i = 0; i < pixelCount; i++) {
+        const { hue, saturation, value } = leafSegmentation.rgbToHsv(data[i * channels], data[i * channels + 1], data[i * channels + 2]);
+        if (hue >= 45 && hue < 70 && saturation > 0.5 && value > 0.6) {
+            trap[i] = 1;
+            trapPixels++;
+        }
+    }
+    if (trapPixels / pixelCount < MIN_TRAP_FRACTION) return null;
+
+    // Spots on the trap are the non-yellow pixels it fully surrounds
+    const outside = leafSegmentation.floodFromBorder(trap.map(value => 1 - value), width, height);
+    const onTrap = trap.map((value, i) => (!value && !outside[i] ? 1 : 0));
+    const { labels, sizes } = leafSegmentation.connectedComponents(onTrap, width, height);
+
+    const brightness = new Array(sizes.length).fill(0);
+    for (let i = 0; i < pixelCount; i++) {
+        if (labels[i]) {
+            brightness[labels[i]] += Math.max(data[i * channels], data[i * channels + 1], data[i * channels + 2]) / 255;
+        }
+    }
+
+    let paleSpecks = 0;
+    let darkSpecks = 0;
+    sizes.forEach((size, label) => {
+        if (label === 0 || size < MIN_TRAP_SPECK_PIXELS || size > leafSegmentation.MAX_SPECK_PIXELS) return;
+        if (brightness[label] / size >= 0.6) paleSpecks++;
+        else darkSpecks++;
+    });
+
+    return {
+        coverage: round2(trapPixels / pixelCount),
+        paleSpecks,
+        darkSpecks
+    };
+};
+
+// Top predictions of the pest classifier, or null when it can't run. The
+// classifier is an extra: visual signs still work without it.
+const classify = async (imagePath) => {
+    if (!modelRegistry.hasModel(PEST_MODEL)) return null;
+
+    try {
+        const loadedModel = await modelRegistry.loadModel(PEST_MODEL);
+        const imageTensor = readImageTensor(imagePath, loadedModel.definition.inputSize);
+        const batchedTensor = imageTensor.expandDims(0);
+        try {
+            const [{ predictions }] = await modelRegistry.predictBatch(loadedModel, batchedTensor, CLASSIFIER_TOP_K);
+            return { definition: loadedModel.definition, predictions };
+        } finally {
+            tf.dispose([imageTensor, batchedTensor]);
+        }
+    } catch (error) {
+        console.warn(`⚠️ Pest classifier ${PEST_MODEL} unavailable:`, error.message);
+        return null;
+    }
+};
+
+// Raw sign values for the photo, by sign name
+const measureSigns = (segmentation, trap) => {
+    if (trap) {
+        return { trapPaleSpecks: trap.paleSpecks, trapDarkSpecks: trap.darkSpecks };
+    }
+    if (!segmentation.leafFound) return {};
+
+    return {
+        holes: segmentation.holeArea,
+        lesions: segmentation.necroticArea,
+        chlorosis: segmentation.chloroticArea,
+        brightSpecks: segmentation.brightSpecks,
+        darkSpecks: segmentation.darkSpecks
+    };
+};
+
+const SIGN_DESCRIPTIONS = {
+    holes: value => `holes in ${value}% of the leaf`,
+    lesions: value => `brown or dead tissue on ${value}% of the leaf`,
+    chlorosis: value => `yellowing on ${value}% of the leaf`,
+    brightSpecks: value => `${value} pale specks on the leaf`,
+    darkSpecks: value => `${value} dark specks on the leaf`,
+    trapPaleSpecks: value => `${value} pale insects on the trap`,
+    trapDarkSpecks: value => `${value} dark insects on the trap`
+};
+
+const severityFor = (value, thresholds) => {
+    if (value === null || value === undefined || !thresholds) return 'low';
+    return [...SEVERITIES].reverse().find(level => thresholds[level] !== undefined && value >= thresholds[level]) || 'low';
+};
+
+const ipmRecommendations = (pest, severity) => {
+    const { monitoring = [], cultural = [], biological = [], chemical = [] } = pest.ipm;
+    const useChemical = SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(profiles.chemicalFrom);
+
+    return [
+        ...monitoring,
+        ...cultural,
+        ...biological,
+        ...(useChemical ? chemical : [])
+    ];
+};
+
+// Score one pest from the measured signs and classifier predictions
+const scorePest = (pestId, pest, { signs, trap, predictions, affectedArea }) => {
+    const weights = (trap ? pest.trapSigns : pest.signs) || {};
+    const evidence = [];
+
+    let signScore = 0;
+    Object.entries(weights).forEach(([sign, weight]) => {
+        const value = signs[sign];
+        if (!value) return;
+        signScore += weight * Math.min(value / profiles.signScales[sign], 1);
+        evidence.push(SIGN_DESCRIPTIONS[sign](value));
+    });
+    signScore = Math.min(signScore, 1);
+
+    const classNames = [pestId, pest.name, ...(pest.classes || [])].map(name => name.toLowerCase());
+    const matches = (predictions || []).filter(prediction => classNames.includes(prediction.className.toLowerCase()));
+    const classScore = Math.min(matches.reduce((total, prediction) => total + prediction.probability, 0), 1);
+    matches.forEach(prediction => {
+        evidence.push(`classifier: ${prediction.className} (${Math.round(prediction.probability * 100)}%)`);
+    });
+
+    // Either kind of evidence can identify the pest; both together add up
+    const score = 1 - (1 - signScore) * (1 - classScore);
+    if (score < profiles.minScore) return null;
+
+    const countThresholds = pest.severity?.count;
+    const count = countThresholds
+        ? Object.keys(weights).filter(sign => COUNT_SIGNS.includes(sign)).reduce((total, sign) => total + (signs[sign] || 0), 0)
+        : undefined;
+    const severity = [
+        severityFor(affectedArea, pest.severity?.affectedArea),
+        severityFor(count, countThresholds)
+    ].reduce((a, b) => (SEVERITIES.indexOf(b) > SEVERITIES.indexOf(a) ? b : a));
+
+    return {
+        name: pest.name,
+        scientificName: pest.scientificName,
+        severity,
+        affectedArea: affectedArea ?? undefined,
+        count,
+        confidence: round2(score),
+        evidence,
+        recommendations: ipmRecommendations(pest, severity)
+    };
+};
+
+// Analyze a pest photo. Resolves to an ImageAnalysis `analysis` object.
+const analyzePestImage = async (imagePath) => {
+    const pixels = await leafSegmentation.readPixels(imagePath);
+    const trap = detectStickyTrap(pixels);
+    const segmentation = trap ? null : leafSegmentation.segmentPixels(pixels);
+    const classifier = await classify(imagePath);
+
+    const affectedArea = segmentation?.leafFound ? segmentation.damagedArea : null;
+    const context = {
+        signs: measureSigns(segmentation, trap),
+        trap,
+        predictions: classifier?.predictions,
+        affectedArea
+    };
+    const pests = Object.entries(profiles.pests)
+        .map(([pestId, pest]) => scorePest(pestId, pest, context))
+        .filter(Boolean)
+        .sort((a, b) => b.confidence - a.confidence);
+
+    console.log(`🐛 Pests: ${pests.map(pest => `${pest.name} (${pest.severity})`).join(', ') || 'none'}`);
+
+    return {
+        modelUsed: classifier ? classifier.definition.id : 'pest-signs',
+        modelVersion: classifier ? classifier.definition.version : profiles.version,
+        predictions: (classifier?.predictions || []).slice(0, 5).map(p => ({
+            className: p.className,
+            probability: p.probability,
+            classId: p.classId
+        })),
+        pestAnalysis: {
+            detected: pests.length > 0,
+            photoType: trap ? 'trap' : (segmentation.leafFound ? 'leaf' : 'other'),
+            affectedArea: affectedArea ?? undefined,
+            segmentation: segmentation?.leafFound ? segmentation : undefined,
+            trap: trap || undefined,
+            pests,
+            recommendations: pests.length > 0 ? [] : [...profiles.noPestRecommendations],
+            note: profiles.note
+        }
+    };
+};
+
+module.exports = {
+    detectStickyTrap,
+    analyzePestImage
+};
@@ -0,0 +1,308 @@
+// Soil Analysis Service
+// Photo-based soil analysis for uploads with analysisType "soil". Bare-soil
+// pixels (vegetation, glare and deep shadow are masked out) give a Munsell-like
+// hue/value/chroma colour, from which organic matter and moisture are
+// estimated. The soil type comes from a classifier: a registry model named by
+// SOIL_TEXTURE_MODEL (labels must be soil types), or by default the nearest
+// colour/texture prototype in config/soilProfiles.json. Type-specific pH,
+// likely deficiencies and advice come from the same file.
+//
+// These are visual estimates; the result says so and recommends a lab test.
+const sharp = require('sharp');
+const tf = require('@tensorflow/tfjs-node');
+const path = require('path');
+const fs = require('fs');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const modelRegistry = require('./modelRegistry');
+const { readImageTensor } = require('./aiAnalysis');
+
+const PROFILES_PATH = process.env.SOIL_PROFILES_PATH || path.join(__dirname, '..', 'config', 'soilProfiles.json');
+const SOIL_TEXTURE_MODEL = process.env.SOIL_TEXTURE_MODEL || null;
+const ANALYSIS_SIZE = 256;
+const BLOCK_SIZE = 16; // pixels per block for large-scale texture (clods, cracks)
+const MIN_SOIL_FRACTION = 0.25;
+const PROTOTYPE_TEMPERATURE = 0.1; // lower = more confident prototype matches
+const SOIL_NOTE = 'Visual estimate from a photo - confirm pH and nutrients with a laboratory soil test';
+
+// Soil colour chart hue pages and their approximate CIELAB hue angle
+const MUNSELL_HUES = [
+    ['10R', 35], ['2.5YR', 45], ['5YR', 55], ['7.5YR', 64], ['10YR', 72], ['2.5Y', 80], ['5Y', 88]
+];
+const MUNSELL_CHROMAS = [0, 1, 2, 3, 4, 6, 8];
+
+const loadProfiles = () => {
+    const profiles = JSON.parse(fs.readFileSync(PROFILES_PATH, 'utf8'));
+    const allowedTypes = ImageAnalysis.schema.path('analysis.soilAnalysis.type').enumValues;
+    const unknown = Object.keys(profiles.types).filter(type => !allowedTypes.includes(type));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown soil types in ${PROFILES_PATH}: ${unknown.join(', ')}`);
+    }
+    return profiles;
+};
+
+const profiles = loadProfiles();
+
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+
+// sRGB (0-255) to CIELAB under D65
+const rgbToLab = ([r, g, b]) => {
+    const linear = [r, g, b].map(channel => {
+        const c = channel / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    const [lr, lg, lb] = linear;
+    const xyz = [
+        (0.4124 * lr + 0.3576 * lg + 0.1805 * lb) / 0.95047,
+        (0.2126 * lr + 0.7152 * lg + 0.0722 * lb) / 1.0,
+        (0.0193 * lr + 0.1192 * lg + 0.9505 * lb) / 1.08883
+    ];
+    const [fx, fy, fz] = xyz.map(t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116));
+
+    return {
+        L: 116 * fy - 16,
+        a: 500 * (fx - fy),
+        b: 200 * (fy - fz)
+    };
+};
+
+// Approximate Munsell notation for a CIELAB colour, snapped to soil chart steps
+const labToMunsell = ({ L, a, b }) => {
+    const hueAngle = (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+    const chromaLab = Math.sqrt(a * a + b * b);
+
+    const value = Math.min(Math.max(Math.round(L / 10), 2), 8);
+    const chroma = MUNSELL_CHROMAS.reduce((best, step) =>
+        (Math.abs(step - chromaLab / 5) < Math.abs(best - chromaLab / 5) ? step : best));
+    const hue = MUNSELL_HUES.reduce((best, candidate) =>
+        (Math.abs(candidate[1] - hueAngle) < Math.abs(best[1] - hueAngle) ? candidate : best))[0];
+
+    return chroma === 0
+        ? { hue: 'N', value, chroma, notation: `N ${value}/` }
+        : { hue, value, chroma, notation: `${hue} ${value}/${chroma}` };
+};
+
+// Everyday soil colour name for a Munsell colour
+const colorName = ({ hue, value, chroma }) => {
+    const reddish = ['10R', '2.5YR'].includes(hue);
+    const yellowish = ['2.5Y', '5Y'].includes(hue);
+
+    if (value <= 2) return 'black';
+    if (value <= 3) {
+        if (chroma <= 2) return 'very dark greyish brown';
+        return reddish ? 'dark reddish brown' : 'dark brown';
+    }
+    if (value <= 5) {
+        if (chroma <= 1) return 'grey';
+        if (chroma <= 2) return 'greyish brown';
+        if (reddish) return chroma >= 6 ? 'red' : 'reddish brown';
+        return yellowish ? 'olive brown' : 'brown';
+    }
+    if (value <= 6) {
+        if (chroma <= 2) return 'light brownish grey';
+        if (reddish) return 'light red';
+        return yellowish ? 'light yellowish brown' : 'yellowish brown';
+    }
+    if (chroma <= 1) return 'light grey';
+    return yellowish ? 'pale yellow' : 'very pale brown';
+};
+
+// Colour and texture statistics of the bare-soil pixels in a photo
+const extractSoilFeatures = async (imagePath) => {
+    const { data, info } = await sharp(imagePath)
+        .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'cover' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const { width, height, channels } = info;
+    const pixelCount = width * height;
+
+    const soil = new Uint8Array(pixelCount);
+    const luma = new Float32Array(pixelCount);
+    const sum = [0, 0, 0];
+    let soilPixels = 0;
+    let specularPixels = 0;
+
+    for (let i = 0; i < pixelCount; i++) {
+        const r = data[i * channels];
+        const g = data[i * channels + 1];
+        const b = data[i * channels + 2];
+        luma[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+
+        const specular = Math.min(r, g, b) > 235;
+        const shadow = Math.max(r, g, b) < 20;
+        const vegetation = g > r + 10 && g > b + 10;
+        const sky = b > r + 20 && b > g;
+        if (specular) specularPixels++;
+        if (specular || shadow || vegetation || sky) continue;
+
+        soil[i] = 1;
+        soilPixels++;
+        sum[0] += r;
+        sum[1] += g;
+        sum[2] += b;
+    }
+
+    const soilFraction = soilPixels / pixelCount;
+    if (soilFraction < MIN_SOIL_FRACTION) {
+        // Retrying the same photo gives the same answer; the farmer has to retake it
+        throw Object.assign(
+            new Error('Not enough bare soil visible in the photo - photograph the soil surface up close'),
+            { retryable: false }
+        );
+    }
+
+    // Fine texture: mean brightness step between neighbouring soil pixels (grain)
+    let gradientTotal = 0;
+    let gradientCount = 0;
+    for (let y = 0; y < height - 1; y++) {
+        for (let x = 0; x < width - 1; x++) {
+            const i = y * width + x;
+            if (!soil[i]) continue;
+            if (soil[i + 1]) {
+                gradientTotal += Math.abs(luma[i] - luma[i + 1]);
+                gradientCount++;
+            }
+            if (soil[i + width]) {
+                gradientTotal += Math.abs(luma[i] - luma[i + width]);
+                gradientCount++;
+            }
+        }
+    }
+
+    // Coarse texture: spread of block brightness (clods, cracks, aggregates)
+    const blockMeans = [];
+    for (let by = 0; by < height; by += BLOCK_SIZE) {
+        for (let bx = 0; bx < width; bx += BLOCK_SIZE) {
+            let total = 0;
+            let count = 0;
+            for (let y = by; y < Math.min(by + BLOCK_SIZE, height); y++) {
+                for (let x = bx; x < Math.min(bx + BLOCK_SIZE, width); x++) {
+                    const i = y * width + x;
+                    if (soil[i]) {
+                        total += luma[i];
+                        count++;
+                    }
+                }
+            }
+            if (count > (BLOCK_SIZE * BLOCK_SIZE) / 2) blockMeans.push(total / count);
+        }
+    }
+    const blockMean = blockMeans.reduce((total, value) => total + value, 0) / (blockMeans.length || 1);
+    const blockStd = Math.sqrt(blockMeans.reduce((total, value) => total + (value - blockMean) ** 2, 0) / (blockMeans.length || 1));
+
+    const meanRgb = sum.map(channel => Math.round(channel / soilPixels));
+    return {
+        meanRgb,
+        munsell: labToMunsell(rgbToLab(meanRgb)),
+        fineTexture: clamp01((gradientCount > 0 ? gradientTotal / gradientCount : 0) / 32),
+        coarseTexture: clamp01(blockStd / 48),
+        soilFraction,
+        specularFraction: specularPixels / pixelCount
+    };
+};
+
+// Soil type probabilities from the nearest colour/texture prototypes
+const classifyByPrototype = (features) => {
+    const toVector = ({ value, chroma, fineTexture, coarseTexture }) => [value / 10, chroma / 8, fineTexture, coarseTexture];
+    const observed = toVector({ ...features.munsell, ...features });
+
+    const distances = Object.entries(profiles.types).map(([type, profile]) => {
+        const prototype = toVector(profile.prototype);
+        const distance = Math.sqrt(prototype.reduce((total, value, index) => total + (value - observed[index]) ** 2, 0));
+        return { type, distance };
+    });
+
+    const weights = distances.map(({ distance }) => Math.exp(-distance / PROTOTYPE_TEMPERATURE));
+    const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+    return distances
+        .map(({ type }, index) => ({ type, probability: weights[index] / totalWeight }))
+        .sort((a, b) => b.probability - a.probability);
+};
+
+// Soil type probabilities from a registry model whose labels are soil types
+const classifyWithModel = async (modelId, imagePath) => {
+    const loadedModel = await modelRegistry.loadModel(modelId);
+    const imageTensor = readImageTensor(imagePath, loadedModel.definition.inputSize);
+    const batchedTensor = imageTensor.expandDims(0);
+
+    let predictions;
+    try {
+        [{ predictions }] = await modelRegistry.predictBatch(loadedModel, batchedTensor, Object.keys(profiles.types).length);
+    } finally {
+        tf.dispose([imageTensor, batchedTensor]);
+    }
+
+    const scores = predictions
+        .map(prediction => ({ type: prediction.className.toLowerCase(), probability: prediction.probability }))
+        .filter(score => profiles.types[score.type]);
+    if (scores.length === 0) {
+        throw new Error(`Soil model ${modelId} has no labels matching known soil types`);
+    }
+    return scores;
+};
+
+const organicMatterLevel = (munsell) => {
+    return Object.values(profiles.organicMatter)
+        .find(level => level.maxValue === null || munsell.value <= level.maxValue);
+};
+
+// Wet soil is darker and glossy; dry soil is pale
+const moistureLevel = ({ munsell, specularFraction }) => {
+    if (specularFraction > 0.08 && munsell.value <= 4) return 'waterlogged';
+    if (specularFraction > 0.03) return 'wet';
+    if (munsell.value >= 6) return 'dry';
+    return 'moist';
+};
+
+// Analyze a soil photo. Resolves to an ImageAnalysis `analysis` object.
+const analyzeSoilImage = async (imagePath) => {
+    const features = await extractSoilFeatures(imagePath);
+
+    const useModel = Boolean(SOIL_TEXTURE_MODEL) && modelRegistry.hasModel(SOIL_TEXTURE_MODEL);
+    const classifier = useModel
+        ? { id: SOIL_TEXTURE_MODEL, version: modelRegistry.getModelDefinition(SOIL_TEXTURE_MODEL).version }
+        : { id: 'soil-prototypes', version: profiles.version };
+    const scores = useModel
+        ? await classifyWithModel(SOIL_TEXTURE_MODEL, imagePath)
+        : classifyByPrototype(features);
+
+    const [best] = scores;
+    const profile = profiles.types[best.type];
+    const organicMatter = organicMatterLevel(features.munsell);
+    const moisture = moistureLevel(features);
+
+    console.log(`🟫 Soil: ${best.type} (${Math.round(best.probability * 100)}%), ${features.munsell.notation}, ${moisture}`);
+
+    return {
+        modelUsed: classifier.id,
+        modelVersion: classifier.version,
+        soilAnalysis: {
+            type: best.type,
+            typeConfidence: Math.round(best.probability * 100) / 100,
+            typeScores: scores.slice(0, 3).map(score => ({
+                type: score.type,
+                probability: Math.round(score.probability * 1000) / 1000
+            })),
+            moistureLevel: moisture,
+            nutrientDeficiencies: [...profile.possibleDeficiencies],
+            phEstimate: profile.phEstimate,
+            texture: profile.texture,
+            color: colorName(features.munsell),
+            munsell: features.munsell,
+            organicMatter: organicMatter.label,
+            recommendations: [
+                ...profile.recommendations,
+                ...organicMatter.recommendations,
+                ...profiles.moisture[moisture]
+            ],
+            soilCoverage: Math.round(features.soilFraction * 100) / 100,
+            note: SOIL_NOTE
+        }
+    };
+};
+
+module.exports = {
+    labToMunsell,
+    extractSoilFeatures,
+    analyzeSoilImage
+};
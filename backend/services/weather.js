@@ -0,0 +1,159 @@
+// Weather Service
+// Current conditions and forecasts from OpenWeatherMap, shared by the weather
+// routes and the chatbot's weather tools (services/chatTools.js).
+const axios = require('axios');
+const mongoose = require('mongoose');
+const WeatherData = require('../models/WeatherData');
+const Field = require('../models/Field');
+
+// OpenWeatherMap API configuration
+const WEATHER_API_KEY = process.env.OPENWEATHER_API_KEY;
+const WEATHER_BASE_URL = 'https://api.openweathermap.org/data/2.5';
+const CACHE_MINUTES = 10;
+
+// Coordinates for a request: a registered field (fieldId) or raw latitude and
+// longitude. Resolves to { latitude, longitude, field } or { status, message }.
+const resolveCoordinates = async ({ fieldId, latitude, longitude }, user) => {
+    if (fieldId) {
+        const field = mongoose.isValidObjectId(fieldId)
+            ? await Field.findOne({ _id: fieldId, user: user._id }).select('name location boundary')
+            : null;
+        if (!field) {
+            return { status: 404, message: 'Field not found' };
+        }
+        if (field.location?.latitude == null || field.location?.longitude == null) {
+            return { status: 400, message: 'Field has no location; add a boundary or coordinates first' };
+        }
+        return { latitude: field.location.latitude, longitude: field.location.longitude, field };
+    }
+
+    if (!latitude || !longitude) {
+        return { status: 400, message: 'Latitude and longitude (or fieldId) are required' };
+    }
+    return { latitude, longitude, field: null };
+};
+
+// Current conditions, from a reading under 10 minutes old or else fetched and
+// saved for the user. Resolves to { weather, source: 'cache'|'api' }.
+const getCurrentWeather = async ({ latitude, longitude, location, field }, user, { signal } = {}) => {
+    // Check if we have recent cached data
+    const cacheExpiry = new Date(Date.now() - CACHE_MINUTES * 60 * 1000);
+    const cachedWeather = await WeatherData.findOne({
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        timestamp: { $gte: cacheExpiry }
+    }).sort({ timestamp: -1 });
+
+    if (cachedWeather) {
+        return { weather: cachedWeather, source: 'cache' };
+    }
+
+    // Fetch from OpenWeatherMap API
+    const response = await axios.get(`${WEATHER_BASE_URL}/weather`, {
+        params: {
+            lat: latitude,
+            lon: longitude,
+            appid: WEATHER_API_KEY,
+            units: 'metric'
+        },
+        signal
+    });
+
+    const weatherData = response.data;
+
+    // Save to database
+    const weatherRecord = await WeatherData.create({
+        user: user._id,
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        location: location || field?.name || `${weatherData.name}, ${weatherData.sys.country}`,
+        temperature: weatherData.main.temp,
+        feelsLike: weatherData.main.feels_like,
+        humidity: weatherData.main.humidity,
+        pressure: weatherData.main.pressure,
+        windSpeed: weatherData.wind.speed,
+        windDirection: weatherData.wind.deg,
+        visibility: weatherData.visibility,
+        uvIndex: weatherData.uvi || null,
+        conditions: weatherData.weather[0].main,
+        description: weatherData.weather[0].description,
+        icon: weatherData.weather[0].icon,
+        sunrise: new Date(weatherData.sys.sunrise * 1000),
+        sunset: new Date(weatherData.sys.sunset * 1000),
+        timestamp: new Date()
+    });
+
+    return { weather: weatherRecord, source: 'api' };
+};
+
+// Daily forecast summaries with their 3-hourly readings:
+// { location, forecast: [{ date, minTemp, maxTemp, avgTemp, humidity,
+//   conditions, description, icon, precipitation, hourly }] }
+const getForecast = async ({ latitude, longitude }, days = 5, { signal } = {}) => {
+    const response = await axios.get(`${WEATHER_BASE_URL}/forecast`, {
+        params: {
+            lat: latitude,
+            lon: longitude,
+            appid: WEATHER_API_KEY,
+            units: 'metric',
+            cnt: parseInt(days) * 8 // 8 forecasts per day (3-hour intervals)
+        },
+        signal
+    });
+
+    const forecastData = response.data.list.map(item => ({
+        timestamp: new Date(item.dt * 1000),
+        temperature: item.main.temp,
+        feelsLike: item.main.feels_like,
+        humidity: item.main.humidity,
+        pressure: item.main.pressure,
+        windSpeed: item.wind.speed,
+        windDirection: item.wind.deg,
+        conditions: item.weather[0].main,
+        description: item.weather[0].description,
+        icon: item.weather[0].icon,
+        precipitation: item.rain ? item.rain['3h'] || 0 : 0,
+        probability: item.pop || 0
+    }));
+
+    // Group by days
+    const dailyForecast = {};
+    forecastData.forEach(item => {
+        const date = item.timestamp.toDateString();
+        if (!dailyForecast[date]) {
+            dailyForecast[date] = {
+                date: item.timestamp,
+                items: []
+            };
+        }
+        dailyForecast[date].items.push(item);
+    });
+
+    // Calculate daily summaries
+    const dailySummaries = Object.values(dailyForecast).map(day => {
+        const temps = day.items.map(item => item.temperature);
+        return {
+            date: day.date,
+            minTemp: Math.min(...temps),
+            maxTemp: Math.max(...temps),
+            avgTemp: temps.reduce((a, b) => a + b, 0) / temps.length,
+            humidity: day.items[0].humidity, // Use first reading of the day
+            conditions: day.items[0].conditions,
+            description: day.items[0].description,
+            icon: day.items[0].icon,
+            precipitation: day.items.reduce((sum, item) => sum + item.precipitation, 0),
+            hourly: day.items
+        };
+    });
+
+    return {
+        location: response.data.city.name,
+        forecast: dailySummaries
+    };
+};
+
+module.exports = {
+    resolveCoordinates,
+    getCurrentWeather,
+    getForecast
+};
@@ -0,0 +1,262 @@
+// Agricultural rule engine tests: the test cases embedded in
+// config/agriculturalRules.json, rule set validation, and saveRules and
+// previewRules refusing invalid or inconsistent rule sets. Runs against a
+// temporary copy of the rules file so the real one is never rewritten.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+
+const SOURCE_RULES = path.join(__dirname, '..', 'config', 'agriculturalRules.json');
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agri-rules-'));
+process.env.AGRI_RULES_PATH = path.join(tempDir, 'agriculturalRules.json');
+fs.copyFileSync(SOURCE_RULES, process.env.AGRI_RULES_PATH);
+
+const ImageAnalysis = require('../models/ImageAnalysis');
+const {
+    RULES_PATH,
+    validateRules,
+    evaluatePrediction,
+    checkPlant,
+    runRuleTests,
+    getActiveRules,
+    saveRules,
+    previewRules
+} = require('../services/agriculturalRules');
+
+const rawRules = JSON.parse(fs.readFileSync(SOURCE_RULES, 'utf8'));
+const { value: rules } = validateRules(rawRules);
+
+// A modified deep copy of the shipped rule set
+const edited = (edit) => {
+    const copy = _.cloneDeep(rawRules);
+    edit(copy);
+    return copy;
+};
+
+const storedRules = () => fs.readFileSync(RULES_PATH, 'utf8');
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('shipped rule set', () => {
+    test('passes validation', () => {
+        expect(validateRules(rawRules).errors).toBeUndefined();
+    });
+
+    test.each(rawRules.tests.map(ruleTest => [ruleTest.name, ruleTest]))('%s', (name, ruleTest) => {
+        const predictions = ruleTest.predictions || [ruleTest.prediction];
+        const damage = ruleTest.damagedArea !== undefined
+            ? { leafFound: true, leafCoverage: 1, damagedArea: ruleTest.damagedArea }
+            : undefined;
+
+        const actual = {
+            ...evaluatePrediction(predictions[0], ruleTest.taxonomy, rules, { damage }),
+            plantCheck: checkPlant(predictions, ruleTest.taxonomy, rules, { entropy: ruleTest.entropy })
+        };
+
+        Object.entries(ruleTest.expect).forEach(([field, expected]) => {
+            expect({ field, value: _.get(actual, field) }).toEqual({ field, value: expected });
+        });
+    });
+
+    test('runRuleTests reports every embedded case as passing', () => {
+        const report = runRuleTests(rules);
+
+        expect(report).toMatchObject({ total: rawRules.tests.length, failed: 0 });
+    });
+});
+
+describe('evaluatePrediction', () => {
+    test.each([
+        // healthy labels score 85 + 15 * probability, disease keywords 30 + 30 * probability
+        ['plantvillage', 'Tomato___healthy', 0, 85, 'good'],
+        ['plantvillage', 'Tomato___healthy', 0.07, 86, 'excellent'],
+        ['imagenet', 'withered leaf', 0.67, 50, 'poor'],
+        ['imagenet', 'withered leaf', 0.72, 51, 'fair']
+    ])('scores %s "%s" at probability %s as %d (%s), the first condition the score is above', (taxonomy, className, probability, healthScore, condition) => {
+        expect(evaluatePrediction({ className, probability }, taxonomy, rules)).toMatchObject({ healthScore, condition });
+    });
+
+    test('falls back to the generic disease advice when no specific rule matches', () => {
+        const result = evaluatePrediction({ className: 'Grape___Black_rot', probability: 0.8 }, 'plantvillage', rules);
+
+        expect(result).toMatchObject({
+            detectedCrop: 'Grape',
+            diseaseDetected: true,
+            diseaseName: 'Black rot',
+            issues: ['Black rot', ...rules.disease.issues],
+            treatment: rules.disease.treatment,
+            matchedRules: ['default'],
+            rulesVersion: rules.version
+        });
+    });
+
+    test('ignores leaf damage measured on too little of the photo', () => {
+        const damage = { leafFound: true, leafCoverage: 0.05, damagedArea: 60 };
+
+        const result = evaluatePrediction({ className: 'corn', probability: 0.9 }, 'imagenet', rules, { damage });
+
+        expect(result.scoreSource).toBe('model');
+    });
+
+    test('rejects a taxonomy the rule set has no rules for', () => {
+        expect(() => evaluatePrediction({ className: 'corn', probability: 0.9 }, 'inaturalist', rules))
+            .toThrow(`Rule set ${rules.version} has no rules for taxonomy "inaturalist"`);
+    });
+});
+
+describe('validateRules', () => {
+    test.each([
+        ['a missing version', rules => { delete rules.version; }, '"version" is required'],
+        ['a probability above 1', rules => { rules.taxonomies.plantvillage.plantDetection.minConfidence = 1.5; }, '"taxonomies.plantvillage.plantDetection.minConfidence" must be less than or equal to 1'],
+        ['duplicate score rule ids', rules => {
+            rules.taxonomies.imagenet.scoreRules.push({ ...rules.taxonomies.imagenet.scoreRules[0] });
+        }, '"taxonomies.imagenet.scoreRules[2]" contains a duplicate value'],
+        ['a test with both prediction and predictions', rules => {
+            rules.tests[0].predictions = [rules.tests[0].prediction];
+        }, '"tests[0]" contains a conflict between exclusive peers [prediction, predictions]']
+    ])('rejects a rule set with %s', (description, edit, message) => {
+        expect(validateRules(edited(edit)).errors).toContain(message);
+    });
+
+    test.each([
+        ['a last condition with a threshold', rules => { rules.conditions[3].above = 10; },
+            'The last condition must have "above": null to catch every remaining score'],
+        ['thresholds out of order', rules => { rules.conditions[1].above = 90; },
+            'Conditions must be ordered by strictly decreasing "above" thresholds'],
+        ['a condition the analysis model does not know', rules => {
+            rules.conditions[0].name = 'perfect';
+            rules.recommendations.perfect = ['Keep going'];
+        }, 'Condition "perfect" must be one of: excellent, good, fair, poor, critical'],
+        ['a condition without recommendations', rules => { delete rules.recommendations.fair; },
+            'No recommendations defined for condition "fair"'],
+        ['a damage curve that does not start at 0', rules => { rules.damageScoring.curve[0].damagedArea = 1; },
+            'The damage scoring curve must start at "damagedArea": 0'],
+        ['damage curve points out of order', rules => { rules.damageScoring.curve[2].damagedArea = 4; },
+            'Damage scoring points must be ordered by strictly increasing "damagedArea"'],
+        ['a keyword taxonomy without a disease name', rules => { delete rules.taxonomies.imagenet.diseaseName; },
+            'Taxonomy "imagenet" needs a diseaseName because its labels carry no disease'],
+        ['a plant probability without plant classes', rules => { delete rules.taxonomies.imagenet.plantDetection.plantClasses; },
+            'Taxonomy "imagenet" sets minPlantProbability without any plantClasses'],
+        ['a test for an unknown taxonomy', rules => { rules.tests[0].taxonomy = 'inaturalist'; },
+            'Test "ImageNet crop keyword with a healthy-neutral class" uses unknown taxonomy "inaturalist"']
+    ])('rejects an inconsistent rule set with %s', (description, edit, message) => {
+        expect(validateRules(edited(edit)).errors).toContain(message);
+    });
+});
+
+describe('saveRules', () => {
+    const original = storedRules();
+
+    afterEach(() => {
+        fs.writeFileSync(RULES_PATH, original);
+    });
+
+    test('rejects an invalid rule set and leaves the rules file alone', () => {
+        const result = saveRules(edited(rules => { delete rules.conditions; }));
+
+        expect(result.errors).toEqual(['"conditions" is required']);
+        expect(storedRules()).toBe(original);
+    });
+
+    test('rejects an inconsistent rule set and leaves the rules file alone', () => {
+        const result = saveRules(edited(rules => { rules.conditions[1].above = 90; }));
+
+        expect(result.errors).toEqual(['Conditions must be ordered by strictly decreasing "above" thresholds']);
+        expect(storedRules()).toBe(original);
+    });
+
+    test('rejects a rule set whose own tests fail and reports which', () => {
+        const result = saveRules(edited(rules => {
+            rules.taxonomies.plantvillage.scoreRules[0].score.base = 40;
+        }));
+
+        expect(result.errors).toEqual(['Rule set tests failed']);
+        expect(result.testReport.results.find(r => r.name === 'PlantVillage healthy label')).toEqual({
+            name: 'PlantVillage healthy label',
+            passed: false,
+            failures: [
+                { field: 'healthScore', expected: 99, actual: 54 },
+                { field: 'condition', expected: 'excellent', actual: 'fair' }
+            ]
+        });
+        expect(storedRules()).toBe(original);
+    });
+
+    test('writes and activates a valid rule set', () => {
+        const result = saveRules(edited(rules => { rules.version = '1.2.1'; }));
+
+        expect(result.errors).toBeUndefined();
+        expect(result.testReport.failed).toBe(0);
+        expect(JSON.parse(storedRules()).version).toBe('1.2.1');
+        expect(getActiveRules().version).toBe('1.2.1');
+    });
+});
+
+describe('previewRules', () => {
+    const stored = [
+        {
+            _id: 'healthy-corn',
+            analysis: {
+                modelUsed: 'plantvillage-v1',
+                predictions: [{ className: 'Corn_(maize)___healthy', probability: 0.96 }],
+                plantCheck: { entropy: 0.1 }
+            }
+        },
+        {
+            _id: 'early-blight',
+            analysis: {
+                modelUsed: 'plantvillage-v1',
+                predictions: [{ className: 'Tomato___Early_blight', probability: 0.9 }],
+                plantCheck: { entropy: 0.2 }
+            }
+        }
+    ];
+
+    beforeEach(() => {
+        const chain = {
+            sort: () => chain,
+            limit: () => chain,
+            select: () => chain,
+            then: (resolve, reject) => Promise.resolve(stored).then(resolve, reject)
+        };
+        jest.spyOn(ImageAnalysis, 'find').mockReturnValue(chain);
+    });
+
+    test('rejects an invalid rule set without evaluating anything', async () => {
+        const result = await previewRules(edited(rules => { rules.taxonomies = {}; }));
+
+        expect(result).toEqual({ errors: ['"taxonomies" must have at least 1 key'] });
+    });
+
+    test('rejects an inconsistent rule set without evaluating anything', async () => {
+        const result = await previewRules(edited(rules => { delete rules.recommendations.poor; }));
+
+        expect(result).toEqual({ errors: ['No recommendations defined for condition "poor"'] });
+    });
+
+    test('reports how stored analyses would change under a valid rule set', async () => {
+        const stricter = edited(rules => {
+            rules.version = '1.3.0';
+            rules.conditions[0].above = 99;
+        });
+
+        const { impact } = await previewRules(stricter, { taxonomyFor: () => 'plantvillage' });
+
+        expect(impact).toMatchObject({
+            currentVersion: getActiveRules().version,
+            candidateVersion: '1.3.0',
+            evaluated: 2,
+            changed: 1,
+            conditionChanges: { 'excellent -> good': 1 },
+            meanHealthScore: { current: 61, candidate: 61 }
+        });
+        expect(impact.samples.map(sample => sample.analysisId)).toEqual(['healthy-corn']);
+    });
+});
@@ -0,0 +1,177 @@
+// AI route tests: re-analysis goes through the analysis queue, crop
+// suggestions come from the field and a stubbed OpenWeatherMap forecast
+jest.mock('axios');
+jest.mock('../middleware/auth', () => require('./helpers').mockAuth);
+jest.mock('../services/analysisQueue', () => ({
+    enqueue: jest.fn(),
+    hasActiveJob: jest.fn()
+}));
+jest.mock('../services/modelRegistry', () => ({
+    getDefaultModelId: jest.fn(() => 'mobilenet-v1-0.25'),
+    hasModel: jest.fn(modelId => ['mobilenet-v1-0.25', 'plantvillage-v1'].includes(modelId))
+}));
+jest.mock('../services/batchAnalysis', () => ({}));
+jest.mock('../services/modelTraining', () => ({}));
+jest.mock('../services/modelEvaluation', () => ({}));
+jest.mock('../services/offlineInference', () => ({}));
+jest.mock('../services/datasetExport', () => ({}));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const axios = require('axios');
+const analysisQueue = require('../services/analysisQueue');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const Field = require('../models/Field');
+const aiRoutes = require('../routes/ai');
+const { createApp, testUser, mockAuth } = require('./helpers');
+
+const app = createApp('/api/ai', aiRoutes);
+
+describe('POST /api/ai/analyze/:analysisId', () => {
+    let imageAnalysis;
+
+    beforeEach(() => {
+        mockAuth.currentUser = testUser();
+        imageAnalysis = {
+            _id: new mongoose.Types.ObjectId(),
+            user: mockAuth.currentUser._id,
+            analysisType: 'crop',
+            status: 'completed',
+            analysis: { modelUsed: 'mobilenet-v1-0.25' },
+            save: jest.fn()
+        };
+        jest.spyOn(ImageAnalysis, 'findOne').mockResolvedValue(imageAnalysis);
+        analysisQueue.hasActiveJob.mockResolvedValue(false);
+        analysisQueue.enqueue.mockImplementation(async () => ({
+            _id: 'job-1',
+            getQueuePosition: async () => 2
+        }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('queues a re-run with another model and returns 202', async () => {
+        const res = await request(app)
+            .post(`/api/ai/analyze/${imageAnalysis._id}`)
+            .send({ modelId: 'plantvillage-v1' });
+
+        expect(res.status).toBe(202);
+        expect(res.body.data).toMatchObject({
+            analysisId: imageAnalysis._id.toString(),
+            status: 'queued',
+            jobId: 'job-1',
+            queuePosition: 2,
+            modelId: 'plantvillage-v1'
+        });
+        expect(imageAnalysis.status).toBe('pending');
+        expect(analysisQueue.enqueue).toHaveBeenCalledWith(imageAnalysis, { modelId: 'plantvillage-v1' });
+    });
+
+    test('returns 409 while a job for the analysis is queued or running', async () => {
+        imageAnalysis.status = 'processing';
+        analysisQueue.hasActiveJob.mockResolvedValue(true);
+
+        const res = await request(app).post(`/api/ai/analyze/${imageAnalysis._id}`).send({});
+
+        expect(res.status).toBe(409);
+        expect(res.body.message).toBe('Analysis is already queued or running');
+        expect(imageAnalysis.status).toBe('processing');
+        expect(analysisQueue.enqueue).not.toHaveBeenCalled();
+    });
+
+    test('returns the stored result when it already used the requested model', async () => {
+        const res = await request(app).post(`/api/ai/analyze/${imageAnalysis._id}`).send({});
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('Analysis already completed');
+        expect(analysisQueue.enqueue).not.toHaveBeenCalled();
+    });
+
+    test('rejects unknown models', async () => {
+        const res = await request(app)
+            .post(`/api/ai/analyze/${imageAnalysis._id}`)
+            .send({ modelId: 'no-such-model' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Unknown model: no-such-model');
+    });
+});
+
+describe('GET /api/ai/crop-suggestions', () => {
+    // Five hot days without rain
+    const dryForecast = {
+        data: {
+            city: { name: 'Machakos' },
+            list: Array.from({ length: 40 }, (item, index) => ({
+                dt: Date.UTC(2026, 10, 2) / 1000 + index * 3 * 60 * 60,
+                main: { temp: 30, feels_like: 31, humidity: 35, pressure: 1010 },
+                wind: { speed: 3, deg: 120 },
+                weather: [{ main: 'Clear', description: 'clear sky', icon: '01d' }],
+                pop: 0
+            }))
+        }
+    };
+
+    beforeEach(() => {
+        mockAuth.currentUser = testUser({ profile: { crops: ['Cassava'] } });
+        axios.get.mockResolvedValue(dryForecast);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('ranks crops for a field from its soil type and location', async () => {
+        const field = {
+            _id: new mongoose.Types.ObjectId(),
+            name: 'Lower plot',
+            soilType: 'sandy',
+            location: { latitude: -1.52, longitude: 37.26 }
+        };
+        jest.spyOn(Field, 'findOne').mockReturnValue({ select: async () => field });
+
+        const res = await request(app).get(`/api/ai/crop-suggestions?fieldId=${field._id}&limit=3`);
+
+        expect(res.status).toBe(200);
+        expect(axios.get.mock.calls[0][1].params).toMatchObject({ lat: -1.52, lon: 37.26 });
+        expect(res.body.data.field).toEqual({ id: field._id.toString(), name: 'Lower plot' });
+        expect(res.body.data.conditions).toEqual({
+            soilType: 'sandy',
+            season: 'dry',
+            seasonSource: 'forecast',
+            forecast: { location: 'Machakos', days: 5, meanTemperature: 30, rainfall: 0 }
+        });
+        expect(res.body.data.suggestions.map(s => [s.crop, s.suitability, s.grownByFarmer])).toEqual([
+            ['Cassava', 100, true],
+            ['Sorghum', 100, false],
+            ['Sweet potato', 100, false]
+        ]);
+    });
+
+    test('falls back to the profile location without a field and uses the requested season', async () => {
+        const res = await request(app).get('/api/ai/crop-suggestions?soilType=clay&season=wet&limit=3');
+
+        expect(res.status).toBe(200);
+        expect(axios.get.mock.calls[0][1].params).toMatchObject({ lat: -1.29, lon: 36.82 });
+        expect(res.body.data.field).toBeNull();
+        expect(res.body.data.conditions).toMatchObject({ soilType: 'clay', season: 'wet', seasonSource: 'requested' });
+        expect(res.body.data.suggestions.map(s => s.crop)).toEqual(['Maize', 'Sorghum', 'Rice']);
+    });
+
+    test("returns 404 for another farmer's field", async () => {
+        jest.spyOn(Field, 'findOne').mockReturnValue({ select: async () => null });
+
+        const res = await request(app).get(`/api/ai/crop-suggestions?fieldId=${new mongoose.Types.ObjectId()}`);
+
+        expect(res.status).toBe(404);
+        expect(res.body.message).toBe('Field not found');
+    });
+
+    test('rejects unknown seasons', async () => {
+        const res = await request(app).get('/api/ai/crop-suggestions?season=autumn');
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,87 @@
+// Analysis queue tests: which failures are retried
+jest.mock('../services/aiAnalysis', () => ({
+    analyzeImageWithAI: jest.fn(),
+    getAnalysisStatus: jest.fn(() => 'completed')
+}));
+jest.mock('../services/soilAnalysis', () => ({ analyzeSoilImage: jest.fn() }));
+jest.mock('../services/pestAnalysis', () => ({ analyzePestImage: jest.fn() }));
+jest.mock('../services/attentionHeatmap', () => ({ refreshHeatmap: jest.fn() }));
+jest.mock('../services/expertReview', () => ({ flagForReview: jest.fn() }));
+jest.mock('../services/modelEvaluation', () => ({ runShadowAnalysis: jest.fn() }));
+jest.mock('../services/offlineInference', () => ({ verifyClientAnalysis: jest.fn() }));
+
+const mongoose = require('mongoose');
+const { analyzeSoilImage } = require('../services/soilAnalysis');
+const analysisQueue = require('../services/analysisQueue');
+const AnalysisJob = require('../models/AnalysisJob');
+const ImageAnalysis = require('../models/ImageAnalysis');
+
+const waitFor = async (condition) => {
+    for (let i = 0; i < 50 && !condition(); i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+};
+
+// The job was handled and the freed slot went back to polling for the next job
+const jobFinished = () => AnalysisJob.findOneAndUpdate.mock.calls.length >= 3;
+
+describe('analysis queue retries', () => {
+    let job;
+    let imageAnalysis;
+
+    beforeEach(() => {
+        imageAnalysis = {
+            _id: new mongoose.Types.ObjectId(),
+            analysisType: 'soil',
+            status: 'pending',
+            getInferenceImagePath: () => 'uploads/images/soil.jpg',
+            save: jest.fn()
+        };
+        job = {
+            analysis: imageAnalysis._id,
+            status: 'running',
+            attempts: 1,
+            maxAttempts: 3,
+            options: {},
+            save: jest.fn()
+        };
+
+        jest.spyOn(AnalysisJob, 'find').mockResolvedValue([]);
+        jest.spyOn(ImageAnalysis, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+        jest.spyOn(AnalysisJob, 'findOneAndUpdate')
+            .mockResolvedValueOnce(job)
+            .mockResolvedValue(null);
+        jest.spyOn(ImageAnalysis, 'findById').mockResolvedValue(imageAnalysis);
+    });
+
+    afterEach(() => {
+        analysisQueue.stop();
+        jest.restoreAllMocks();
+    });
+
+    test('fails a soil photo without enough bare soil on the first attempt', async () => {
+        analyzeSoilImage.mockRejectedValue(Object.assign(
+            new Error('Not enough bare soil visible in the photo - photograph the soil surface up close'),
+            { retryable: false }
+        ));
+
+        await analysisQueue.start();
+        await waitFor(jobFinished);
+
+        expect(job.status).toBe('failed');
+        expect(job.completedAt).toBeInstanceOf(Date);
+        expect(imageAnalysis.status).toBe('failed');
+        expect(imageAnalysis.errorMessage).toMatch(/Not enough bare soil/);
+    });
+
+    test('requeues other failures with a backoff', async () => {
+        analyzeSoilImage.mockRejectedValue(new Error('Out of memory'));
+
+        await analysisQueue.start();
+        await waitFor(jobFinished);
+
+        expect(job.status).toBe('queued');
+        expect(job.runAt.getTime()).toBeGreaterThan(Date.now());
+        expect(imageAnalysis.status).toBe('pending');
+    });
+});
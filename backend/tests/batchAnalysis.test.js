@@ -0,0 +1,115 @@
+// Batch analysis tests: batches share the analysis queue's inference slots and
+// follow-up steps
+jest.mock('../services/aiAnalysis', () => ({
+    analyzeImageWithAI: jest.fn(),
+    analyzeImagesWithAI: jest.fn(),
+    getAnalysisStatus: jest.fn(() => 'completed')
+}));
+jest.mock('../services/soilAnalysis', () => ({ analyzeSoilImage: jest.fn() }));
+jest.mock('../services/pestAnalysis', () => ({ analyzePestImage: jest.fn() }));
+jest.mock('../services/attentionHeatmap', () => ({ refreshHeatmap: jest.fn() }));
+jest.mock('../services/expertReview', () => ({ flagForReview: jest.fn() }));
+jest.mock('../services/modelEvaluation', () => ({ runShadowAnalysis: jest.fn() }));
+jest.mock('../services/offlineInference', () => ({ verifyClientAnalysis: jest.fn() }));
+
+const mongoose = require('mongoose');
+const { analyzeImagesWithAI } = require('../services/aiAnalysis');
+const { refreshHeatmap } = require('../services/attentionHeatmap');
+const { flagForReview } = require('../services/expertReview');
+const { runShadowAnalysis } = require('../services/modelEvaluation');
+const { verifyClientAnalysis } = require('../services/offlineInference');
+const { withInferenceSlot } = require('../services/analysisQueue');
+const { createBatch } = require('../services/batchAnalysis');
+const AnalysisBatch = require('../models/AnalysisBatch');
+const ImageAnalysis = require('../models/ImageAnalysis');
+
+const userId = new mongoose.Types.ObjectId();
+
+const query = (value) => ({
+    select: () => query(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const imageAnalysisDoc = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    status: 'pending',
+    analysisType: 'crop',
+    getInferenceImagePath: () => 'uploads/images/leaf.jpg',
+    save: jest.fn()
+});
+
+const waitFor = async (condition) => {
+    for (let i = 0; i < 50 && !condition(); i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+};
+
+describe('batch analysis', () => {
+    let docs;
+    let batch;
+
+    beforeEach(() => {
+        docs = [imageAnalysisDoc(), imageAnalysisDoc()];
+        jest.spyOn(ImageAnalysis, 'find').mockImplementation(() => query(docs));
+        jest.spyOn(AnalysisBatch, 'create').mockImplementation(async (fields) => {
+            batch = { _id: new mongoose.Types.ObjectId(), status: 'queued', ...fields, save: jest.fn() };
+            return batch;
+        });
+        jest.spyOn(AnalysisBatch, 'findById').mockImplementation(async () => batch);
+        analyzeImagesWithAI.mockImplementation(async (paths) => paths.map(() => ({
+            analysis: { modelUsed: 'plantvillage-v1' }
+        })));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('waits for a free inference slot before running a chunk', async () => {
+        let releaseSlot;
+        const heldSlot = withInferenceSlot(() => new Promise(resolve => { releaseSlot = resolve; }));
+
+        await createBatch(userId, docs.map(doc => doc._id));
+        await waitFor(() => docs.every(doc => doc.status === 'processing'));
+
+        expect(docs.every(doc => doc.status === 'processing')).toBe(true);
+        expect(analyzeImagesWithAI).not.toHaveBeenCalled();
+
+        releaseSlot();
+        await heldSlot;
+        await waitFor(() => batch.status === 'completed');
+
+        expect(analyzeImagesWithAI).toHaveBeenCalledTimes(1);
+        expect(batch.status).toBe('completed');
+    });
+
+    test('runs the same follow-up steps as queued jobs', async () => {
+        await createBatch(userId, docs.map(doc => doc._id));
+        await waitFor(() => batch.status === 'completed');
+
+        docs.forEach(doc => {
+            expect(doc.analysis).toEqual({ modelUsed: 'plantvillage-v1' });
+            expect(doc.status).toBe('completed');
+            expect(refreshHeatmap).toHaveBeenCalledWith(doc);
+            expect(flagForReview).toHaveBeenCalledWith(doc);
+            expect(runShadowAnalysis).toHaveBeenCalledWith(doc);
+            expect(verifyClientAnalysis).toHaveBeenCalledWith(doc);
+            expect(doc.save).toHaveBeenCalled();
+        });
+        expect(batch.items.every(item => item.status === 'completed')).toBe(true);
+    });
+
+    test('marks every image failed when the forward pass fails', async () => {
+        analyzeImagesWithAI.mockRejectedValue(new Error('Out of memory'));
+
+        await createBatch(userId, docs.map(doc => doc._id));
+        await waitFor(() => batch.status === 'completed');
+
+        docs.forEach(doc => {
+            expect(doc.status).toBe('failed');
+            expect(doc.errorMessage).toBe('Out of memory');
+        });
+        expect(runShadowAnalysis).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,234 @@
+// Chat context tests: what the chatbot is told about the farmer, which
+// sections the switches leave out and how the token budget trims them
+const mongoose = require('mongoose');
+const { testUser } = require('./helpers');
+
+const query = (value) => {
+    const chain = {
+        sort: () => chain,
+        limit: () => chain,
+        select: () => chain,
+        populate: () => chain,
+        distinct: () => Promise.resolve(value.map(item => item._id)),
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return chain;
+};
+
+const HOUR = 60 * 60 * 1000;
+
+const fields = [
+    {
+        _id: new mongoose.Types.ObjectId(),
+        name: 'North plot',
+        crop: 'tomato',
+        plantingDate: new Date('2026-09-01'),
+        areaHectares: 0.81,
+        soilType: 'clay',
+        irrigationType: 'drip'
+    },
+    { _id: new mongoose.Types.ObjectId(), name: 'Back paddock' }
+];
+
+const alert = (title, severity, field) => ({
+    title,
+    severity,
+    type: 'storm',
+    field,
+    expiresAt: new Date('2026-10-21T12:00:00Z')
+});
+
+const analyses = [
+    {
+        createdAt: new Date('2026-10-12'),
+        analysisType: 'crop',
+        field: { name: 'North plot' },
+        analysis: {
+            cropAnalysis: { detectedCrop: 'tomato', condition: 'poor', healthScore: 45 },
+            pestAnalysis: { disease: { detected: true, name: 'Early blight' } }
+        }
+    },
+    {
+        createdAt: new Date('2026-10-08'),
+        analysisType: 'soil',
+        analysis: { soilAnalysis: { type: 'loamy', moistureLevel: 'moist', phEstimate: 6.5, nutrientDeficiencies: ['nitrogen'] } }
+    },
+    {
+        createdAt: new Date('2026-10-05'),
+        analysisType: 'pest',
+        analysis: { pestAnalysis: { pests: [{ name: 'Aphids', severity: 'medium' }] } }
+    }
+];
+
+const farmer = (overrides = {}) => testUser({
+    profile: { crops: ['maize', 'beans'], farmSize: '2 acres', experience: 6 },
+    ...overrides
+});
+
+// Stubs the models chatContext reads, as loaded in the current module registry
+const stubModels = ({ alerts = [alert('Heavy rain', 'high', { name: 'North plot' })], weather } = {}) => {
+    jest.spyOn(require('../models/Field'), 'find').mockReturnValue(query(fields));
+    jest.spyOn(require('../models/WeatherAlert'), 'find').mockReturnValue(query(alerts));
+    jest.spyOn(require('../models/ImageAnalysis'), 'find').mockReturnValue(query(analyses));
+    jest.spyOn(require('../models/WeatherData'), 'findOne').mockReturnValue(query(weather === undefined
+        ? {
+            location: 'Nairobi',
+            temperature: 21.6,
+            description: 'light rain',
+            humidity: 80,
+            windSpeed: 3.5,
+            precipitation: { rain: 1.2 },
+            timestamp: new Date(Date.now() - 3 * HOUR)
+        }
+        : weather));
+};
+
+const sectionLines = (context) => Object.fromEntries(context.sections.map(section => [section.key, section.lines]));
+
+let buildChatContext;
+
+beforeEach(() => {
+    ({ buildChatContext } = require('../services/chatContext'));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('buildChatContext', () => {
+    it('describes the farmer, their alerts, analyses, weather and fields in order', async () => {
+        stubModels();
+
+        const context = await buildChatContext(farmer({ preferences: { units: { area: 'acres' } } }));
+
+        expect(sectionLines(context)).toEqual({
+            profile: ['Crops grown: maize, beans', 'Farm size: 2 acres', 'Farming experience: 6 years'],
+            location: ['Location: Nairobi, Kenya'],
+            alerts: ['Weather alert for North plot (high storm, until 2026-10-21): Heavy rain'],
+            analyses: [
+                '2026-10-12 crop scan (North plot): tomato, poor, health 45/100, Early blight',
+                '2026-10-08 soil scan: loamy soil, moist, pH about 6.5, possible nitrogen deficiency',
+                '2026-10-05 pest scan: Aphids (medium)'
+            ],
+            weather: ['Latest weather in Nairobi (3 h ago): 22°C, light rain, humidity 80%, wind 3.5 m/s, rain 1.2 mm'],
+            fields: [
+                'Field "North plot": tomato, planted 2026-09-01, 2 acres, clay soil, drip irrigation',
+                'Field "Back paddock": no details yet'
+            ]
+        });
+        expect(context.text).toBe(context.sections.flatMap(section => section.lines).join('\n'));
+        expect(context.tokens).toBeLessThanOrEqual(context.budget);
+        expect(context.omitted).toEqual([]);
+    });
+
+    it('leaves out the sections the farmer switched off', async () => {
+        stubModels();
+
+        const context = await buildChatContext(farmer({
+            preferences: { chatContext: { location: false, analyses: false, fields: false } }
+        }));
+
+        expect(context.sections.map(section => section.key)).toEqual(['profile', 'alerts', 'weather']);
+        expect(context.settings).toMatchObject({ profile: true, location: false, analyses: false, fields: false });
+        expect(context.text).not.toMatch(/Nairobi, Kenya|North plot"|scan/);
+    });
+
+    it('rounds bare coordinates to about a kilometre and reports the weather in the preferred unit', async () => {
+        stubModels();
+
+        const context = await buildChatContext(farmer({
+            location: { type: 'Point', coordinates: [36.81724, -1.28638] },
+            preferences: { units: { temperature: 'fahrenheit' } }
+        }));
+
+        expect(sectionLines(context).location).toEqual(['Approximate location: latitude -1.29, longitude 36.82']);
+        expect(sectionLines(context).weather[0]).toMatch(/: 71°F, light rain/);
+    });
+
+    it('skips sections without data', async () => {
+        stubModels({ alerts: [], weather: null });
+
+        const context = await buildChatContext(farmer({ profile: {} }));
+
+        expect(context.sections.map(section => section.key)).toEqual(['location', 'analyses', 'fields']);
+        expect(context.omitted).toEqual([]);
+    });
+
+    it('keeps the most severe alerts, newest first within a severity', async () => {
+        // Newest first, as the query sorts them
+        stubModels({
+            alerts: [
+                alert('Light showers', 'low'),
+                alert('Strong wind', 'medium'),
+                alert('Heavy rain', 'high'),
+                alert('Hail storm', 'critical'),
+                alert('Flash floods', 'critical')
+            ]
+        });
+
+        const context = await buildChatContext(farmer());
+
+        expect(sectionLines(context).alerts.map(line => line.split(': ').pop())).toEqual(['Hail storm', 'Flash floods', 'Heavy rain']);
+    });
+
+    it('leaves out alerts that were switched off or have expired', async () => {
+        stubModels();
+        const stored = [
+            { ...alert('Hail storm', 'critical'), isActive: false },
+            { ...alert('Flash floods', 'critical'), isActive: true, expiresAt: new Date(Date.now() - HOUR) },
+            { ...alert('Strong wind', 'medium'), isActive: true, expiresAt: new Date(Date.now() + HOUR) }
+        ];
+        // Applies the query's isActive and expiresAt conditions like MongoDB would
+        require('../models/WeatherAlert').find.mockImplementation(filter => query(stored.filter(item =>
+            item.isActive === filter.isActive && item.expiresAt > filter.expiresAt.$gt
+        )));
+
+        const context = await buildChatContext(farmer());
+
+        expect(sectionLines(context).alerts).toHaveLength(1);
+        expect(sectionLines(context).alerts[0]).toMatch(/\(medium storm, until .+\): Strong wind$/);
+    });
+
+    it('drops the lines and sections that do not fit the token budget', async () => {
+        process.env.CHAT_CONTEXT_TOKEN_BUDGET = '30';
+        try {
+            jest.isolateModules(() => {
+                ({ buildChatContext } = require('../services/chatContext'));
+                stubModels();
+            });
+
+            const context = await buildChatContext(farmer());
+
+            // 8 + 6 + 8 tokens of profile and 7 of location leave 1 of the 30
+            expect(sectionLines(context)).toEqual({
+                profile: ['Crops grown: maize, beans', 'Farm size: 2 acres', 'Farming experience: 6 years'],
+                location: ['Location: Nairobi, Kenya']
+            });
+            expect(context.budget).toBe(30);
+            expect(context.omitted).toEqual(['alerts', 'analyses', 'weather', 'fields']);
+        } finally {
+            delete process.env.CHAT_CONTEXT_TOKEN_BUDGET;
+        }
+    });
+
+    it('marks a section whose later lines did not fit as truncated', async () => {
+        process.env.CHAT_CONTEXT_TOKEN_BUDGET = '20';
+        try {
+            jest.isolateModules(() => {
+                ({ buildChatContext } = require('../services/chatContext'));
+                stubModels();
+            });
+
+            const context = await buildChatContext(farmer({ preferences: { chatContext: { location: false } } }));
+
+            expect(context.sections).toEqual([{
+                key: 'profile',
+                lines: ['Crops grown: maize, beans', 'Farm size: 2 acres'],
+                tokens: 11,
+                truncated: true
+            }]);
+        } finally {
+            delete process.env.CHAT_CONTEXT_TOKEN_BUDGET;
+        }
+    });
+});
@@ -0,0 +1,201 @@
+// Chat provider tests: failover along the chain and the circuit breaker
+process.env.GOOGLE_GEMINI_API_KEY = 'test-key';
+process.env.OPENAI_API_KEY = 'test-key';
+process.env.CHAT_PROVIDERS = 'gemini,openai,local';
+process.env.CHAT_BREAKER_THRESHOLD = '2';
+process.env.CHAT_BREAKER_COOLDOWN_MS = '1000';
+
+const mockGeminiSend = jest.fn();
+const mockOpenAiCreate = jest.fn();
+
+jest.mock('@google/generative-ai', () => ({
+    GoogleGenerativeAI: jest.fn().mockImplementation(() => ({
+        getGenerativeModel: () => ({
+            startChat: () => ({ sendMessage: mockGeminiSend })
+        })
+    }))
+}));
+jest.mock('openai', () => jest.fn().mockImplementation(() => ({
+    chat: { completions: { create: mockOpenAiCreate } }
+})));
+jest.mock('../services/knowledgeBase', () => ({ groundedAnswer: jest.fn() }));
+
+const request = {
+    systemPrompt: 'You are a farming assistant.',
+    history: [],
+    message: 'When should I water my maize?',
+    passages: [],
+    tools: null
+};
+
+const geminiReply = (text) => ({
+    response: {
+        text: () => text,
+        usageMetadata: { totalTokenCount: 42 },
+        functionCalls: () => undefined
+    }
+});
+
+const openAiReply = (text) => ({
+    choices: [{ message: { content: text } }],
+    usage: { total_tokens: 17 }
+});
+
+const deferred = () => {
+    let resolve;
+    const promise = new Promise(res => { resolve = res; });
+    return { promise, resolve };
+};
+
+let chatProviders;
+let now;
+
+beforeEach(() => {
+    // Fresh breaker state for every test
+    jest.isolateModules(() => {
+        chatProviders = require('../services/chatProviders');
+    });
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    mockOpenAiCreate.mockResolvedValue(openAiReply('Water deeply twice a week.'));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const geminiCircuit = () => chatProviders.getProviderStatus().providers.find(p => p.name === 'gemini');
+
+const tripGemini = async () => {
+    mockGeminiSend.mockRejectedValue(new Error('503 Service Unavailable'));
+    await chatProviders.generateReply(request);
+    await chatProviders.generateReply(request);
+};
+
+describe('generateReply failover', () => {
+    test('answers from the first provider that works', async () => {
+        mockGeminiSend.mockResolvedValue(geminiReply('Water in the early morning.'));
+
+        const reply = await chatProviders.generateReply(request);
+
+        expect(reply).toMatchObject({
+            text: 'Water in the early morning.',
+            provider: 'gemini',
+            tokensUsed: 42,
+            failedProviders: []
+        });
+    });
+
+    test('fails over to the next provider when one errors', async () => {
+        mockGeminiSend.mockRejectedValue(new Error('503 Service Unavailable'));
+
+        const reply = await chatProviders.generateReply(request);
+
+        expect(reply).toMatchObject({
+            text: 'Water deeply twice a week.',
+            provider: 'openai',
+            tokensUsed: 17,
+            failedProviders: ['gemini']
+        });
+        expect(geminiCircuit()).toMatchObject({ consecutiveFailures: 1, lastError: '503 Service Unavailable' });
+    });
+
+    test('fails over on an empty answer without counting it as a failure', async () => {
+        mockGeminiSend.mockResolvedValue(geminiReply('  '));
+
+        const reply = await chatProviders.generateReply(request);
+
+        expect(reply.provider).toBe('openai');
+        expect(reply.failedProviders).toEqual(['gemini']);
+        expect(geminiCircuit().consecutiveFailures).toBe(0);
+    });
+
+    test('falls back to the local answers when every remote provider fails', async () => {
+        mockGeminiSend.mockRejectedValue(new Error('503 Service Unavailable'));
+        mockOpenAiCreate.mockRejectedValue(new Error('Connection refused'));
+
+        const reply = await chatProviders.generateReply(request);
+
+        expect(reply.provider).toBe('local');
+        expect(reply.failedProviders).toEqual(['gemini', 'openai']);
+        expect(reply.source).toBe('local');
+        expect(reply.text.length).toBeGreaterThan(0);
+    });
+});
+
+describe('circuit breaker', () => {
+    test('opens after the failure threshold and skips the provider during the cooldown', async () => {
+        await tripGemini();
+        expect(geminiCircuit().circuit).toBe('open');
+
+        mockGeminiSend.mockClear();
+        const reply = await chatProviders.generateReply(request);
+
+        expect(reply.provider).toBe('openai');
+        expect(reply.failedProviders).toEqual(['gemini']);
+        expect(mockGeminiSend).not.toHaveBeenCalled();
+    });
+
+    test('lets a single probe through after the cooldown and closes on success', async () => {
+        await tripGemini();
+        now += 1001;
+        expect(geminiCircuit().circuit).toBe('half-open');
+
+        const probe = deferred();
+        mockGeminiSend
+            .mockResolvedValue(geminiReply('Gemini is back.'))
+            .mockReturnValueOnce(probe.promise);
+
+        const probeReply = chatProviders.generateReply(request);
+        // Requests while the probe is in flight skip the provider
+        const otherReply = await chatProviders.generateReply(request);
+        expect(otherReply.provider).toBe('openai');
+        expect(otherReply.failedProviders).toEqual(['gemini']);
+
+        probe.resolve(geminiReply('Gemini is back.'));
+        expect(await probeReply).toMatchObject({ provider: 'gemini', text: 'Gemini is back.' });
+        expect(geminiCircuit()).toMatchObject({ circuit: 'closed', consecutiveFailures: 0 });
+    });
+
+    test('opens again for another cooldown when the probe fails', async () => {
+        await tripGemini();
+        now += 1001;
+
+        const reply = await chatProviders.generateReply(request);
+
+        expect(reply.provider).toBe('openai');
+        expect(geminiCircuit()).toMatchObject({ circuit: 'open', consecutiveFailures: 3 });
+
+        now += 1001;
+        mockGeminiSend.mockResolvedValue(geminiReply('Gemini is back.'));
+        expect((await chatProviders.generateReply(request)).provider).toBe('gemini');
+    });
+});
+
+describe('streamReply', () => {
+    const streamOf = (chunks) => ({
+        async *[Symbol.asyncIterator]() {
+            yield* chunks;
+        }
+    });
+
+    test('records the tokens an OpenAI-compatible server reports for a stream', async () => {
+        process.env.CHAT_PROVIDERS = 'openai,local';
+        mockOpenAiCreate.mockImplementation(async (params) => streamOf([
+            { choices: [{ delta: { content: 'Water ' } }] },
+            { choices: [{ delta: { content: 'deeply.' } }] },
+            // Sent only when the request asks for usage
+            ...(params.stream_options?.include_usage ? [{ choices: [], usage: { total_tokens: 23 } }] : [])
+        ]));
+        const tokens = [];
+
+        try {
+            const reply = await chatProviders.streamReply(request, { onToken: text => tokens.push(text) });
+
+            expect(reply).toMatchObject({ provider: 'openai', text: 'Water deeply.', tokensUsed: 23 });
+            expect(tokens).toEqual(['Water ', 'deeply.']);
+        } finally {
+            process.env.CHAT_PROVIDERS = 'gemini,openai,local';
+        }
+    });
+});
@@ -0,0 +1,276 @@
+// Chat tool tests: the farmer's chat context switches decide which tools the
+// model gets, and the tools answer from stubbed OpenWeatherMap responses
+process.env.TZ = 'UTC';
+
+jest.mock('axios');
+jest.mock('../models/ImageAnalysis');
+
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Field = require('../models/Field');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const WeatherData = require('../models/WeatherData');
+const { createToolbox } = require('../services/chatTools');
+const { testUser } = require('./helpers');
+
+// Stand-in for a Mongoose query: chainable and awaitable
+const query = (value) => {
+    const chain = {
+        sort: () => chain,
+        limit: () => chain,
+        select: () => chain,
+        populate: () => chain,
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return chain;
+};
+
+const northPlot = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'North plot',
+    soilType: 'clay',
+    location: { latitude: -1.31, longitude: 36.79 }
+};
+
+// OpenWeatherMap /weather response
+const currentConditions = {
+    name: 'Nairobi',
+    sys: { country: 'KE', sunrise: 1792464000, sunset: 1792507200 },
+    main: { temp: 21.36, feels_like: 20.84, humidity: 60, pressure: 1015 },
+    wind: { speed: 3.1, deg: 80 },
+    visibility: 10000,
+    weather: [{ main: 'Clouds', description: 'scattered clouds', icon: '03d' }]
+};
+
+// One 3-hourly OpenWeatherMap /forecast reading
+const reading = (time, { temp = 22, rain, pop = 0, wind = 2, description = 'clear sky' } = {}) => ({
+    dt: Date.parse(time) / 1000,
+    main: { temp, feels_like: temp, humidity: 65, pressure: 1013 },
+    wind: { speed: wind, deg: 90 },
+    weather: [{ main: rain ? 'Rain' : 'Clear', description, icon: '01d' }],
+    ...(rain && { rain: { '3h': rain } }),
+    pop
+});
+
+// A calm, dry today and a wet, windy tomorrow afternoon
+const sprayForecast = [
+    ...[0, 3, 6, 9, 12, 15, 18, 21].map(hour => reading(`2026-10-20T${String(hour).padStart(2, '0')}:00:00Z`, { temp: 18 + hour / 3 })),
+    reading('2026-10-21T00:00:00Z', { temp: 16 }),
+    reading('2026-10-21T03:00:00Z', { temp: 15 }),
+    reading('2026-10-21T06:00:00Z', { temp: 17, pop: 0.2 }),
+    reading('2026-10-21T09:00:00Z', { temp: 20, rain: 1.2, pop: 0.65, wind: 4.5, description: 'light rain' }),
+    reading('2026-10-21T12:00:00Z', { temp: 22, rain: 6.8, pop: 0.9, wind: 8.2, description: 'moderate rain' }),
+    reading('2026-10-21T15:00:00Z', { temp: 21, rain: 3.1, pop: 0.85, wind: 7.6, description: 'moderate rain' }),
+    reading('2026-10-21T18:00:00Z', { temp: 18, pop: 0.3, wind: 3 }),
+    reading('2026-10-21T21:00:00Z', { temp: 17 })
+];
+
+let forecastList;
+
+const sharing = (chatContext) => testUser({ preferences: { chatContext } });
+const toolNames = (toolbox) => toolbox.declarations.map(declaration => declaration.name);
+const declaration = (toolbox, name) => toolbox.declarations.find(item => item.name === name);
+const requestedCoordinates = (call = 0) => {
+    const { lat, lon } = axios.get.mock.calls[call][1].params;
+    return { lat, lon };
+};
+
+beforeEach(() => {
+    forecastList = sprayForecast;
+    axios.get.mockImplementation(async (url, { params }) => url.endsWith('/forecast')
+        ? { data: { city: { name: 'Nairobi' }, list: forecastList.slice(0, params.cnt) } }
+        : { data: currentConditions });
+    jest.spyOn(Field, 'findOne').mockReturnValue(query(northPlot));
+    jest.spyOn(WeatherData, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(WeatherData, 'create').mockImplementation(async (fields) => fields);
+    ImageAnalysis.find.mockReturnValue(query([{
+        createdAt: new Date('2026-10-10'),
+        analysisType: 'crop',
+        field: { name: 'North plot' },
+        analysis: { cropAnalysis: { detectedCrop: 'tomato', condition: 'poor', healthScore: 23 } }
+    }]));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('createToolbox', () => {
+    it('offers every tool, with field names, when everything is shared', () => {
+        const toolbox = createToolbox(testUser());
+
+        expect(toolNames(toolbox)).toEqual([
+            'get_current_weather', 'get_weather_forecast', 'get_analysis_history', 'suggest_crops', 'search_community'
+        ]);
+        expect(declaration(toolbox, 'get_current_weather').parameters.properties).toHaveProperty('fieldName');
+    });
+
+    it('does not offer or run the analysis history when analyses are switched off', async () => {
+        const toolbox = createToolbox(sharing({ analyses: false }));
+
+        expect(toolNames(toolbox)).not.toContain('get_analysis_history');
+        const call = await toolbox.call('get_analysis_history', {});
+        expect(call).toMatchObject({ error: 'Unknown tool get_analysis_history' });
+        expect(call.result).toBeUndefined();
+    });
+
+    it('does not offer or run the weather tools when weather is switched off', async () => {
+        const toolbox = createToolbox(sharing({ weather: false }));
+
+        expect(toolNames(toolbox)).toEqual(['get_analysis_history', 'suggest_crops', 'search_community']);
+        const call = await toolbox.call('get_current_weather', {});
+        expect(call).toMatchObject({ error: 'Unknown tool get_current_weather' });
+        expect(call.result).toBeUndefined();
+    });
+
+    it('does not offer the weather tools when neither the location nor fields are shared', () => {
+        const toolbox = createToolbox(sharing({ location: false, fields: false }));
+
+        expect(toolNames(toolbox)).not.toContain('get_current_weather');
+        expect(toolNames(toolbox)).not.toContain('get_weather_forecast');
+    });
+
+    it('keeps field names out of declarations and results when fields are switched off', async () => {
+        const toolbox = createToolbox(sharing({ fields: false }));
+
+        expect(declaration(toolbox, 'get_current_weather').parameters.properties).not.toHaveProperty('fieldName');
+        expect(declaration(toolbox, 'get_analysis_history').parameters.properties).not.toHaveProperty('fieldName');
+
+        const byField = await toolbox.call('get_analysis_history', { fieldName: 'North plot' });
+        expect(byField.error).toBe('The farmer does not share their fields');
+
+        const history = await toolbox.call('get_analysis_history', {});
+        expect(history.result.analyses).toEqual([{ date: '2026-10-10', type: 'crop', crop: 'tomato', condition: 'poor', healthScore: 23 }]);
+    });
+});
+
+describe('get_current_weather', () => {
+    it('reports the OpenWeatherMap reading for the profile location', async () => {
+        const toolbox = createToolbox(sharing({ fields: false }));
+
+        const call = await toolbox.call('get_current_weather', {});
+
+        expect(requestedCoordinates()).toEqual({ lat: -1.29, lon: 36.82 });
+        expect(call.result).toMatchObject({
+            location: 'Nairobi, KE',
+            temperature: 21.4,
+            feelsLike: 20.8,
+            humidity: 60,
+            windSpeed: 3.1,
+            conditions: 'Clouds',
+            description: 'scattered clouds'
+        });
+    });
+
+    it('uses a field instead of the profile location when the location is switched off', async () => {
+        const toolbox = createToolbox(sharing({ location: false }));
+
+        const call = await toolbox.call('get_current_weather', {});
+
+        expect(requestedCoordinates()).toEqual({ lat: -1.31, lon: 36.79 });
+        expect(call.result.location).toBe('North plot');
+    });
+
+    it('reports a weather outage without the API details', async () => {
+        axios.get.mockRejectedValue(Object.assign(new Error('Request failed with status code 401'), { isAxiosError: true }));
+        const toolbox = createToolbox(testUser());
+
+        const call = await toolbox.call('get_current_weather', {});
+
+        expect(call).toMatchObject({ error: 'Weather service temporarily unavailable' });
+    });
+});
+
+describe('get_weather_forecast', () => {
+    // The model's lookup for "should I spray tomorrow?"
+    it("gives tomorrow's rain, rain probability and wind for a named field", async () => {
+        const toolbox = createToolbox(testUser());
+
+        const { result } = await toolbox.call('get_weather_forecast', { fieldName: 'North plot', days: 2 });
+
+        expect(requestedCoordinates()).toEqual({ lat: -1.31, lon: 36.79 });
+        expect(result.location).toBe('North plot');
+        expect(result.days.map(day => [day.date, day.precipitation])).toEqual([
+            ['2026-10-20', 0],
+            ['2026-10-21', 11.1]
+        ]);
+
+        const tomorrow = result.days[1];
+        expect(tomorrow).toMatchObject({ minTemp: 15, maxTemp: 22, description: 'clear sky' });
+        expect(tomorrow.periods.filter(period => period.rainProbability >= 50)).toEqual([
+            { time: '2026-10-21T09:00:00.000Z', temperature: 20, precipitation: 1.2, rainProbability: 65, windSpeed: 4.5, description: 'light rain' },
+            { time: '2026-10-21T12:00:00.000Z', temperature: 22, precipitation: 6.8, rainProbability: 90, windSpeed: 8.2, description: 'moderate rain' },
+            { time: '2026-10-21T15:00:00.000Z', temperature: 21, precipitation: 3.1, rainProbability: 85, windSpeed: 7.6, description: 'moderate rain' }
+        ]);
+        expect(tomorrow.periods.slice(0, 3).map(period => [period.precipitation, period.windSpeed])).toEqual([[0, 2], [0, 2], [0, 2]]);
+    });
+
+    it('keeps the number of days between 1 and 5', async () => {
+        const toolbox = createToolbox(testUser());
+
+        const { result } = await toolbox.call('get_weather_forecast', { days: 1 });
+
+        expect(result.days.map(day => day.date)).toEqual(['2026-10-20']);
+    });
+
+    it('tells the model when a named field does not exist', async () => {
+        Field.findOne.mockReturnValue(query(null));
+        const toolbox = createToolbox(testUser());
+
+        const call = await toolbox.call('get_weather_forecast', { fieldName: 'Back paddock' });
+
+        expect(call).toMatchObject({ error: 'The farmer has no field named "Back paddock"' });
+    });
+});
+
+describe('suggest_crops', () => {
+    beforeEach(() => {
+        // Five warm days with 4 mm of rain a day
+        forecastList = Array.from({ length: 40 }, (item, index) => reading(
+            new Date(Date.parse('2026-10-20T00:00:00Z') + index * 3 * 60 * 60 * 1000).toISOString(),
+            { temp: 24, rain: 0.5, pop: 0.6 }
+        ));
+    });
+
+    it("ranks crops for a named field from its soil type, the forecast and the farmer's crops", async () => {
+        const toolbox = createToolbox(testUser({ profile: { crops: ['rice'] } }));
+
+        const { result } = await toolbox.call('suggest_crops', { fieldName: 'North plot' });
+
+        expect(requestedCoordinates()).toEqual({ lat: -1.31, lon: 36.79 });
+        expect(result.field).toBe('North plot');
+        expect(result.conditions).toEqual({
+            soilType: 'clay',
+            season: 'wet',
+            seasonSource: 'forecast',
+            forecast: { location: 'Nairobi', days: 5, meanTemperature: 24, rainfall: 20 }
+        });
+        expect(result.suggestions[0]).toEqual({
+            crop: 'Rice',
+            suitability: 100,
+            reasons: [
+                'Forecast average of 24°C is within its 22-32°C range',
+                'Does well in clay soil',
+                'Suited to planting in the wet season',
+                'You already grow it'
+            ],
+            risks: [],
+            grownByFarmer: true,
+            waterNeed: 'high',
+            growingDays: '100-150'
+        });
+    });
+
+    it("leaves the farmer's crops out when the profile is switched off", async () => {
+        const toolbox = createToolbox(testUser({
+            profile: { crops: ['sorghum'] },
+            preferences: { chatContext: { profile: false } }
+        }));
+
+        const { result } = await toolbox.call('suggest_crops', { soilType: 'sandy', season: 'dry' });
+
+        expect(result.field).toBeUndefined();
+        expect(result.suggestions.some(suggestion => suggestion.grownByFarmer)).toBe(false);
+        expect(result.suggestions.map(suggestion => suggestion.crop).slice(0, 3)).toEqual(['Sorghum', 'Cassava', 'Sweet potato']);
+    });
+});
@@ -0,0 +1,189 @@
+// Chatbot route tests: input validation, the Server-Sent Events a streamed
+// reply is sent as and what is saved to the session
+jest.mock('../middleware/auth', () => require('./helpers').mockAuth);
+jest.mock('../models/ChatSession');
+jest.mock('../services/chatProviders', () => ({
+    generateReply: jest.fn(),
+    streamReply: jest.fn(),
+    getProviderChain: jest.fn(() => []),
+    getProviderStatus: jest.fn()
+}));
+jest.mock('../services/knowledgeBase');
+jest.mock('../services/chatContext');
+jest.mock('../services/chatTools');
+
+const request = require('supertest');
+const ChatSession = require('../models/ChatSession');
+const chatProviders = require('../services/chatProviders');
+const knowledgeBase = require('../services/knowledgeBase');
+const chatContext = require('../services/chatContext');
+const chatbotRoutes = require('../routes/chatbot');
+const { createApp, testUser, mockAuth } = require('./helpers');
+
+const app = createApp('/api/chatbot', chatbotRoutes);
+
+const forecastCall = {
+    name: 'get_weather_forecast',
+    args: { days: 2 },
+    result: { location: 'Nairobi', days: [] },
+    durationMs: 12
+};
+
+// Stand-in provider: streams an answer built from the request it was given
+const streamAnswer = async (chatRequest, { onToken, onToolCall }) => {
+    onToolCall(forecastCall);
+    const words = [`You asked "${chatRequest.message}"`, ` with ${chatRequest.history.length} earlier messages.`];
+    words.forEach(onToken);
+    return {
+        text: words.join(''),
+        provider: 'openai',
+        source: 'llm',
+        model: 'llama3',
+        tokensUsed: 31,
+        failedProviders: ['gemini'],
+        toolCalls: [forecastCall]
+    };
+};
+
+// Server-Sent Events in a response body as [{ event, data }]
+const parseEvents = (text) => text.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+});
+
+let session;
+
+beforeEach(() => {
+    mockAuth.currentUser = testUser();
+    session = null;
+    ChatSession.create.mockImplementation(async (fields) => {
+        session = {
+            _id: 'session-1',
+            totalTokensUsed: 0,
+            ...fields,
+            save: jest.fn().mockResolvedValue()
+        };
+        return session;
+    });
+    knowledgeBase.retrieveForQuestion.mockResolvedValue([
+        { documentId: 'doc-1', title: 'Tomato growing guide', heading: 'Irrigation', text: 'Water at the base of the plant.' }
+    ]);
+    knowledgeBase.formatForPrompt.mockReturnValue('[Tomato growing guide] Water at the base of the plant.');
+    chatContext.buildChatContext.mockResolvedValue({
+        text: 'Crops grown: tomato',
+        sections: [{ key: 'profile', lines: ['Crops grown: tomato'] }]
+    });
+    chatProviders.streamReply.mockImplementation(streamAnswer);
+    chatProviders.generateReply.mockImplementation(async (chatRequest) => ({
+        text: `  ${chatRequest.systemPrompt.includes('Crops grown: tomato') ? 'Mulch your tomatoes.' : 'Mulch.'}  `,
+        provider: 'local',
+        source: 'local',
+        model: 'local-knowledge',
+        failedProviders: ['gemini', 'openai']
+    }));
+});
+
+describe('POST /api/chatbot/chat/stream', () => {
+    it.each([
+        ['a number', { message: 5 }, '"message" must be a string'],
+        ['an object', { message: { text: 'hi' } }, '"message" must be a string'],
+        ['missing', {}, '"message" is required'],
+        ['blank', { message: '   ' }, '"message" is not allowed to be empty'],
+        ['longer than a session message may be', { message: 'a'.repeat(2001) }, '"message" length must be less than or equal to 2000 characters long']
+    ])('rejects a message that is %s with a 400 before opening the stream', async (description, body, message) => {
+        const res = await request(app).post('/api/chatbot/chat/stream').send(body);
+
+        expect(res.status).toBe(400);
+        expect(res.headers['content-type']).toMatch(/application\/json/);
+        expect(res.body).toEqual({ success: false, message });
+        expect(session).toBeNull();
+    });
+
+    it('streams the session, tool calls, tokens and a summary as events', async () => {
+        const res = await request(app)
+            .post('/api/chatbot/chat/stream')
+            .send({ message: '  Should I spray tomorrow?  ', language: 'en' });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+        expect(parseEvents(res.text)).toEqual([
+            { event: 'session', data: { sessionId: 'session-1' } },
+            { event: 'tool', data: { name: 'get_weather_forecast', args: { days: 2 } } },
+            { event: 'token', data: { text: 'You asked "Should I spray tomorrow?"' } },
+            { event: 'token', data: { text: ' with 0 earlier messages.' } },
+            {
+                event: 'done',
+                data: {
+                    sessionId: 'session-1',
+                    messageCount: 2,
+                    responseSource: 'llm',
+                    provider: 'openai',
+                    model: 'llama3',
+                    toolCalls: [{ name: 'get_weather_forecast', args: { days: 2 }, durationMs: 12 }],
+                    sources: [{ document: 'doc-1', title: 'Tomato growing guide', heading: 'Irrigation' }],
+                    contextShared: ['profile']
+                }
+            }
+        ]);
+    });
+
+    it('saves the question and the streamed reply with where it came from', async () => {
+        await request(app).post('/api/chatbot/chat/stream').send({ message: 'Should I spray tomorrow?' });
+
+        expect(session.messages.map(message => [message.role, message.content])).toEqual([
+            ['user', 'Should I spray tomorrow?'],
+            ['assistant', 'You asked "Should I spray tomorrow?" with 0 earlier messages.']
+        ]);
+        expect(session.messages[1].metadata).toMatchObject({
+            source: 'llm',
+            provider: 'openai',
+            model: 'llama3',
+            tokensUsed: 31,
+            failedProviders: ['gemini'],
+            toolCalls: [forecastCall],
+            contextShared: ['profile']
+        });
+        expect(session.totalTokensUsed).toBe(31);
+    });
+
+    it('sends an error event when the reply fails after the stream opened', async () => {
+        chatProviders.streamReply.mockRejectedValue(new Error('every provider failed'));
+
+        const res = await request(app).post('/api/chatbot/chat/stream').send({ message: 'Should I spray tomorrow?' });
+
+        expect(res.status).toBe(200);
+        expect(parseEvents(res.text)).toEqual([
+            { event: 'session', data: { sessionId: 'session-1' } },
+            { event: 'error', data: { message: 'Failed to generate a response' } }
+        ]);
+    });
+});
+
+describe('POST /api/chatbot/chat', () => {
+    it('rejects a non-string message with a 400', async () => {
+        const res = await request(app).post('/api/chatbot/chat').send({ message: 5 });
+
+        expect(res.status).toBe(400);
+        expect(res.body).toEqual({ success: false, message: '"message" must be a string' });
+        expect(session).toBeNull();
+    });
+
+    it('answers with the farm context in the prompt and records the failover', async () => {
+        const res = await request(app).post('/api/chatbot/chat').send({ message: 'How do I keep soil moist?' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({
+            response: 'Mulch your tomatoes.',
+            sessionId: 'session-1',
+            messageCount: 2,
+            provider: 'local',
+            contextShared: ['profile'],
+            sources: [{ document: 'doc-1', title: 'Tomato growing guide', heading: 'Irrigation' }]
+        });
+        expect(session.messages[1]).toMatchObject({
+            role: 'assistant',
+            content: 'Mulch your tomatoes.',
+            metadata: { provider: 'local', failedProviders: ['gemini', 'openai'] }
+        });
+    });
+});
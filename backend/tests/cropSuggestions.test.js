@@ -0,0 +1,106 @@
+// Crop suggestion tests: rankings from a stubbed OpenWeatherMap forecast, the
+// soil type and the season
+jest.mock('axios');
+
+const axios = require('axios');
+const { getCropSuggestions } = require('../services/cropSuggestions');
+
+// OpenWeatherMap /forecast response: `days` days of 3-hourly readings
+const owmForecast = ({ temperature, rainPer3h = 0, days = 5 }) => ({
+    data: {
+        city: { name: 'Nakuru' },
+        list: Array.from({ length: days * 8 }, (item, index) => ({
+            dt: Date.UTC(2026, 10, 2) / 1000 + index * 3 * 60 * 60,
+            main: { temp: temperature, feels_like: temperature, humidity: 70, pressure: 1012 },
+            wind: { speed: 2, deg: 90 },
+            weather: [{ main: rainPer3h ? 'Rain' : 'Clear', description: rainPer3h ? 'light rain' : 'clear sky', icon: '10d' }],
+            ...(rainPer3h && { rain: { '3h': rainPer3h } }),
+            pop: rainPer3h ? 0.8 : 0
+        }))
+    }
+});
+
+const farm = { latitude: -0.3, longitude: 36.07 };
+
+describe('getCropSuggestions', () => {
+    test('ranks cool-season crops first in a cool, rainy forecast and puts crops the farmer grows first on ties', async () => {
+        axios.get.mockResolvedValue(owmForecast({ temperature: 15, rainPer3h: 1 }));
+
+        const { conditions, suggestions } = await getCropSuggestions({
+            ...farm,
+            soilType: 'loamy',
+            currentCrops: ['Potato']
+        });
+
+        expect(conditions).toEqual({
+            soilType: 'loamy',
+            season: 'wet',
+            seasonSource: 'forecast',
+            forecast: { location: 'Nakuru', days: 5, meanTemperature: 15, rainfall: 40 }
+        });
+        expect(suggestions.slice(0, 4).map(s => [s.crop, s.suitability])).toEqual([
+            ['Potato', 100],
+            ['Beans', 100],
+            ['Kale (sukuma wiki)', 100],
+            ['Wheat', 100]
+        ]);
+        expect(suggestions[0]).toMatchObject({
+            grownByFarmer: true,
+            reasons: [
+                'Forecast average of 15°C is within its 12-22°C range',
+                'Does well in loamy soil',
+                'Suited to planting in the wet season',
+                'You already grow it'
+            ],
+            risks: []
+        });
+    });
+
+    test('ranks drought-tolerant crops first in a hot, dry forecast on sandy soil', async () => {
+        axios.get.mockResolvedValue(owmForecast({ temperature: 30 }));
+
+        const { conditions, suggestions } = await getCropSuggestions({ ...farm, soilType: 'sandy', limit: 10 });
+
+        expect(conditions.season).toBe('dry');
+        expect(suggestions.slice(0, 3).map(s => s.crop)).toEqual(['Sorghum', 'Cassava', 'Sweet potato']);
+        expect(suggestions.find(s => s.crop === 'Rice')).toMatchObject({
+            suitability: 45,
+            risks: ['Poorly suited to sandy soil', 'Needs irrigation to grow in the dry season']
+        });
+        expect(suggestions.find(s => s.crop === 'Tomato')).toMatchObject({
+            suitability: 84,
+            risks: ['Forecast average of 30°C is above its 18-28°C range']
+        });
+    });
+
+    test('uses the requested season over the forecast rain', async () => {
+        axios.get.mockResolvedValue(owmForecast({ temperature: 24 }));
+
+        const { conditions, suggestions } = await getCropSuggestions({ ...farm, soilType: 'clay', season: 'wet', limit: 10 });
+
+        expect(conditions).toMatchObject({ season: 'wet', seasonSource: 'requested' });
+        expect(suggestions.find(s => s.crop === 'Rice')).toMatchObject({ suitability: 100 });
+    });
+
+    test('scores unknown inputs at half their weight when there is no location or soil type', async () => {
+        const { conditions, suggestions } = await getCropSuggestions({ season: 'dry', limit: 10 });
+
+        expect(axios.get).not.toHaveBeenCalled();
+        expect(conditions).toEqual({ soilType: null, season: 'dry', seasonSource: 'requested', forecast: null });
+        // 20 (temperature) + 15 (soil) + 30 (season)
+        expect(suggestions.find(s => s.crop === 'Sorghum')).toMatchObject({
+            suitability: 65,
+            reasons: ['Suited to planting in the dry season']
+        });
+    });
+
+    test('still suggests crops when the forecast cannot be fetched', async () => {
+        axios.get.mockRejectedValue(new Error('Request failed with status code 401'));
+
+        const { conditions, suggestions } = await getCropSuggestions({ ...farm, soilType: 'loamy' });
+
+        expect(conditions).toMatchObject({ forecast: null, season: null, seasonSource: null });
+        expect(suggestions).toHaveLength(5);
+        expect(suggestions[0].suitability).toBe(65);
+    });
+});
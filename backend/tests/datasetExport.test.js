@@ -0,0 +1,89 @@
+// Dataset export tests: which analyses the rating and taxonomy rules keep
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-export-'));
+process.env.DATASET_EXPORTS_DIR = path.join(tmpDir, 'exports');
+
+jest.mock('../services/modelRegistry', () => ({
+    getModelDefinition: jest.fn(modelId => ({
+        'plantvillage-v1': { id: 'plantvillage-v1', taxonomy: 'plantvillage' },
+        'mobilenet-v1-0.25': { id: 'mobilenet-v1-0.25', taxonomy: 'imagenet' }
+    })[modelId] || null)
+}));
+
+const mongoose = require('mongoose');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const { createDatasetExport, readExportManifest } = require('../services/datasetExport');
+
+const imagePath = path.join(tmpDir, 'leaf.jpg');
+fs.writeFileSync(imagePath, 'leaf');
+
+const analysis = ({ modelUsed = 'plantvillage-v1', crop = 'Tomato', disease = 'Early blight', review, feedback }) => ({
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    originalImage: { path: imagePath },
+    analysis: {
+        modelUsed,
+        cropAnalysis: { detectedCrop: crop },
+        pestAnalysis: { disease: { detected: !!disease, name: disease } }
+    },
+    review,
+    feedback,
+    createdAt: new Date()
+});
+
+const runExport = async (analyses, filters) => {
+    const query = {
+        sort: () => query,
+        select: () => query,
+        cursor: () => analyses
+    };
+    jest.spyOn(ImageAnalysis, 'find').mockReturnValue(query);
+
+    const summary = await createDatasetExport(filters);
+    return { summary, records: readExportManifest(summary.exportId) };
+};
+
+afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('createDatasetExport', () => {
+    test('applies the rating filters to farmer corrections only', async () => {
+        const expert = analysis({ review: { status: 'approved' } });
+        const confirmed = analysis({ feedback: { rating: 4 } });
+        const lowRatedCorrection = analysis({ feedback: { rating: 2, correctedAnalysis: { diseaseName: 'Late blight' } } });
+        const unratedCorrection = analysis({ feedback: { correctedAnalysis: { diseaseName: 'Late blight' } } });
+        const ratedCorrection = analysis({ feedback: { rating: 5, correctedAnalysis: { diseaseName: 'Late blight' } } });
+
+        const { summary, records } = await runExport(
+            [expert, confirmed, lowRatedCorrection, unratedCorrection, ratedCorrection],
+            { minRating: 4 }
+        );
+
+        expect(records.map(record => record.analysisId)).toEqual(
+            [expert, confirmed, ratedCorrection].map(item => item._id.toString())
+        );
+        expect(summary.skipped.ratingFilter).toBe(2);
+    });
+
+    test('leaves out ImageNet pseudo-labels unless an expert relabelled them', async () => {
+        const pseudoLabel = { modelUsed: 'mobilenet-v1-0.25', crop: 'Corn', disease: 'Potential stress or disease detected' };
+        const confirmed = analysis({ ...pseudoLabel, feedback: { rating: 5 } });
+        const approved = analysis({ ...pseudoLabel, review: { status: 'approved' } });
+        const relabelled = analysis({ ...pseudoLabel, disease: 'Northern Leaf Blight', review: { status: 'corrected' } });
+        const noModel = analysis({ modelUsed: null, feedback: { rating: 5 } });
+
+        const { summary, records } = await runExport([confirmed, approved, relabelled, noModel]);
+
+        expect(records).toHaveLength(1);
+        expect(records[0]).toMatchObject({
+            analysisId: relabelled._id.toString(),
+            label: 'Corn___Northern_Leaf_Blight',
+            source: 'expert'
+        });
+        expect(summary.skipped.taxonomy).toBe(3);
+    });
+});
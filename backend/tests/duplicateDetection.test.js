@@ -0,0 +1,136 @@
+// Duplicate detection tests: perceptual hashes of re-encoded photos stay
+// within the hamming threshold and findNearDuplicate picks the newest match
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const { preprocessImage, removeDerivatives } = require('../services/imagePreprocessor');
+
+const HOUR = 60 * 60 * 1000;
+const userId = new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query: chainable and awaitable
+const query = (value) => {
+    const chain = {
+        sort: () => chain,
+        select: () => chain,
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return chain;
+};
+
+// Flip the lowest `bits` bits of a 16-character hex hash
+const flipBits = (hash, bits) => (BigInt(`0x${hash}`) ^ ((1n << BigInt(bits)) - 1n)).toString(16).padStart(16, '0');
+
+const HASH = 'f0e1d2c3b4a59687';
+
+let candidates;
+
+beforeEach(() => {
+    candidates = [];
+    // Applies the type, status and time window conditions like MongoDB would
+    jest.spyOn(ImageAnalysis, 'find').mockImplementation(filter => query(candidates
+        .filter(candidate => filter.analysisType.$in
+            ? filter.analysisType.$in.includes(candidate.analysisType ?? null)
+            : candidate.analysisType === filter.analysisType)
+        .filter(candidate => candidate.status !== filter.status.$ne)
+        .filter(candidate => candidate.createdAt >= filter.createdAt.$gte)
+        .sort((a, b) => b.createdAt - a.createdAt)));
+    jest.spyOn(ImageAnalysis, 'findById').mockImplementation(async id => candidates.find(candidate => candidate._id === id));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const candidate = (name, perceptualHash, { hoursAgo = 1, analysisType = 'crop', status = 'completed' } = {}) => {
+    const analysis = { _id: name, perceptualHash, analysisType, status, createdAt: new Date(Date.now() - hoursAgo * HOUR) };
+    candidates.push(analysis);
+    return analysis;
+};
+
+describe('ImageAnalysis.findNearDuplicate', () => {
+    test('matches hashes up to the maximum distance and no further', async () => {
+        candidate('five-bits-off', flipBits(HASH, 5));
+        expect(await ImageAnalysis.findNearDuplicate(userId, HASH, { maxDistance: 5 })).toMatchObject({ _id: 'five-bits-off' });
+
+        candidates = [];
+        candidate('six-bits-off', flipBits(HASH, 6));
+        expect(await ImageAnalysis.findNearDuplicate(userId, HASH, { maxDistance: 5 })).toBeNull();
+    });
+
+    test('returns the most recent of several matches', async () => {
+        candidate('older', HASH, { hoursAgo: 5 });
+        candidate('newer', flipBits(HASH, 2), { hoursAgo: 2 });
+        candidate('unrelated', flipBits(HASH, 40), { hoursAgo: 1 });
+
+        expect(await ImageAnalysis.findNearDuplicate(userId, HASH)).toMatchObject({ _id: 'newer' });
+    });
+
+    test('ignores uploads outside the window, failed analyses and other analysis types', async () => {
+        candidate('yesterday', HASH, { hoursAgo: 25 });
+        candidate('failed', HASH, { status: 'failed' });
+        candidate('soil photo', HASH, { analysisType: 'soil' });
+
+        expect(await ImageAnalysis.findNearDuplicate(userId, HASH, { windowHours: 24 })).toBeNull();
+        expect(await ImageAnalysis.findNearDuplicate(userId, HASH, { analysisType: 'soil' })).toMatchObject({ _id: 'soil photo' });
+    });
+
+    test('treats records without an analysis type as crop analyses', async () => {
+        candidate('legacy', HASH, { analysisType: undefined });
+
+        expect(await ImageAnalysis.findNearDuplicate(userId, HASH)).toMatchObject({ _id: 'legacy' });
+    });
+
+    test('never matches a missing or malformed hash', async () => {
+        candidate('short hash', HASH.slice(0, 8));
+
+        expect(await ImageAnalysis.findNearDuplicate(userId, null)).toBeNull();
+        expect(await ImageAnalysis.findNearDuplicate(userId, HASH, { maxDistance: 64 })).toBeNull();
+    });
+});
+
+describe('perceptual hashes of uploads', () => {
+    const width = 120;
+    const height = 90;
+    const files = [];
+
+    // Smooth synthetic "leaf" patterns that survive resizing and re-encoding
+    const pattern = (shade) => sharp(Buffer.from(Array.from({ length: width * height * 3 }, (value, index) => {
+        const pixel = Math.floor(index / 3);
+        const x = pixel % width;
+        const y = Math.floor(pixel / width);
+        return Math.round(127 + 120 * Math.sin(shade(x, y)));
+    })), { raw: { width, height, channels: 3 } });
+
+    const hashOf = async (image) => {
+        const filename = `hash-test-${files.length}.jpg`;
+        const file = { filename, path: path.join(os.tmpdir(), filename) };
+        fs.writeFileSync(file.path, await image.toBuffer());
+        const result = await preprocessImage(file);
+        files.push({ file, result });
+        return result.perceptualHash;
+    };
+
+    afterAll(() => {
+        files.forEach(({ file, result }) => {
+            removeDerivatives(result.processedImage);
+            fs.unlinkSync(file.path);
+        });
+    });
+
+    test('finds a resized, re-compressed copy of a photo but not a different photo', async () => {
+        const leaf = (x, y) => x / 14 + Math.cos(y / 11) * 2;
+        const original = await hashOf(pattern(leaf).jpeg({ quality: 95 }));
+        const resent = await hashOf(pattern(leaf).resize(84, 63).jpeg({ quality: 55 }));
+        const other = await hashOf(pattern((x, y) => y / 9 - Math.sin(x / 17) * 3).jpeg({ quality: 95 }));
+
+        candidate('original upload', original);
+
+        expect(original).toMatch(/^[0-9a-f]{16}$/);
+        expect(await ImageAnalysis.findNearDuplicate(userId, resent)).toMatchObject({ _id: 'original upload' });
+        expect(await ImageAnalysis.findNearDuplicate(userId, other)).toBeNull();
+    });
+});
@@ -0,0 +1,64 @@
+// Expert review tests: which analyses get queued and why
+const { readRulesFile, evaluatePrediction } = require('../services/agriculturalRules');
+const { getReviewReasons, flagForReview } = require('../services/expertReview');
+
+const rules = readRulesFile();
+
+// A crop analysis as services/aiAnalysis builds it from the rule engine's result
+const analyzedAs = (prediction, taxonomy) => {
+    const result = evaluatePrediction(prediction, taxonomy, rules);
+    return {
+        plantCheck: { isPlant: true },
+        cropAnalysis: {
+            detectedCrop: result.detectedCrop,
+            healthScore: result.healthScore,
+            condition: result.condition,
+            confidence: prediction.probability
+        }
+    };
+};
+
+describe('getReviewReasons', () => {
+    it('queues a confidently diagnosed severe disease as critical', () => {
+        const analysis = analyzedAs({ className: 'Tomato___Early_blight', probability: 0.9 }, 'plantvillage');
+
+        expect(analysis.cropAnalysis.condition).toBe('poor');
+        expect(getReviewReasons(analysis)).toEqual(['critical']);
+    });
+
+    it('does not queue a confident healthy result', () => {
+        const analysis = analyzedAs({ className: 'Corn_(maize)___healthy', probability: 0.99 }, 'plantvillage');
+
+        expect(getReviewReasons(analysis)).toEqual([]);
+    });
+
+    it('queues an unsure result as low confidence', () => {
+        const analysis = analyzedAs({ className: 'Corn_(maize)___healthy', probability: 0.4 }, 'plantvillage');
+
+        expect(getReviewReasons(analysis)).toEqual(['low_confidence']);
+    });
+
+    it('queues a pest analysis with a critical infestation', () => {
+        const analysis = { pestAnalysis: { pests: [{ name: 'Fall armyworm', severity: 'critical' }] } };
+
+        expect(getReviewReasons(analysis)).toEqual(['critical']);
+    });
+
+    it('skips photos that are not plants', () => {
+        const analysis = analyzedAs({ className: 'Tomato___Early_blight', probability: 0.9 }, 'plantvillage');
+        analysis.plantCheck.isPlant = false;
+
+        expect(getReviewReasons(analysis)).toEqual([]);
+    });
+});
+
+describe('flagForReview', () => {
+    it('puts a critical result in the queue with the highest priority', () => {
+        const imageAnalysis = {
+            analysis: { cropAnalysis: { healthScore: 20, condition: 'poor', confidence: 0.3 } }
+        };
+
+        expect(flagForReview(imageAnalysis)).toEqual(['critical', 'low_confidence']);
+        expect(imageAnalysis.review).toMatchObject({ status: 'pending', priority: 2 });
+    });
+});
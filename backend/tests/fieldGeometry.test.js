@@ -0,0 +1,118 @@
+// Field geometry tests: geodesic polygon areas checked against the exact area
+// of latitude/longitude rectangles, boundary validation and area units
+const mongoose = require('mongoose');
+const Field = require('../models/Field');
+const { validatePolygon, polygonArea, polygonCentroid, convertArea } = require('../services/fieldGeometry');
+
+const EARTH_RADIUS = 6378137;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Closed ring around a west, south, east, north rectangle
+const rectangle = (west, south, east, north) => [[west, south], [east, south], [east, north], [west, north], [west, south]];
+
+const polygon = (...rings) => ({ type: 'Polygon', coordinates: rings });
+
+// Exact area in square metres of a rectangle on the sphere
+const rectangleArea = (west, south, east, north) =>
+    EARTH_RADIUS ** 2 * toRadians(east - west) * (Math.sin(toRadians(north)) - Math.sin(toRadians(south)));
+
+// About 111 m x 111 m near Nairobi
+const PLOT = [36.8, -1.3, 36.801, -1.299];
+
+describe('polygonArea', () => {
+    test('matches the exact area of a field-sized rectangle', () => {
+        expect(polygonArea(polygon(rectangle(...PLOT)))).toBeCloseTo(rectangleArea(...PLOT), 3);
+        expect(polygonArea(polygon(rectangle(...PLOT)))).toBeCloseTo(12388.84, 2);
+    });
+
+    test('matches the exact area of a one-degree square far from the equator', () => {
+        const square = [10, 59, 11, 60];
+
+        expect(polygonArea(polygon(rectangle(...square))) / rectangleArea(...square)).toBeCloseTo(1, 9);
+    });
+
+    test('gives the same area whichever way the ring winds', () => {
+        const clockwise = rectangle(...PLOT).reverse();
+
+        expect(polygonArea(polygon(clockwise))).toBeCloseTo(rectangleArea(...PLOT), 3);
+    });
+
+    test('subtracts holes from the outer ring', () => {
+        const hole = [36.8002, -1.2998, 36.8004, -1.2996];
+
+        expect(polygonArea(polygon(rectangle(...PLOT), rectangle(...hole))))
+            .toBeCloseTo(rectangleArea(...PLOT) - rectangleArea(...hole), 3);
+    });
+
+    test('never goes below zero when the holes are larger than the boundary', () => {
+        expect(polygonArea(polygon(rectangle(0, 0, 0.001, 0.001), rectangle(0, 0, 0.002, 0.002)))).toBe(0);
+    });
+});
+
+describe('polygonCentroid', () => {
+    test('returns the middle of a rectangle', () => {
+        const centroid = polygonCentroid(polygon(rectangle(...PLOT)));
+
+        expect(centroid.longitude).toBeCloseTo(36.8005, 6);
+        expect(centroid.latitude).toBeCloseTo(-1.2995, 6);
+    });
+});
+
+describe('validatePolygon', () => {
+    test('accepts a closed rectangle with a hole', () => {
+        expect(validatePolygon(polygon(rectangle(...PLOT), rectangle(36.8002, -1.2998, 36.8004, -1.2996)))).toBeNull();
+    });
+
+    test.each([
+        ['a point', { type: 'Point', coordinates: [36.8, -1.3] }, 'Boundary must be a GeoJSON Polygon'],
+        ['a polygon without rings', polygon(), 'Boundary must be a GeoJSON Polygon'],
+        ['two points', polygon([[0, 0], [1, 1], [0, 0]]), 'Boundary needs at least 3 distinct points'],
+        ['latitude and longitude swapped', polygon(rectangle(-1.3, 36.8, -1.299, 100)), 'Boundary has coordinates outside [longitude, latitude] range'],
+        ['an open ring', polygon(rectangle(...PLOT).slice(0, 4).concat([[36.8, -1.2995]])), 'Boundary must be closed (last point equal to the first)'],
+        ['a bow tie', polygon([[0, 0], [1, 1], [1, 0], [0, 1], [0, 0]]), 'Boundary crosses itself'],
+        ['points on a line', polygon([[0, 0], [1, 0], [2, 0], [0, 0]]), 'Boundary encloses no area'],
+        ['an unclosed hole', polygon(rectangle(...PLOT), rectangle(36.8002, -1.2998, 36.8004, -1.2996).slice(0, 4)),
+            'Hole 1 must be closed (last point equal to the first)']
+    ])('rejects %s', (description, boundary, message) => {
+        expect(validatePolygon(boundary)).toBe(message);
+    });
+});
+
+describe('convertArea', () => {
+    test.each([
+        [1, 'acres', 2.47],
+        [0.40468564224, 'acres', 1],
+        [2.345, 'hectares', 2.35],
+        [2.345, undefined, 2.35],
+        [3, 'furlongs', 3], // unknown units stay in hectares
+        [0, 'acres', 0]
+    ])('converts %s ha to %s as %s', (hectares, unit, expected) => {
+        expect(convertArea(hectares, unit)).toBe(expected);
+    });
+
+    test('keeps a missing area missing', () => {
+        expect(convertArea(null, 'acres')).toBeNull();
+        expect(convertArea(undefined)).toBeNull();
+    });
+});
+
+describe('Field boundary', () => {
+    const field = (boundary) => new Field({ user: new mongoose.Types.ObjectId(), name: 'Lower plot', boundary });
+
+    test('derives the area and centroid from a valid boundary', async () => {
+        const lowerPlot = field(polygon(rectangle(...PLOT)));
+
+        await lowerPlot.validate();
+
+        expect(lowerPlot.areaHectares).toBeCloseTo(rectangleArea(...PLOT) / 10000, 6);
+        expect(lowerPlot.location.latitude).toBeCloseTo(-1.2995, 6);
+        expect(lowerPlot.withArea('acres').area).toEqual({ value: 3.06, unit: 'acres' });
+    });
+
+    test('rejects an invalid boundary with the reason', async () => {
+        const bowTie = field(polygon([[0, 0], [1, 1], [1, 0], [0, 1], [0, 0]]));
+
+        await expect(bowTie.validate()).rejects.toThrow('Boundary crosses itself');
+        expect(bowTie.areaHectares).toBeUndefined();
+    });
+});
@@ -0,0 +1,208 @@
+// Field timeline tests: daily health progression, when diseases were first
+// detected, and whether the score trend after a logged treatment is improving
+const ImageAnalysis = require('../models/ImageAnalysis');
+const { buildTimeline } = require('../services/fieldTimeline');
+
+// Noon UTC on a day in October 2026
+const oct = (day, hour = 12) => new Date(Date.UTC(2026, 9, day, hour));
+
+// A completed crop analysis of a photo taken at `takenAt`
+const scan = (id, takenAt, healthScore, disease = null, { uploadedAt = takenAt } = {}) => ({
+    _id: id,
+    createdAt: uploadedAt,
+    metadata: { deviceInfo: { timestamp: takenAt } },
+    analysis: {
+        cropAnalysis: { healthScore, condition: healthScore >= 70 ? 'good' : 'fair' },
+        pestAnalysis: { disease: disease ? { detected: true, name: disease } : { detected: false } }
+    }
+});
+
+const treatment = (id, appliedAt, targetDisease) => ({
+    _id: id,
+    name: 'Copper spray',
+    product: 'Copper oxychloride',
+    appliedAt,
+    targetDisease
+});
+
+const field = (treatments = []) => ({ _id: 'field-1', name: 'Lower plot', crop: 'Tomato', treatments });
+
+// An early blight outbreak that clears up after spraying on 4 October
+const outbreak = () => [
+    // Taken on 1 October but uploaded from the offline queue four days later
+    scan('a1', oct(1), 60, 'Early blight', { uploadedAt: oct(5) }),
+    scan('a2', oct(3), 50, 'Early blight'),
+    scan('a3', oct(8), 60, 'early blight'),
+    scan('a4', oct(11), 72),
+    scan('a5', oct(11, 15), 78),
+    scan('a6', oct(14), 80, 'Leaf mold')
+];
+
+let analyses;
+
+beforeEach(() => {
+    analyses = [];
+    const chain = {
+        select: () => chain,
+        then: (resolve, reject) => Promise.resolve(analyses).then(resolve, reject)
+    };
+    jest.spyOn(ImageAnalysis, 'find').mockReturnValue(chain);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('buildTimeline health progression', () => {
+    test('averages the scores per day and fits the overall trend', async () => {
+        analyses = outbreak().reverse();
+
+        const timeline = await buildTimeline(field());
+
+        expect(ImageAnalysis.find).toHaveBeenCalledWith(expect.objectContaining({ field: 'field-1', status: 'completed' }));
+        expect(timeline).toMatchObject({
+            field: { id: 'field-1', name: 'Lower plot', crop: 'Tomato' },
+            period: { from: oct(1), to: oct(14) },
+            analyses: 6,
+            health: { latestScore: 80, meanScore: 66.7, slopePerWeek: 13.7, trend: 'improving' }
+        });
+        expect(timeline.health.progression.map(day => [day.date, day.analyses, day.meanHealthScore])).toEqual([
+            ['2026-10-01', 1, 60],
+            ['2026-10-03', 1, 50],
+            ['2026-10-08', 1, 60],
+            ['2026-10-11', 2, 75],
+            ['2026-10-14', 1, 80]
+        ]);
+        expect(timeline.health.progression[3]).toMatchObject({ minHealthScore: 72, diseasedAnalyses: 0, diseases: [] });
+    });
+
+    test('reports no trend for a field without analyses', async () => {
+        const timeline = await buildTimeline(field());
+
+        expect(timeline).toMatchObject({
+            period: { from: null, to: null },
+            analyses: 0,
+            health: { latestScore: null, meanScore: null, slopePerWeek: null, trend: null, progression: [] },
+            diseases: [],
+            treatments: []
+        });
+    });
+
+    test('only includes analyses and treatments within the requested period', async () => {
+        analyses = outbreak();
+
+        const timeline = await buildTimeline(
+            field([treatment('t1', oct(4)), treatment('t2', oct(20))]),
+            { from: oct(3, 0), to: oct(11, 23) }
+        );
+
+        expect(timeline.health.progression.map(day => day.date)).toEqual(['2026-10-03', '2026-10-08', '2026-10-11']);
+        expect(timeline.treatments.map(effect => effect.treatmentId)).toEqual(['t1']);
+    });
+});
+
+describe('buildTimeline disease history', () => {
+    test('dates the first detection by when the photo was taken, not when it was uploaded', async () => {
+        analyses = outbreak();
+
+        const { diseases } = await buildTimeline(field());
+
+        expect(diseases).toEqual([
+            { name: 'Early blight', firstDetectedAt: oct(1), firstAnalysis: 'a1', lastDetectedAt: oct(8), detections: 3 },
+            { name: 'Leaf mold', firstDetectedAt: oct(14), firstAnalysis: 'a6', lastDetectedAt: oct(14), detections: 1 }
+        ]);
+    });
+
+    test('falls back to the upload time for photos without a capture time', async () => {
+        const legacy = scan('legacy', oct(2), 55, 'Septoria leaf spot');
+        delete legacy.metadata;
+        analyses = [legacy];
+
+        const { diseases } = await buildTimeline(field());
+
+        expect(diseases[0]).toMatchObject({ firstDetectedAt: oct(2), firstAnalysis: 'legacy' });
+    });
+});
+
+describe('buildTimeline treatment effect', () => {
+    test('compares the baseline before the treatment with the trend after it', async () => {
+        analyses = outbreak();
+
+        const { treatments } = await buildTimeline(field([treatment('t1', oct(4), 'Early blight')]));
+
+        expect(treatments).toEqual([{
+            treatmentId: 't1',
+            name: 'Copper spray',
+            product: 'Copper oxychloride',
+            appliedAt: oct(4),
+            analysesBefore: 2,
+            analysesAfter: 4,
+            baselineScore: 55,
+            latestScore: 80,
+            scoreChange: 25,
+            slopePerWeek: 19.4,
+            effect: 'improving',
+            // Leaf mold on the latest day doesn't count as early blight
+            targetDisease: { name: 'Early blight', stillDetected: false, detectionsAfter: 1 }
+        }]);
+    });
+
+    test('ends the window of a treatment at the next one', async () => {
+        analyses = outbreak();
+
+        const { treatments } = await buildTimeline(field([
+            treatment('t2', oct(10)),
+            treatment('t1', oct(4), 'Early blight')
+        ]));
+
+        expect(treatments.map(effect => effect.treatmentId)).toEqual(['t1', 't2']);
+        expect(treatments[0]).toMatchObject({
+            analysesAfter: 1,
+            latestScore: 60,
+            scoreChange: 5,
+            effect: 'improving',
+            targetDisease: { stillDetected: true, detectionsAfter: 1 }
+        });
+        expect(treatments[1]).toMatchObject({ analysesBefore: 3, baselineScore: 56.7, analysesAfter: 3, latestScore: 80 });
+        expect(treatments[1].targetDisease).toBeUndefined();
+    });
+
+    test.each([
+        ['worsening', [70, 60], -19.9, 'worsening'],
+        ['holding steady', [81, 79], -0.9, 'no_change']
+    ])('reports a treatment with scores %s after it', async (description, [first, second], slopePerWeek, effect) => {
+        analyses = [scan('b1', oct(1), 80), scan('b2', oct(3), 80), scan('b3', oct(8), first), scan('b4', oct(11), second)];
+
+        const { treatments } = await buildTimeline(field([treatment('t1', oct(4))]));
+
+        expect(treatments[0]).toMatchObject({ baselineScore: 80, slopePerWeek, effect });
+    });
+
+    test('needs analyses after the treatment and a baseline or second scan to judge it', async () => {
+        analyses = [scan('c1', oct(8), 70)];
+
+        const { treatments } = await buildTimeline(field([
+            treatment('no-baseline', oct(5)),
+            treatment('nothing-after', oct(10), 'Early blight')
+        ]));
+
+        expect(treatments[0]).toMatchObject({
+            analysesBefore: 0,
+            analysesAfter: 1,
+            baselineScore: null,
+            latestScore: 70,
+            scoreChange: null,
+            slopePerWeek: null,
+            effect: 'insufficient_data'
+        });
+        expect(treatments[1]).toMatchObject({
+            analysesBefore: 1,
+            analysesAfter: 0,
+            baselineScore: 70,
+            latestScore: null,
+            scoreChange: null,
+            effect: 'insufficient_data',
+            targetDisease: { name: 'Early blight', stillDetected: null, detectionsAfter: 0 }
+        });
+    });
+});
@@ -0,0 +1,45 @@
+// Test helpers: an Express app around a single router with the real error
+// handler, and a signed-in user for the mocked auth middleware
+const express = require('express');
+const mongoose = require('mongoose');
+const errorHandler = require('../middleware/errorHandler');
+
+const createApp = (path, router) => {
+    const app = express();
+    app.use(express.json());
+    app.use(path, router);
+    app.use(errorHandler);
+    return app;
+};
+
+const testUser = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Test Farmer',
+    role: 'farmer',
+    location: { type: 'Point', coordinates: [36.82, -1.29], city: 'Nairobi', country: 'Kenya' },
+    profile: { crops: ['maize'] },
+    preferences: {},
+    ...overrides
+});
+
+// jest.mock('../middleware/auth', () => require('./helpers').mockAuth) signs
+// requests in as currentUser
+const mockAuth = {
+    currentUser: null,
+    auth: (req, res, next) => {
+        req.user = mockAuth.currentUser;
+        next();
+    },
+    optionalAuth: (req, res, next) => {
+        req.user = mockAuth.currentUser;
+        next();
+    },
+    authorize: () => (req, res, next) => next(),
+    requireSubscription: () => (req, res, next) => next()
+};
+
+module.exports = {
+    createApp,
+    testUser,
+    mockAuth
+};
@@ -0,0 +1,139 @@
+// Image preprocessing tests: GPS position, capture time and camera read from
+// photo EXIF, including photos without EXIF or with a corrupt EXIF block
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { preprocessImage, removeDerivatives } = require('../services/imagePreprocessor');
+
+const photo = () => sharp({
+    create: { width: 64, height: 48, channels: 3, background: { r: 40, g: 120, b: 30 } }
+}).jpeg();
+
+// A JPEG with a raw APP1 EXIF segment spliced in after the start marker
+const withExifSegment = (jpeg, tiff) => {
+    const payload = Buffer.concat([Buffer.from('Exif\0\0'), tiff]);
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(payload.length + 2);
+    return Buffer.concat([jpeg.subarray(0, 2), Buffer.from([0xff, 0xe1]), length, payload, jpeg.subarray(2)]);
+};
+
+let files;
+
+// Write an upload the way multer leaves it on disk and preprocess it
+const preprocess = async (buffer) => {
+    const filename = `exif-test-${Date.now()}-${files.length}.jpg`;
+    const file = { filename, path: path.join(os.tmpdir(), filename) };
+    fs.writeFileSync(file.path, buffer);
+    const result = await preprocessImage(file);
+    files.push({ file, result });
+    return result;
+};
+
+beforeEach(() => {
+    files = [];
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    files.forEach(({ file, result }) => {
+        removeDerivatives(result.processedImage);
+        fs.unlinkSync(file.path);
+    });
+    jest.restoreAllMocks();
+});
+
+describe('preprocessImage EXIF', () => {
+    test('reads the GPS position, altitude, zone-corrected capture time and camera', async () => {
+        const buffer = await photo().withExif({
+            IFD0: { Make: 'TECNO', Model: 'Spark 10' },
+            IFD2: { DateTimeOriginal: '2026:10:12 08:30:00', OffsetTimeOriginal: '+03:00' },
+            IFD3: {
+                GPSLatitudeRef: 'S',
+                GPSLatitude: '1/1 18/1 1800/100',
+                GPSLongitudeRef: 'E',
+                GPSLongitude: '36/1 49/1 12/1',
+                GPSAltitudeRef: '0',
+                GPSAltitude: '1650/1'
+            }
+        }).toBuffer();
+
+        const { exif } = await preprocess(buffer);
+
+        expect(exif.gps.latitude).toBeCloseTo(-1.305, 6);
+        expect(exif.gps.longitude).toBeCloseTo(36.82, 6);
+        expect(exif.gps.altitude).toBe(1650);
+        expect(exif.capturedAt.toISOString()).toBe('2026-10-12T05:30:00.000Z');
+        expect(exif.camera).toBe('TECNO Spark 10');
+    });
+
+    test('uses western longitudes as negatives and leaves a missing altitude empty', async () => {
+        const buffer = await photo().withExif({
+            IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '12/1 30/1 0/1', GPSLongitudeRef: 'W', GPSLongitude: '8/1 0/1 36/1' }
+        }).toBuffer();
+
+        const { exif } = await preprocess(buffer);
+
+        expect(exif.gps).toEqual({ latitude: 12.5, longitude: -8.01, altitude: null });
+    });
+
+    test('keeps a capture time without a zone offset as recorded', async () => {
+        const buffer = await photo().withExif({ IFD2: { DateTimeOriginal: '2026:10:12 08:30:00' } }).toBuffer();
+
+        const { exif } = await preprocess(buffer);
+
+        expect(exif.capturedAt.toISOString()).toBe('2026-10-12T08:30:00.000Z');
+        expect(exif.gps).toBeNull();
+        expect(exif.camera).toBeNull();
+    });
+
+    test('ignores a 0,0 GPS position written by phones without a fix', async () => {
+        const buffer = await photo().withExif({
+            IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '0/1 0/1 0/1', GPSLongitudeRef: 'E', GPSLongitude: '0/1 0/1 0/1' }
+        }).toBuffer();
+
+        const { exif } = await preprocess(buffer);
+
+        expect(exif.gps).toBeNull();
+    });
+
+    test('returns no EXIF for a photo without any', async () => {
+        const { exif } = await preprocess(await photo().toBuffer());
+
+        expect(exif).toBeNull();
+    });
+
+    test('returns no EXIF for an unreadable EXIF block and still processes the photo', async () => {
+        const buffer = withExifSegment(
+            await photo().toBuffer(),
+            Buffer.concat([Buffer.from('ZZ*\0'), Buffer.alloc(24, 0xab)])
+        );
+
+        const { exif, processedImage } = await preprocess(buffer);
+
+        expect(exif).toBeNull();
+        expect(processedImage).toMatchObject({ width: 64, height: 48 });
+    });
+
+    test('returns empty fields for an EXIF block with no readable tags', async () => {
+        const buffer = withExifSegment(
+            await photo().toBuffer(),
+            Buffer.concat([Buffer.from('II*\0'), Buffer.from([0xff, 0xff, 0xff, 0x7f]), Buffer.alloc(20, 0xab)])
+        );
+
+        const { exif } = await preprocess(buffer);
+
+        expect(exif).toEqual({ gps: null, capturedAt: null, camera: null });
+    });
+
+    test('strips the EXIF from the saved original', async () => {
+        const buffer = await photo().withExif({
+            IFD3: { GPSLatitudeRef: 'S', GPSLatitude: '1/1 17/1 18/1', GPSLongitudeRef: 'E', GPSLongitude: '36/1 49/1 12/1' }
+        }).toBuffer();
+
+        await preprocess(buffer);
+
+        const saved = await sharp(files[0].file.path).metadata();
+        expect(saved.exif).toBeUndefined();
+    });
+});
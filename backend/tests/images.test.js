@@ -0,0 +1,147 @@
+// Image route tests: scouting session uploads and their per-image JSON fields,
+// and heatmaps generated on request
+jest.mock('../middleware/auth', () => require('./helpers').mockAuth);
+jest.mock('../services/analysisQueue', () => {
+    const slot = { inUse: false };
+    return {
+        slot,
+        enqueue: jest.fn(),
+        withInferenceSlot: async (fn) => {
+            slot.inUse = true;
+            try {
+                return await fn();
+            } finally {
+                slot.inUse = false;
+            }
+        }
+    };
+});
+jest.mock('../services/imagePreprocessor', () => ({
+    preprocessImage: jest.fn(),
+    removeDerivatives: jest.fn()
+}));
+jest.mock('../services/attentionHeatmap', () => ({ generateHeatmap: jest.fn() }));
+jest.mock('../services/modelRegistry', () => ({
+    getDefaultModelId: jest.fn(() => 'plantvillage-v1'),
+    hasModel: jest.fn(() => true)
+}));
+jest.mock('../models/ScoutingSession', () => jest.fn().mockImplementation(fields => ({
+    _id: 'session-1',
+    ...fields,
+    images: [],
+    summary: {},
+    save: jest.fn()
+})));
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const analysisQueue = require('../services/analysisQueue');
+const { preprocessImage } = require('../services/imagePreprocessor');
+const { generateHeatmap } = require('../services/attentionHeatmap');
+const ImageAnalysis = require('../models/ImageAnalysis');
+const User = require('../models/User');
+const imageRoutes = require('../routes/images');
+const { createApp, testUser, mockAuth } = require('./helpers');
+
+const app = createApp('/api/images', imageRoutes);
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads', 'images');
+
+const uploadedFiles = () => fs.existsSync(UPLOAD_DIR) ? fs.readdirSync(UPLOAD_DIR) : [];
+
+const scoutingUpload = (fields) => {
+    const req = request(app)
+        .post('/api/images/scouting-sessions')
+        .attach('images', Buffer.from('leaf one'), { filename: 'leaf-1.jpg', contentType: 'image/jpeg' })
+        .attach('images', Buffer.from('leaf two'), { filename: 'leaf-2.jpg', contentType: 'image/jpeg' });
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req;
+};
+
+let filesBefore;
+
+beforeEach(() => {
+    mockAuth.currentUser = testUser();
+    jest.spyOn(User, 'findById').mockResolvedValue(mockAuth.currentUser);
+    jest.spyOn(ImageAnalysis, 'create').mockImplementation(async (fields) => ({ _id: `analysis-${Math.random()}`, ...fields }));
+    preprocessImage.mockResolvedValue({ exif: null, processedImage: {}, originalSize: 8 });
+    filesBefore = uploadedFiles();
+});
+
+afterEach(() => {
+    // Files a passing upload keeps on disk
+    uploadedFiles()
+        .filter(file => !filesBefore.includes(file))
+        .forEach(file => fs.unlinkSync(path.join(UPLOAD_DIR, file)));
+});
+
+describe('POST /api/images/scouting-sessions', () => {
+    it.each([
+        ['locations is null', { locations: 'null' }],
+        ['locations is a number', { locations: '5' }],
+        ['locations is an object', { locations: '{}' }],
+        ['labels is null', { labels: 'null' }],
+        ['labels is not JSON', { labels: 'Plant A' }],
+        ['labels has more entries than images', { labels: '["A", "B", "C"]' }],
+        ['a label is not a string', { labels: '[{"name": "A"}]' }]
+    ])('rejects the upload with a 400 and removes the files when %s', async (description, fields) => {
+        const res = await scoutingUpload(fields);
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('locations and labels must be JSON arrays');
+        expect(uploadedFiles()).toEqual(filesBefore);
+        expect(preprocessImage).not.toHaveBeenCalled();
+        expect(analysisQueue.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('uses the per-image locations and labels of a valid upload', async () => {
+        const res = await scoutingUpload({
+            locations: JSON.stringify([{ latitude: -1.3, longitude: 36.8 }, null]),
+            labels: JSON.stringify(['Row 1 tomato'])
+        });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.session.images.map(image => image.label)).toEqual(['Row 1 tomato', 'Plant 2']);
+        expect(res.body.data.session.images[0].location).toEqual({ latitude: -1.3, longitude: 36.8 });
+        expect(analysisQueue.enqueue).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('GET /api/images/analyses/:id?generateHeatmap=true', () => {
+    let analysis;
+
+    beforeEach(() => {
+        analysis = {
+            _id: 'analysis-1',
+            user: { _id: mockAuth.currentUser._id },
+            status: 'completed',
+            processedImage: {},
+            save: jest.fn()
+        };
+        jest.spyOn(ImageAnalysis, 'findOne').mockReturnValue({ populate: async () => analysis });
+    });
+
+    it('generates the heatmap inside an inference slot', async () => {
+        let generatedInSlot;
+        generateHeatmap.mockImplementation(async (target) => {
+            generatedInSlot = analysisQueue.slot.inUse;
+            target.processedImage.heatmap = { url: '/uploads/heatmaps/analysis-1.png', method: 'occlusion' };
+        });
+
+        const res = await request(app).get('/api/images/analyses/analysis-1?generateHeatmap=true');
+
+        expect(res.status).toBe(200);
+        expect(generatedInSlot).toBe(true);
+        expect(res.body.data.heatmap).toMatchObject({ url: '/uploads/heatmaps/analysis-1.png', method: 'occlusion' });
+    });
+
+    it('reports a heatmap that cannot be generated as 422', async () => {
+        generateHeatmap.mockRejectedValue(new Error('Model not loaded'));
+
+        const res = await request(app).get('/api/images/analyses/analysis-1?generateHeatmap=true');
+
+        expect(res.status).toBe(422);
+        expect(res.body.message).toBe('Heatmap could not be generated: Model not loaded');
+        expect(analysisQueue.slot.inUse).toBe(false);
+    });
+});
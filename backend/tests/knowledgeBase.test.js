@@ -0,0 +1,152 @@
+// Knowledge base tests: guides ingested into an in-memory stand-in for the
+// KnowledgeChunk collection and ranked with BM25 (term frequency, rarity and
+// passage length), plus the passages the chatbot gets for a question
+const mongoose = require('mongoose');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const KnowledgeChunk = require('../models/KnowledgeChunk');
+const { tokenize, ingestDocument, search, retrieveForQuestion } = require('../services/knowledgeBase');
+
+let documents;
+let chunks;
+
+// The two aggregations the service runs: corpus statistics and the passages
+// containing a query term, with only those terms' counts
+const aggregate = async (pipeline) => {
+    if (pipeline[0].$group) {
+        if (chunks.length === 0) return [];
+        const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        return [{ _id: null, passages: chunks.length, averageLength: totalLength / chunks.length }];
+    }
+
+    const queryTerms = pipeline[0].$match['terms.term'].$in;
+    return chunks
+        .filter(chunk => chunk.terms.some(({ term }) => queryTerms.includes(term)))
+        .map(chunk => ({ ...chunk, terms: chunk.terms.filter(({ term }) => queryTerms.includes(term)) }));
+};
+
+beforeEach(() => {
+    documents = [];
+    chunks = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(KnowledgeDocument, 'findOne').mockImplementation(async ({ checksum }) =>
+        documents.find(document => document.checksum === checksum) || null);
+    jest.spyOn(KnowledgeDocument, 'create').mockImplementation(async (data) => {
+        const document = { _id: new mongoose.Types.ObjectId(), ...data };
+        documents.push(document);
+        return document;
+    });
+    jest.spyOn(KnowledgeChunk, 'insertMany').mockImplementation(async (passages) => {
+        chunks.push(...passages.map(passage => ({ _id: new mongoose.Types.ObjectId(), ...passage })));
+    });
+    jest.spyOn(KnowledgeChunk, 'aggregate').mockImplementation(aggregate);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const ingest = (filename, markdown) => ingestDocument({ buffer: Buffer.from(markdown), filename });
+
+// Four one-passage guides of six indexed terms each, so every passage has the
+// average length and BM25 reduces to idf * tf * 2.2 / (tf + 1.2)
+const ingestGuides = async () => {
+    await ingest('early-blight.md', '# Early blight\n\nEarly blight spreads from lower tomato leaves.');
+    await ingest('blight-lesions.md', '# Blight lesions\n\nBlight lesions mean removing blight leaves.');
+    await ingest('aphids.md', '# Aphids\n\nAphids suck sap from young bean shoots.');
+    await ingest('drought.md', '# Drought\n\nWater maize early in the morning during droughts.');
+};
+
+const titles = (results) => results.map(result => result.title);
+
+describe('tokenize', () => {
+    test('drops stopwords and accents and folds plurals', () => {
+        expect(tokenize('Tomatoes, potatoes and varieties of café grass')).toEqual(['tomato', 'potato', 'variety', 'cafe', 'grass']);
+        expect(tokenize('What should I do about it?')).toEqual([]);
+    });
+});
+
+describe('search', () => {
+    test('scores a term found in one passage of four with its BM25 weight', async () => {
+        await ingestGuides();
+
+        const results = await search('aphids');
+
+        // idf = ln(1 + (4 - 1 + 0.5) / (1 + 0.5))
+        expect(results).toEqual([expect.objectContaining({ title: 'Aphids', heading: null, score: 1.204 })]);
+        expect(results[0].text).toBe('Aphids suck sap from young bean shoots.');
+    });
+
+    test('ranks a passage that repeats the term above one that mentions it once', async () => {
+        await ingestGuides();
+
+        const results = await search('blight');
+
+        // idf = ln 2; two mentions weigh 2 * 2.2 / 3.2 = 1.375 times one
+        expect(results.map(result => [result.title, result.score])).toEqual([
+            ['Blight lesions', 0.953],
+            ['Early blight', 0.693]
+        ]);
+    });
+
+    test('weighs rare terms above common ones', async () => {
+        await ingestGuides();
+
+        const results = await search('blight on tomatoes');
+
+        // "tomato" is only in one passage, so it outweighs the repeated "blight"
+        expect(results.map(result => [result.title, result.score])).toEqual([
+            ['Early blight', 1.897],
+            ['Blight lesions', 0.953]
+        ]);
+    });
+
+    test('ranks a short passage above a long one with the same mentions', async () => {
+        await ingest('short.md', '# Short\n\nDrought stress stunts maize.');
+        await ingest('long.md', '# Long\n\nDrought stress stunts maize, sorghum, millet, cowpeas, pigeon peas, groundnuts and cassava on sandy soils.');
+
+        expect(titles(await search('drought'))).toEqual(['Short', 'Long']);
+    });
+
+    test('indexes section headings and returns them with the passage', async () => {
+        await ingest('maize.md', '# Maize guide\n\n## Pests\n\n### Fall armyworm\n\nLarvae chew the whorl leaves.\n\n## Harvest\n\nDry the cobs.');
+
+        const [result] = await search('armyworm');
+
+        expect(result).toMatchObject({ title: 'Maize guide', heading: 'Pests > Fall armyworm', text: 'Larvae chew the whorl leaves.' });
+    });
+
+    test('applies the limit and minimum score', async () => {
+        await ingestGuides();
+
+        expect(titles(await search('early blight', { limit: 2 }))).toEqual(['Early blight', 'Blight lesions']);
+        expect(titles(await search('early blight', { minScore: 1 }))).toEqual(['Early blight']);
+    });
+
+    test('finds nothing for a question of stopwords or an empty knowledge base', async () => {
+        expect(await search('blight')).toEqual([]);
+
+        await ingestGuides();
+
+        expect(await search('what should I do about it')).toEqual([]);
+    });
+
+    test('does not index a guide twice', async () => {
+        await ingestGuides();
+        const { duplicate } = await ingest('copy-of-aphids.md', '# Aphids\n\nAphids suck sap from young bean shoots.');
+
+        expect(duplicate).toBe(true);
+        expect(await search('aphids')).toHaveLength(1);
+    });
+});
+
+describe('retrieveForQuestion', () => {
+    test('keeps passages above the minimum score and within half the best score', async () => {
+        await ingestGuides();
+        const question = 'Aphids on bean shoots and early blight';
+
+        // Aphids 3.612, Early blight 1.386, Blight lesions 0.953, Drought 0.693
+        expect(titles(await search(question))).toEqual(['Aphids', 'Early blight', 'Blight lesions', 'Drought']);
+        expect(titles(await retrieveForQuestion(question, 5))).toEqual(['Aphids']);
+        expect(titles(await retrieveForQuestion('blight on tomatoes'))).toEqual(['Early blight']);
+    });
+});
@@ -0,0 +1,163 @@
+// Leaf damage tests: segmenting synthetic leaves into healthy, chlorotic,
+// necrotic and missing tissue, and turning the damaged area into a health score
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { segmentPixels, segmentLeaf } = require('../services/leafSegmentation');
+const { evaluatePrediction, readRulesFile } = require('../services/agriculturalRules');
+
+const rules = readRulesFile();
+
+const COLOURS = {
+    background: [128, 128, 128], // grey soil or table
+    green: [40, 160, 40],
+    chlorotic: [200, 190, 40],
+    necrotic: [120, 60, 20],
+    dark: [0, 0, 0],
+    bright: [255, 255, 255]
+};
+
+// A width x height photo painted with [colour, x, y, w, h] rectangles in order
+const paint = (width, height, rectangles) => {
+    const data = Buffer.alloc(width * height * 3);
+    const fill = ([r, g, b], x0, y0, w, h) => {
+        for (let y = y0; y < y0 + h; y++) {
+            for (let x = x0; x < x0 + w; x++) {
+                data.set([r, g, b], (y * width + x) * 3);
+            }
+        }
+    };
+    fill(COLOURS.background, 0, 0, width, height);
+    rectangles.forEach(([colour, ...area]) => fill(COLOURS[colour], ...area));
+    return { data, width, height, channels: 3 };
+};
+
+// A 60 x 60 leaf in a 100 x 100 photo (3600 leaf pixels, 36% coverage)
+const leaf = (...damage) => paint(100, 100, [['green', 20, 20, 60, 60], ...damage]);
+
+describe('segmentPixels', () => {
+    test('measures an undamaged leaf', () => {
+        expect(segmentPixels(leaf())).toEqual({
+            leafFound: true,
+            leafCoverage: 0.36,
+            healthyArea: 100,
+            chloroticArea: 0,
+            necroticArea: 0,
+            holeArea: 0,
+            damagedArea: 0,
+            brightSpecks: 0,
+            darkSpecks: 0
+        });
+    });
+
+    test('splits the damage into chlorosis, lesions and holes, and counts specks separately', () => {
+        const result = segmentPixels(leaf(
+            ['necrotic', 30, 30, 10, 10], // 100 px lesion
+            ['background', 50, 30, 10, 10], // 100 px hole
+            ['chlorotic', 30, 50, 20, 10], // 200 px yellowing
+            ['dark', 65, 65, 3, 3], // 9 px speck: an insect, not damage
+            ['bright', 70, 70, 2, 2] // 4 px speck: an egg, not damage
+        ));
+
+        expect(result).toEqual({
+            leafFound: true,
+            leafCoverage: 0.36,
+            healthyArea: 88.5, // 3187 of 3600
+            chloroticArea: 5.6,
+            necroticArea: 2.8,
+            holeArea: 2.8,
+            damagedArea: 11.1, // 400 of 3600
+            brightSpecks: 1,
+            darkSpecks: 1
+        });
+    });
+
+    test('counts large enclosed dark or bright patches as damage rather than specks', () => {
+        const result = segmentPixels(leaf(
+            ['dark', 30, 30, 7, 7], // 49 px, above the speck size
+            ['bright', 50, 50, 7, 7]
+        ));
+
+        expect(result).toMatchObject({ necroticArea: 1.4, holeArea: 1.4, darkSpecks: 0, brightSpecks: 0 });
+    });
+
+    test('leaves out damage on the leaf margin that opens onto the background', () => {
+        // A bite out of the edge looks like background, so only the leaf that is left is measured
+        const result = segmentPixels(leaf(['background', 20, 20, 10, 10]));
+
+        expect(result).toMatchObject({ leafFound: true, leafCoverage: 0.35, damagedArea: 0, holeArea: 0 });
+    });
+
+    test('reports no leaf when it covers less than a tenth of the photo', () => {
+        const result = segmentPixels(paint(100, 100, [['green', 40, 40, 30, 30]]));
+
+        expect(result).toEqual({ leafFound: false, leafCoverage: 0.09 });
+    });
+});
+
+describe('segmentLeaf', () => {
+    const photoPath = path.join(os.tmpdir(), `leaf-damage-test-${process.pid}.png`);
+
+    afterAll(() => {
+        fs.rmSync(photoPath, { force: true });
+    });
+
+    test('measures a leaf photo after resizing it for segmentation', async () => {
+        const { data, width, height, channels } = leaf(['necrotic', 30, 30, 20, 20]);
+        await sharp(data, { raw: { width, height, channels } }).png().toFile(photoPath);
+
+        const result = await segmentLeaf(photoPath);
+
+        // 400 of 3600 px, give or take the resized edges
+        expect(result.leafFound).toBe(true);
+        expect(result.leafCoverage).toBeCloseTo(0.36, 1);
+        expect(result.necroticArea).toBeGreaterThan(10);
+        expect(result.necroticArea).toBeLessThan(12.5);
+    });
+});
+
+describe('health score from leaf damage', () => {
+    const score = (damage, ruleSet = rules) => evaluatePrediction(
+        { className: 'Tomato___healthy', probability: 0.95 }, 'plantvillage', ruleSet, { damage }
+    );
+    const measured = (damagedArea, leafCoverage = 0.36) => ({ leafFound: true, leafCoverage, damagedArea });
+
+    test.each([
+        [0, 100, 'excellent'],
+        [5, 85, 'good'],
+        [10, 77, 'good'],
+        [11.1, 75, 'good'],
+        [40, 40, 'poor'],
+        [100, 0, 'poor'],
+        [140, 0, 'poor']
+    ])('scores %s%% damaged leaf area as %d (%s) along the curve', (damagedArea, healthScore, condition) => {
+        expect(score(measured(damagedArea))).toMatchObject({
+            healthScore,
+            condition,
+            scoreSource: 'leaf_damage',
+            matchedRules: ['healthy-label', 'leaf-damage']
+        });
+    });
+
+    test('scores the segmented synthetic leaf from its measured damage', () => {
+        const damage = segmentPixels(leaf(['necrotic', 30, 30, 10, 10], ['chlorotic', 30, 50, 30, 10]));
+
+        expect(damage.damagedArea).toBe(11.1);
+        expect(score(damage)).toMatchObject({ healthScore: 75, scoreSource: 'leaf_damage' });
+    });
+
+    test('falls back to the model confidence without a usable segmentation', () => {
+        // healthy labels score 85 + 15 * probability
+        expect(score(undefined)).toMatchObject({ healthScore: 99, scoreSource: 'model' });
+        expect(score({ leafFound: false, leafCoverage: 0.05 })).toMatchObject({ healthScore: 99, scoreSource: 'model' });
+        expect(score(measured(60, 0.08))).toMatchObject({ healthScore: 99, scoreSource: 'model' });
+    });
+
+    test('falls back to the model confidence when the rule set has no damage scoring', () => {
+        const { damageScoring, ...withoutDamageScoring } = rules;
+
+        expect(damageScoring).toBeDefined();
+        expect(score(measured(60), withoutDamageScoring)).toMatchObject({ healthScore: 99, scoreSource: 'model' });
+    });
+});
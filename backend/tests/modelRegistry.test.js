@@ -0,0 +1,62 @@
+// Model registry tests: model definitions are cached between lookups
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-models-'));
+process.env.AI_MODELS_DIR = tmpDir;
+
+jest.mock('@tensorflow/tfjs-node', () => ({}));
+jest.mock('@tensorflow-models/mobilenet', () => ({}));
+
+const modelRegistry = require('../services/modelRegistry');
+
+const writeModel = (id, metadata = {}) => {
+    const modelDir = path.join(tmpDir, id);
+    fs.mkdirSync(modelDir, { recursive: true });
+    fs.writeFileSync(path.join(modelDir, 'model.json'), '{}');
+    fs.writeFileSync(path.join(modelDir, 'metadata.json'), JSON.stringify({
+        name: id,
+        labels: ['Tomato___healthy', 'Tomato___Early_blight'],
+        ...metadata
+    }));
+};
+
+// Directory mtimes can have coarse resolution; move it forward explicitly
+const touchModelsDir = () => {
+    const later = new Date(fs.statSync(tmpDir).mtimeMs + 1000);
+    fs.utimesSync(tmpDir, later, later);
+};
+
+afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('model definitions', () => {
+    test('reads the models directory once until it changes', () => {
+        writeModel('tomato-v1');
+        const readdir = jest.spyOn(fs, 'readdirSync');
+
+        expect(modelRegistry.hasModel('tomato-v1')).toBe(true);
+        expect(modelRegistry.hasModel('mobilenet-v1-0.25')).toBe(true);
+        expect(modelRegistry.getModelDefinition('tomato-v1').taxonomy).toBe('plantvillage');
+        expect(readdir).toHaveBeenCalledTimes(1);
+
+        writeModel('tomato-v2');
+        touchModelsDir();
+
+        expect(modelRegistry.hasModel('tomato-v2')).toBe(true);
+        expect(readdir).toHaveBeenCalledTimes(2);
+        readdir.mockRestore();
+    });
+
+    test('picks up changed metadata on refresh', () => {
+        expect(modelRegistry.getModelDefinition('tomato-v1').name).toBe('tomato-v1');
+
+        writeModel('tomato-v1', { name: 'Tomato v1 retrained' });
+        expect(modelRegistry.getModelDefinition('tomato-v1').name).toBe('tomato-v1');
+
+        modelRegistry.refreshModelDefinitions();
+        expect(modelRegistry.getModelDefinition('tomato-v1').name).toBe('Tomato v1 retrained');
+    });
+});
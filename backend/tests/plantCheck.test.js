@@ -0,0 +1,129 @@
+// Plant check tests: photos that don't show a plant are rejected by the share
+// of plant classes, the top-1 confidence and the entropy of the model output
+jest.mock('@tensorflow/tfjs-node', () => ({}));
+jest.mock('../services/modelRegistry', () => ({}));
+
+const { checkPlant, readRulesFile } = require('../services/agriculturalRules');
+const { convertToAgriculturalAnalysis, getAnalysisStatus } = require('../services/aiAnalysis');
+
+const rules = readRulesFile();
+
+// imagenet: at least 10% of the top predictions on plant classes
+// plantvillage: top-1 of at least 0.3 and normalized entropy of at most 0.8
+const imagenet = { id: 'mobilenet-v1-0.25', version: '1.0.0', taxonomy: 'imagenet' };
+const plantvillage = { id: 'plantvillage-v1', version: '1.0.0', taxonomy: 'plantvillage' };
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('checkPlant', () => {
+    test('adds up the probability of the plant classes among the top predictions', () => {
+        const result = checkPlant([
+            { className: 'Leaf beetle, chrysomelid', probability: 0.061 },
+            { className: 'dung beetle', probability: 0.05 },
+            { className: 'cucumber, cuke', probability: 0.04 }
+        ], 'imagenet', rules);
+
+        expect(result).toEqual({ isPlant: true, reasons: [], plantProbability: 0.101, confidence: 0.061, entropy: null });
+    });
+
+    test('accepts a plant share exactly at the minimum and rejects one just below', () => {
+        const atMinimum = checkPlant([
+            { className: 'tabby, tabby cat', probability: 0.6 },
+            { className: 'broccoli', probability: 0.1 }
+        ], 'imagenet', rules);
+        const belowMinimum = checkPlant([
+            { className: 'tabby, tabby cat', probability: 0.6 },
+            { className: 'broccoli', probability: 0.0999 }
+        ], 'imagenet', rules);
+
+        expect(atMinimum.isPlant).toBe(true);
+        expect(belowMinimum).toMatchObject({ isPlant: false, reasons: ['no_plant_classes'], plantProbability: 0.0999 });
+    });
+
+    test('only counts exact plant class names', () => {
+        // "corn" is a plant class, "popcorn" and "cornet" are not
+        const result = checkPlant([
+            { className: 'popcorn', probability: 0.5 },
+            { className: 'cornet, horn', probability: 0.3 }
+        ], 'imagenet', rules);
+
+        expect(result).toMatchObject({ isPlant: false, plantProbability: 0 });
+    });
+
+    test('rejects an unsure model by confidence and entropy and lists every reason', () => {
+        const predictions = [{ className: 'Tomato___healthy', probability: 0.29 }];
+
+        expect(checkPlant(predictions, 'plantvillage', rules, { entropy: 0.81234 })).toEqual({
+            isPlant: false,
+            reasons: ['low_confidence', 'high_entropy'],
+            plantProbability: null,
+            confidence: 0.29,
+            entropy: 0.8123
+        });
+        expect(checkPlant(predictions, 'plantvillage', rules, { entropy: 0.8 }).reasons).toEqual(['low_confidence']);
+    });
+
+    test('skips the entropy check when the entropy is unknown', () => {
+        const result = checkPlant([{ className: 'Tomato___healthy', probability: 0.9 }], 'plantvillage', rules);
+
+        expect(result).toMatchObject({ isPlant: true, entropy: null });
+    });
+
+    test('treats an empty prediction list as zero confidence', () => {
+        expect(checkPlant([], 'plantvillage', rules)).toMatchObject({ isPlant: false, reasons: ['low_confidence'], confidence: 0 });
+    });
+
+    test('accepts everything for a taxonomy without plant detection settings', () => {
+        const withoutDetection = {
+            ...rules,
+            taxonomies: { ...rules.taxonomies, plantvillage: { ...rules.taxonomies.plantvillage, plantDetection: {} } }
+        };
+
+        const result = checkPlant([{ className: 'Tomato___healthy', probability: 0.01 }], 'plantvillage', withoutDetection, { entropy: 1 });
+
+        expect(result).toMatchObject({ isPlant: true, reasons: [] });
+    });
+});
+
+describe('convertToAgriculturalAnalysis', () => {
+    const dog = [
+        { className: 'golden retriever', probability: 0.82, classId: 207 },
+        { className: 'Labrador retriever', probability: 0.09, classId: 208 },
+        { className: 'tennis ball', probability: 0.03, classId: 852 }
+    ];
+
+    test('returns photo advice instead of a diagnosis for a photo that is not a plant', () => {
+        const analysis = convertToAgriculturalAnalysis(dog, imagenet, rules);
+
+        expect(analysis).toMatchObject({
+            modelUsed: 'mobilenet-v1-0.25',
+            rulesVersion: rules.version,
+            plantCheck: { isPlant: false, reasons: ['no_plant_classes'] },
+            message: rules.notPlant.message,
+            cropAnalysis: { issues: [], recommendations: rules.notPlant.recommendations, confidence: 0.82 },
+            pestAnalysis: { detected: false, pests: [] }
+        });
+        expect(analysis.cropAnalysis.detectedCrop).toBeUndefined();
+        expect(analysis.cropAnalysis.healthScore).toBeUndefined();
+        expect(getAnalysisStatus(analysis)).toBe('not_a_plant');
+    });
+
+    test('diagnoses a photo that passes the check', () => {
+        const analysis = convertToAgriculturalAnalysis(
+            [{ className: 'Tomato___Early_blight', probability: 0.9, classId: 29 }],
+            plantvillage,
+            rules,
+            { entropy: 0.3 }
+        );
+
+        expect(analysis.plantCheck).toMatchObject({ isPlant: true, entropy: 0.3 });
+        expect(analysis.cropAnalysis).toMatchObject({ detectedCrop: 'Tomato', condition: 'poor' });
+        expect(getAnalysisStatus(analysis)).toBe('completed');
+    });
+});
@@ -4,13 +4,23 @@ import type React from "react"
 
 import { useState, useRef, useEffect } from "react"
 import { AppHeader } from "@/components/app-header"
+import { ChatContextPanel } from "@/components/chat-context-panel"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { Send, Loader2, Sprout, User, AlertCircle, Trash2 } from "lucide-react"
 import { useAuth } from "@/lib/auth-context"
-import { apiCall, API_URL } from "@/lib/api"
+import { streamChat } from "@/lib/chat-stream"
 import ReactMarkdown from "react-markdown"
 
+// Shown while the assistant looks up live farm data
+const TOOL_STATUS: Record<string, string> = {
+  get_current_weather: "Checking the current weather...",
+  get_weather_forecast: "Checking the forecast...",
+  get_analysis_history: "Looking at your recent scans...",
+  suggest_crops: "Finding crops that suit your farm...",
+  search_community: "Searching the community...",
+}
+
 interface Message {
   id: string
   role: "user" | "assistant"
@@ -32,8 +42,10 @@ export default function ChatPage() {
   const [input, setInput] = useState("")
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState<string | null>(null)
+  const [toolStatus, setToolStatus] = useState<string | null>(null)
   const messagesEndRef = useRef<HTMLDivElement>(null)
   const inputRef = useRef<HTMLInputElement>(null)
+  const streamAbortRef = useRef<AbortController | null>(null)
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" })
@@ -43,6 +55,9 @@ export default function ChatPage() {
     scrollToBottom()
   }, [messages])
 
+  // Leaving the page closes the stream; the server keeps the partial reply
+  useEffect(() => () => streamAbortRef.current?.abort(), [])
+
   const handleSend = async () => {
     if (!input.trim() || isLoading) return
 
@@ -66,51 +81,34 @@ export default function ChatPage() {
         sessionStorage.setItem('chatSessionId', sessionId)
       }
 
-      // Call backend API using apiCall helper
-      const response = await apiCall('/api/chatbot/chat', {
-        method: 'POST',
-        body: JSON.stringify({ 
+      // Stream the reply into an empty assistant message as tokens arrive
+      const aiMessageId = (Date.now() + 1).toString()
+      setMessages((prev) => [
+        ...prev,
+        { id: aiMessageId, role: "assistant", content: "", timestamp: new Date() },
+      ])
+
+      const controller = new AbortController()
+      streamAbortRef.current = controller
+
+      await streamChat(
+        {
           message: userMessage.content,
           sessionId: sessionId,
           language: 'en'
-        }),
-      })
-
-      // Log response for debugging
-      console.log('Response status:', response.status)
-      console.log('Response ok:', response.ok)
-
-      const data = await response.json()
-      console.log('Response data:', data)
-
-      if (!response.ok) {
-        throw new Error(data.message || `Server error: ${response.status}`)
-      }
-
-      // Update session ID if provided
-      if (data.data?.sessionId) {
-        sessionStorage.setItem('chatSessionId', data.data.sessionId)
-      }
-
-      // Extract AI response from various possible response structures
-      let aiContent = data.data?.response || 
-                      data.data?.message || 
-                      data.response || 
-                      data.message
-
-      if (!aiContent) {
-        console.error('Unexpected response structure:', data)
-        aiContent = "I apologize, but I couldn't generate a proper response. Please try again."
-      }
-
-      const aiResponse: Message = {
-        id: (Date.now() + 1).toString(),
-        role: "assistant",
-        content: aiContent,
-        timestamp: new Date(),
-      }
-
-      setMessages((prev) => [...prev, aiResponse])
+        },
+        {
+          onSession: (id) => sessionStorage.setItem('chatSessionId', id),
+          onToolCall: (call) => setToolStatus(TOOL_STATUS[call.name] || null),
+          onToken: (text) =>
+            setMessages((prev) =>
+              prev.map((message) =>
+                message.id === aiMessageId ? { ...message, content: message.content + text } : message
+              )
+            ),
+        },
+        controller.signal
+      )
     } catch (err) {
       console.error('Chat error:', err)
       const errorMsg = err instanceof Error ? err.message : 'Failed to get response'
@@ -123,8 +121,10 @@ export default function ChatPage() {
         content: "I'm sorry, I'm having trouble connecting right now. Please try again in a moment.",
         timestamp: new Date(),
       }
-      setMessages((prev) => [...prev, errorMessage])
+      setMessages((prev) => [...prev.filter((message) => message.content !== ""), errorMessage])
     } finally {
+      streamAbortRef.current = null
+      setToolStatus(null)
       setIsLoading(false)
       inputRef.current?.focus()
     }
@@ -182,6 +182,8 @@ export default function ChatPage() {
           </div>
         )}
 
+        <ChatContextPanel />
+
         {/* Messages Container */}
         <div className="flex-1 overflow-y-auto px-4 py-6 space-y-4">
           {/* Clear Chat Button */}
@@ -199,7 +201,7 @@ export default function ChatPage() {
             </div>
           )}
 
-          {messages.map((message) => (
+          {messages.filter((message) => message.content !== "").map((message) => (
             <div key={message.id} className={`flex gap-3 ${message.role === "user" ? "justify-end" : "justify-start"}`}>
               {message.role === "assistant" && (
                 <div className="w-8 h-8 rounded-full bg-primary/10 flex items-center justify-center flex-shrink-0">
@@ -287,13 +289,14 @@ export default function ChatPage() {
             </div>
           ))}
 
-          {isLoading && (
+          {isLoading && messages[messages.length - 1]?.content === "" && (
             <div className="flex gap-3 justify-start">
               <div className="w-8 h-8 rounded-full bg-primary/10 flex items-center justify-center flex-shrink-0">
                 <Sprout className="w-4 h-4 text-primary" />
               </div>
-              <div className="bg-muted rounded-2xl px-4 py-3">
+              <div className="bg-muted rounded-2xl px-4 py-3 flex items-center gap-2">
                 <Loader2 className="w-5 h-5 animate-spin text-muted-foreground" />
+                {toolStatus && <span className="text-sm text-muted-foreground">{toolStatus}</span>}
               </div>
             </div>
           )}
@@ -2,12 +2,14 @@
 
 import type React from "react"
 
-import { useState, useRef } from "react"
+import { useState, useRef, useEffect } from "react"
 import { AppHeader } from "@/components/app-header"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
-import { Camera, Upload, X, Loader2, AlertCircle, CheckCircle2, Info } from "lucide-react"
+import { Camera, Upload, X, Loader2, AlertCircle, CheckCircle2, Info, CloudOff, RefreshCw } from "lucide-react"
 import Image from "next/image"
+import { analyzeImageOffline, getCachedPackage, refreshOfflinePackage, type OfflineResult } from "@/lib/offline/model"
+import { enqueueUpload, listQueuedUploads, registerAutoSync, syncQueuedUploads } from "@/lib/offline/queue"
 
 interface DetectionResult {
   disease: string
@@ -18,16 +20,109 @@ interface DetectionResult {
   prevention: string[]
 }
 
+const SEVERITY_BY_CONDITION: Record<string, DetectionResult["severity"]> = {
+  excellent: "low",
+  good: "low",
+  fair: "medium",
+  poor: "high",
+  critical: "high",
+}
+
+const toDetectionResult = ({ analysis }: OfflineResult): DetectionResult => {
+  const confidence = Math.round(analysis.confidence * 100)
+  if (!analysis.isPlant) {
+    return {
+      disease: "No plant detected",
+      confidence,
+      severity: "low",
+      description: analysis.message || "",
+      treatment: [],
+      prevention: analysis.recommendations,
+    }
+  }
+
+  return {
+    disease: analysis.diseaseDetected ? analysis.diseaseName || "Possible disease" : "Healthy",
+    confidence,
+    severity: SEVERITY_BY_CONDITION[analysis.condition || ""] || "medium",
+    description: `${analysis.detectedCrop} in ${analysis.condition} condition (health score ${analysis.healthScore}/100).${
+      analysis.symptoms.length > 0 ? ` Look for: ${analysis.symptoms.join(", ").toLowerCase()}.` : ""
+    }`,
+    treatment: analysis.treatment,
+    prevention: analysis.recommendations,
+  }
+}
+
+const loadImage = (src: string) =>
+  new Promise<HTMLImageElement>((resolve, reject) => {
+    const image = new window.Image()
+    image.onload = () => resolve(image)
+    image.onerror = () => reject(new Error("Could not read the image"))
+    image.src = src
+  })
+
 export default function DetectPage() {
   const [selectedImage, setSelectedImage] = useState<string | null>(null)
   const [isAnalyzing, setIsAnalyzing] = useState(false)
   const [result, setResult] = useState<DetectionResult | null>(null)
+  const [selectedFile, setSelectedFile] = useState<File | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [modelStatus, setModelStatus] = useState<string | null>(null)
+  const [pendingCount, setPendingCount] = useState(0)
+  const [isOnline, setIsOnline] = useState(true)
   const fileInputRef = useRef<HTMLInputElement>(null)
   const cameraInputRef = useRef<HTMLInputElement>(null)
 
+  const refreshPendingCount = async () => {
+    try {
+      setPendingCount((await listQueuedUploads()).length)
+    } catch (err) {
+      console.error("Failed to read offline queue:", err)
+    }
+  }
+
+  const syncNow = async () => {
+    try {
+      await syncQueuedUploads()
+    } catch (err) {
+      console.error("Offline sync failed:", err)
+    }
+    await refreshPendingCount()
+  }
+
+  useEffect(() => {
+    const updateOnline = () => setIsOnline(navigator.onLine)
+    updateOnline()
+    window.addEventListener("online", updateOnline)
+    window.addEventListener("offline", updateOnline)
+    const unregister = registerAutoSync(() => refreshPendingCount())
+
+    const cached = getCachedPackage()
+    setModelStatus(cached ? `Offline model ready (${cached.model.id})` : null)
+    if (navigator.onLine) {
+      refreshOfflinePackage()
+        .then((offlinePackage) => setModelStatus(`Offline model ready (${offlinePackage.model.id})`))
+        .catch((err) => {
+          console.error("Failed to download offline model:", err)
+          if (!cached) setModelStatus("Offline model not downloaded yet")
+        })
+      syncNow()
+    } else {
+      refreshPendingCount()
+    }
+
+    return () => {
+      window.removeEventListener("online", updateOnline)
+      window.removeEventListener("offline", updateOnline)
+      unregister()
+    }
+  }, [])
+
   const handleFileSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
     const file = e.target.files?.[0]
     if (file) {
+      setSelectedFile(file)
+      setError(null)
       const reader = new FileReader()
       reader.onloadend = () => {
         setSelectedImage(reader.result as string)
@@ -38,42 +133,51 @@ export default function DetectPage() {
   }
 
   const handleAnalyze = async () => {
-    if (!selectedImage) return
+    if (!selectedImage || !selectedFile) return
 
     setIsAnalyzing(true)
     setResult(null)
+    setError(null)
 
-    // Simulate AI analysis
-    await new Promise((resolve) => setTimeout(resolve, 2500))
-
-    // Mock result
-    const mockResult: DetectionResult = {
-      disease: "Early Blight",
-      confidence: 87,
-      severity: "medium",
-      description:
-        "Early blight is a common fungal disease affecting tomato and potato plants. It appears as dark brown spots with concentric rings on older leaves.",
-      treatment: [
-        "Remove and destroy infected leaves",
-        "Apply copper-based fungicide",
-        "Improve air circulation around plants",
-        "Water at the base of plants, not overhead",
-      ],
-      prevention: [
-        "Use disease-resistant varieties",
-        "Practice crop rotation",
-        "Mulch around plants to prevent soil splash",
-        "Maintain proper plant spacing",
-      ],
-    }
+    try {
+      // Runs on the device, so scanning works without a connection
+      const offlineResult = await analyzeImageOffline(await loadImage(selectedImage))
+      const { offlinePackage, predictions, analysis } = offlineResult
+      setResult(toDetectionResult(offlineResult))
 
-    setResult(mockResult)
-    setIsAnalyzing(false)
+      // Queue the photo with the on-device result; the server re-verifies it on upload
+      await enqueueUpload(selectedFile, selectedFile.name, {
+        modelId: offlinePackage.model.id,
+        modelVersion: offlinePackage.model.version,
+        rulesVersion: offlinePackage.rules.version,
+        packageVersion: offlinePackage.packageVersion,
+        predictions,
+        isPlant: analysis.isPlant,
+        detectedCrop: analysis.detectedCrop,
+        healthScore: analysis.healthScore,
+        condition: analysis.condition,
+        confidence: analysis.confidence,
+        diseaseDetected: analysis.diseaseDetected,
+        diseaseName: analysis.diseaseName,
+        analyzedAt: new Date().toISOString(),
+      })
+      if (navigator.onLine) {
+        await syncNow()
+      } else {
+        await refreshPendingCount()
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Analysis failed")
+    } finally {
+      setIsAnalyzing(false)
+    }
   }
 
   const handleReset = () => {
     setSelectedImage(null)
+    setSelectedFile(null)
     setResult(null)
+    setError(null)
     setIsAnalyzing(false)
   }
 
@@ -95,6 +199,32 @@ export default function DetectPage() {
       <AppHeader title="Disease Detection" subtitle="Scan your crops for diseases" />
 
       <main className="container px-4 py-6 space-y-6">
+        {/* Offline Status */}
+        {(modelStatus || pendingCount > 0 || !isOnline) && (
+          <Card className="bg-muted/50">
+            <CardContent className="pt-6">
+              <div className="flex items-center gap-3">
+                <CloudOff className="h-5 w-5 text-muted-foreground flex-shrink-0" />
+                <div className="flex-1 space-y-1 text-sm">
+                  {!isOnline && <p className="font-medium">You are offline</p>}
+                  {modelStatus && <p className="text-muted-foreground">{modelStatus}</p>}
+                  {pendingCount > 0 && (
+                    <p className="text-muted-foreground">
+                      {pendingCount} scan{pendingCount === 1 ? "" : "s"} waiting to sync
+                    </p>
+                  )}
+                </div>
+                {pendingCount > 0 && isOnline && (
+                  <Button onClick={syncNow} variant="outline" size="sm">
+                    <RefreshCw className="mr-2 h-4 w-4" />
+                    Sync
+                  </Button>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
         {!selectedImage ? (
           <>
             {/* Upload Options */}
@@ -193,6 +323,18 @@ export default function DetectPage() {
               </CardContent>
             </Card>
 
+            {/* Error */}
+            {error && (
+              <Card className="border-destructive/20 bg-destructive/5">
+                <CardContent className="pt-6">
+                  <div className="flex gap-3">
+                    <AlertCircle className="h-5 w-5 text-destructive flex-shrink-0 mt-0.5" />
+                    <p className="text-sm text-destructive">{error}</p>
+                  </div>
+                </CardContent>
+              </Card>
+            )}
+
             {/* Analysis Button */}
             {!result && !isAnalyzing && (
               <Button onClick={handleAnalyze} className="w-full bg-primary hover:bg-primary-hover text-white" size="lg">
@@ -208,7 +350,7 @@ export default function DetectPage() {
                     <Loader2 className="h-12 w-12 animate-spin text-primary" />
                     <div className="text-center space-y-1">
                       <p className="font-medium">Analyzing Image...</p>
-                      <p className="text-sm text-muted-foreground">Our AI is examining your plant</p>
+                      <p className="text-sm text-muted-foreground">Our AI is examining your plant on this device</p>
                     </div>
                   </div>
                 </CardContent>
@@ -239,26 +381,28 @@ export default function DetectPage() {
                 </Card>
 
                 {/* Treatment */}
-                <Card>
-                  <CardHeader>
-                    <div className="flex items-center gap-2">
-                      <AlertCircle className="h-5 w-5 text-secondary" />
-                      <CardTitle className="text-lg">Treatment</CardTitle>
-                    </div>
-                  </CardHeader>
-                  <CardContent>
-                    <ul className="space-y-2">
-                      {result.treatment.map((step, index) => (
-                        <li key={index} className="flex items-start gap-2 text-sm">
-                          <span className="w-5 h-5 rounded-full bg-secondary/10 text-secondary flex items-center justify-center text-xs font-medium flex-shrink-0 mt-0.5">
-                            {index + 1}
-                          </span>
-                          <span className="text-muted-foreground">{step}</span>
-                        </li>
-                      ))}
-                    </ul>
-                  </CardContent>
-                </Card>
+                {result.treatment.length > 0 && (
+                  <Card>
+                    <CardHeader>
+                      <div className="flex items-center gap-2">
+                        <AlertCircle className="h-5 w-5 text-secondary" />
+                        <CardTitle className="text-lg">Treatment</CardTitle>
+                      </div>
+                    </CardHeader>
+                    <CardContent>
+                      <ul className="space-y-2">
+                        {result.treatment.map((step, index) => (
+                          <li key={index} className="flex items-start gap-2 text-sm">
+                            <span className="w-5 h-5 rounded-full bg-secondary/10 text-secondary flex items-center justify-center text-xs font-medium flex-shrink-0 mt-0.5">
+                              {index + 1}
+                            </span>
+                            <span className="text-muted-foreground">{step}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </CardContent>
+                  </Card>
+                )}
 
                 {/* Prevention */}
                 <Card>
@@ -285,7 +429,13 @@ export default function DetectPage() {
                   <Button onClick={handleReset} variant="outline" className="flex-1 bg-transparent">
                     Scan Another
                   </Button>
-                  <Button className="flex-1 bg-primary hover:bg-primary-hover text-white">Save Result</Button>
+                  <Button
+                    onClick={syncNow}
+                    disabled={!isOnline || pendingCount === 0}
+                    className="flex-1 bg-primary hover:bg-primary-hover text-white"
+                  >
+                    {pendingCount > 0 ? "Sync Now" : "Saved"}
+                  </Button>
                 </div>
               </>
             )}
@@ -0,0 +1,114 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Button } from "@/components/ui/button"
+import { ChevronDown, ChevronUp, Loader2 } from "lucide-react"
+import { apiCall } from "@/lib/api"
+
+type ContextSection = "profile" | "location" | "alerts" | "analyses" | "weather" | "fields"
+
+interface ChatContext {
+  settings: Record<ContextSection, boolean>
+  budget: number
+  tokens: number
+  sections: { key: ContextSection; lines: string[]; tokens: number; truncated: boolean }[]
+  omitted: ContextSection[]
+}
+
+const SECTION_LABELS: Record<ContextSection, string> = {
+  profile: "Crops & experience",
+  location: "Location",
+  alerts: "Weather alerts",
+  analyses: "Recent scans",
+  weather: "Latest weather",
+  fields: "Fields",
+}
+
+// What the assistant is told about the farm, with a switch per section
+export function ChatContextPanel() {
+  const [context, setContext] = useState<ChatContext | null>(null)
+  const [isOpen, setIsOpen] = useState(false)
+  const [savingKey, setSavingKey] = useState<ContextSection | null>(null)
+
+  useEffect(() => {
+    apiCall('/api/chatbot/context')
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => data && setContext(data.data.context))
+      .catch((error) => console.error('Failed to load chat context:', error))
+  }, [])
+
+  const toggleSection = async (key: ContextSection) => {
+    if (!context) return
+    setSavingKey(key)
+    try {
+      const response = await apiCall('/api/chatbot/context', {
+        method: 'PUT',
+        body: JSON.stringify({ [key]: !context.settings[key] })
+      })
+      if (response.ok) {
+        const data = await response.json()
+        setContext(data.data.context)
+      }
+    } catch (error) {
+      console.error('Failed to update chat context:', error)
+    } finally {
+      setSavingKey(null)
+    }
+  }
+
+  if (!context) return null
+
+  const sharedCount = context.sections.length
+
+  return (
+    <div className="mx-4 mt-4 rounded-lg border border-border bg-muted/40">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between px-3 py-2 text-sm text-muted-foreground"
+      >
+        <span>
+          {sharedCount > 0
+            ? `The assistant knows ${sharedCount} thing${sharedCount === 1 ? "" : "s"} about your farm`
+            : "The assistant knows nothing about your farm yet"}
+        </span>
+        {isOpen ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+
+      {isOpen && (
+        <div className="px-3 pb-3 space-y-3">
+          {(Object.keys(SECTION_LABELS) as ContextSection[]).map((key) => {
+            const section = context.sections.find((item) => item.key === key)
+            const shared = context.settings[key]
+            return (
+              <div key={key} className="flex items-start gap-3">
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium">{SECTION_LABELS[key]}</p>
+                  {shared && section?.lines.map((line, index) => (
+                    <p key={index} className="text-xs text-muted-foreground truncate">{line}</p>
+                  ))}
+                  {shared && !section && (
+                    <p className="text-xs text-muted-foreground">
+                      {context.omitted.includes(key) ? "Left out to keep the prompt short" : "Nothing to share yet"}
+                    </p>
+                  )}
+                  {!shared && <p className="text-xs text-muted-foreground">Not shared</p>}
+                </div>
+                <Button
+                  onClick={() => toggleSection(key)}
+                  variant={shared ? "outline" : "default"}
+                  size="sm"
+                  disabled={savingKey !== null}
+                >
+                  {savingKey === key ? <Loader2 className="w-4 h-4 animate-spin" /> : shared ? "Stop sharing" : "Share"}
+                </Button>
+              </div>
+            )
+          })}
+          <p className="text-xs text-muted-foreground">
+            About {context.tokens} of {context.budget} tokens used
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
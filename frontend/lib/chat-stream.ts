@@ -0,0 +1,100 @@
+// Client for POST /api/chatbot/chat/stream. EventSource only does GET, so the
+// Server-Sent Events are read off a fetch response body instead.
+
+import { apiCall } from '@/lib/api'
+
+export interface ChatStreamRequest {
+  message: string
+  sessionId?: string | null
+  language?: string
+}
+
+// A farm data tool the assistant called (current weather, forecast, analysis
+// history, crop suggestions, community search)
+export interface ChatToolCall {
+  name: string
+  args: Record<string, unknown>
+  error?: string
+  durationMs?: number
+}
+
+export interface ChatStreamDone {
+  sessionId: string
+  messageCount: number
+  responseSource: 'gemini' | 'openai' | 'local'
+  provider: string
+  model: string
+  sources: { document: string; title: string; heading: string | null }[]
+  contextShared: string[]
+  toolCalls: ChatToolCall[]
+}
+
+export interface ChatStreamHandlers {
+  onSession?: (sessionId: string) => void
+  onToken: (text: string) => void
+  onToolCall?: (call: ChatToolCall) => void
+  onDone?: (done: ChatStreamDone) => void
+}
+
+const handleEvent = (event: string, data: string, handlers: ChatStreamHandlers) => {
+  const payload = JSON.parse(data)
+  switch (event) {
+    case 'session':
+      handlers.onSession?.(payload.sessionId)
+      break
+    case 'tool':
+      handlers.onToolCall?.(payload)
+      break
+    case 'token':
+      handlers.onToken(payload.text)
+      break
+    case 'done':
+      handlers.onDone?.(payload)
+      break
+    case 'error':
+      throw new Error(payload.message || 'Chat stream failed')
+  }
+}
+
+export const streamChat = async (
+  request: ChatStreamRequest,
+  handlers: ChatStreamHandlers,
+  signal?: AbortSignal
+): Promise<void> => {
+  const response = await apiCall('/api/chatbot/chat/stream', {
+    method: 'POST',
+    headers: { Accept: 'text/event-stream' },
+    body: JSON.stringify(request),
+    signal,
+  })
+
+  if (!response.ok || !response.body) {
+    const data = await response.json().catch(() => ({}))
+    throw new Error(data.message || `Server error: ${response.status}`)
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buffer += value
+
+    // Events are separated by a blank line
+    let boundary = buffer.indexOf('\n\n')
+    while (boundary !== -1) {
+      const block = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+      boundary = buffer.indexOf('\n\n')
+
+      let event = 'message'
+      const data: string[] = []
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim())
+      }
+      if (data.length > 0) handleEvent(event, data.join('\n'), handlers)
+    }
+  }
+}
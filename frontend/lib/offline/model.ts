@@ -0,0 +1,186 @@
+// On-device inference. The offline package from /api/ai/offline-package (model
+// description plus agricultural rule set) is kept in localStorage and the model
+// weights in IndexedDB, so photos can be classified with TF.js without a
+// connection. Built-in MobileNets come from TF Hub, trained models from the API.
+
+import * as tf from '@tensorflow/tfjs'
+import * as mobilenet from '@tensorflow-models/mobilenet'
+import { IMAGENET_CLASSES } from '@tensorflow-models/mobilenet/dist/imagenet_classes'
+import { API_URL, apiCall, getAuthToken } from '@/lib/api'
+import { analyzePredictions, type OfflineAnalysis, type Prediction, type RuleSet } from './rules'
+
+const PACKAGE_KEY = 'agriai_offline_package'
+const MODEL_STORE = 'indexeddb://agriai-offline-model'
+const BASE_MODEL_STORE = 'indexeddb://agriai-offline-base'
+const TOP_K = 5
+
+interface ModelDescription {
+  id: string
+  version: string
+  type: 'mobilenet' | 'mobilenet-head' | 'layers' | 'graph'
+  taxonomy: string
+  inputSize: number
+  inputRange?: [number, number]
+  outputActivation?: 'softmax' | 'logits'
+  labels?: string[]
+  mobilenet?: { version: 1 | 2; alpha: 0.25 | 0.5 | 0.75 | 1; inputRange: [number, number] }
+  modelUrl: string
+  fromTFHub: boolean
+}
+
+export interface OfflinePackage {
+  packageVersion: string
+  generatedAt: string
+  model: ModelDescription
+  baseModel?: ModelDescription
+  rules: RuleSet
+}
+
+export interface OfflineResult {
+  offlinePackage: OfflinePackage
+  predictions: Prediction[]
+  entropy: number
+  analysis: OfflineAnalysis
+}
+
+type Classifier = (image: HTMLImageElement) => tf.Tensor2D
+
+let loaded: { packageVersion: string; classify: Classifier; labels: string[] } | null = null
+
+export const getCachedPackage = (): OfflinePackage | null => {
+  if (typeof window === 'undefined') return null
+  const stored = localStorage.getItem(PACKAGE_KEY)
+  return stored ? (JSON.parse(stored) as OfflinePackage) : null
+}
+
+const authRequestInit = (): RequestInit => {
+  const token = getAuthToken()
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : {}
+}
+
+// Download one model and save it to IndexedDB under `store`
+const saveModel = async (description: ModelDescription, store: string) => {
+  if (description.fromTFHub) {
+    const graph = await tf.loadGraphModel(description.modelUrl, { fromTFHub: true })
+    await graph.save(store)
+    graph.dispose()
+    return
+  }
+
+  const url = `${API_URL}${description.modelUrl}`
+  const options = { requestInit: authRequestInit() }
+  const model = description.type === 'graph'
+    ? await tf.loadGraphModel(url, options)
+    : await tf.loadLayersModel(url, options)
+  await model.save(store)
+  model.dispose()
+}
+
+const sameModel = (a?: ModelDescription, b?: ModelDescription) =>
+  a?.id === b?.id && a?.version === b?.version
+
+// Fetch the latest package from the server. Model weights are only downloaded
+// again when the model changed; rule updates are applied either way.
+export const refreshOfflinePackage = async (modelId?: string): Promise<OfflinePackage> => {
+  const query = modelId ? `?modelId=${encodeURIComponent(modelId)}` : ''
+  const response = await apiCall(`/api/ai/offline-package${query}`)
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.message || 'Could not download the offline model')
+  }
+
+  const latest = result.data as OfflinePackage
+  const cached = getCachedPackage()
+  if (!sameModel(cached?.model, latest.model)) {
+    await saveModel(latest.model, MODEL_STORE)
+  }
+  if (latest.baseModel && !sameModel(cached?.baseModel, latest.baseModel)) {
+    await saveModel(latest.baseModel, BASE_MODEL_STORE)
+  }
+
+  localStorage.setItem(PACKAGE_KEY, JSON.stringify(latest))
+  return latest
+}
+
+const loadMobileNet = (description: ModelDescription, store: string) =>
+  mobilenet.load({
+    version: description.mobilenet!.version,
+    alpha: description.mobilenet!.alpha,
+    inputRange: description.mobilenet!.inputRange,
+    modelUrl: store,
+  })
+
+// Build a classifier returning [1, classes] probabilities, like the server's
+// modelRegistry.computeProbabilities
+const loadClassifier = async ({ model, baseModel }: OfflinePackage): Promise<{ classify: Classifier; labels: string[] }> => {
+  if (model.type === 'mobilenet') {
+    const net = await loadMobileNet(model, MODEL_STORE)
+    return {
+      classify: (image) => tf.tidy(() => tf.softmax(net.infer(image) as tf.Tensor2D)),
+      labels: Object.values(IMAGENET_CLASSES),
+    }
+  }
+
+  if (model.type === 'mobilenet-head') {
+    const base = await loadMobileNet(baseModel!, BASE_MODEL_STORE)
+    const head = await tf.loadLayersModel(MODEL_STORE)
+    return {
+      classify: (image) => tf.tidy(() => head.predict(base.infer(image, true)) as tf.Tensor2D),
+      labels: model.labels || [],
+    }
+  }
+
+  const network = model.type === 'graph' ? await tf.loadGraphModel(MODEL_STORE) : await tf.loadLayersModel(MODEL_STORE)
+  const [inputMin, inputMax] = model.inputRange || [0, 1]
+  return {
+    classify: (image) =>
+      tf.tidy(() => {
+        const pixels = tf.browser.fromPixels(image).toFloat()
+        const resized = tf.image.resizeBilinear(pixels, [model.inputSize, model.inputSize], true)
+        const normalized = resized.mul((inputMax - inputMin) / 255).add(inputMin).expandDims(0)
+        const output = network.predict(normalized) as tf.Tensor2D
+        return model.outputActivation === 'logits' ? tf.softmax(output) : output
+      }),
+    labels: model.labels || [],
+  }
+}
+
+// Top predictions plus the normalized entropy of the whole distribution
+const topK = (probabilities: number[], labels: string[]) => ({
+  predictions: probabilities
+    .map((probability, classId) => ({ className: labels[classId] || `class_${classId}`, probability, classId }))
+    .sort((a, b) => b.probability - a.probability)
+    .slice(0, TOP_K),
+  entropy:
+    probabilities.length > 1
+      ? -probabilities.reduce((sum, p) => (p > 0 ? sum + p * Math.log(p) : sum), 0) / Math.log(probabilities.length)
+      : 0,
+})
+
+// Classify a photo on the device with the cached package
+export const analyzeImageOffline = async (image: HTMLImageElement): Promise<OfflineResult> => {
+  const offlinePackage = getCachedPackage()
+  if (!offlinePackage) {
+    throw new Error('The offline model has not been downloaded yet. Connect to the internet once to get it.')
+  }
+
+  if (loaded?.packageVersion !== offlinePackage.packageVersion) {
+    loaded = { packageVersion: offlinePackage.packageVersion, ...(await loadClassifier(offlinePackage)) }
+  }
+
+  const probabilities = loaded.classify(image)
+  let rows: number[][]
+  try {
+    rows = (await probabilities.array()) as number[][]
+  } finally {
+    probabilities.dispose()
+  }
+
+  const { predictions, entropy } = topK(rows[0], loaded.labels)
+  return {
+    offlinePackage,
+    predictions,
+    entropy,
+    analysis: analyzePredictions(predictions, offlinePackage.model.taxonomy, offlinePackage.rules, entropy),
+  }
+}
@@ -0,0 +1,167 @@
+// Photos analyzed offline wait in IndexedDB until the phone is back online,
+// then go to /api/images/upload with the on-device result attached as
+// `clientAnalysis` so the server can re-verify it.
+
+import { API_URL, getAuthToken } from '@/lib/api'
+
+const DB_NAME = 'agriai-offline'
+const STORE = 'uploads'
+
+export interface ClientAnalysis {
+  modelId: string
+  modelVersion: string
+  rulesVersion: string
+  packageVersion: string
+  predictions: { className: string; probability: number; classId?: number }[]
+  isPlant: boolean
+  detectedCrop?: string
+  healthScore?: number
+  condition?: string
+  confidence: number
+  diseaseDetected: boolean
+  diseaseName: string
+  analyzedAt: string
+}
+
+export interface QueuedUpload {
+  id: string
+  image: Blob
+  fileName: string
+  clientAnalysis: ClientAnalysis
+  createdAt: string
+  attempts: number
+  lastError?: string
+}
+
+export interface SyncResult {
+  uploaded: number
+  failed: number
+  remaining: number
+}
+
+const openDatabase = () =>
+  new Promise<IDBDatabase>((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1)
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id' })
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+// Run one request against the uploads store
+const withStore = async <T>(mode: IDBTransactionMode, run: (store: IDBObjectStore) => IDBRequest<T>) => {
+  const db = await openDatabase()
+  try {
+    return await new Promise<T>((resolve, reject) => {
+      const request = run(db.transaction(STORE, mode).objectStore(STORE))
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  } finally {
+    db.close()
+  }
+}
+
+export const enqueueUpload = async (image: Blob, fileName: string, clientAnalysis: ClientAnalysis) => {
+  const item: QueuedUpload = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+    image,
+    fileName,
+    clientAnalysis,
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+  }
+  await withStore('readwrite', (store) => store.put(item))
+  return item
+}
+
+export const listQueuedUploads = async () => {
+  const items = await withStore<QueuedUpload[]>('readonly', (store) => store.getAll())
+  return items.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+}
+
+const removeQueuedUpload = (id: string) => withStore('readwrite', (store) => store.delete(id))
+
+// Client errors other than these won't succeed on retry
+const RETRYABLE_STATUSES = [401, 408, 429]
+
+const uploadItem = async (item: QueuedUpload) => {
+  const formData = new FormData()
+  formData.append('image', item.image, item.fileName)
+  formData.append('analysisType', 'crop')
+  formData.append('modelId', item.clientAnalysis.modelId)
+  formData.append('clientAnalysis', JSON.stringify(item.clientAnalysis))
+
+  // Not apiCall: it sets a JSON Content-Type, multipart needs the browser's boundary
+  const token = getAuthToken()
+  const response = await fetch(`${API_URL}/api/images/upload`, {
+    method: 'POST',
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    body: formData,
+  })
+  if (response.ok) return { ok: true, permanent: false }
+
+  const result = await response.json().catch(() => ({}))
+  return {
+    ok: false,
+    permanent: response.status >= 400 && response.status < 500 && !RETRYABLE_STATUSES.includes(response.status),
+    message: result.message || `Upload failed with status ${response.status}`,
+  }
+}
+
+let syncing: Promise<SyncResult> | null = null
+
+// Upload every queued photo, oldest first. Concurrent calls share one run.
+export const syncQueuedUploads = () => {
+  if (!syncing) {
+    syncing = (async () => {
+      let uploaded = 0
+      let failed = 0
+
+      for (const item of await listQueuedUploads()) {
+        if (typeof navigator !== 'undefined' && !navigator.onLine) break
+
+        try {
+          const outcome = await uploadItem(item)
+          if (outcome.ok) {
+            await removeQueuedUpload(item.id)
+            uploaded++
+            continue
+          }
+          if (outcome.permanent) {
+            // The server rejected the scan itself; retrying won't help
+            console.error(`Dropped offline scan ${item.id}: ${outcome.message}`)
+            await removeQueuedUpload(item.id)
+          } else {
+            await withStore('readwrite', (store) =>
+              store.put({ ...item, attempts: item.attempts + 1, lastError: outcome.message })
+            )
+          }
+        } catch (error) {
+          // Network error: keep the item for the next sync
+          await withStore('readwrite', (store) =>
+            store.put({ ...item, attempts: item.attempts + 1, lastError: (error as Error).message })
+          )
+        }
+        failed++
+      }
+
+      return { uploaded, failed, remaining: (await listQueuedUploads()).length }
+    })().finally(() => {
+      syncing = null
+    })
+  }
+  return syncing
+}
+
+// Sync whenever the browser comes back online. Returns an unsubscribe function.
+export const registerAutoSync = (onSynced?: (result: SyncResult) => void) => {
+  const handleOnline = () => {
+    syncQueuedUploads()
+      .then((result) => onSynced?.(result))
+      .catch((error) => console.error('Offline sync failed:', error))
+  }
+  window.addEventListener('online', handleOnline)
+  return () => window.removeEventListener('online', handleOnline)
+}
@@ -0,0 +1,235 @@
+// Agricultural rule evaluation for on-device analysis. Mirrors evaluatePrediction
+// and checkPlant in backend/services/agriculturalRules.js and runs on the rule
+// set shipped in the offline package, so a phone without a connection reaches
+// the same diagnosis the server would. The server re-checks every offline
+// result when it is uploaded.
+
+export interface Prediction {
+  className: string
+  probability: number
+  classId?: number
+}
+
+interface ScoreFormula {
+  base: number
+  perConfidence: number
+}
+
+interface Taxonomy {
+  cropSource: 'keywords' | 'label'
+  crops: { name: string; keywords: string[] }[]
+  plantKeywords: string[]
+  labelSeparator: string
+  scoreRules: {
+    id: string
+    when: { keywords?: string[]; healthy?: boolean; minConfidence?: number; maxConfidence?: number }
+    score: ScoreFormula
+    disease: boolean
+  }[]
+  defaultScore: ScoreFormula
+  defaultDisease: boolean
+  diseaseName?: string
+  plantDetection: {
+    plantClasses?: string[]
+    minPlantProbability?: number
+    minConfidence?: number
+    maxEntropy?: number
+  }
+}
+
+export interface RuleSet {
+  version: string
+  taxonomies: Record<string, Taxonomy>
+  conditions: { name: string; above: number | null }[]
+  recommendations: Record<string, string[]>
+  disease: {
+    issues: string[]
+    symptoms: string[]
+    treatment: string[]
+    specific: { id: string; keywords: string[]; issues?: string[]; symptoms?: string[]; treatment?: string[] }[]
+  }
+  notPlant: { message: string; recommendations: string[] }
+}
+
+export interface PlantCheck {
+  isPlant: boolean
+  reasons: ('no_plant_classes' | 'low_confidence' | 'high_entropy')[]
+  plantProbability: number | null
+  confidence: number
+  entropy: number | null
+}
+
+export interface OfflineAnalysis {
+  isPlant: boolean
+  plantCheck: PlantCheck
+  message?: string
+  detectedCrop?: string
+  healthScore?: number
+  condition?: string
+  confidence: number
+  diseaseDetected: boolean
+  diseaseName: string
+  issues: string[]
+  symptoms: string[]
+  treatment: string[]
+  recommendations: string[]
+}
+
+const includesAny = (text: string, keywords: string[] = []) => keywords.some((keyword) => text.includes(keyword))
+
+const capitalize = (text: string) => text.charAt(0).toUpperCase() + text.slice(1)
+
+const scoreFrom = ({ base, perConfidence }: ScoreFormula, probability: number) =>
+  Math.min(Math.max(Math.floor(base + perConfidence * probability), 0), 100)
+
+const getTaxonomy = (taxonomyName: string, rules: RuleSet) => {
+  const taxonomy = rules.taxonomies[taxonomyName]
+  if (!taxonomy) {
+    throw new Error(`Rule set ${rules.version} has no rules for taxonomy "${taxonomyName}"`)
+  }
+  return taxonomy
+}
+
+const identifyCrop = (className: string, taxonomy: Taxonomy) => {
+  if (taxonomy.cropSource === 'label') {
+    // PlantVillage-style labels such as "Tomato___Early_blight"
+    const [cropPart, conditionPart = ''] = className.split(taxonomy.labelSeparator)
+    const crop = cropPart.replace(/_/g, ' ').replace(/\s*\(.*\)\s*/, '').trim()
+    const labelCondition = conditionPart.replace(/_/g, ' ').trim()
+
+    return {
+      detectedCrop: capitalize(crop),
+      healthyLabel: labelCondition.toLowerCase() === 'healthy',
+      labelCondition: capitalize(labelCondition),
+    }
+  }
+
+  const lowerName = className.toLowerCase()
+  const crop = taxonomy.crops.find((candidate) => includesAny(lowerName, candidate.keywords))
+  if (crop) return { detectedCrop: crop.name, healthyLabel: false, labelCondition: '' }
+  if (includesAny(lowerName, taxonomy.plantKeywords)) {
+    return { detectedCrop: lowerName.split(',')[0].trim(), healthyLabel: false, labelCondition: '' }
+  }
+  return { detectedCrop: 'Unknown Crop', healthyLabel: false, labelCondition: '' }
+}
+
+// Health score, condition and disease for the top prediction
+export const evaluatePrediction = ({ className, probability }: Prediction, taxonomyName: string, rules: RuleSet) => {
+  const taxonomy = getTaxonomy(taxonomyName, rules)
+  const lowerName = className.toLowerCase()
+  const crop = identifyCrop(className, taxonomy)
+
+  const scoreRule = taxonomy.scoreRules.find(({ when }) => {
+    if (when.keywords && !includesAny(lowerName, when.keywords)) return false
+    if (when.healthy !== undefined && when.healthy !== crop.healthyLabel) return false
+    if (when.minConfidence !== undefined && probability < when.minConfidence) return false
+    if (when.maxConfidence !== undefined && probability > when.maxConfidence) return false
+    return true
+  })
+  const healthScore = scoreFrom(scoreRule ? scoreRule.score : taxonomy.defaultScore, probability)
+  const diseaseDetected = scoreRule ? scoreRule.disease : taxonomy.defaultDisease
+  const condition = rules.conditions.find((c) => c.above === null || healthScore > c.above)!.name
+
+  let diseaseName = ''
+  let issues: string[] = []
+  let symptoms: string[] = []
+  let treatment: string[] = []
+
+  if (diseaseDetected) {
+    diseaseName = taxonomy.diseaseName !== undefined ? taxonomy.diseaseName : crop.labelCondition
+
+    const searchText = `${lowerName.replace(/_/g, ' ')} ${diseaseName.toLowerCase()}`
+    const specificRule = rules.disease.specific.find((rule) => includesAny(searchText, rule.keywords))
+
+    issues = [...(specificRule?.issues || rules.disease.issues)]
+    symptoms = [...(specificRule?.symptoms || rules.disease.symptoms)]
+    treatment = [...(specificRule?.treatment || rules.disease.treatment)]
+    if (taxonomy.diseaseName === undefined && diseaseName) {
+      issues.unshift(diseaseName)
+    }
+  }
+
+  return {
+    detectedCrop: crop.detectedCrop,
+    healthScore,
+    condition,
+    diseaseDetected,
+    diseaseName,
+    issues,
+    symptoms,
+    treatment,
+    recommendations: [...(rules.recommendations[condition] || [])],
+  }
+}
+
+// Does the photo show a plant at all?
+export const checkPlant = (
+  predictions: Prediction[],
+  taxonomyName: string,
+  rules: RuleSet,
+  entropy?: number
+): PlantCheck => {
+  const { plantClasses, minPlantProbability, minConfidence, maxEntropy } = getTaxonomy(taxonomyName, rules).plantDetection
+  const confidence = predictions[0]?.probability ?? 0
+  const reasons: PlantCheck['reasons'] = []
+
+  let plantProbability: number | null = null
+  if (plantClasses) {
+    const plantClassSet = new Set(plantClasses)
+    const total = predictions
+      .filter((prediction) => plantClassSet.has(prediction.className.toLowerCase()))
+      .reduce((sum, prediction) => sum + prediction.probability, 0)
+    plantProbability = Math.round(total * 10000) / 10000
+
+    if (minPlantProbability !== undefined && plantProbability < minPlantProbability) {
+      reasons.push('no_plant_classes')
+    }
+  }
+  if (minConfidence !== undefined && confidence < minConfidence) reasons.push('low_confidence')
+  if (maxEntropy !== undefined && typeof entropy === 'number' && entropy > maxEntropy) reasons.push('high_entropy')
+
+  return {
+    isPlant: reasons.length === 0,
+    reasons,
+    plantProbability,
+    confidence,
+    entropy: typeof entropy === 'number' ? Math.round(entropy * 10000) / 10000 : null,
+  }
+}
+
+// Full on-device analysis of a model's top predictions
+export const analyzePredictions = (
+  predictions: Prediction[],
+  taxonomyName: string,
+  rules: RuleSet,
+  entropy?: number
+): OfflineAnalysis => {
+  if (predictions.length === 0) {
+    throw new Error('No predictions returned from model')
+  }
+
+  const plantCheck = checkPlant(predictions, taxonomyName, rules, entropy)
+  const confidence = Math.round(predictions[0].probability * 100) / 100
+
+  if (!plantCheck.isPlant) {
+    return {
+      isPlant: false,
+      plantCheck,
+      message: rules.notPlant.message,
+      confidence,
+      diseaseDetected: false,
+      diseaseName: '',
+      issues: [],
+      symptoms: [],
+      treatment: [],
+      recommendations: [...rules.notPlant.recommendations],
+    }
+  }
+
+  return {
+    isPlant: true,
+    plantCheck,
+    confidence,
+    ...evaluatePrediction(predictions[0], taxonomyName, rules),
+  }
+}